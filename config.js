@@ -61,19 +61,66 @@ export const config = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
 
-  // Environment whitelist - only these environments are allowed
+  // Graceful shutdown on SIGTERM/SIGINT: in-flight requests, pending writes, the dirty
+  // backlog and the audit stream are drained until the deadline, then the process exits
+  shutdown: {
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS) || 25000 // Default: 25 seconds
+  },
+
+  // Environment whitelist - only these environments are allowed. Sandbox environments
+  // are appended at runtime by the environment registry (util/EnvironmentRegistry.js)
   allowedEnvironments: ['staging', 'production'],
 
-  // Entity type configuration
+  // Named sandbox environments created through the admin API
+  sandboxes: {
+    maxCount: parseInt(process.env.SANDBOX_MAX_COUNT) || 20, // Default: 20
+    defaultTtlHours: parseInt(process.env.SANDBOX_DEFAULT_TTL_HOURS) || null, // Default: no expiry
+    refreshIntervalMs: parseInt(process.env.SANDBOX_REFRESH_INTERVAL_MS) || 30000, // Default: 30 seconds
+    sweepIntervalMs: parseInt(process.env.SANDBOX_SWEEP_INTERVAL_MS) || 300000, // Default: 5 minutes
+    configPrefix: process.env.SANDBOX_CONFIG_PREFIX || 'sandboxes' // B2 prefix for sandbox config manifests
+  },
+
+  // Entity type configuration (fallback for the entity type registry)
   entityTypes: {
     persistent: ['Account', 'Guild', 'Alliance', 'Party', 'PlayerCharacter'],
     ephemeral: ['OnlineMapData', 'Channel', 'World']
   },
 
+  // Entity type registry (entity_types table); entityTypes above is used until it loads or when it is empty
+  entityTypeRegistry: {
+    refreshIntervalMs: parseInt(process.env.ENTITY_TYPE_REGISTRY_REFRESH_MS) || 30000, // Default: 30 seconds
+    strict: process.env.ENTITY_TYPE_REGISTRY_STRICT === 'true' // Default: unregistered types are persistent
+  },
+
+  // JSON Schema validation of saved attributes; schemas are published in the config manifest
+  entitySchemas: {
+    mode: process.env.ENTITY_SCHEMA_MODE || 'warn', // enforce | warn | off (Default: warn)
+    fileName: process.env.ENTITY_SCHEMA_FILE || 'entity_schemas.json', // Default: entity_schemas.json
+    refreshIntervalMs: parseInt(process.env.ENTITY_SCHEMA_REFRESH_MS) || 60000 // Default: 1 minute
+  },
+
+  // Server-side command handlers invoked with the call command
+  commandHandlers: {
+    directory: process.env.COMMAND_HANDLERS_DIR || './handlers', // Default: ./handlers
+    timeoutMs: parseInt(process.env.COMMAND_HANDLER_TIMEOUT_MS) || 2000, // Default: 2 seconds
+    maxRetries: parseInt(process.env.COMMAND_HANDLER_MAX_RETRIES) || 2 // Default: 2 reruns after a version conflict
+  },
+
+  // Case-insensitive name reservations (reserve/confirm/release commands)
+  nameReservation: {
+    entityTypes: (process.env.NAME_RESERVATION_ENTITY_TYPES || 'PlayerCharacter,Guild').split(',').map(type => type.trim()).filter(Boolean), // Default: PlayerCharacter,Guild
+    ttlSeconds: parseInt(process.env.NAME_RESERVATION_TTL_SECONDS) || 300, // Default: 5 minutes until an unconfirmed reservation expires
+    maxLength: parseInt(process.env.NAME_MAX_LENGTH) || 32, // Default: 32 characters
+    blocklist: (process.env.NAME_BLOCKLIST || '').split(','), // Comma-separated; `=term` blocks only the exact name
+    blocklistFile: process.env.NAME_BLOCKLIST_FILE || null, // One term per line
+    reconcileOnStartup: process.env.NAME_RESERVATION_RECONCILE !== 'false' // Default: true
+  },
+
   // TTL configurations (in seconds)
   ephemeral: {
     versionCacheTTL: parseInt(process.env.EPHEMERAL_VERSION_CACHE_TTL_SECONDS) || 3600, // Default: 1 hour
-    batchSize: parseInt(process.env.EPHEMERAL_BATCH_SIZE) || 5000 // Default: 5000
+    batchSize: parseInt(process.env.EPHEMERAL_BATCH_SIZE) || 5000, // Default: 5000
+    maxTransactionSize: parseInt(process.env.EPHEMERAL_MAX_TRANSACTION_SIZE) || 50 // Default: 50 saves per txn
   },
 
   // Background persistence configurations
@@ -82,7 +129,66 @@ export const config = {
     batchSize: parseInt(process.env.BG_PERSISTENCE_BATCH_SIZE) || 500, // Default: 500
     intervalMs: parseInt(process.env.BG_PERSISTENCE_INTERVAL_MS) || 5000, // Default: 5 seconds
     maxRetries: parseInt(process.env.BG_PERSISTENCE_MAX_RETRIES) || 3, // Default: 3
-    retryDelayMs: parseInt(process.env.BG_PERSISTENCE_RETRY_DELAY_MS) || 1000 // Default: 1 second
+    retryDelayMs: parseInt(process.env.BG_PERSISTENCE_RETRY_DELAY_MS) || 1000, // Default: 1 second
+    shards: parseInt(process.env.BG_PERSISTENCE_SHARDS) || 1, // Default: 1 (unsharded), at most 64
+    maxBatchSize: parseInt(process.env.BG_PERSISTENCE_MAX_BATCH_SIZE) || 5000, // Default: 5000
+    defaultTargetSeconds: parseInt(process.env.BG_PERSISTENCE_DEFAULT_TARGET_SECONDS) || 30 // Default: 30 seconds, overridden per entity type
+  },
+
+  // Append-only Postgres outbox of persistent saves, drained by the background task,
+  // so persistent entities evicted from ephemeral Redis before persistence are recovered
+  persistenceOutbox: {
+    enabled: process.env.PERSISTENCE_OUTBOX_ENABLED === 'true', // Default: false
+    batchSize: parseInt(process.env.PERSISTENCE_OUTBOX_BATCH_SIZE) || 500 // Default: 500 entities per drain
+  },
+
+  // Warn about, then shed and finally reject persistent saves while the dirty backlog
+  // or persistence lag is above its thresholds
+  persistenceBackpressure: {
+    enabled: process.env.PERSISTENCE_BACKPRESSURE_ENABLED !== 'false', // Default: true
+    softPending: parseInt(process.env.PERSISTENCE_BACKPRESSURE_SOFT_PENDING) || 100000, // Default: 100000 dirty entities
+    hardPending: parseInt(process.env.PERSISTENCE_BACKPRESSURE_HARD_PENDING) || 500000, // Default: 500000 dirty entities
+    softLagMs: parseInt(process.env.PERSISTENCE_BACKPRESSURE_SOFT_LAG_MS) || 60000, // Default: 1 minute
+    hardLagMs: parseInt(process.env.PERSISTENCE_BACKPRESSURE_HARD_LAG_MS) || 300000, // Default: 5 minutes
+    checkIntervalMs: parseInt(process.env.PERSISTENCE_BACKPRESSURE_CHECK_INTERVAL_MS) || 5000, // Default: 5 seconds
+    retryAfterMs: parseInt(process.env.PERSISTENCE_BACKPRESSURE_RETRY_AFTER_MS) || 5000 // Default: 5 seconds
+  },
+
+  // Version history of persisted entities (entity_versions) for as-of loads
+  entityHistory: {
+    enabled: process.env.ENTITY_HISTORY_ENABLED !== 'false', // Default: true
+    retentionDays: parseInt(process.env.ENTITY_HISTORY_RETENTION_DAYS) || 30, // Default: 30 days
+    snapshotInterval: parseInt(process.env.ENTITY_HISTORY_SNAPSHOT_INTERVAL) || 20, // Default: full copy every 20 versions
+    pruneIntervalMs: parseInt(process.env.ENTITY_HISTORY_PRUNE_INTERVAL_MS) || 3600000 // Default: 1 hour
+  },
+
+  // Hard deletion of soft-deleted persistent entities
+  entityPurge: {
+    enabled: process.env.ENTITY_PURGE_ENABLED === 'true', // Default: false
+    deletedAfterDays: parseInt(process.env.ENTITY_PURGE_DELETED_AFTER_DAYS) || 90, // Default: 90 days, per-type override in the entity type registry
+    intervalMs: parseInt(process.env.ENTITY_PURGE_INTERVAL_MS) || 3600000, // Default: 1 hour
+    batchSize: parseInt(process.env.ENTITY_PURGE_BATCH_SIZE) || 1000 // Default: 1000 rows per delete
+  },
+
+  // Point-in-time rollback of accounts' persistent entities (POST /rollback/preview, /rollback/apply)
+  rollback: {
+    accountEntityType: process.env.ROLLBACK_ACCOUNT_ENTITY_TYPE || 'Account', // Default: Account
+    accountAttribute: process.env.ROLLBACK_ACCOUNT_ATTRIBUTE || 'accountId', // Default: accountId
+    maxEntities: parseInt(process.env.ROLLBACK_MAX_ENTITIES) || 500, // Default: 500
+    previewTTL: parseInt(process.env.ROLLBACK_PREVIEW_TTL_SECONDS) || 900 // Default: 15 minutes
+  },
+
+  // NDJSON entity export and import (GET /entities/:environment/export, POST /entities/:environment/import)
+  entityTransfer: {
+    exportBatchSize: parseInt(process.env.ENTITY_EXPORT_BATCH_SIZE) || 1000, // Default: 1000 rows per query
+    importBatchSize: parseInt(process.env.ENTITY_IMPORT_BATCH_SIZE) || 200, // Default: 200 saves per batch
+    maxReportedErrors: parseInt(process.env.ENTITY_IMPORT_MAX_REPORTED_ERRORS) || 100 // Default: 100
+  },
+
+  // Copy of production entities into staging (POST /staging/clone, scripts/clone-to-staging.js)
+  stagingClone: {
+    rulesFile: process.env.STAGING_CLONE_RULES_FILE || null, // JSON anonymization rules; Default: built-in rules
+    salt: process.env.STAGING_CLONE_SALT || null // Key for hashed values; Default: random per clone
   },
 
   // Persistent entity configurations
@@ -177,5 +283,11 @@ export const config = {
     dbRetentionDays: parseInt(process.env.AUDIT_DB_RETENTION_DAYS) || 30,
     lockTTL: parseInt(process.env.AUDIT_LOCK_TTL_SECONDS) || 10,
     skipCommands: ['emit', 'presence']
+  },
+
+  // Idempotency keys for retried /cloudrun requests and commands
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 600, // Default: 10 minutes
+    pendingTTLSeconds: parseInt(process.env.IDEMPOTENCY_PENDING_TTL_SECONDS) || 30 // Default: 30 seconds
   }
 };
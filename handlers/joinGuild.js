@@ -0,0 +1,66 @@
+// handlers/joinGuild.js
+// Adds a character to a guild unless the guild is full or the character is already in a guild.
+// The member count is bounded atomically, so concurrent joins cannot overfill the guild.
+// Both saves expect the loaded versions: a concurrent join conflicts and is rerun against
+// the entities it changed, so a character cannot join two guilds at once.
+
+const DEFAULT_GUILD_CAPACITY = 100;
+
+export default {
+  input: {
+    type: 'object',
+    required: ['worldId', 'guildId', 'characterId'],
+    additionalProperties: false,
+    properties: {
+      worldId: { type: 'integer', minimum: 0 },
+      guildId: { type: 'string', minLength: 1 },
+      characterId: { type: 'string', minLength: 1 }
+    }
+  },
+
+  async handle(context, { worldId, guildId, characterId }) {
+    const [guild, character] = await context.loadMany([
+      { entityType: 'Guild', entityId: guildId, worldId },
+      { entityType: 'PlayerCharacter', entityId: characterId, worldId }
+    ]);
+
+    if (!guild) {
+      context.fail('guild_not_found', `Guild ${guildId} does not exist`);
+    }
+    if (!character) {
+      context.fail('character_not_found', `PlayerCharacter ${characterId} does not exist`);
+    }
+    if (character.attributes?.guildId) {
+      context.fail('already_in_guild', `PlayerCharacter ${characterId} is already in guild ${character.attributes.guildId}`);
+    }
+
+    const capacity = guild.attributes?.capacity ?? DEFAULT_GUILD_CAPACITY;
+
+    // bounds_violation when the guild filled up since it was loaded
+    context.save({
+      entityType: 'Guild',
+      entityId: guildId,
+      worldId,
+      expectedVersion: guild.version,
+      ops: [
+        { op: 'inc', path: 'memberCount', value: 1, max: capacity, strict: true },
+        { op: 'append', path: 'memberIds', value: characterId }
+      ]
+    });
+    context.save({
+      entityType: 'PlayerCharacter',
+      entityId: characterId,
+      worldId,
+      expectedVersion: character.version,
+      attributes: { guildId }
+    });
+    context.send({
+      entityType: 'Guild',
+      entityId: guildId,
+      worldId,
+      message: { type: 'memberJoined', characterId }
+    });
+
+    return { guildId, characterId };
+  }
+};
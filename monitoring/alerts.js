@@ -85,3 +85,70 @@ export async function evaluateConfigAlerts({ environment, currentVersion, health
 
   return alerts;
 }
+
+export const PERSISTENCE_ALERT_RULES = [
+  {
+    name: 'PersistenceDocumentLost',
+    severity: 'critical',
+    description: 'A dirty entity lost its ephemeral document before persistence',
+    threshold: 'any lost document in the last 15 minutes; warning when all were recovered from the outbox'
+  },
+  {
+    name: 'PersistenceOutboxAppendFailure',
+    severity: 'critical',
+    description: 'Persistent saves could not be appended to the persistence outbox and can be lost if evicted before persistence',
+    threshold: 'any append failure in the last 15 minutes'
+  },
+  {
+    name: 'PersistenceDeadLetters',
+    severity: 'warning',
+    description: 'Entities that failed persistence are waiting in the dead-letter store',
+    threshold: 'dead-letter store not empty'
+  }
+];
+
+const PERSISTENCE_ALERT_WINDOW_MS = 15 * 60 * 1000;
+
+function isRecent(timestamp, now) {
+  return timestamp !== null && now - Date.parse(timestamp) <= PERSISTENCE_ALERT_WINDOW_MS;
+}
+
+export function evaluatePersistenceAlerts({ backgroundTaskStats, deadLetterCount = 0, now = Date.now() }) {
+  const alerts = [];
+
+  // The dead-letter store is shared, so this alert does not depend on which server runs the task
+  if (deadLetterCount > 0) {
+    alerts.push({
+      name: 'PersistenceDeadLetters',
+      severity: 'warning',
+      message: `${deadLetterCount} entities that failed persistence are in the dead-letter store`
+    });
+  }
+
+  if (!backgroundTaskStats) {
+    return alerts;
+  }
+
+  const lastLost = backgroundTaskStats.lastDocumentLost;
+  if (lastLost && isRecent(lastLost.at, now)) {
+    const unrecovered = lastLost.count - lastLost.recovered;
+    alerts.push({
+      name: 'PersistenceDocumentLost',
+      severity: unrecovered > 0 ? 'critical' : 'warning',
+      message: `${lastLost.count} dirty entities lost their ephemeral document at ${lastLost.at}; ` +
+        `${unrecovered} could not be recovered (${backgroundTaskStats.documentsLost} since startup)`
+    });
+  }
+
+  const outbox = backgroundTaskStats.outbox;
+  if (outbox?.enabled && isRecent(outbox.lastRecordErrorAt, now)) {
+    alerts.push({
+      name: 'PersistenceOutboxAppendFailure',
+      severity: 'critical',
+      message: `Outbox append failed at ${outbox.lastRecordErrorAt}: ${outbox.lastRecordError}; ` +
+        `${outbox.unrecordedSaves} saves since startup are not protected against eviction until persisted`
+    });
+  }
+
+  return alerts;
+}
@@ -0,0 +1,116 @@
+-- Add keyset (cursor) pagination to ranking and name search functions.
+-- Rankings are ordered by rank value and then id, name search by name and then id,
+-- so every row has a stable position and pages can continue after the last row.
+-- The old signatures are dropped first so calls are not ambiguous between overloads.
+DROP FUNCTION IF EXISTS get_ranked_entities(TEXT, TEXT, INT, TEXT, TEXT, INT);
+
+CREATE OR REPLACE FUNCTION get_ranked_entities(
+  p_environment TEXT,
+  p_entity_type TEXT,
+  p_world_id INT,
+  rank_key TEXT,
+  sort_order TEXT DEFAULT 'DESC',
+  limit_count INT DEFAULT 100,
+  after_score BIGINT DEFAULT NULL,
+  after_id TEXT DEFAULT NULL
+)
+RETURNS TABLE(entity_type TEXT, id TEXT, world_id INT, attributes JSONB, rank_scores JSONB, rank_value BIGINT) AS $$
+DECLARE
+  score_type TEXT;
+  partition_key TEXT;
+  order_direction TEXT;
+  cursor_condition TEXT := '';
+BEGIN
+  -- Parse rankKey into scoreType and partitionKey
+  -- Format: "scoreType:partitionKey" (e.g., "kills:1")
+  score_type := split_part(rank_key, ':', 1);
+  partition_key := split_part(rank_key, ':', 2);
+
+  -- Validate that we have both parts
+  IF score_type = '' OR partition_key = '' THEN
+    RAISE EXCEPTION 'Invalid rank_key format. Expected "scoreType:partitionKey", got "%"', rank_key;
+  END IF;
+
+  order_direction := CASE WHEN upper(sort_order) = 'ASC' THEN 'ASC' ELSE 'DESC' END;
+
+  -- Continue after the last row of the previous page (ties on score are ordered by id)
+  IF after_id IS NOT NULL AND after_score IS NOT NULL THEN
+    cursor_condition := format('
+      AND ((e.rank_scores->%L->>%L)::BIGINT %s %s
+        OR ((e.rank_scores->%L->>%L)::BIGINT = %s AND e.id > %L))',
+      score_type, partition_key,
+      CASE WHEN order_direction = 'ASC' THEN '>' ELSE '<' END, after_score,
+      score_type, partition_key, after_score, after_id
+    );
+  END IF;
+
+  RETURN QUERY EXECUTE format('
+    SELECT
+      e.entity_type,
+      e.id,
+      e.world_id,
+      e.attributes,
+      e.rank_scores,
+      (e.rank_scores->%L->>%L)::BIGINT as rank_value
+    FROM entities e
+    WHERE e.environment = %L
+      AND e.entity_type = %L
+      AND e.world_id = %s
+      AND e.is_deleted = false
+      AND e.rank_scores ? %L
+      AND e.rank_scores->%L ? %L
+      AND e.rank_scores->%L->>%L IS NOT NULL
+      %s
+    ORDER BY (e.rank_scores->%L->>%L)::BIGINT %s, e.id ASC
+    LIMIT %s',
+    score_type, partition_key,
+    p_environment, p_entity_type, p_world_id,
+    score_type, score_type, partition_key, score_type, partition_key,
+    cursor_condition,
+    score_type, partition_key, order_direction, limit_count
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS get_entities_by_name(TEXT, TEXT, TEXT, INT, INT);
+
+CREATE OR REPLACE FUNCTION get_entities_by_name(
+  p_environment TEXT,
+  p_entity_type TEXT,
+  name_pattern TEXT,
+  p_world_id INT DEFAULT NULL,
+  limit_count INT DEFAULT 100,
+  after_world_id INT DEFAULT NULL,
+  after_name TEXT DEFAULT NULL,
+  after_id TEXT DEFAULT NULL
+)
+RETURNS TABLE(entity_type TEXT, id TEXT, world_id INT, attributes JSONB, rank_scores JSONB) AS $$
+BEGIN
+  IF p_world_id IS NOT NULL THEN
+    -- Search within specific world
+    RETURN QUERY
+    SELECT e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores
+    FROM entities e
+    WHERE e.environment = p_environment
+      AND e.entity_type = p_entity_type
+      AND e.world_id = p_world_id
+      AND e.is_deleted = false
+      AND e.attributes->>'name' ILIKE '%' || name_pattern || '%'
+      AND (after_id IS NULL OR (e.attributes->>'name', e.id) > (after_name, after_id))
+    ORDER BY e.attributes->>'name', e.id
+    LIMIT limit_count;
+  ELSE
+    -- Search across all worlds
+    RETURN QUERY
+    SELECT e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores
+    FROM entities e
+    WHERE e.environment = p_environment
+      AND e.entity_type = p_entity_type
+      AND e.is_deleted = false
+      AND e.attributes->>'name' ILIKE '%' || name_pattern || '%'
+      AND (after_id IS NULL OR (e.world_id, e.attributes->>'name', e.id) > (after_world_id, after_name, after_id))
+    ORDER BY e.world_id, e.attributes->>'name', e.id
+    LIMIT limit_count;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,70 @@
+-- Entity type registry: per-type persistence mode and policies
+CREATE TABLE IF NOT EXISTS entity_types (
+  name TEXT PRIMARY KEY,
+  persistence TEXT NOT NULL DEFAULT 'persistent',
+  stream_retention_seconds INT,
+  version_cache_ttl_seconds INT,
+  rank_score_keys TEXT[] NOT NULL DEFAULT '{}',
+  max_attribute_bytes INT,
+  name_field TEXT NOT NULL DEFAULT 'name',
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(3) NOT NULL,
+  CONSTRAINT entity_types_persistence_check CHECK (persistence IN ('persistent', 'ephemeral'))
+);
+
+-- Seed with the types previously hard-coded in config.entityTypes
+INSERT INTO entity_types (name, persistence, updated_at) VALUES
+  ('Account', 'persistent', NOW()),
+  ('Guild', 'persistent', NOW()),
+  ('Alliance', 'persistent', NOW()),
+  ('Party', 'persistent', NOW()),
+  ('PlayerCharacter', 'persistent', NOW()),
+  ('OnlineMapData', 'ephemeral', NOW()),
+  ('Channel', 'ephemeral', NOW()),
+  ('World', 'ephemeral', NOW())
+ON CONFLICT (name) DO NOTHING;
+
+-- Name search reads the entity type's configured name attribute
+DROP FUNCTION IF EXISTS get_entities_by_name(TEXT, TEXT, TEXT, INT, INT, INT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION get_entities_by_name(
+  p_environment TEXT,
+  p_entity_type TEXT,
+  name_pattern TEXT,
+  p_world_id INT DEFAULT NULL,
+  limit_count INT DEFAULT 100,
+  after_world_id INT DEFAULT NULL,
+  after_name TEXT DEFAULT NULL,
+  after_id TEXT DEFAULT NULL,
+  name_field TEXT DEFAULT 'name'
+)
+RETURNS TABLE(entity_type TEXT, id TEXT, world_id INT, attributes JSONB, rank_scores JSONB) AS $$
+BEGIN
+  IF p_world_id IS NOT NULL THEN
+    -- Search within specific world
+    RETURN QUERY
+    SELECT e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores
+    FROM entities e
+    WHERE e.environment = p_environment
+      AND e.entity_type = p_entity_type
+      AND e.world_id = p_world_id
+      AND e.is_deleted = false
+      AND e.attributes->>name_field ILIKE '%' || name_pattern || '%'
+      AND (after_id IS NULL OR (e.attributes->>name_field, e.id) > (after_name, after_id))
+    ORDER BY e.attributes->>name_field, e.id
+    LIMIT limit_count;
+  ELSE
+    -- Search across all worlds
+    RETURN QUERY
+    SELECT e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores
+    FROM entities e
+    WHERE e.environment = p_environment
+      AND e.entity_type = p_entity_type
+      AND e.is_deleted = false
+      AND e.attributes->>name_field ILIKE '%' || name_pattern || '%'
+      AND (after_id IS NULL OR (e.world_id, e.attributes->>name_field, e.id) > (after_world_id, after_name, after_id))
+    ORDER BY e.world_id, e.attributes->>name_field, e.id
+    LIMIT limit_count;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
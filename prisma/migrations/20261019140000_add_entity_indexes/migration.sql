@@ -0,0 +1,101 @@
+-- Secondary index declarations per entity type: [{"attribute": "accountId", "unique": false}]
+ALTER TABLE entity_types ADD COLUMN IF NOT EXISTS indexes JSONB NOT NULL DEFAULT '[]';
+
+-- Index entries for persisted entities; Redis holds entries for saves not yet persisted
+CREATE TABLE IF NOT EXISTS entity_index_entries (
+  environment TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  attribute TEXT NOT NULL,
+  value TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  world_id INT NOT NULL,
+  is_unique BOOLEAN NOT NULL DEFAULT false,
+  updated_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT entity_index_entries_pkey PRIMARY KEY (environment, entity_type, attribute, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_index_value
+  ON entity_index_entries (environment, entity_type, attribute, value);
+
+-- Encode an attribute value the same way as EntityIndexManager.encodeValue (NULL when not indexable)
+CREATE OR REPLACE FUNCTION encode_entity_index_value(v JSONB)
+RETURNS TEXT AS $$
+BEGIN
+  RETURN CASE jsonb_typeof(v)
+    WHEN 'string' THEN CASE WHEN length(v #>> '{}') <= 1024 THEN 's:' || (v #>> '{}') END
+    WHEN 'number' THEN 'n:' || (v #>> '{}')
+    WHEN 'boolean' THEN 'b:' || (v #>> '{}')
+  END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Apply index entry changes from persistence.
+-- entries: [{environment, entity_type, attribute, id, world_id, value, is_unique}], value NULL removes the entry
+CREATE OR REPLACE FUNCTION sync_entity_index_entries(entries JSONB)
+RETURNS INT AS $$
+DECLARE
+  entry JSONB;
+  changed INT := 0;
+BEGIN
+  FOR entry IN SELECT * FROM jsonb_array_elements(entries)
+  LOOP
+    IF entry->>'value' IS NULL THEN
+      DELETE FROM entity_index_entries
+      WHERE environment = entry->>'environment'
+        AND entity_type = entry->>'entity_type'
+        AND attribute = entry->>'attribute'
+        AND entity_id = entry->>'id';
+    ELSE
+      INSERT INTO entity_index_entries (environment, entity_type, attribute, value, entity_id, world_id, is_unique, updated_at)
+      VALUES (
+        entry->>'environment',
+        entry->>'entity_type',
+        entry->>'attribute',
+        entry->>'value',
+        entry->>'id',
+        (entry->>'world_id')::INT,
+        COALESCE((entry->>'is_unique')::BOOLEAN, false),
+        NOW()
+      )
+      ON CONFLICT (environment, entity_type, attribute, entity_id) DO UPDATE
+      SET value = EXCLUDED.value,
+          world_id = EXCLUDED.world_id,
+          is_unique = EXCLUDED.is_unique,
+          updated_at = NOW();
+    END IF;
+
+    changed := changed + 1;
+  END LOOP;
+
+  RETURN changed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild one attribute index from the entities table (after declaring a new index)
+CREATE OR REPLACE FUNCTION rebuild_entity_index(
+  p_environment TEXT,
+  p_entity_type TEXT,
+  p_attribute TEXT,
+  p_is_unique BOOLEAN DEFAULT false
+)
+RETURNS INT AS $$
+DECLARE
+  indexed INT;
+BEGIN
+  DELETE FROM entity_index_entries
+  WHERE environment = p_environment
+    AND entity_type = p_entity_type
+    AND attribute = p_attribute;
+
+  INSERT INTO entity_index_entries (environment, entity_type, attribute, value, entity_id, world_id, is_unique, updated_at)
+  SELECT e.environment, e.entity_type, p_attribute, encode_entity_index_value(e.attributes->p_attribute), e.id, e.world_id, p_is_unique, NOW()
+  FROM entities e
+  WHERE e.environment = p_environment
+    AND e.entity_type = p_entity_type
+    AND e.is_deleted = false
+    AND encode_entity_index_value(e.attributes->p_attribute) IS NOT NULL;
+
+  GET DIAGNOSTICS indexed = ROW_COUNT;
+  RETURN indexed;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,22 @@
+-- One row per persisted entity version, written by BackgroundPersistenceTask.
+-- changes: {attributes, removedAttributes, rankScores, removedRankScores} relative to the previous version.
+-- snapshot: full {attributes, rankScores} on the first recorded version and every ENTITY_HISTORY_SNAPSHOT_INTERVAL versions.
+CREATE TABLE IF NOT EXISTS entity_versions (
+  environment TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  version INT NOT NULL,
+  world_id INT NOT NULL,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  changes JSONB NOT NULL,
+  snapshot JSONB,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT entity_versions_pkey PRIMARY KEY (environment, entity_type, entity_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_versions_created_at
+  ON entity_versions (environment, entity_type, entity_id, created_at);
+
+-- Retention scans by age
+CREATE INDEX IF NOT EXISTS idx_entity_versions_prune
+  ON entity_versions (created_at);
@@ -0,0 +1,2 @@
+-- Days after which soft-deleted entities of the type are purged (NULL = ENTITY_PURGE_DELETED_AFTER_DAYS)
+ALTER TABLE entity_types ADD COLUMN IF NOT EXISTS purge_deleted_after_days INT;
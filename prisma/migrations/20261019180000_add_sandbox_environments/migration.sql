@@ -0,0 +1,8 @@
+-- Sandbox environments created through the admin API; their data is partitioned by environment like staging's
+CREATE TABLE IF NOT EXISTS sandbox_environments (
+  name TEXT PRIMARY KEY,
+  config_source TEXT NOT NULL DEFAULT 'staging',
+  owner TEXT,
+  expires_at TIMESTAMP(3),
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,19 @@
+-- Append-only record of persistent saves, written when PERSISTENCE_OUTBOX_ENABLED is set and
+-- drained by BackgroundPersistenceTask. version is the ephemeral (Redis) version after the save;
+-- attributes and rank_scores are the full document at that version.
+CREATE TABLE IF NOT EXISTS persistence_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  environment TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  world_id INT NOT NULL,
+  entity_id TEXT NOT NULL,
+  version INT NOT NULL,
+  attributes JSONB NOT NULL,
+  rank_scores JSONB NOT NULL,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Drains read and acknowledge each entity's entries in append order
+CREATE INDEX IF NOT EXISTS idx_persistence_outbox_entity
+  ON persistence_outbox (environment, entity_type, world_id, entity_id, id);
@@ -0,0 +1,15 @@
+-- Entities the background persistence task could not persist, one row per entity.
+-- payload: {attributes, rankScores, isDelete} as last attempted.
+CREATE TABLE IF NOT EXISTS persistence_dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  environment TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  world_id INT NOT NULL,
+  entity_id TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  error TEXT NOT NULL,
+  attempts INT NOT NULL,
+  first_failed_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_failed_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT persistence_dead_letters_entity_key UNIQUE (environment, entity_type, world_id, entity_id)
+);
@@ -0,0 +1,3 @@
+-- Seconds within which saves of the type are persisted; the background task persists the
+-- most overdue entities first (NULL = BG_PERSISTENCE_DEFAULT_TARGET_SECONDS)
+ALTER TABLE entity_types ADD COLUMN IF NOT EXISTS persistence_target_seconds INT;
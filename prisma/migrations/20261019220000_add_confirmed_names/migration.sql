@@ -0,0 +1,12 @@
+-- Confirmed name reservations, kept beside the Redis keys because the ephemeral Redis can
+-- evict them. The primary key decides between two entities confirming the same name.
+CREATE TABLE IF NOT EXISTS confirmed_names (
+  environment TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  normalized_name TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  world_id INT,
+  name TEXT NOT NULL,
+  confirmed_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT confirmed_names_pkey PRIMARY KEY (environment, entity_type, normalized_name)
+);
@@ -0,0 +1,89 @@
+-- Links of soft-deleted entities are kept until the purge so undelete restores them;
+-- they no longer count towards the other side's cardinality.
+--
+-- Create or update a link, enforcing the relationship's cardinality.
+-- Links touching either entity are serialized with advisory locks taken in a fixed order.
+-- Returns 'created', 'updated', 'source_limit' or 'target_limit'.
+CREATE OR REPLACE FUNCTION link_entity_relationship(
+  p_environment TEXT,
+  p_relationship TEXT,
+  p_from_type TEXT,
+  p_from_id TEXT,
+  p_from_world_id INT,
+  p_to_type TEXT,
+  p_to_id TEXT,
+  p_to_world_id INT,
+  p_metadata JSONB,
+  p_max_targets INT,
+  p_max_sources INT
+)
+RETURNS TEXT AS $$
+DECLARE
+  from_lock BIGINT := hashtextextended(concat_ws(':', p_environment, p_from_type, p_relationship, 'from', p_from_id), 0);
+  to_lock BIGINT := hashtextextended(concat_ws(':', p_environment, p_from_type, p_relationship, 'to', p_to_type, p_to_id), 0);
+  link_count INT;
+BEGIN
+  PERFORM pg_advisory_xact_lock(LEAST(from_lock, to_lock));
+  PERFORM pg_advisory_xact_lock(GREATEST(from_lock, to_lock));
+
+  UPDATE entity_relationships
+  SET metadata = p_metadata,
+      from_world_id = p_from_world_id,
+      to_world_id = p_to_world_id,
+      updated_at = NOW()
+  WHERE environment = p_environment
+    AND from_type = p_from_type
+    AND relationship = p_relationship
+    AND from_id = p_from_id
+    AND to_type = p_to_type
+    AND to_id = p_to_id;
+
+  IF FOUND THEN
+    RETURN 'updated';
+  END IF;
+
+  IF p_max_targets IS NOT NULL THEN
+    SELECT COUNT(*) INTO link_count
+    FROM entity_relationships r
+    WHERE environment = p_environment
+      AND from_type = p_from_type
+      AND relationship = p_relationship
+      AND from_id = p_from_id
+      AND NOT EXISTS (
+        SELECT 1 FROM entities e
+        WHERE e.environment = r.environment AND e.entity_type = r.to_type AND e.id = r.to_id AND e.is_deleted
+      );
+
+    IF link_count >= p_max_targets THEN
+      RETURN 'source_limit';
+    END IF;
+  END IF;
+
+  IF p_max_sources IS NOT NULL THEN
+    SELECT COUNT(*) INTO link_count
+    FROM entity_relationships r
+    WHERE environment = p_environment
+      AND to_type = p_to_type
+      AND to_id = p_to_id
+      AND from_type = p_from_type
+      AND relationship = p_relationship
+      AND NOT EXISTS (
+        SELECT 1 FROM entities e
+        WHERE e.environment = r.environment AND e.entity_type = r.from_type AND e.id = r.from_id AND e.is_deleted
+      );
+
+    IF link_count >= p_max_sources THEN
+      RETURN 'target_limit';
+    END IF;
+  END IF;
+
+  INSERT INTO entity_relationships (
+    environment, relationship, from_type, from_id, from_world_id, to_type, to_id, to_world_id, metadata, created_at, updated_at
+  )
+  VALUES (
+    p_environment, p_relationship, p_from_type, p_from_id, p_from_world_id, p_to_type, p_to_id, p_to_world_id, p_metadata, NOW(), NOW()
+  );
+
+  RETURN 'created';
+END;
+$$ LANGUAGE plpgsql;
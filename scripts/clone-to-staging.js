@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import { prisma, cacheRedis, ephemeralRedis, streamRedis, auditRedis } from '../config.js';
+import { CommandProcessor } from '../util/CommandProcessor.js';
+import { entityTypeRegistry } from '../util/EntityTypeRegistry.js';
+import { StagingCloneService } from '../services/StagingCloneService.js';
+
+function parseArgs(argv) {
+  const result = {
+    types: [],
+    rules: null,
+    dryRun: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (token === '--types') {
+      result.types = (argv[i + 1] || '').split(',').map(type => type.trim()).filter(Boolean);
+      i += 1;
+    } else if (token === '--rules') {
+      result.rules = argv[i + 1];
+      i += 1;
+    } else if (token === '--dry-run') {
+      result.dryRun = true;
+    } else if (token === '--help' || token === '-h') {
+      result.help = true;
+    }
+  }
+
+  return result;
+}
+
+function printHelp() {
+  console.log(`Usage:
+  node scripts/clone-to-staging.js --types <Type,Type> [--rules <rules.json>] [--dry-run]
+
+Replaces the staging entities of the given types with anonymized copies of production's.
+
+Options:
+  --types    Comma-separated entity types to clone (required)
+  --rules    JSON anonymization rules; defaults to STAGING_CLONE_RULES_FILE or the built-in rules
+  --dry-run  Report counts and a sample copy without writing
+  --help     Show this message`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.types.length === 0) {
+    printHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const rules = args.rules ? JSON.parse(await fs.readFile(args.rules, 'utf8')) : null;
+
+  // The processor starts its background tasks; they are stopped before exiting
+  const commandProcessor = new CommandProcessor();
+  await entityTypeRegistry.load();
+  const service = new StagingCloneService({ commandProcessor });
+
+  try {
+    const report = await service.clone({ entityTypes: args.types, rules, dryRun: args.dryRun });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await commandProcessor.stopBackgroundTasks();
+    await prisma.$disconnect();
+    [cacheRedis, ephemeralRedis, streamRedis, auditRedis].forEach(redis => redis.disconnect());
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`Staging clone script failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { createInterface } from 'readline';
+import { prisma, cacheRedis, ephemeralRedis, streamRedis, auditRedis } from '../config.js';
+import { CommandProcessor } from '../util/CommandProcessor.js';
+import { entityTypeRegistry } from '../util/EntityTypeRegistry.js';
+import { environmentRegistry } from '../util/EnvironmentRegistry.js';
+import { EntityTransferService } from '../services/EntityTransferService.js';
+
+function parseArgs(argv) {
+  const result = {
+    command: null,
+    env: null,
+    type: null,
+    world: null,
+    from: null,
+    to: null,
+    file: null,
+    policy: 'skip',
+    dryRun: false,
+    help: false
+  };
+
+  const tokens = [...argv];
+  if (tokens[0] === 'export' || tokens[0] === 'import') {
+    result.command = tokens.shift();
+  }
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === '--env') {
+      result.env = tokens[i + 1];
+      i += 1;
+    } else if (token === '--type') {
+      result.type = tokens[i + 1];
+      i += 1;
+    } else if (token === '--world') {
+      result.world = tokens[i + 1];
+      i += 1;
+    } else if (token === '--from') {
+      result.from = tokens[i + 1];
+      i += 1;
+    } else if (token === '--to') {
+      result.to = tokens[i + 1];
+      i += 1;
+    } else if (token === '--file') {
+      result.file = tokens[i + 1];
+      i += 1;
+    } else if (token === '--policy') {
+      result.policy = tokens[i + 1];
+      i += 1;
+    } else if (token === '--dry-run') {
+      result.dryRun = true;
+    } else if (token === '--help' || token === '-h') {
+      result.help = true;
+    }
+  }
+
+  return result;
+}
+
+function printHelp() {
+  console.log(`Usage:
+  node scripts/entity-transfer.js export --env <environment> [--type <entityType>] [--world <worldId>]
+    [--from <ISO 8601>] [--to <ISO 8601>] [--file <out.ndjson>]
+  node scripts/entity-transfer.js import --env <environment> [--file <in.ndjson>]
+    [--policy <skip|overwrite|merge>] [--dry-run]
+
+Options:
+  --env      Environment to export from or import into (required)
+  --type     Export one entity type
+  --world    Export one world
+  --from     Export entities updated at or after this time
+  --to       Export entities updated before this time
+  --file     NDJSON file; stdout for export and stdin for import when omitted
+  --policy   What import does with entities that exist: skip (default), overwrite or merge
+  --dry-run  Report what import would do without writing
+  --help     Show this message`);
+}
+
+async function runExport(service, args) {
+  const filters = service.sanitizeExportFilters({
+    environment: args.env,
+    entityType: args.type,
+    worldId: args.world,
+    updatedFrom: args.from,
+    updatedTo: args.to
+  });
+  const output = args.file ? createWriteStream(args.file) : process.stdout;
+
+  let count = 0;
+  for await (const record of service.exportEntities(filters)) {
+    if (!output.write(`${JSON.stringify(record)}\n`)) {
+      await once(output, 'drain');
+    }
+    count += 1;
+  }
+
+  if (args.file) {
+    output.end();
+    await once(output, 'finish');
+  }
+  console.error(`Exported ${count} entities from ${args.env}`);
+}
+
+async function runImport(service, args) {
+  const input = args.file ? createReadStream(args.file) : process.stdin;
+  const report = await service.importEntities(createInterface({ input, crlfDelay: Infinity }), {
+    environment: args.env,
+    conflictPolicy: args.policy,
+    dryRun: args.dryRun,
+    requestContext: { worldInstanceId: null, clientIp: null, method: 'SCRIPT', path: 'scripts/entity-transfer.js' }
+  });
+  console.log(JSON.stringify(report, null, 2));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.command) {
+    printHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  // The processor starts its background tasks; they are stopped before exiting
+  const commandProcessor = new CommandProcessor();
+  await entityTypeRegistry.load();
+  await environmentRegistry.load();
+
+  if (!environmentRegistry.isAllowed(args.env)) {
+    throw new Error(`--env must be one of: ${environmentRegistry.list().join(', ')}`);
+  }
+  const service = new EntityTransferService({ commandProcessor });
+
+  try {
+    if (args.command === 'export') {
+      await runExport(service, args);
+    } else {
+      await runImport(service, args);
+    }
+  } finally {
+    await commandProcessor.stopBackgroundTasks();
+    await prisma.$disconnect();
+    [cacheRedis, ephemeralRedis, streamRedis, auditRedis].forEach(redis => redis.disconnect());
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`Entity transfer script failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,5 +1,7 @@
 // src/server.js
 import 'dotenv/config';
+import { once } from 'events';
+import { createInterface } from 'readline';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -14,15 +16,30 @@ import { ConfigPollingService } from './services/ConfigPollingService.js';
 import { ConfigHealthService } from './services/ConfigHealthService.js';
 import { ConfigKeyGenerator } from './util/ConfigKeyGenerator.js';
 import { configDashboard } from './monitoring/config-dashboard.js';
-import { ALERT_RULES, evaluateConfigAlerts } from './monitoring/alerts.js';
+import { ALERT_RULES, PERSISTENCE_ALERT_RULES, evaluateConfigAlerts, evaluatePersistenceAlerts } from './monitoring/alerts.js';
 import { ConfigSnapshotReader } from './services/ConfigSnapshotReader.js';
 import { MobDropPreviewService } from './services/MobDropPreviewService.js';
+import { EntityRollbackService } from './services/EntityRollbackService.js';
+import { EntityTransferService } from './services/EntityTransferService.js';
+import { StagingCloneService } from './services/StagingCloneService.js';
+import { SandboxEnvironmentService } from './services/SandboxEnvironmentService.js';
 import { auditLogger } from './util/AuditLogger.js';
 import { backgroundAuditArchiver } from './util/BackgroundAuditArchiver.js';
 import { auditService } from './services/AuditService.js';
+import { entityTypeRegistry } from './util/EntityTypeRegistry.js';
+import { entityIndexManager } from './util/EntityIndexManager.js';
+import { nameReservationManager } from './util/NameReservationManager.js';
+import { entityVersionHistory } from './util/EntityVersionHistory.js';
+import { environmentRegistry } from './util/EnvironmentRegistry.js';
+import { persistenceDeadLetters } from './util/PersistenceDeadLetters.js';
+import { pendingOperations } from './util/PendingOperations.js';
+import { ShutdownDrain } from './util/ShutdownDrain.js';
 
 const app = express();
 const commandProcessor = new CommandProcessor();
+
+// Set once SIGTERM/SIGINT starts draining; inFlight counts /cloudrun requests being processed
+const shutdownState = { draining: false, inFlight: 0 };
 const configManifestService = new ConfigManifestService({
   redis: cacheRedis,
   b2: commandProcessor.fileManager,
@@ -49,21 +66,43 @@ const configSnapshotReader = new ConfigSnapshotReader({
 const mobDropPreviewService = new MobDropPreviewService({
   snapshotReader: configSnapshotReader,
 });
+const entityRollbackService = new EntityRollbackService({ commandProcessor });
+const entityTransferService = new EntityTransferService({ commandProcessor });
+const stagingCloneService = new StagingCloneService({ commandProcessor, transferService: entityTransferService });
+const sandboxEnvironmentService = new SandboxEnvironmentService({ commandProcessor, manifestService: configManifestService });
+
+// Attribute schemas are published with the rest of the config files
+commandProcessor.schemaValidator.setSnapshotReader(configSnapshotReader);
 
 if (config.configSync.enabled && commandProcessor.fileManager) {
-  config.allowedEnvironments.forEach(environment => {
+  environmentRegistry.list().forEach(environment => {
     configPollingService.startPolling(environment, config.configSync.pollIntervalMs);
   });
 }
 
 configPollingService.on('configUpdated', ({ environment, snapshotVersion }) => {
   configDashboard.recordPublish(environment, 0, snapshotVersion, 'poll-update');
+  commandProcessor.schemaValidator.invalidate(environment);
 });
 
 configPollingService.on('pollError', ({ environment, error }) => {
   console.error(`[ConfigPollingService] ${environment} polling failed:`, error);
 });
 
+// Sandboxes found by the registry (at startup or created on any server) poll their own manifest
+environmentRegistry.on('added', environment => {
+  if (config.configSync.enabled && commandProcessor.fileManager) {
+    configPollingService.startPolling(environment, config.configSync.pollIntervalMs);
+  }
+});
+
+environmentRegistry.on('removed', environment => {
+  configPollingService.stopPolling(environment);
+  commandProcessor.schemaValidator.invalidate(environment);
+});
+
+sandboxEnvironmentService.start();
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -111,7 +150,9 @@ app.get('/health', async (req, res) => {
           polling: config.configSync.enabled ? 'running' : 'disabled'
         }
       },
-      backgroundTask: backgroundTaskStats
+      backgroundTask: backgroundTaskStats,
+      // Persistent saves are throttled or rejected above normal; the server itself stays healthy
+      persistenceBackpressure: commandProcessor.backpressure.getState()
     };
 
     // Add file sync health if available
@@ -122,7 +163,12 @@ app.get('/health', async (req, res) => {
     const allHealthy = healthResults
       .every(service => service.status === 'healthy');
 
-    res.status(allHealthy ? 200 : 503).json(overallHealth);
+    // A draining server reports unhealthy so load balancers stop routing to it
+    if (shutdownState.draining) {
+      overallHealth.status = 'draining';
+    }
+
+    res.status(allHealthy && !shutdownState.draining ? 200 : 503).json(overallHealth);
 
   } catch (error) {
     res.status(503).json({
@@ -168,7 +214,7 @@ app.get('/metrics/prometheus', async (req, res) => {
   try {
     const coreMetrics = metrics.toPrometheusFormat();
     const configMetrics = await configDashboard.toPrometheus({
-      environments: config.allowedEnvironments,
+      environments: environmentRegistry.list(),
       healthService: configHealthService
     });
 
@@ -195,6 +241,101 @@ app.get('/stats/background-task', (req, res) => {
   }
 });
 
+// Lost ephemeral documents, persistence outbox failures and dead-lettered entities
+app.get('/persistence/alerts', async (req, res) => {
+  try {
+    const backgroundTaskStats = commandProcessor.getBackgroundTaskStats();
+    const deadLetterCount = await persistenceDeadLetters.count();
+    res.json({
+      activeAlerts: evaluatePersistenceAlerts({ backgroundTaskStats, deadLetterCount }),
+      documentsLost: backgroundTaskStats?.documentsLost ?? 0,
+      recoveredFromOutbox: backgroundTaskStats?.recoveredFromOutbox ?? 0,
+      deadLetters: deadLetterCount,
+      outbox: backgroundTaskStats?.outbox ?? null,
+      rules: PERSISTENCE_ALERT_RULES
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to evaluate persistence alerts',
+      message: error.message
+    });
+  }
+});
+
+const DEAD_LETTER_ERROR_STATUS = {
+  invalid_request: 400,
+  dead_letter_not_found: 404,
+  entity_has_pending_saves: 409,
+  persistence_busy: 503
+};
+
+// Entities that failed background persistence, oldest first
+app.get('/persistence/dead-letters', async (req, res) => {
+  try {
+    const result = await persistenceDeadLetters.list({
+      environment: req.query.environment,
+      entityType: req.query.entityType,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    metrics.setDeadLetterCount(result.total);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list dead letters',
+      message: error.message
+    });
+  }
+});
+
+app.get('/persistence/dead-letters/:id', async (req, res) => {
+  try {
+    res.json(await commandProcessor.backgroundTask.getDeadLetter(req.params.id));
+  } catch (error) {
+    const status = DEAD_LETTER_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to get dead letter',
+      message: error.message
+    });
+  }
+});
+
+// Persist a dead-lettered entity again; body {payload} edits the stored payload first
+app.post('/persistence/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const result = await commandProcessor.backgroundTask.retryDeadLetter(req.params.id, req.body?.payload ?? null);
+    res.status(result.status === 'failed' ? 422 : 200).json(result);
+  } catch (error) {
+    const status = DEAD_LETTER_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to retry dead letter',
+      message: error.message
+    });
+  }
+});
+
+// Drop a dead-lettered entity's unpersisted state
+app.delete('/persistence/dead-letters/:id', async (req, res) => {
+  try {
+    res.json(await commandProcessor.backgroundTask.discardDeadLetter(req.params.id));
+  } catch (error) {
+    const status = DEAD_LETTER_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to discard dead letter',
+      message: error.message
+    });
+  }
+});
+
 // File sync stats endpoint
 app.get('/stats/file-sync', (req, res) => {
   try {
@@ -213,6 +354,377 @@ app.get('/stats/file-sync', (req, res) => {
   }
 });
 
+// Entity type registry endpoints
+app.get('/entity-types', (req, res) => {
+  res.json({
+    ...entityTypeRegistry.getStats(),
+    entityTypes: entityTypeRegistry.list()
+  });
+});
+
+app.get('/command-handlers', (req, res) => {
+  res.json(commandProcessor.handlerRegistry.getStats());
+});
+
+app.put('/entity-types/:name', async (req, res) => {
+  try {
+    const policy = await entityTypeRegistry.upsert({ ...(req.body || {}), name: req.params.name });
+    res.json({ success: true, entityType: policy });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to save entity type',
+      message: error.message
+    });
+  }
+});
+
+app.post('/entity-types/:name/indexes/:attribute/rebuild', async (req, res) => {
+  const { name, attribute } = req.params;
+  if (!entityIndexManager.getIndex(name, attribute)) {
+    return res.status(404).json({ error: `${attribute} is not indexed for ${name}` });
+  }
+
+  const environments = req.body?.environment ? [req.body.environment] : environmentRegistry.list();
+  if (!environments.every(environment => environmentRegistry.isAllowed(environment))) {
+    return res.status(400).json({ error: `environment must be one of ${environmentRegistry.list().join(', ')}` });
+  }
+
+  try {
+    const indexed = {};
+    for (const environment of environments) {
+      indexed[environment] = await entityIndexManager.rebuild(environment, name, attribute);
+    }
+    res.json({ success: true, indexed });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to rebuild index',
+      message: error.message
+    });
+  }
+});
+
+app.get('/name-reservations', (req, res) => {
+  res.json(nameReservationManager.getStats());
+});
+
+// Rebuild confirmed reservations from the entities table, e.g. after Redis data loss
+app.post('/name-reservations/reconcile', async (req, res) => {
+  try {
+    const summary = await nameReservationManager.reconcileAll();
+    if (!summary) {
+      return res.status(409).json({ error: 'Reconciliation is already running' });
+    }
+    res.json({ success: true, summary });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to reconcile name reservations',
+      message: error.message
+    });
+  }
+});
+
+// Persisted versions of an entity, newest first
+app.get('/entities/:environment/:entityType/:entityId/history', async (req, res) => {
+  const { environment, entityType, entityId } = req.params;
+  if (!environmentRegistry.isAllowed(environment)) {
+    return res.status(400).json({ error: `environment must be one of ${environmentRegistry.list().join(', ')}` });
+  }
+
+  try {
+    const versions = await entityVersionHistory.list({
+      environment,
+      entityType,
+      entityId,
+      limit: Math.min(parseInt(req.query.limit) || 50, 1000),
+      beforeVersion: parseInt(req.query.beforeVersion) || null
+    });
+    res.json({ versions });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get entity history',
+      message: error.message
+    });
+  }
+});
+
+// An entity as of a version (?version=) or time (?timestamp=, ISO 8601)
+app.get('/entities/:environment/:entityType/:entityId/as-of', async (req, res) => {
+  const { environment, entityType, entityId } = req.params;
+  if (!environmentRegistry.isAllowed(environment)) {
+    return res.status(400).json({ error: `environment must be one of ${environmentRegistry.list().join(', ')}` });
+  }
+
+  const version = req.query.version !== undefined ? parseInt(req.query.version) : null;
+  const timestamp = req.query.timestamp !== undefined ? new Date(req.query.timestamp) : null;
+  if ((version === null) === (timestamp === null) || Number.isNaN(version) || Number.isNaN(timestamp?.getTime())) {
+    return res.status(400).json({ error: 'Pass either version (a number) or timestamp (ISO 8601)' });
+  }
+
+  try {
+    const entity = await entityVersionHistory.getAsOf({ environment, entityType, entityId, version, timestamp });
+    if (!entity) {
+      return res.status(404).json({ error: 'No recorded version matches' });
+    }
+    res.json(entity);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to load entity version',
+      message: error.message
+    });
+  }
+});
+
+const UNDELETE_ERROR_STATUS = {
+  entity_not_found: 404,
+  entity_type_not_persistent: 400
+};
+
+// Restore a soft-deleted persistent entity; conflicts (name or unique value taken, pending writes) are 409
+app.post('/entities/:environment/:entityType/:entityId/undelete', async (req, res) => {
+  const { environment, entityType, entityId } = req.params;
+  if (!environmentRegistry.isAllowed(environment)) {
+    return res.status(400).json({ error: `environment must be one of ${environmentRegistry.list().join(', ')}` });
+  }
+
+  try {
+    const result = await commandProcessor.deletedEntities.undelete({
+      environment,
+      entityType,
+      entityId,
+      requestContext: { worldInstanceId: null, clientIp: req.ip, method: 'POST', path: req.path }
+    });
+    if (!result.success) {
+      return res.status(UNDELETE_ERROR_STATUS[result.error] || 409).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to undelete entity',
+      message: error.message
+    });
+  }
+});
+
+// Dry run of the purge: soft-deleted entities past their retention, per environment and type
+app.get('/entity-purge/report', async (req, res) => {
+  try {
+    res.json({
+      ...commandProcessor.deletedEntities.getStats(),
+      eligible: await commandProcessor.deletedEntities.report()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to build purge report',
+      message: error.message
+    });
+  }
+});
+
+// Run the purge now, whether or not the scheduled purge is enabled
+app.post('/entity-purge/run', async (req, res) => {
+  try {
+    const purged = await commandProcessor.deletedEntities.runPurge();
+    if (!purged) {
+      return res.status(409).json({ error: 'A purge is already running' });
+    }
+    res.json({ purged });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to purge deleted entities',
+      message: error.message
+    });
+  }
+});
+
+const ROLLBACK_ERROR_STATUS = {
+  invalid_request: 400,
+  too_many_entities: 400,
+  confirmation_mismatch: 400,
+  not_found: 404
+};
+
+// Rebuild accounts' entities as of a timestamp and return the diff; nothing is written
+app.post('/rollback/preview', async (req, res) => {
+  try {
+    const { environment, timestamp, accountIds, entities } = req.body;
+    res.json(await entityRollbackService.preview({ environment, timestamp, accountIds, entities }));
+  } catch (error) {
+    const status = ROLLBACK_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to preview rollback',
+      message: error.message
+    });
+  }
+});
+
+// Write a previewed rollback through the save path; confirmTimestamp repeats the previewed timestamp
+app.post('/rollback/apply', async (req, res) => {
+  try {
+    const { rollbackId, confirmTimestamp } = req.body;
+    if (!rollbackId || !confirmTimestamp) {
+      return res.status(400).json({ error: 'rollbackId and confirmTimestamp required' });
+    }
+
+    const result = await entityRollbackService.apply({
+      rollbackId,
+      confirmTimestamp,
+      requestContext: { worldInstanceId: null, clientIp: req.ip, method: 'POST', path: '/rollback/apply' }
+    });
+    res.json(result);
+  } catch (error) {
+    const status = ROLLBACK_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to apply rollback',
+      message: error.message
+    });
+  }
+});
+
+// Stream live persistent entities as NDJSON; filters: entityType, worldId, updatedFrom, updatedTo (ISO 8601)
+app.get('/entities/:environment/export', async (req, res) => {
+  let filters;
+  try {
+    filters = entityTransferService.sanitizeExportFilters({ environment: req.params.environment, ...req.query });
+  } catch (error) {
+    return res.status(error.code === 'invalid_request' ? 400 : 500).json({ error: error.message });
+  }
+
+  try {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    for await (const record of entityTransferService.exportEntities(filters)) {
+      if (!res.write(`${JSON.stringify(record)}\n`)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('Entity export failed:', error);
+    // The status is already sent; an aborted response tells the client the export is incomplete
+    res.destroy(error);
+  }
+});
+
+// Import NDJSON entities (request body, one record per line) through the save path
+app.post('/entities/:environment/import', async (req, res) => {
+  // Any other body type may already have been consumed by the JSON body parser
+  if (!req.is('application/x-ndjson')) {
+    return res.status(415).json({ error: 'Content-Type must be application/x-ndjson' });
+  }
+
+  try {
+    const report = await entityTransferService.importEntities(
+      createInterface({ input: req, crlfDelay: Infinity }),
+      {
+        environment: req.params.environment,
+        conflictPolicy: req.query.conflictPolicy || 'skip',
+        dryRun: req.query.dryRun === 'true',
+        requestContext: { worldInstanceId: null, clientIp: req.ip, method: 'POST', path: req.path }
+      }
+    );
+    res.json(report);
+  } catch (error) {
+    if (error.code === 'invalid_request') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to import entities',
+      message: error.message
+    });
+  }
+});
+
+const STAGING_CLONE_ERROR_STATUS = {
+  invalid_request: 400,
+  clone_in_progress: 409
+};
+
+// Replace staging entities of the given types with anonymized copies of production's
+app.post('/staging/clone', async (req, res) => {
+  try {
+    const { entityTypes, rules, dryRun } = req.body;
+    res.json(await stagingCloneService.clone({ entityTypes, rules, dryRun: dryRun === true }));
+  } catch (error) {
+    const status = STAGING_CLONE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to clone production into staging',
+      message: error.message
+    });
+  }
+});
+
+const SANDBOX_ERROR_STATUS = {
+  invalid_request: 400,
+  environment_not_found: 404,
+  environment_exists: 409,
+  too_many_sandboxes: 409
+};
+
+// List sandbox environments
+app.get('/sandboxes', (req, res) => {
+  res.json({
+    sandboxes: environmentRegistry.listSandboxes(),
+    maxCount: config.sandboxes.maxCount,
+    sweep: sandboxEnvironmentService.getStats()
+  });
+});
+
+// Create a sandbox environment with a copy of its config source's current config
+app.post('/sandboxes', async (req, res) => {
+  try {
+    const { name, configSource, owner, ttlHours } = req.body;
+    res.status(201).json(await sandboxEnvironmentService.create({ name, configSource, owner, ttlHours }));
+  } catch (error) {
+    const status = SANDBOX_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to create sandbox environment',
+      message: error.message
+    });
+  }
+});
+
+// Tear down a sandbox environment, deleting all its keys and rows
+app.delete('/sandboxes/:name', async (req, res) => {
+  try {
+    res.json(await sandboxEnvironmentService.teardown(req.params.name));
+  } catch (error) {
+    const status = SANDBOX_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to tear down sandbox environment',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/entity-types/:name', async (req, res) => {
+  try {
+    const removed = await entityTypeRegistry.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: `Entity type ${req.params.name} is not registered` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete entity type',
+      message: error.message
+    });
+  }
+});
+
 // Audit stats endpoint
 app.get('/audit/stats', async (req, res) => {
   try {
@@ -416,8 +928,8 @@ function validateConfigSyncRequestPayload(payload) {
   const environment = payload?.environment;
   const parsedClientVersion = Number(configSyncRequest.clientVersion);
 
-  if (!environment || !config.allowedEnvironments.includes(environment)) {
-    throw createApiError(`environment must be one of: ${config.allowedEnvironments.join(', ')}`, 400);
+  if (!environment || !environmentRegistry.isAllowed(environment)) {
+    throw createApiError(`environment must be one of: ${environmentRegistry.list().join(', ')}`, 400);
   }
 
   if (!Number.isInteger(parsedClientVersion) || parsedClientVersion < 0) {
@@ -438,8 +950,8 @@ async function resolveConfigSyncPayload(payload) {
   const parsedClientVersion = Number(configSyncRequest.clientVersion);
 
   try {
-    if (!environment || !config.allowedEnvironments.includes(environment)) {
-      throw createApiError(`environment must be one of: ${config.allowedEnvironments.join(', ')}`, 400);
+    if (!environment || !environmentRegistry.isAllowed(environment)) {
+      throw createApiError(`environment must be one of: ${environmentRegistry.list().join(', ')}`, 400);
     }
 
     if (!Number.isInteger(parsedClientVersion) || parsedClientVersion < 0) {
@@ -501,9 +1013,9 @@ async function resolveConfigSyncPayload(payload) {
 app.get('/config/version', async (req, res) => {
   try {
     const environment = req.query.environment;
-    if (!environment || !config.allowedEnvironments.includes(environment)) {
+    if (!environment || !environmentRegistry.isAllowed(environment)) {
       return res.status(400).json({
-        error: `environment query must be one of: ${config.allowedEnvironments.join(', ')}`
+        error: `environment query must be one of: ${environmentRegistry.list().join(', ')}`
       });
     }
 
@@ -532,9 +1044,9 @@ app.get('/config/version', async (req, res) => {
 app.post('/config/rollback', async (req, res) => {
   const { targetVersion, environment } = req.body || {};
 
-  if (!environment || !config.allowedEnvironments.includes(environment)) {
+  if (!environment || !environmentRegistry.isAllowed(environment)) {
     return res.status(400).json({
-      error: `environment must be one of: ${config.allowedEnvironments.join(', ')}`
+      error: `environment must be one of: ${environmentRegistry.list().join(', ')}`
     });
   }
 
@@ -602,9 +1114,9 @@ app.post('/config/rollback', async (req, res) => {
 app.get('/config/health/:version', async (req, res) => {
   try {
     const environment = req.query.environment;
-    if (!environment || !config.allowedEnvironments.includes(environment)) {
+    if (!environment || !environmentRegistry.isAllowed(environment)) {
       return res.status(400).json({
-        error: `environment query must be one of: ${config.allowedEnvironments.join(', ')}`
+        error: `environment query must be one of: ${environmentRegistry.list().join(', ')}`
       });
     }
 
@@ -621,9 +1133,9 @@ app.get('/config/health/:version', async (req, res) => {
 app.post('/config/health/mark-bad', async (req, res) => {
   try {
     const { environment, version, reason } = req.body || {};
-    if (!environment || !config.allowedEnvironments.includes(environment)) {
+    if (!environment || !environmentRegistry.isAllowed(environment)) {
       return res.status(400).json({
-        error: `environment must be one of: ${config.allowedEnvironments.join(', ')}`
+        error: `environment must be one of: ${environmentRegistry.list().join(', ')}`
       });
     }
 
@@ -642,9 +1154,9 @@ app.post('/config/health/mark-bad', async (req, res) => {
 app.get('/config/alerts', async (req, res) => {
   try {
     const environment = req.query.environment;
-    if (!environment || !config.allowedEnvironments.includes(environment)) {
+    if (!environment || !environmentRegistry.isAllowed(environment)) {
       return res.status(400).json({
-        error: `environment query must be one of: ${config.allowedEnvironments.join(', ')}`
+        error: `environment query must be one of: ${environmentRegistry.list().join(', ')}`
       });
     }
 
@@ -675,9 +1187,9 @@ app.get('/config/alerts', async (req, res) => {
 app.get('/config/mob-drops/preview', async (req, res) => {
   try {
     const environment = req.query.environment;
-    if (!environment || !config.allowedEnvironments.includes(environment)) {
+    if (!environment || !environmentRegistry.isAllowed(environment)) {
       return res.status(400).json({
-        error: `environment query must be one of: ${config.allowedEnvironments.join(', ')}`
+        error: `environment query must be one of: ${environmentRegistry.list().join(', ')}`
       });
     }
 
@@ -993,7 +1505,7 @@ app.get('/restore-result/:resultId', async (req, res) => {
 app.get('/dashboard/config', async (req, res) => {
   try {
     const data = await configDashboard.getDashboardData({
-      environments: config.allowedEnvironments,
+      environments: environmentRegistry.list(),
       manifestService: configManifestService,
       healthService: configHealthService
     });
@@ -1992,6 +2504,20 @@ async function checkRedisHealth(redis, serviceName) {
   }
 }
 
+// Requests are refused once shutdown starts draining; the ones in flight are waited for
+app.use('/cloudrun', (req, res, next) => {
+  if (shutdownState.draining) {
+    res.set('Retry-After', '1');
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+
+  shutdownState.inFlight++;
+  res.once('close', () => {
+    shutdownState.inFlight--;
+  });
+  next();
+});
+
 // Main CloudRunner endpoint
 app.post('/cloudrun', async (req, res) => {
   const startTime = performance.now();
@@ -2044,44 +2570,65 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
-
-  configPollingService.shutdown();
-
-  // Stop background tasks first (includes file sync)
-  await commandProcessor.stopBackgroundTasks();
-
-  // Close database connections
-  await commandProcessor.persistentManager.prisma.$disconnect();
-
-  // Close Redis connections
-  commandProcessor.ephemeralManager.redis.disconnect();
-  commandProcessor.streamManager.redis.disconnect();
-  commandProcessor.cache.redis.disconnect();
-
-  process.exit(0);
-});
+// Graceful shutdown: drain until the deadline, then exit with a report
+async function waitForInFlightRequests(deadline) {
+  while (shutdownState.inFlight > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return { inFlight: shutdownState.inFlight, drained: shutdownState.inFlight === 0 };
+}
 
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully');
+async function shutdown(signal) {
+  if (shutdownState.draining) return;
+  shutdownState.draining = true;
+  console.log(`${signal} received, draining for up to ${config.shutdown.drainTimeoutMs}ms`);
+
+  server.close();
+
+  const drain = new ShutdownDrain({ timeoutMs: config.shutdown.drainTimeoutMs });
+  const report = await drain.run([
+    { name: 'requests', run: ({ deadline }) => waitForInFlightRequests(deadline) },
+    {
+      name: 'backgroundTasks',
+      run: async () => {
+        configPollingService.shutdown();
+        sandboxEnvironmentService.stop();
+        backgroundAuditArchiver.stop();
+        // Stops background persistence (includes file sync)
+        await commandProcessor.stopBackgroundTasks();
+      }
+    },
+    // Audit entries and stream messages written without waiting, before the audit drain reads them
+    {
+      name: 'pendingWrites',
+      run: async ({ deadline }) => {
+        const { settled, pending } = await pendingOperations.settle(deadline);
+        return { settled, pending, drained: pending === 0 };
+      }
+    },
+    { name: 'persistence', run: ({ deadline }) => commandProcessor.backgroundTask.drain({ deadline }) },
+    { name: 'audit', run: ({ deadline }) => (config.audit.enabled ? backgroundAuditArchiver.drain({ deadline }) : { archived: 0 }) }
+  ]);
 
-  configPollingService.shutdown();
+  console.log(`Shutdown drain ${report.complete ? 'completed' : 'incomplete'}:`, JSON.stringify(report));
 
-  // Stop background tasks first (includes file sync)
-  await commandProcessor.stopBackgroundTasks();
+  try {
+    // Close database connections
+    await commandProcessor.persistentManager.prisma.$disconnect();
 
-  // Close database connections
-  await commandProcessor.persistentManager.prisma.$disconnect();
+    // Close Redis connections
+    commandProcessor.ephemeralManager.redis.disconnect();
+    commandProcessor.streamManager.redis.disconnect();
+    commandProcessor.cache.redis.disconnect();
+  } catch (error) {
+    console.error('Failed to close connections:', error);
+  }
 
-  // Close Redis connections
-  commandProcessor.ephemeralManager.redis.disconnect();
-  commandProcessor.streamManager.redis.disconnect();
-  commandProcessor.cache.redis.disconnect();
+  process.exit(report.complete ? 0 : 1);
+}
 
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 const server = app.listen(config.port, () => {
   console.log(`Server running on port ${config.port}`);
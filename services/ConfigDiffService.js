@@ -5,6 +5,7 @@ import { EntityDiffUtil } from '../util/EntityDiffUtil.js';
 import { ConfigKeyGenerator } from '../util/ConfigKeyGenerator.js';
 import { NULL_MARKER } from '../util/config-diff-types.js';
 import { isSupportedConfigSyncFile } from '../util/ConfigSyncFileRouter.js';
+import { environmentRegistry } from '../util/EnvironmentRegistry.js';
 
 export class ConfigDiffService {
   static NO_CHANGE = Symbol('NO_CHANGE');
@@ -126,7 +127,8 @@ export class ConfigDiffService {
       }
 
       if (fileMeta?.b2Path && this.b2.downloadFileByName && this.b2.getBucketName) {
-        const bucketName = this.b2.getBucketName(environment);
+        // Sandboxes read config files from their config source's bucket
+        const bucketName = this.b2.getBucketName(environmentRegistry.getConfigEnvironment(environment));
         if (!bucketName) {
           return null;
         }
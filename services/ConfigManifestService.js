@@ -6,6 +6,7 @@ import { config } from '../config.js';
 import { ConfigHasher } from '../util/ConfigHasher.js';
 import { ConfigKeyGenerator } from '../util/ConfigKeyGenerator.js';
 import { isTrackedConfigManifestFile } from '../util/ConfigManifestFileRegistry.js';
+import { environmentRegistry } from '../util/EnvironmentRegistry.js';
 
 export class ConfigManifestService {
   constructor({ redis, b2, hasher = new ConfigHasher(), configDir = config.configSync.configDir } = {}) {
@@ -16,7 +17,7 @@ export class ConfigManifestService {
   }
 
   validateEnvironment(environment) {
-    if (!config.allowedEnvironments.includes(environment)) {
+    if (!environmentRegistry.isAllowed(environment)) {
       throw new Error(`Invalid environment: ${environment}`);
     }
   }
@@ -124,12 +125,12 @@ export class ConfigManifestService {
     try {
       await fs.writeFile(tempVersionPath, JSON.stringify(manifestWithHash, null, 2), 'utf8');
 
-      const versionPath = `${config.configSync.manifestsPrefix}/${manifestWithHash.snapshotVersion}.json`;
+      const versionPath = this.getVersionManifestPath(environment, manifestWithHash.snapshotVersion);
       const versionUpload = await this.b2.uploadFile(tempVersionPath, versionPath, bucketName);
       const versionedManifest = { ...manifestWithHash, manifestId: versionUpload.fileId };
 
       await fs.writeFile(tempVersionPath, JSON.stringify(versionedManifest, null, 2), 'utf8');
-      const currentUpload = await this.b2.uploadFile(tempVersionPath, config.configSync.currentManifestPath, bucketName);
+      const currentUpload = await this.b2.uploadFile(tempVersionPath, this.getCurrentManifestPath(environment), bucketName);
       const currentManifest = { ...versionedManifest, manifestId: currentUpload.fileId };
 
       await this.cacheManifest(currentManifest, environment, true);
@@ -149,7 +150,7 @@ export class ConfigManifestService {
       return JSON.parse(cached);
     }
 
-    const remoteManifest = await this.downloadManifestByName(environment, config.configSync.currentManifestPath);
+    const remoteManifest = await this.downloadManifestByName(environment, this.getCurrentManifestPath(environment));
     if (!remoteManifest) {
       return null;
     }
@@ -169,7 +170,7 @@ export class ConfigManifestService {
 
     const remoteManifest = await this.downloadManifestByName(
       environment,
-      `${config.configSync.manifestsPrefix}/${version}.json`,
+      this.getVersionManifestPath(environment, version),
     );
     if (!remoteManifest) {
       return null;
@@ -284,15 +285,29 @@ export class ConfigManifestService {
     return message.includes('not found') || message.includes('no such file');
   }
 
+  // Sandboxes keep their manifests in their config source's bucket, under their own prefix
   resolveBucketName(environment) {
+    const bucketEnvironment = environmentRegistry.getConfigEnvironment(environment);
     if (this.b2?.getBucketName) {
-      const value = this.b2.getBucketName(environment);
+      const value = this.b2.getBucketName(bucketEnvironment);
       if (value) {
         return value;
       }
     }
 
-    return environment === 'staging' ? config.backblaze.stagingBucket : config.backblaze.productionBucket;
+    return bucketEnvironment === 'staging' ? config.backblaze.stagingBucket : config.backblaze.productionBucket;
+  }
+
+  getManifestRoot(environment) {
+    return environmentRegistry.isSandbox(environment) ? `${config.sandboxes.configPrefix}/${environment}/` : '';
+  }
+
+  getCurrentManifestPath(environment) {
+    return `${this.getManifestRoot(environment)}${config.configSync.currentManifestPath}`;
+  }
+
+  getVersionManifestPath(environment, version) {
+    return `${this.getManifestRoot(environment)}${config.configSync.manifestsPrefix}/${version}.json`;
   }
 
   toPosixPath(filePath) {
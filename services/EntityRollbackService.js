@@ -0,0 +1,410 @@
+// services/EntityRollbackService.js
+import { randomUUID } from 'crypto';
+import { config, cacheRedis, prisma } from '../config.js';
+import { auditLogger } from '../util/AuditLogger.js';
+import { entityVersionHistory } from '../util/EntityVersionHistory.js';
+import { EntityDiffUtil } from '../util/EntityDiffUtil.js';
+import { EntityReplayUtil } from '../util/EntityReplayUtil.js';
+import { environmentRegistry } from '../util/EnvironmentRegistry.js';
+import { InputValidator } from '../util/InputValidator.js';
+
+const MAX_ACCOUNTS = 100;
+
+// Persistent entities reach the database within seconds of a save, so an entity
+// without a row at the target time can only have been saved shortly before it
+const UNPERSISTED_REPLAY_WINDOW_MS = 60 * 60 * 1000;
+
+function createRollbackError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getTargetKey({ entityType, entityId }) {
+  return `${entityType}:${entityId}`;
+}
+
+/**
+ * Point-in-time rollback of persistent entities, for exploit remediation.
+ *
+ * preview() rebuilds each entity as it was at a timestamp: the latest version
+ * persisted by then (entity_versions), plus the saves logged in audit_logs
+ * between that version and the timestamp. It stores the plan in Redis and
+ * returns a per-entity diff. apply() writes the plan through
+ * CommandProcessor.processBatchedSaves, so streams, caches, indexes and
+ * persistence see ordinary saves, and logs one 'rollback' audit entry per entity.
+ */
+export class EntityRollbackService {
+  constructor(options = {}) {
+    this.commandProcessor = options.commandProcessor;
+    this.prisma = options.prisma || prisma;
+    this.redis = options.redis || cacheRedis;
+    this.versionHistory = options.versionHistory || entityVersionHistory;
+    this.auditLogger = options.auditLogger || auditLogger;
+    this.accountEntityType = options.accountEntityType || config.rollback.accountEntityType;
+    this.accountAttribute = options.accountAttribute || config.rollback.accountAttribute;
+    this.maxEntities = options.maxEntities || config.rollback.maxEntities;
+    this.previewTTL = options.previewTTL || config.rollback.previewTTL;
+  }
+
+  /**
+   * Plan a rollback and return its diff without writing anything
+   * @param {Object} request - {environment, timestamp, accountIds?, entities?: [{entityType, entityId, worldId}]}
+   * @returns {Promise<Object>} - {rollbackId, environment, timestamp, expiresAt, summary, entities}
+   */
+  async preview({ environment, timestamp, accountIds = [], entities = [] }) {
+    if (!environmentRegistry.isAllowed(environment)) {
+      throw createRollbackError(`environment must be one of ${environmentRegistry.list().join(', ')}`, 'invalid_request');
+    }
+
+    const asOf = new Date(timestamp);
+    if (typeof timestamp !== 'string' || Number.isNaN(asOf.getTime()) || asOf.getTime() >= Date.now()) {
+      throw createRollbackError('timestamp must be an ISO 8601 time in the past', 'invalid_request');
+    }
+    if (!Array.isArray(accountIds) || !Array.isArray(entities) || accountIds.length + entities.length === 0) {
+      throw createRollbackError('accountIds or entities is required', 'invalid_request');
+    }
+    if (accountIds.length > MAX_ACCOUNTS) {
+      throw createRollbackError(`accountIds must contain ${MAX_ACCOUNTS} ids or fewer`, 'invalid_request');
+    }
+
+    let accounts;
+    let listed;
+    try {
+      accounts = accountIds.map(id => InputValidator.sanitizeEntityId(id));
+      listed = entities.map(entity => ({
+        entityType: InputValidator.sanitizeEntityType(entity?.entityType),
+        entityId: InputValidator.sanitizeEntityId(entity?.entityId),
+        worldId: InputValidator.sanitizeWorldId(entity?.worldId)
+      }));
+    } catch (error) {
+      throw createRollbackError(error.message, 'invalid_request');
+    }
+
+    const targets = await this.findTargets(environment, accounts, listed);
+    if (targets.length > this.maxEntities) {
+      throw createRollbackError(`rollback covers ${targets.length} entities, more than ROLLBACK_MAX_ENTITIES (${this.maxEntities})`, 'too_many_entities');
+    }
+
+    const currentStates = await this.readCurrent(environment, targets);
+    const plans = [];
+    for (const target of targets) {
+      plans.push(await this.planEntity(environment, target, currentStates.get(getTargetKey(target)), asOf));
+    }
+
+    const rollbackId = `rollback-${randomUUID()}`;
+    const createdAt = Date.now();
+    await this.redis.setex(
+      `rollback:${rollbackId}`,
+      this.previewTTL,
+      JSON.stringify({ environment, timestamp, createdAt, plans })
+    );
+
+    const summary = { update: 0, delete: 0, none: 0, unavailable: 0 };
+    plans.forEach(plan => { summary[plan.action]++; });
+
+    return {
+      rollbackId,
+      environment,
+      timestamp,
+      expiresAt: new Date(createdAt + this.previewTTL * 1000).toISOString(),
+      summary,
+      entities: plans.map(({ save, ...plan }) => plan)
+    };
+  }
+
+  /**
+   * Apply a previewed rollback. Entities changed since the preview are skipped.
+   * @param {Object} request - {rollbackId, confirmTimestamp, requestContext} where confirmTimestamp
+   *   repeats the previewed timestamp and requestContext is the audit context
+   * @returns {Promise<Object>} - {rollbackId, applied, failed, entities}
+   */
+  async apply({ rollbackId, confirmTimestamp, requestContext }) {
+    const key = `rollback:${rollbackId}`;
+    const stored = await this.redis.get(key);
+    if (!stored) {
+      throw createRollbackError('Rollback preview not found or expired', 'not_found');
+    }
+
+    const { environment, timestamp, plans } = JSON.parse(stored);
+    if (confirmTimestamp !== timestamp) {
+      throw createRollbackError('Timestamp confirmation does not match', 'confirmation_mismatch');
+    }
+
+    // A preview is applied once; losing the race to another apply is the same as expiry
+    if (await this.redis.del(key) === 0) {
+      throw createRollbackError('Rollback preview not found or expired', 'not_found');
+    }
+
+    const startTime = Date.now();
+    const actionable = plans.filter(plan => plan.save);
+    const persistedVersions = await this.readPersistedVersions(environment, actionable);
+    const results = new Map();
+
+    const fresh = actionable.filter(plan => {
+      if ((persistedVersions.get(getTargetKey(plan)) ?? null) === plan.persistedVersion) return true;
+      results.set(getTargetKey(plan), { success: false, error: 'stale_preview' });
+      return false;
+    });
+
+    // Deleting an entity that is not in Redis takes an empty create first, as saves do
+    const staged = fresh.filter(plan => plan.action === 'delete' && plan.save.expectedVersion === undefined);
+    const stagedResults = await this.runSaves(environment, staged.map(plan => ({
+      entityType: plan.entityType,
+      entityId: plan.entityId,
+      worldId: plan.worldId,
+      attributes: {},
+      isCreate: true,
+      expectedVersion: 0
+    })));
+
+    const saves = [];
+    fresh.forEach(plan => {
+      const stagedIndex = staged.indexOf(plan);
+      if (stagedIndex === -1) {
+        saves.push({ plan, save: plan.save });
+      } else if (stagedResults[stagedIndex]?.success) {
+        saves.push({ plan, save: { ...plan.save, expectedVersion: stagedResults[stagedIndex].version } });
+      } else {
+        results.set(getTargetKey(plan), stagedResults[stagedIndex]);
+      }
+    });
+
+    const saveResults = await this.runSaves(environment, saves.map(({ save }) => save));
+    saves.forEach(({ plan }, index) => results.set(getTargetKey(plan), saveResults[index]));
+
+    const rollbackCommands = actionable.map((plan, index) => ({
+      originalIndex: index,
+      entityType: plan.entityType,
+      entityId: plan.entityId,
+      worldId: plan.worldId,
+      rollbackId,
+      asOf: timestamp,
+      action: plan.action,
+      fromVersion: plan.currentVersion,
+      ...plan.save
+    }));
+    const rollbackResults = actionable.map((plan, index) => ({
+      originalIndex: index,
+      type: 'rollback',
+      result: results.get(getTargetKey(plan))
+    }));
+
+    await this.auditLogger.logCommands(
+      { ...requestContext, environment, durationMs: Date.now() - startTime },
+      { rollback: rollbackCommands },
+      { rollback: rollbackResults }
+    ).catch(error => {
+      console.error('[EntityRollbackService] Failed to log audit:', error);
+    });
+
+    const entities = actionable.map(plan => ({
+      entityType: plan.entityType,
+      entityId: plan.entityId,
+      worldId: plan.worldId,
+      action: plan.action,
+      result: results.get(getTargetKey(plan))
+    }));
+    const applied = entities.filter(entity => entity.result?.success).length;
+
+    return { rollbackId, applied, failed: entities.length - applied, entities };
+  }
+
+  // Save commands in order, through the normal save path
+  async runSaves(environment, saves) {
+    if (saves.length === 0) return [];
+
+    const results = await this.commandProcessor.processBatchedSaves(
+      saves.map((save, index) => ({ ...save, originalIndex: index })),
+      environment
+    );
+    const byIndex = new Map(results.map(({ originalIndex, result }) => [originalIndex, result]));
+    return saves.map((save, index) => byIndex.get(index));
+  }
+
+  /**
+   * Entities of the accounts (the account entity and every entity whose account
+   * attribute holds its id, deleted ones included) plus the listed entities
+   * @param {Array<string>} accountIds - Sanitized account ids
+   * @param {Array} entities - Sanitized {entityType, entityId, worldId}
+   */
+  async findTargets(environment, accountIds, entities) {
+    const targets = new Map();
+
+    for (const accountId of accountIds) {
+      const rows = await this.prisma.$queryRaw`
+        SELECT entity_type, id, world_id
+        FROM entities
+        WHERE environment = ${environment}
+          AND ((entity_type = ${this.accountEntityType} AND id = ${accountId})
+            OR attributes @> ${JSON.stringify({ [this.accountAttribute]: accountId })}::JSONB)
+      `;
+      rows.forEach(row => {
+        targets.set(`${row.entity_type}:${row.id}`, { entityType: row.entity_type, entityId: row.id, worldId: row.world_id });
+      });
+    }
+
+    entities.forEach(entity => targets.set(getTargetKey(entity), entity));
+
+    return [...targets.values()];
+  }
+
+  // Current entities rows and Redis copies, merged the way loads merge them
+  async readCurrent(environment, targets) {
+    const keys = JSON.stringify(targets.map(({ entityType, entityId }) => ({ entity_type: entityType, id: entityId })));
+    const rows = await this.prisma.$queryRaw`
+      SELECT e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores, e.version, e.is_deleted, e.created_at
+      FROM entities e
+      JOIN jsonb_to_recordset(${keys}::JSONB) AS k(entity_type TEXT, id TEXT)
+        ON e.entity_type = k.entity_type AND e.id = k.id
+      WHERE e.environment = ${environment}
+    `;
+    const rowMap = new Map(rows.map(row => [`${row.entity_type}:${row.id}`, row]));
+
+    const persistentTargets = targets.filter(target => !this.commandProcessor.isEphemeralEntityType(target.entityType));
+    const documents = await this.commandProcessor.ephemeralManager.batchLoad(persistentTargets.map(target => ({
+      environment,
+      entityType: target.entityType,
+      entityId: target.entityId,
+      worldId: rowMap.get(getTargetKey(target))?.world_id ?? target.worldId
+    })));
+    const documentMap = new Map(persistentTargets.map((target, index) => [getTargetKey(target), documents[index]]));
+
+    return new Map(targets.map(target => {
+      const key = getTargetKey(target);
+      const row = rowMap.get(key) || null;
+      const document = documentMap.get(key) || null;
+      const exists = document ? !document.isDeleted : row !== null && !row.is_deleted;
+
+      return [key, {
+        row,
+        document,
+        state: exists
+          ? {
+            attributes: { ...(row?.attributes || {}), ...(document?.attributes || {}) },
+            rankScores: { ...(row?.rank_scores || {}), ...(document?.rankScores || {}) },
+            isDeleted: false
+          }
+          : null
+      }];
+    }));
+  }
+
+  async readPersistedVersions(environment, plans) {
+    if (plans.length === 0) return new Map();
+
+    const keys = JSON.stringify(plans.map(({ entityType, entityId }) => ({ entity_type: entityType, id: entityId })));
+    const rows = await this.prisma.$queryRaw`
+      SELECT e.entity_type, e.id, e.version
+      FROM entities e
+      JOIN jsonb_to_recordset(${keys}::JSONB) AS k(entity_type TEXT, id TEXT)
+        ON e.entity_type = k.entity_type AND e.id = k.id
+      WHERE e.environment = ${environment}
+    `;
+    return new Map(rows.map(row => [`${row.entity_type}:${row.id}`, row.version]));
+  }
+
+  async planEntity(environment, target, current, asOf) {
+    const { row, document, state } = current;
+    const worldId = document?.worldId ?? row?.world_id ?? target.worldId;
+    const plan = {
+      entityType: target.entityType,
+      entityId: target.entityId,
+      worldId,
+      action: 'none',
+      currentVersion: document?.version ?? row?.version ?? null,
+      persistedVersion: row?.version ?? null,
+      targetVersion: null,
+      replayedSaves: 0,
+      changes: null,
+      warnings: []
+    };
+
+    if (this.commandProcessor.isEphemeralEntityType(target.entityType)) {
+      return { ...plan, action: 'unavailable', warnings: ['ephemeral_entity_type'] };
+    }
+
+    // Start from the latest persisted version at the target time
+    let targetState = null;
+    let replayFrom;
+    const base = await this.versionHistory.getAsOf({ environment, entityType: target.entityType, entityId: target.entityId, timestamp: asOf });
+    if (base) {
+      targetState = { attributes: base.attributes, rankScores: base.rankScores, isDeleted: base.isDeleted };
+      replayFrom = base.updatedAt;
+      plan.targetVersion = base.version;
+    } else if (!row || row.created_at > asOf) {
+      replayFrom = new Date(asOf.getTime() - UNPERSISTED_REPLAY_WINDOW_MS);
+    } else {
+      return { ...plan, action: 'unavailable', warnings: ['no_history'] };
+    }
+
+    // Then replay the saves logged after that version was persisted
+    const entries = await this.readLoggedSaves(environment, target, replayFrom, asOf);
+    entries.forEach(({ saves, truncated }) => {
+      if (truncated && !plan.warnings.includes('audit_input_truncated')) {
+        plan.warnings.push('audit_input_truncated');
+      }
+      saves.forEach(save => {
+        targetState = EntityReplayUtil.applySave(targetState, save);
+        plan.replayedSaves++;
+      });
+    });
+
+    const targetExists = targetState !== null && !targetState.isDeleted;
+    if (!targetExists) {
+      if (!state) return plan;
+      plan.action = 'delete';
+      // Without a Redis copy there is no version to expect yet; apply() stages one first
+      plan.save = { entityType: target.entityType, entityId: target.entityId, worldId, isDelete: true };
+      if (document) plan.save.expectedVersion = document.version;
+      return plan;
+    }
+
+    if (!state) {
+      // Restoring deleted entities is not possible through a save
+      return { ...plan, action: 'unavailable', warnings: [...plan.warnings, 'entity_deleted'] };
+    }
+
+    plan.changes = EntityDiffUtil.computeChanges(state, targetState);
+    const { attributes, unrestorableRankScores } = EntityReplayUtil.buildRestoreAttributes(state, targetState);
+    if (unrestorableRankScores.length > 0) {
+      plan.warnings.push('rank_scores_not_restorable');
+    }
+    if (Object.keys(attributes).length === 0) return plan;
+
+    plan.action = 'update';
+    // Entities that are not in Redis are written like a client's first save after a load
+    plan.save = document
+      ? { entityType: target.entityType, entityId: target.entityId, worldId, attributes, expectedVersion: document.version }
+      : { entityType: target.entityType, entityId: target.entityId, worldId, attributes, isCreate: true, expectedVersion: 0 };
+    return plan;
+  }
+
+  /**
+   * Successful save, txn, rollback and import commands for one entity logged in (from, to],
+   * oldest first, each with the saves it applied to the entity
+   */
+  async readLoggedSaves(environment, { entityType, entityId }, from, to) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT command_type, input_data, output_data
+      FROM audit_logs
+      WHERE environment = ${environment}
+        AND timestamp > ${from}::TIMESTAMP
+        AND timestamp <= ${to}::TIMESTAMP
+        AND (
+          (command_type IN ('save', 'rollback', 'import') AND entity_type = ${entityType} AND entity_id = ${entityId})
+          OR (command_type = 'txn' AND input_data->'saves' @> ${JSON.stringify([{ entityType, entityId }])}::JSONB)
+        )
+      ORDER BY timestamp, command_index
+    `;
+
+    return rows
+      .filter(row => row.input_data && row.output_data?.success !== false)
+      .map(row => ({
+        truncated: EntityReplayUtil.isTruncated(row.input_data),
+        saves: row.command_type === 'txn'
+          ? (row.input_data.saves || []).filter(save => save?.entityType === entityType && save?.entityId === entityId)
+          : [row.input_data]
+      }));
+  }
+}
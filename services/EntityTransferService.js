@@ -0,0 +1,314 @@
+// services/EntityTransferService.js
+import { config, prisma } from '../config.js';
+import { auditLogger } from '../util/AuditLogger.js';
+import { EntityTransferUtil, CONFLICT_POLICIES } from '../util/EntityTransferUtil.js';
+import { environmentRegistry } from '../util/EnvironmentRegistry.js';
+import { InputValidator } from '../util/InputValidator.js';
+
+function createTransferError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getEntityKey({ entityType, entityId }) {
+  return `${entityType}:${entityId}`;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw createTransferError(`${name} must be an ISO 8601 time`, 'invalid_request');
+  }
+  return time;
+}
+
+/**
+ * Bulk export and import of persistent entities as NDJSON, one environment at a time.
+ *
+ * exportEntities() streams live entities as loads see them: the persisted row
+ * merged with its Redis copy. importEntities() writes records through
+ * CommandProcessor.processBatchedSaves, so versions, streams, caches, indexes and
+ * persistence see ordinary saves, and logs one 'import' audit entry per written entity.
+ */
+export class EntityTransferService {
+  constructor(options = {}) {
+    this.commandProcessor = options.commandProcessor;
+    this.prisma = options.prisma || prisma;
+    this.auditLogger = options.auditLogger || auditLogger;
+    this.exportBatchSize = options.exportBatchSize || config.entityTransfer.exportBatchSize;
+    this.importBatchSize = options.importBatchSize || config.entityTransfer.importBatchSize;
+    this.maxReportedErrors = options.maxReportedErrors || config.entityTransfer.maxReportedErrors;
+  }
+
+  /**
+   * Validate export filters
+   * @param {Object} filters - {environment, entityType?, worldId?, updatedFrom?, updatedTo?}
+   * @returns {Object} - Sanitized filters, with Dates for the time range
+   */
+  sanitizeExportFilters({ environment, entityType, worldId, updatedFrom, updatedTo }) {
+    if (!environmentRegistry.isAllowed(environment)) {
+      throw createTransferError(`environment must be one of ${environmentRegistry.list().join(', ')}`, 'invalid_request');
+    }
+
+    let filters;
+    try {
+      filters = {
+        environment,
+        entityType: entityType ? InputValidator.sanitizeEntityType(entityType) : null,
+        worldId: worldId !== undefined && worldId !== null && worldId !== '' ? InputValidator.sanitizeWorldId(worldId) : null
+      };
+    } catch (error) {
+      throw createTransferError(error.message, 'invalid_request');
+    }
+
+    // Ephemeral-only types never reach the entities table
+    if (filters.entityType && this.commandProcessor.isEphemeralEntityType(filters.entityType)) {
+      throw createTransferError(`${filters.entityType} is an ephemeral entity type and cannot be exported`, 'invalid_request');
+    }
+
+    return {
+      ...filters,
+      updatedFrom: parseTime(updatedFrom, 'updatedFrom'),
+      updatedTo: parseTime(updatedTo, 'updatedTo')
+    };
+  }
+
+  /**
+   * Stream live persistent entities matching the filters, ordered by type and id.
+   * updatedFrom is inclusive and updatedTo exclusive; both apply to the persisted row.
+   * @param {Object} filters - sanitizeExportFilters() result
+   * @yields {Object} - EntityTransferUtil.toRecord() records
+   */
+  async *exportEntities({ environment, entityType, worldId, updatedFrom, updatedTo }) {
+    let after = { entityType: '', entityId: '' };
+
+    while (true) {
+      const rows = await this.prisma.$queryRaw`
+        SELECT entity_type, id, world_id, attributes, rank_scores, version, created_at, updated_at
+        FROM entities
+        WHERE environment = ${environment}
+          AND is_deleted = false
+          AND (${entityType}::TEXT IS NULL OR entity_type = ${entityType}::TEXT)
+          AND (${worldId}::INT IS NULL OR world_id = ${worldId}::INT)
+          AND (${updatedFrom}::TIMESTAMP IS NULL OR updated_at >= ${updatedFrom}::TIMESTAMP)
+          AND (${updatedTo}::TIMESTAMP IS NULL OR updated_at < ${updatedTo}::TIMESTAMP)
+          AND (entity_type, id) > (${after.entityType}, ${after.entityId})
+        ORDER BY entity_type, id
+        LIMIT ${this.exportBatchSize}
+      `;
+      if (rows.length === 0) return;
+
+      const documents = await this.commandProcessor.ephemeralManager.batchLoad(rows.map(row => ({
+        environment,
+        entityType: row.entity_type,
+        entityId: row.id,
+        worldId: row.world_id
+      })));
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const document = documents[i];
+        if (document?.isDeleted) continue;
+
+        yield EntityTransferUtil.toRecord({
+          entityType: row.entity_type,
+          entityId: row.id,
+          worldId: row.world_id,
+          version: document?.version ?? row.version,
+          attributes: { ...(row.attributes || {}), ...(document?.attributes || {}) },
+          rankScores: { ...(row.rank_scores || {}), ...(document?.rankScores || {}) },
+          createdAt: row.created_at,
+          updatedAt: row.updated_at
+        });
+      }
+
+      if (rows.length < this.exportBatchSize) return;
+      const last = rows[rows.length - 1];
+      after = { entityType: last.entity_type, entityId: last.id };
+    }
+  }
+
+  /**
+   * Import NDJSON records into an environment
+   * @param {AsyncIterable<string>|Iterable<string>} lines - NDJSON lines
+   * @param {Object} options - {environment, conflictPolicy, dryRun?, requestContext} where
+   *   requestContext is the audit context
+   * @returns {Promise<Object>} - {environment, conflictPolicy, dryRun, lines, summary, warnings, errors}
+   */
+  async importEntities(lines, { environment, conflictPolicy = 'skip', dryRun = false, requestContext = {} }) {
+    if (!environmentRegistry.isAllowed(environment)) {
+      throw createTransferError(`environment must be one of ${environmentRegistry.list().join(', ')}`, 'invalid_request');
+    }
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw createTransferError(`conflictPolicy must be one of ${CONFLICT_POLICIES.join(', ')}`, 'invalid_request');
+    }
+
+    const report = {
+      environment,
+      conflictPolicy,
+      dryRun,
+      lines: 0,
+      summary: { create: 0, update: 0, skip: 0, none: 0, failed: 0 },
+      warnings: {},
+      errors: []
+    };
+    const context = { environment, conflictPolicy, dryRun, requestContext, report };
+
+    let batch = [];
+    const batchKeys = new Set();
+
+    for await (const line of lines) {
+      report.lines++;
+
+      let record;
+      try {
+        record = EntityTransferUtil.parseRecord(line);
+      } catch (error) {
+        report.summary.failed++;
+        this.recordError(report, { line: report.lines, error: error.message });
+        continue;
+      }
+      if (!record) continue;
+
+      if (this.commandProcessor.isEphemeralEntityType(record.entityType)) {
+        report.summary.failed++;
+        this.recordError(report, { line: report.lines, entityType: record.entityType, entityId: record.entityId, error: 'ephemeral_entity_type' });
+        continue;
+      }
+
+      // A batch holds one record per entity; a repeated entity starts the next batch
+      const key = getEntityKey(record);
+      if (batchKeys.has(key) || batch.length >= this.importBatchSize) {
+        await this.importBatch(batch, context);
+        batch = [];
+        batchKeys.clear();
+      }
+      batch.push({ line: report.lines, record });
+      batchKeys.add(key);
+    }
+
+    await this.importBatch(batch, context);
+    return report;
+  }
+
+  async importBatch(batch, { environment, conflictPolicy, dryRun, requestContext, report }) {
+    if (batch.length === 0) return;
+
+    const startTime = Date.now();
+    const currentEntities = await this.readCurrent(environment, batch.map(({ record }) => record));
+    const planned = batch.map(({ line, record }) => ({
+      line,
+      record,
+      ...EntityTransferUtil.buildImportSave(record, currentEntities.get(getEntityKey(record)) || null, conflictPolicy)
+    }));
+
+    planned.forEach(({ warnings }) => warnings.forEach(warning => {
+      report.warnings[warning] = (report.warnings[warning] || 0) + 1;
+    }));
+
+    // Saves get the per-type policy checks that client saves get
+    planned.forEach(plan => {
+      const problem = plan.save && this.commandProcessor.validateCommandFields('save', plan.save);
+      if (problem) {
+        plan.result = { success: false, code: problem.code, error: problem.message };
+      }
+    });
+
+    const writes = planned.filter(plan => plan.save && !plan.result);
+    if (!dryRun) {
+      const results = await this.runSaves(environment, writes.map(({ save }) => save));
+      writes.forEach((plan, index) => { plan.result = results[index]; });
+    }
+
+    planned.forEach(plan => {
+      if (!plan.result || plan.result.success) {
+        report.summary[plan.action]++;
+        return;
+      }
+
+      report.summary.failed++;
+      this.recordError(report, {
+        line: plan.line,
+        entityType: plan.record.entityType,
+        entityId: plan.record.entityId,
+        error: plan.result.code || plan.result.error || 'save_failed'
+      });
+    });
+
+    if (dryRun || writes.length === 0) return;
+
+    await this.auditLogger.logCommands(
+      { ...requestContext, environment, durationMs: Date.now() - startTime },
+      {
+        import: writes.map((plan, index) => ({
+          originalIndex: index,
+          action: plan.action,
+          conflictPolicy,
+          ...plan.save
+        }))
+      },
+      { import: writes.map((plan, index) => ({ originalIndex: index, type: 'import', result: plan.result })) }
+    ).catch(error => {
+      console.error('[EntityTransferService] Failed to log audit:', error);
+    });
+  }
+
+  // Errors are reported up to maxReportedErrors; summary.failed counts all of them
+  recordError(report, error) {
+    if (report.errors.length < this.maxReportedErrors) {
+      report.errors.push(error);
+    }
+  }
+
+  // Save commands in order, through the normal save path
+  async runSaves(environment, saves) {
+    if (saves.length === 0) return [];
+
+    const results = await this.commandProcessor.processBatchedSaves(
+      saves.map((save, index) => ({ ...save, originalIndex: index })),
+      environment
+    );
+    const byIndex = new Map(results.map(({ originalIndex, result }) => [originalIndex, result]));
+    return saves.map((save, index) => byIndex.get(index));
+  }
+
+  // Live entities for the records: persisted rows merged with their Redis copies, as loads see them
+  async readCurrent(environment, records) {
+    const keys = JSON.stringify(records.map(({ entityType, entityId }) => ({ entity_type: entityType, id: entityId })));
+    const rows = await this.prisma.$queryRaw`
+      SELECT e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores, e.is_deleted
+      FROM entities e
+      JOIN jsonb_to_recordset(${keys}::JSONB) AS k(entity_type TEXT, id TEXT)
+        ON e.entity_type = k.entity_type AND e.id = k.id
+      WHERE e.environment = ${environment}
+    `;
+    const rowMap = new Map(rows.map(row => [`${row.entity_type}:${row.id}`, row]));
+
+    const documents = await this.commandProcessor.ephemeralManager.batchLoad(records.map(record => ({
+      environment,
+      entityType: record.entityType,
+      entityId: record.entityId,
+      worldId: rowMap.get(getEntityKey(record))?.world_id ?? record.worldId
+    })));
+
+    const current = new Map();
+    records.forEach((record, index) => {
+      const key = getEntityKey(record);
+      const row = rowMap.get(key) || null;
+      const document = documents[index] || null;
+      const exists = document ? !document.isDeleted : row !== null && !row.is_deleted;
+      if (!exists) return;
+
+      current.set(key, {
+        worldId: document?.worldId ?? row.world_id,
+        attributes: { ...(row?.attributes || {}), ...(document?.attributes || {}) },
+        rankScores: { ...(row?.rank_scores || {}), ...(document?.rankScores || {}) },
+        pendingVersion: document?.version ?? null
+      });
+    });
+    return current;
+  }
+}
@@ -0,0 +1,192 @@
+// services/SandboxEnvironmentService.js
+import { config, cacheRedis, ephemeralRedis, streamRedis, memoryCache, prisma } from '../config.js';
+import { DistributedLock } from '../util/DistributedLock.js';
+import { environmentRegistry, createEnvironmentError } from '../util/EnvironmentRegistry.js';
+
+const SWEEP_LOCK_KEY = 'sandbox-sweep:lock';
+const SWEEP_LOCK_TTL = 600; // seconds
+const SCAN_PAGE_SIZE = 500;
+
+/**
+ * Creates and tears down sandbox environments.
+ *
+ * A sandbox shares the Redis instances and tables with staging and production and
+ * is isolated by its name, which prefixes its keys and fills the `environment`
+ * column of its rows. Its config starts as a copy of its config source's current
+ * manifest and is published under its own manifest pointer afterwards.
+ */
+export class SandboxEnvironmentService {
+  constructor(options = {}) {
+    this.commandProcessor = options.commandProcessor;
+    this.manifestService = options.manifestService;
+    this.registry = options.registry || environmentRegistry;
+    this.prisma = options.prisma || prisma;
+    this.sweepIntervalMs = options.sweepIntervalMs || config.sandboxes.sweepIntervalMs;
+    this.ephemeralRedis = options.redis || ephemeralRedis;
+    this.cacheRedis = options.cacheRedis || cacheRedis;
+    this.streamRedis = options.streamRedis || streamRedis;
+    this.memoryCache = options.memoryCache || memoryCache;
+    this.lock = new DistributedLock(this.ephemeralRedis);
+    this.timer = null;
+    this.stats = {
+      lastSweepAt: null,
+      lastSweepRemoved: 0,
+      totalExpired: 0
+    };
+  }
+
+  /**
+   * Register a sandbox and give it a copy of its config source's current manifest
+   * @param {Object} definition - {name, configSource?, owner?, ttlHours?}
+   * @returns {Promise<Object>} - The sandbox with the copied manifest's snapshotVersion (null without one)
+   */
+  async create(definition) {
+    const sandbox = await this.registry.create(definition);
+
+    try {
+      const manifest = await this.copyManifest(sandbox);
+      return { ...sandbox, snapshotVersion: manifest?.snapshotVersion ?? null };
+    } catch (error) {
+      await this.registry.remove(sandbox.name);
+      throw error;
+    }
+  }
+
+  async copyManifest(sandbox) {
+    const manifest = await this.manifestService.getCurrentManifest(sandbox.configSource);
+    if (!manifest) return null;
+
+    // Without file storage the copy lives in the manifest cache only
+    if (!this.manifestService.b2) {
+      await this.manifestService.cacheManifest(manifest, sandbox.name, true);
+      return manifest;
+    }
+
+    return this.manifestService.publishManifestPointer({
+      snapshotVersion: manifest.snapshotVersion,
+      createdAt: new Date().toISOString(),
+      files: manifest.files,
+      label: `sandbox-from-${sandbox.configSource}`
+    }, sandbox.name);
+  }
+
+  /**
+   * Unregister a sandbox and delete its Redis keys and database rows
+   * @param {string} name
+   * @returns {Promise<Object>} - {name, redisKeys, rows: {table: count}}
+   */
+  async teardown(name) {
+    this.registry.validateName(name);
+    if (!await this.registry.remove(name)) {
+      throw createEnvironmentError(`Sandbox environment ${name} not found`, 'environment_not_found');
+    }
+
+    const redisKeys =
+      await this.deleteKeys(this.cacheRedis, `${name}:*`) +
+      await this.deleteKeys(this.ephemeralRedis, `${name}:*`) +
+      await this.deleteKeys(this.ephemeralRedis, `idempotency:${name}:*`) +
+      await this.deleteKeys(this.streamRedis, `${name}:*`);
+    await this.ephemeralRedis.del(
+      this.commandProcessor.presenceManager.getPresenceZSetKey(name),
+      this.commandProcessor.presenceManager.getPresenceStateKey(name)
+    );
+    await this.removeDirtyMembers(name);
+    this.memoryCache.del(this.memoryCache.keys().filter(key => key.startsWith(`${name}:`)));
+
+    const [entities, entityVersions, entityIndexEntries, entityRelationships, auditLogs, persistenceOutbox, persistenceDeadLetters, confirmedNames] = await this.prisma.$transaction([
+      this.prisma.$executeRaw`DELETE FROM entities WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM entity_versions WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM entity_index_entries WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM entity_relationships WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM audit_logs WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM persistence_outbox WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM persistence_dead_letters WHERE environment = ${name}`,
+      this.prisma.$executeRaw`DELETE FROM confirmed_names WHERE environment = ${name}`
+    ]);
+
+    return {
+      name,
+      redisKeys,
+      rows: { entities, entityVersions, entityIndexEntries, entityRelationships, auditLogs, persistenceOutbox, persistenceDeadLetters, confirmedNames }
+    };
+  }
+
+  // Sandbox entities waiting for background persistence
+  async removeDirtyMembers(name) {
+    const ephemeralManager = this.commandProcessor.ephemeralManager;
+    for (const setKey of ephemeralManager.getDirtySetKeys()) {
+      let cursor = '0';
+      do {
+        const [nextCursor, members] = await ephemeralManager.redis.sscan(setKey, cursor, 'MATCH', `${name}:*`, 'COUNT', SCAN_PAGE_SIZE);
+        if (members.length > 0) {
+          await ephemeralManager.redis.srem(setKey, ...members);
+        }
+        cursor = nextCursor;
+      } while (cursor !== '0');
+    }
+  }
+
+  async deleteKeys(redis, pattern) {
+    let deleted = 0;
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_PAGE_SIZE);
+      if (keys.length > 0) {
+        deleted += await redis.del(...keys);
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return deleted;
+  }
+
+  // Tear down expired sandboxes; one server sweeps at a time
+  async sweep() {
+    const removed = await this.lock.withLock(SWEEP_LOCK_KEY, async () => {
+      const expired = await this.registry.listExpired();
+      let count = 0;
+      for (const sandbox of expired) {
+        try {
+          await this.teardown(sandbox.name);
+          count++;
+        } catch (error) {
+          console.error(`[SandboxEnvironmentService] Failed to tear down expired sandbox ${sandbox.name}:`, error.message);
+        }
+      }
+      return count;
+    }, SWEEP_LOCK_TTL);
+
+    if (removed === null) return 0;
+
+    this.stats.lastSweepAt = new Date().toISOString();
+    this.stats.lastSweepRemoved = removed;
+    this.stats.totalExpired += removed;
+    if (removed > 0) {
+      console.log(`[SandboxEnvironmentService] Tore down ${removed} expired sandbox environment(s)`);
+    }
+
+    return removed;
+  }
+
+  getStats() {
+    return { ...this.stats, sweepIntervalMs: this.sweepIntervalMs };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => {
+        console.error('[SandboxEnvironmentService] Sweep failed:', error.message);
+      });
+    }, this.sweepIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,260 @@
+// services/StagingCloneService.js
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import { config, cacheRedis, ephemeralRedis, memoryCache, prisma } from '../config.js';
+import { DistributedLock } from '../util/DistributedLock.js';
+import { KeyGenerator } from '../util/KeyGenerator.js';
+import { InputValidator } from '../util/InputValidator.js';
+import { AnonymizationUtil } from '../util/AnonymizationUtil.js';
+import { entityIndexManager } from '../util/EntityIndexManager.js';
+import { nameReservationManager } from '../util/NameReservationManager.js';
+import { EntityTransferService } from './EntityTransferService.js';
+
+const SOURCE_ENVIRONMENT = 'production';
+const TARGET_ENVIRONMENT = 'staging';
+
+const CLONE_LOCK_KEY = 'staging-clone:lock';
+const CLONE_LOCK_TTL = 3600; // seconds
+const SCAN_PAGE_SIZE = 500;
+
+// Player-identifying attributes of every type; STAGING_CLONE_RULES_FILE replaces them
+const DEFAULT_RULES = {
+  '*': { name: 'name', accountId: 'hash', email: 'remove', ip: 'remove' }
+};
+
+function createCloneError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Copies production entities of selected types into staging, anonymized.
+ *
+ * Each cloned type is replaced in staging: its rows, version history, index
+ * entries, relationships, Redis copies, name reservations and cache entries are
+ * cleared, then the live production entities are inserted at version 1. Secondary
+ * index entries and name reservations are rebuilt from the copies.
+ */
+export class StagingCloneService {
+  constructor(options = {}) {
+    this.commandProcessor = options.commandProcessor;
+    this.prisma = options.prisma || prisma;
+    this.transferService = options.transferService || new EntityTransferService({ commandProcessor: this.commandProcessor });
+    this.indexManager = options.indexManager || entityIndexManager;
+    this.nameReservations = options.nameReservations || nameReservationManager;
+    this.rulesFile = options.rulesFile !== undefined ? options.rulesFile : config.stagingClone.rulesFile;
+    this.salt = options.salt !== undefined ? options.salt : config.stagingClone.salt;
+    this.batchSize = options.batchSize || config.entityTransfer.exportBatchSize;
+    this.lock = new DistributedLock(options.redis || ephemeralRedis);
+  }
+
+  async loadRules() {
+    if (!this.rulesFile) return DEFAULT_RULES;
+
+    try {
+      return JSON.parse(await fs.readFile(this.rulesFile, 'utf8'));
+    } catch (error) {
+      throw createCloneError(`Failed to read ${this.rulesFile}: ${error.message}`, 'invalid_request');
+    }
+  }
+
+  /**
+   * Clone entity types from production into staging
+   * @param {Object} request - {entityTypes: Array<string>, rules?: Object, dryRun?: boolean} where
+   *   rules replace the configured anonymization rules (see AnonymizationUtil)
+   * @returns {Promise<Object>} - {source, target, dryRun, rules, entityTypes: {type: counts}, durationMs}
+   */
+  async clone({ entityTypes, rules = null, dryRun = false }) {
+    if (!Array.isArray(entityTypes) || entityTypes.length === 0) {
+      throw createCloneError('entityTypes is required', 'invalid_request');
+    }
+
+    let types;
+    let cloneRules;
+    try {
+      types = [...new Set(entityTypes.map(entityType => InputValidator.sanitizeEntityType(entityType)))];
+      cloneRules = AnonymizationUtil.validateRules(rules ?? await this.loadRules());
+    } catch (error) {
+      throw createCloneError(error.message, error.code || 'invalid_request');
+    }
+
+    const ephemeralType = types.find(entityType => this.commandProcessor.isEphemeralEntityType(entityType));
+    if (ephemeralType) {
+      throw createCloneError(`${ephemeralType} is an ephemeral entity type and cannot be cloned`, 'invalid_request');
+    }
+
+    const startTime = Date.now();
+    const salt = this.salt || randomBytes(32).toString('hex');
+
+    const result = await this.lock.withLock(CLONE_LOCK_KEY, async () => {
+      const counts = {};
+      for (const entityType of types) {
+        counts[entityType] = dryRun
+          ? await this.preview(entityType, cloneRules, salt)
+          : await this.cloneType(entityType, cloneRules, salt);
+      }
+      return counts;
+    }, CLONE_LOCK_TTL);
+
+    if (!result) {
+      throw createCloneError('A staging clone is already running', 'clone_in_progress');
+    }
+
+    return {
+      source: SOURCE_ENVIRONMENT,
+      target: TARGET_ENVIRONMENT,
+      dryRun,
+      rules: cloneRules,
+      entityTypes: result,
+      durationMs: Date.now() - startTime
+    };
+  }
+
+  // Counts on both sides and the first record as it would be copied
+  async preview(entityType, rules, salt) {
+    const [[source], [target]] = await Promise.all([SOURCE_ENVIRONMENT, TARGET_ENVIRONMENT].map(environment => this.prisma.$queryRaw`
+      SELECT COUNT(*)::INT AS count
+      FROM entities
+      WHERE environment = ${environment} AND entity_type = ${entityType} AND is_deleted = false
+    `));
+
+    let sample = null;
+    for await (const record of this.exportSource(entityType)) {
+      sample = AnonymizationUtil.anonymizeRecord(record, rules, salt);
+      break;
+    }
+
+    return { sourceEntities: source.count, replacedEntities: target.count, sample };
+  }
+
+  async cloneType(entityType, rules, salt) {
+    const replacedEntities = await this.clearTarget(entityType);
+
+    let copiedEntities = 0;
+    let batch = [];
+    for await (const record of this.exportSource(entityType)) {
+      batch.push(AnonymizationUtil.anonymizeRecord(record, rules, salt));
+      if (batch.length >= this.batchSize) {
+        copiedEntities += await this.insertBatch(batch);
+        batch = [];
+      }
+    }
+    copiedEntities += await this.insertBatch(batch);
+
+    const names = this.nameReservations.isEnabled(entityType)
+      ? await this.nameReservations.reconcile(TARGET_ENVIRONMENT, entityType)
+      : null;
+
+    // Loads may have cached the emptied type while the copy ran
+    await this.clearCache(entityType);
+
+    return { replacedEntities, copiedEntities, ...(names ? { names } : {}) };
+  }
+
+  exportSource(entityType) {
+    return this.transferService.exportEntities({
+      environment: SOURCE_ENVIRONMENT,
+      entityType,
+      worldId: null,
+      updatedFrom: null,
+      updatedTo: null
+    });
+  }
+
+  // Insert copies at version 1 and write their secondary index entries
+  async insertBatch(records) {
+    if (records.length === 0) return 0;
+
+    const rows = records.map(record => ({
+      id: record.entityId,
+      entity_type: record.entityType,
+      world_id: record.worldId,
+      attributes: record.attributes,
+      rank_scores: record.rankScores,
+      created_at: record.createdAt
+    }));
+    const inserted = await this.prisma.$executeRaw`
+      INSERT INTO entities (id, environment, entity_type, world_id, attributes, rank_scores, version, is_deleted, created_at, updated_at)
+      SELECT r.id, ${TARGET_ENVIRONMENT}, r.entity_type, r.world_id, r.attributes, r.rank_scores, 1, false, COALESCE(r.created_at, NOW()), NOW()
+      FROM jsonb_to_recordset(${JSON.stringify(rows)}::JSONB)
+        AS r(id TEXT, entity_type TEXT, world_id INT, attributes JSONB, rank_scores JSONB, created_at TIMESTAMP)
+      ON CONFLICT (environment, entity_type, id) DO NOTHING
+    `;
+
+    await this.indexManager.persist(records.map(record => ({
+      environment: TARGET_ENVIRONMENT,
+      entityType: record.entityType,
+      entityId: record.entityId,
+      worldId: record.worldId,
+      attributes: record.attributes
+    })));
+
+    return inserted;
+  }
+
+  /**
+   * Remove a type from staging: rows, history, index entries, relationships touching it,
+   * and its Redis copies, pending persistence, index claims and name reservations
+   * @returns {Promise<number>} - Staging rows removed
+   */
+  async clearTarget(entityType) {
+    const ephemeralManager = this.commandProcessor.ephemeralManager;
+    await this.deleteKeys(ephemeralManager.redis, KeyGenerator.getEphemeralKey(TARGET_ENVIRONMENT, entityType, '*', '*'));
+    await this.deleteKeys(ephemeralRedis, KeyGenerator.getIndexKey(TARGET_ENVIRONMENT, entityType, '*', '*'));
+    await this.deleteKeys(ephemeralRedis, KeyGenerator.getUniqueIndexKey(TARGET_ENVIRONMENT, entityType, '*', '*'));
+    await this.deleteKeys(ephemeralRedis, KeyGenerator.getNameReservationKey(TARGET_ENVIRONMENT, entityType, '*'));
+    await this.removeDirtyMembers(ephemeralManager, entityType);
+
+    const [removed] = await this.prisma.$transaction([
+      this.prisma.$executeRaw`DELETE FROM entities WHERE environment = ${TARGET_ENVIRONMENT} AND entity_type = ${entityType}`,
+      this.prisma.$executeRaw`DELETE FROM entity_versions WHERE environment = ${TARGET_ENVIRONMENT} AND entity_type = ${entityType}`,
+      this.prisma.$executeRaw`DELETE FROM entity_index_entries WHERE environment = ${TARGET_ENVIRONMENT} AND entity_type = ${entityType}`,
+      this.prisma.$executeRaw`
+        DELETE FROM entity_relationships
+        WHERE environment = ${TARGET_ENVIRONMENT} AND (from_type = ${entityType} OR to_type = ${entityType})
+      `,
+      this.prisma.$executeRaw`DELETE FROM persistence_outbox WHERE environment = ${TARGET_ENVIRONMENT} AND entity_type = ${entityType}`,
+      this.prisma.$executeRaw`DELETE FROM confirmed_names WHERE environment = ${TARGET_ENVIRONMENT} AND entity_type = ${entityType}`,
+      this.prisma.$executeRaw`DELETE FROM persistence_dead_letters WHERE environment = ${TARGET_ENVIRONMENT} AND entity_type = ${entityType}`
+    ]);
+
+    await this.clearCache(entityType);
+    return removed;
+  }
+
+  // Staging entities of the type waiting for background persistence
+  async removeDirtyMembers(ephemeralManager, entityType) {
+    const pattern = KeyGenerator.getDirtyKey(TARGET_ENVIRONMENT, entityType, '*', '*');
+    for (const setKey of ephemeralManager.getDirtySetKeys()) {
+      let cursor = '0';
+      do {
+        const [nextCursor, members] = await ephemeralManager.redis.sscan(setKey, cursor, 'MATCH', pattern, 'COUNT', SCAN_PAGE_SIZE);
+        if (members.length > 0) {
+          await ephemeralManager.redis.srem(setKey, ...members);
+        }
+        cursor = nextCursor;
+      } while (cursor !== '0');
+    }
+  }
+
+  // Shared cache entries, and this server's memory cache; other servers' memory entries expire within CACHE_TTL_SECONDS
+  async clearCache(entityType) {
+    const pattern = KeyGenerator.getCacheKey(TARGET_ENVIRONMENT, entityType, '*', '*');
+    await this.deleteKeys(cacheRedis, pattern);
+
+    const prefix = pattern.slice(0, pattern.indexOf('*'));
+    memoryCache.del(memoryCache.keys().filter(key => key.startsWith(prefix)));
+  }
+
+  async deleteKeys(redis, pattern) {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_PAGE_SIZE);
+      if (keys.length > 0) {
+        await redis.del(...keys);
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+}
@@ -0,0 +1,60 @@
+import { evaluatePersistenceAlerts } from '../../monitoring/alerts.js';
+
+describe('evaluatePersistenceAlerts', () => {
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const baseStats = {
+    documentsLost: 0,
+    lastDocumentLost: null,
+    outbox: { enabled: true, lastRecordError: null, lastRecordErrorAt: null }
+  };
+
+  test('reports recent lost documents by whether they were recovered', () => {
+    expect(evaluatePersistenceAlerts({ backgroundTaskStats: baseStats, now })).toEqual([]);
+
+    const unrecovered = evaluatePersistenceAlerts({
+      backgroundTaskStats: {
+        ...baseStats,
+        documentsLost: 3,
+        lastDocumentLost: { at: '2026-10-19T11:55:00.000Z', count: 3, recovered: 1 }
+      },
+      now
+    });
+    expect(unrecovered).toHaveLength(1);
+    expect(unrecovered[0]).toMatchObject({ name: 'PersistenceDocumentLost', severity: 'critical' });
+    expect(unrecovered[0].message).toContain('2 could not be recovered');
+
+    const recovered = evaluatePersistenceAlerts({
+      backgroundTaskStats: {
+        ...baseStats,
+        documentsLost: 2,
+        lastDocumentLost: { at: '2026-10-19T11:55:00.000Z', count: 2, recovered: 2 }
+      },
+      now
+    });
+    expect(recovered[0].severity).toBe('warning');
+  });
+
+  test('ignores events outside the alert window', () => {
+    const alerts = evaluatePersistenceAlerts({
+      backgroundTaskStats: {
+        ...baseStats,
+        lastDocumentLost: { at: '2026-10-19T11:00:00.000Z', count: 1, recovered: 0 },
+        outbox: { enabled: true, lastRecordError: 'timeout', lastRecordErrorAt: '2026-10-19T11:50:00.000Z', unrecordedSaves: 5 }
+      },
+      now
+    });
+
+    expect(alerts.map(alert => alert.name)).toEqual(['PersistenceOutboxAppendFailure']);
+    expect(alerts[0].severity).toBe('critical');
+    expect(alerts[0].message).toContain('5 saves since startup');
+  });
+
+  test('reports a non-empty dead-letter store without background task stats', () => {
+    expect(evaluatePersistenceAlerts({ backgroundTaskStats: baseStats, deadLetterCount: 0, now })).toEqual([]);
+
+    const alerts = evaluatePersistenceAlerts({ backgroundTaskStats: null, deadLetterCount: 4, now });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ name: 'PersistenceDeadLetters', severity: 'warning' });
+    expect(alerts[0].message).toContain('4 entities');
+  });
+});
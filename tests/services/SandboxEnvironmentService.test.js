@@ -0,0 +1,228 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+import { SandboxEnvironmentService } from '../../services/SandboxEnvironmentService.js';
+import { EnvironmentRegistry } from '../../util/EnvironmentRegistry.js';
+import { config } from '../../config.js';
+
+// Keys and set members of one Redis instance; patterns only use a trailing '*'
+class FakeRedis {
+  constructor(keys = {}) {
+    this.keys = new Map(Object.entries(keys));
+  }
+
+  async scan(cursor, match, pattern) {
+    return ['0', [...this.keys.keys()].filter(key => key.startsWith(pattern.slice(0, -1)))];
+  }
+
+  async sscan(key, cursor, match, pattern) {
+    return ['0', [...(this.keys.get(key) || [])].filter(member => member.startsWith(pattern.slice(0, -1)))];
+  }
+
+  async srem(key, ...members) {
+    members.forEach(member => this.keys.get(key).delete(member));
+    return members.length;
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.keys.delete(key)).length;
+  }
+
+  async set(key, value) {
+    if (this.keys.has(key)) return null;
+    this.keys.set(key, value);
+    return 'OK';
+  }
+
+  // Lock release
+  async eval(script, keyCount, key, value) {
+    return this.keys.get(key) === value ? this.del(key) : 0;
+  }
+}
+
+function buildService({ sandboxes = [], ephemeralKeys = {}, manifest = { snapshotVersion: 'v7', files: {} } } = {}) {
+  let rows = sandboxes.map(sandbox => ({ configSource: 'staging', createdAt: new Date(), ...sandbox }));
+  const registryPrisma = {
+    sandboxEnvironment: {
+      findMany: jest.fn(async ({ where } = {}) => (where ? rows.filter(row => row.expiresAt && row.expiresAt <= where.expiresAt.lte) : rows)),
+      count: jest.fn(async () => rows.length),
+      create: jest.fn(async ({ data }) => { rows.push({ ...data, createdAt: new Date() }); }),
+      deleteMany: jest.fn(async ({ where }) => {
+        const count = rows.filter(row => row.name === where.name).length;
+        rows = rows.filter(row => row.name !== where.name);
+        return { count };
+      })
+    }
+  };
+  const registry = new EnvironmentRegistry({ prisma: registryPrisma, baseEnvironments: ['staging', 'production'], maxCount: 5 });
+
+  const ephemeralRedis = new FakeRedis(ephemeralKeys);
+  const cacheRedis = new FakeRedis({ 'sbx-qa-1:Account:a': '{}', 'staging:Account:a': '{}' });
+  const streamRedis = new FakeRedis({ 'sbx-qa-1:stream:Account:a': [] });
+  const memoryCache = { keys: jest.fn(() => ['sbx-qa-1:Account:a', 'staging:Account:a']), del: jest.fn() };
+  const manifestService = {
+    b2: null,
+    getCurrentManifest: jest.fn().mockResolvedValue(manifest),
+    cacheManifest: jest.fn().mockResolvedValue(undefined)
+  };
+  const prisma = {
+    // Every table has 2 rows of the torn down sandbox
+    $executeRaw: jest.fn(async () => 2),
+    $transaction: jest.fn(queries => Promise.all(queries))
+  };
+  const commandProcessor = {
+    presenceManager: {
+      getPresenceZSetKey: environment => `presence:accounts:last_seen:${environment}`,
+      getPresenceStateKey: environment => `presence:accounts:state:${environment}`
+    },
+    ephemeralManager: {
+      redis: ephemeralRedis,
+      getDirtySetKeys: () => ['ephemeral:dirty_entities']
+    }
+  };
+
+  const service = new SandboxEnvironmentService({
+    commandProcessor,
+    manifestService,
+    registry,
+    prisma,
+    redis: ephemeralRedis,
+    cacheRedis,
+    streamRedis,
+    memoryCache
+  });
+  return { service, registry, manifestService, prisma, ephemeralRedis, cacheRedis, streamRedis, memoryCache };
+}
+
+describe('SandboxEnvironmentService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('create registers the sandbox with a copy of its config source manifest', async () => {
+    const { service, registry, manifestService } = buildService();
+
+    const sandbox = await service.create({ name: 'sbx-qa-1', owner: 'dana', ttlHours: 24 });
+
+    expect(sandbox).toMatchObject({ name: 'sbx-qa-1', configSource: 'staging', owner: 'dana', snapshotVersion: 'v7' });
+    expect(manifestService.getCurrentManifest).toHaveBeenCalledWith('staging');
+    expect(manifestService.cacheManifest).toHaveBeenCalledWith(expect.objectContaining({ snapshotVersion: 'v7' }), 'sbx-qa-1', true);
+    expect(registry.isAllowed('sbx-qa-1')).toBe(true);
+    expect(registry.list()).toEqual(['staging', 'production', 'sbx-qa-1']);
+    expect(config.allowedEnvironments).toEqual(['staging', 'production']);
+  });
+
+  test('create unregisters the sandbox when its manifest cannot be copied', async () => {
+    const { service, registry, manifestService } = buildService();
+    manifestService.getCurrentManifest.mockRejectedValue(new Error('bucket unavailable'));
+
+    await expect(service.create({ name: 'sbx-qa-1' })).rejects.toThrow('bucket unavailable');
+    expect(registry.isAllowed('sbx-qa-1')).toBe(false);
+  });
+
+  test('create rejects base environment names and invalid ones', async () => {
+    const { service } = buildService();
+
+    await expect(service.create({ name: 'staging' })).rejects.toMatchObject({ code: 'invalid_request' });
+    await expect(service.create({ name: 'QA_1' })).rejects.toMatchObject({ code: 'invalid_request' });
+    await expect(service.create({ name: 'qa-1' })).rejects.toMatchObject({ code: 'invalid_request' });
+    await expect(service.create({ name: 'ephemeral' })).rejects.toMatchObject({ code: 'invalid_request' });
+    await expect(service.create({ name: 'sbx-qa-1', configSource: 'sbx-qa-2' })).rejects.toMatchObject({ code: 'invalid_request' });
+  });
+
+  test('teardown deletes the sandbox keys, dirty entries and rows and leaves other environments alone', async () => {
+    const { service, registry, ephemeralRedis, cacheRedis, streamRedis, memoryCache } = buildService({
+      sandboxes: [{ name: 'sbx-qa-1' }],
+      ephemeralKeys: {
+        'sbx-qa-1:ephemeral:Account:1:a': '{}',
+        'idempotency:sbx-qa-1:w-1:save:k-1': '{}',
+        'presence:accounts:last_seen:sbx-qa-1': [],
+        'production:ephemeral:Account:1:a': '{}',
+        'ephemeral:dirty_entities': new Set(['sbx-qa-1:Account:1:a', 'production:Account:1:a'])
+      }
+    });
+    await registry.load();
+
+    const result = await service.teardown('sbx-qa-1');
+
+    expect(result.name).toBe('sbx-qa-1');
+    expect(result.redisKeys).toBe(4);
+    expect(result.rows).toEqual({
+      entities: 2,
+      entityVersions: 2,
+      entityIndexEntries: 2,
+      entityRelationships: 2,
+      auditLogs: 2,
+      persistenceOutbox: 2,
+      persistenceDeadLetters: 2,
+      confirmedNames: 2
+    });
+    expect([...ephemeralRedis.keys.keys()]).toEqual(['production:ephemeral:Account:1:a', 'ephemeral:dirty_entities']);
+    expect([...ephemeralRedis.keys.get('ephemeral:dirty_entities')]).toEqual(['production:Account:1:a']);
+    expect([...cacheRedis.keys.keys()]).toEqual(['staging:Account:a']);
+    expect(streamRedis.keys.size).toBe(0);
+    expect(memoryCache.del).toHaveBeenCalledWith(['sbx-qa-1:Account:a']);
+    expect(registry.isAllowed('sbx-qa-1')).toBe(false);
+  });
+
+  test('teardown rejects unknown sandboxes and base environments', async () => {
+    const { service, prisma } = buildService();
+
+    await expect(service.teardown('sbx-qa-9')).rejects.toMatchObject({ code: 'environment_not_found' });
+    await expect(service.teardown('production')).rejects.toMatchObject({ code: 'invalid_request' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('teardown refuses fixed key prefixes as names and leaves every environment\'s keys in place', async () => {
+    const ephemeralKeys = {
+      'ephemeral:dirty_entities': new Set(['production:Account:1:a']),
+      'ephemeral:dirty_entities:lane:Account': [],
+      'idempotency:production:w-1:save:k-1': '{}',
+      'presence:accounts:last_seen:production': [],
+      'stream:production:Account:a': [],
+      'background:persistence:lock': 'server-1'
+    };
+    // A row registered under such a name, as if it had been created without the name check
+    const { service, registry, ephemeralRedis, prisma } = buildService({
+      sandboxes: ['ephemeral', 'idempotency', 'presence', 'stream', 'background'].map(name => ({ name })),
+      ephemeralKeys
+    });
+    await registry.load();
+
+    for (const name of ['ephemeral', 'idempotency', 'presence', 'stream', 'background']) {
+      await expect(service.teardown(name)).rejects.toMatchObject({ code: 'invalid_request' });
+    }
+    expect([...ephemeralRedis.keys.keys()]).toEqual(Object.keys(ephemeralKeys));
+    expect([...ephemeralRedis.keys.get('ephemeral:dirty_entities')]).toEqual(['production:Account:1:a']);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('sweep tears down expired sandboxes only', async () => {
+    const past = new Date(Date.now() - 60000);
+    const future = new Date(Date.now() + 60000);
+    const { service, registry } = buildService({
+      sandboxes: [{ name: 'sbx-qa-1', expiresAt: past }, { name: 'sbx-qa-2', expiresAt: future }, { name: 'sbx-qa-3', expiresAt: null }]
+    });
+    await registry.load();
+
+    expect(await service.sweep()).toBe(1);
+    expect(registry.list()).toEqual(['staging', 'production', 'sbx-qa-2', 'sbx-qa-3']);
+    expect(service.getStats()).toMatchObject({ lastSweepRemoved: 1, totalExpired: 1 });
+  });
+
+  test('sweep does nothing while another server holds the sweep lock', async () => {
+    const { service, registry, ephemeralRedis } = buildService({
+      sandboxes: [{ name: 'sbx-qa-1', expiresAt: new Date(Date.now() - 60000) }]
+    });
+    await registry.load();
+    await ephemeralRedis.set('sandbox-sweep:lock', 'other-server');
+
+    expect(await service.sweep()).toBe(0);
+    expect(registry.isAllowed('sbx-qa-1')).toBe(true);
+    expect(service.getStats().lastSweepAt).toBeNull();
+  });
+});
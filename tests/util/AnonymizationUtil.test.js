@@ -0,0 +1,59 @@
+import { AnonymizationUtil } from '../../util/AnonymizationUtil.js';
+
+describe('AnonymizationUtil', () => {
+  const rules = {
+    '*': { name: 'name', accountId: 'hash', email: 'remove' },
+    Account: { $entityId: 'hash' },
+    Guild: { name: 'hash' }
+  };
+
+  test('validateRules rejects unknown rules', () => {
+    expect(AnonymizationUtil.validateRules(rules)).toBe(rules);
+    expect(() => AnonymizationUtil.validateRules({ '*': { name: 'mask' } })).toThrow('rules.*.name must be one of');
+    expect(() => AnonymizationUtil.validateRules({ Account: { $entityId: 'remove' } })).toThrow('must be hash');
+    expect(() => AnonymizationUtil.validateRules({ Guild: 'name' })).toThrow('must be an object');
+  });
+
+  test('anonymizeRecord applies the wildcard and type rules', () => {
+    const record = {
+      entityType: 'PlayerCharacter',
+      entityId: 'pc-1',
+      worldId: 1,
+      attributes: { name: 'Maple', accountId: 'acc-42', email: 'maple@example.com', level: 30 },
+      rankScores: { fameScore: { 1: 10 } }
+    };
+
+    const anonymized = AnonymizationUtil.anonymizeRecord(record, rules, 'salt');
+
+    expect(anonymized.entityId).toBe('pc-1');
+    expect(anonymized.attributes.name).toMatch(/^Anon[0-9a-f]{10}$/);
+    expect(anonymized.attributes.accountId).toMatch(/^anon-[0-9a-f]{16}$/);
+    expect(anonymized.attributes).not.toHaveProperty('email');
+    expect(anonymized.attributes.level).toBe(30);
+    expect(anonymized.rankScores).toBe(record.rankScores);
+    expect(record.attributes.name).toBe('Maple');
+
+    const guild = AnonymizationUtil.anonymizeRecord({ ...record, entityType: 'Guild' }, rules, 'salt');
+    expect(guild.attributes.name).toMatch(/^anon-/);
+  });
+
+  test('hashed ids still match the attributes that reference them', () => {
+    const account = AnonymizationUtil.anonymizeRecord(
+      { entityType: 'Account', entityId: 'acc-42', worldId: 0, attributes: {} },
+      rules,
+      'salt'
+    );
+    const character = AnonymizationUtil.anonymizeRecord(
+      { entityType: 'PlayerCharacter', entityId: 'pc-1', worldId: 1, attributes: { accountId: 'acc-42' } },
+      rules,
+      'salt'
+    );
+
+    expect(account.entityId).toBe(character.attributes.accountId);
+    expect(AnonymizationUtil.anonymizeRecord(
+      { entityType: 'Account', entityId: 'acc-42', worldId: 0, attributes: {} },
+      rules,
+      'other-salt'
+    ).entityId).not.toBe(account.entityId);
+  });
+});
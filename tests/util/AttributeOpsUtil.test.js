@@ -0,0 +1,64 @@
+import { AttributeOpsUtil } from '../../util/AttributeOpsUtil.js';
+
+describe('AttributeOpsUtil', () => {
+  test('normalizes dec into inc with a negative delta', () => {
+    const ops = AttributeOpsUtil.sanitizeAttributeOps([
+      { op: 'dec', path: 'meso', value: 50, min: 0 },
+      { op: 'inc', path: 'stats.kills' }
+    ]);
+
+    expect(ops).toEqual([
+      { op: 'inc', path: 'meso', delta: -50, min: 0 },
+      { op: 'inc', path: 'stats.kills', delta: 1 }
+    ]);
+  });
+
+  test('rejects unknown ops, invalid paths and duplicate paths', () => {
+    expect(() => AttributeOpsUtil.sanitizeAttributeOps([{ op: 'mul', path: 'meso' }])).toThrow('ops[0].op');
+    expect(() => AttributeOpsUtil.sanitizeAttributeOps([{ op: 'inc', path: 'a..b' }])).toThrow('path is invalid');
+    expect(() => AttributeOpsUtil.sanitizeAttributeOps([
+      { op: 'inc', path: 'meso' },
+      { op: 'dec', path: 'meso' }
+    ])).toThrow('duplicate operation');
+    expect(() => AttributeOpsUtil.sanitizeAttributeOps([{ op: 'removeValue', path: 'items', value: { id: 1 } }]))
+      .toThrow('removeValue');
+  });
+
+  test('applies operations to attributes of a new entity', () => {
+    const attributes = { meso: 10, inventory: [1, 2, 2], stats: {} };
+    const ops = AttributeOpsUtil.sanitizeAttributeOps([
+      { op: 'inc', path: 'meso', value: 100, max: 50 },
+      { op: 'removeValue', path: 'inventory', value: 2 },
+      { op: 'append', path: 'titles', value: 'Rookie' },
+      { op: 'setIfAbsent', path: 'stats.level', value: 1 }
+    ]);
+
+    const result = AttributeOpsUtil.applyToAttributes(attributes, ops);
+
+    expect(result).toEqual({
+      values: { meso: 50, inventory: [1], titles: ['Rookie'], 'stats.level': 1 }
+    });
+    expect(attributes).toEqual({ meso: 50, inventory: [1], titles: ['Rookie'], stats: { level: 1 } });
+  });
+
+  test('only applies the bound the delta moves towards and leaves a value already past it', () => {
+    const bounded = (op, value) => AttributeOpsUtil.sanitizeAttributeOps([{ op, path: 'meso', value, min: 0, max: 100 }]);
+
+    expect(AttributeOpsUtil.applyToAttributes({ meso: 150 }, bounded('dec', 10))).toEqual({ values: { meso: 140 } });
+    expect(AttributeOpsUtil.applyToAttributes({ meso: 150 }, bounded('inc', 10))).toEqual({ values: { meso: 150 } });
+    expect(AttributeOpsUtil.applyToAttributes({ meso: -20 }, bounded('inc', 5))).toEqual({ values: { meso: -15 } });
+    expect(AttributeOpsUtil.applyToAttributes({ meso: -20 }, bounded('dec', 5))).toEqual({ values: { meso: -20 } });
+    expect(AttributeOpsUtil.applyToAttributes({ meso: 95 }, bounded('inc', 10))).toEqual({ values: { meso: 100 } });
+
+    const strict = AttributeOpsUtil.sanitizeAttributeOps([{ op: 'inc', path: 'meso', value: 1, max: 100, strict: true }]);
+    expect(AttributeOpsUtil.applyToAttributes({ meso: 150 }, strict)).toEqual({ error: 'bounds_violation', path: 'meso' });
+  });
+
+  test('reports strict bounds violations and type mismatches', () => {
+    const strict = AttributeOpsUtil.sanitizeAttributeOps([{ op: 'dec', path: 'meso', value: 5, min: 0, strict: true }]);
+    expect(AttributeOpsUtil.applyToAttributes({ meso: 3 }, strict)).toEqual({ error: 'bounds_violation', path: 'meso' });
+
+    const append = AttributeOpsUtil.sanitizeAttributeOps([{ op: 'append', path: 'meso', value: 1 }]);
+    expect(AttributeOpsUtil.applyToAttributes({ meso: 3 }, append)).toEqual({ error: 'type_mismatch', path: 'meso' });
+  });
+});
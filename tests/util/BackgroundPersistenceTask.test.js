@@ -0,0 +1,159 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+import { BackgroundPersistenceTask } from '../../util/BackgroundPersistenceTask.js';
+
+function buildUpdate(entityId) {
+  return {
+    environment: 'production',
+    entityType: 'Account',
+    entityId,
+    worldId: 1,
+    attributes: { name: entityId },
+    rankScores: {},
+    version: 3,
+    dirtyKey: `production:Account:1:${entityId}`,
+    isCreate: false,
+    isDelete: false
+  };
+}
+
+function buildTask({ updates, performBatchUpsert, outbox = { enabled: false, getStats: () => ({}) }, documents = [] }) {
+  const ephemeralManager = {
+    shardCount: 1,
+    getPendingCount: jest.fn().mockResolvedValue(updates.length),
+    rehomeOrphanedShards: jest.fn().mockResolvedValue(undefined),
+    getPendingUpdates: jest.fn().mockResolvedValue({ updates, missing: [] }),
+    batchLoad: jest.fn().mockResolvedValue(documents),
+    findLostDocuments: jest.fn().mockResolvedValue([]),
+    flushPersistedEntities: jest.fn().mockResolvedValue(undefined),
+    removeDirtyKeys: jest.fn().mockResolvedValue(undefined),
+    releaseDirtyKeys: jest.fn().mockResolvedValue(undefined)
+  };
+  const deadLetters = {
+    add: jest.fn().mockResolvedValue(0),
+    resolve: jest.fn().mockResolvedValue(0)
+  };
+
+  const task = new BackgroundPersistenceTask(ephemeralManager, { performBatchUpsert: jest.fn(performBatchUpsert) }, {
+    maxRetries: 2,
+    retryDelayMs: 1,
+    versionHistory: { capture: jest.fn().mockResolvedValue(new Map()), record: jest.fn().mockResolvedValue(undefined) },
+    outbox,
+    deadLetters,
+    entityTypeRegistry: { list: () => [] }
+  });
+
+  return { task, ephemeralManager, deadLetters };
+}
+
+describe('BackgroundPersistenceTask', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('persists the rest of a batch that throws and dead-letters only the entity it throws for', async () => {
+    const { task, ephemeralManager, deadLetters } = buildTask({
+      updates: ['a', 'bad', 'c', 'd'].map(buildUpdate),
+      performBatchUpsert: async (mergedUpdates) => {
+        if (mergedUpdates.has('Account:bad:1')) {
+          throw new Error('invalid input syntax for type json');
+        }
+        return new Map([...mergedUpdates.keys()].map(key => [key, { success: true, version: 3 }]));
+      }
+    });
+
+    const result = await task.processPendingUpdates(0);
+
+    expect(result.processed).toBe(3);
+    expect(ephemeralManager.flushPersistedEntities.mock.calls[0][0].map(({ entityId }) => entityId)).toEqual(['a', 'c', 'd']);
+    expect(deadLetters.add).toHaveBeenCalledWith([
+      expect.objectContaining({
+        entityId: 'bad',
+        error: 'invalid input syntax for type json',
+        attempts: 2,
+        payload: { attributes: { name: 'bad' }, rankScores: {}, isDelete: false }
+      })
+    ]);
+    expect(ephemeralManager.releaseDirtyKeys).toHaveBeenCalledWith([expect.objectContaining({ entityId: 'bad' })]);
+  });
+
+  test('keeps the batch dirty when the database is unreachable', async () => {
+    const unreachable = Object.assign(new Error("Can't reach database server"), { code: 'P1001' });
+    const { task, ephemeralManager, deadLetters } = buildTask({
+      updates: ['a', 'b'].map(buildUpdate),
+      performBatchUpsert: async () => { throw unreachable; }
+    });
+
+    await expect(task.processPendingUpdates(0)).rejects.toBe(unreachable);
+    expect(deadLetters.add).not.toHaveBeenCalled();
+    expect(ephemeralManager.flushPersistedEntities).not.toHaveBeenCalled();
+  });
+
+  test('keeps the batch dirty when no entity of it persists on its own', async () => {
+    const { task, deadLetters } = buildTask({
+      updates: ['a', 'b', 'c'].map(buildUpdate),
+      performBatchUpsert: async () => { throw new Error('canceling statement due to statement timeout'); }
+    });
+
+    await expect(task.processPendingUpdates(0)).rejects.toThrow('statement timeout');
+    expect(deadLetters.add).not.toHaveBeenCalled();
+  });
+
+  test('dead-letters an outbox entry the upsert throws for and goes on to the dirty set', async () => {
+    const outboxEntity = (entityId) => ({
+      environment: 'production',
+      entityType: 'Account',
+      entityId,
+      worldId: 1,
+      documents: [{ version: 2, attributes: { name: entityId }, rankScores: {}, isDeleted: false }]
+    });
+    const pending = [outboxEntity('a'), outboxEntity('bad')];
+    const outbox = {
+      enabled: true,
+      readPending: jest.fn().mockResolvedValue(pending),
+      acknowledge: jest.fn().mockResolvedValue(undefined),
+      getStats: () => ({})
+    };
+    const { task, ephemeralManager, deadLetters } = buildTask({
+      updates: [buildUpdate('c')],
+      outbox,
+      documents: [{ version: 2, attributes: { name: 'a' } }, { version: 2, attributes: { name: 'bad' } }],
+      performBatchUpsert: async (mergedUpdates) => {
+        if (mergedUpdates.has('Account:bad:1')) {
+          throw new Error('invalid input syntax for type json');
+        }
+        return new Map([...mergedUpdates.keys()].map(key => [key, { success: true, version: 2 }]));
+      }
+    });
+
+    const result = await task.processPendingUpdates(0);
+
+    expect(deadLetters.add).toHaveBeenCalledWith([
+      expect.objectContaining({ entityId: 'bad', error: 'invalid input syntax for type json' })
+    ]);
+    expect(outbox.acknowledge).toHaveBeenCalledWith(pending);
+    expect(ephemeralManager.getPendingUpdates).toHaveBeenCalled();
+    expect(result.processed).toBe(2);
+  });
+
+  test('persists the dirty set when the outbox drain fails', async () => {
+    const outbox = {
+      enabled: true,
+      readPending: jest.fn().mockRejectedValue(new Error('relation "persistence_outbox" does not exist')),
+      getStats: () => ({})
+    };
+    const { task } = buildTask({
+      updates: [buildUpdate('a')],
+      outbox,
+      performBatchUpsert: async (mergedUpdates) => new Map([...mergedUpdates.keys()].map(key => [key, { success: true, version: 3 }]))
+    });
+
+    await expect(task.processPendingUpdates(0)).resolves.toMatchObject({ processed: 1 });
+  });
+});
@@ -2,6 +2,8 @@ import {
   decodeCloudSaveMessage,
   buildCloudSearchResult,
   buildCloudTopResult,
+  buildCloudQueryResult,
+  buildCloudErrorResult,
 } from '../../util/CloudRunnerContract.js';
 
 describe('CloudRunnerContract', () => {
@@ -45,6 +47,7 @@ describe('CloudRunnerContract', () => {
           rankScoresJson: '{"fameScore":{"1":100}}',
         },
       ],
+      nextCursor: '',
     });
   });
 
@@ -79,6 +82,54 @@ describe('CloudRunnerContract', () => {
           rankValue: 100,
         },
       ],
+      nextCursor: '',
+    });
+  });
+
+  test('buildCloudTopResult includes the next page cursor', () => {
+    expect(buildCloudTopResult([], 'eyJpZCI6Imd1aWxkX2EifQ').nextCursor).toBe('eyJpZCI6Imd1aWxkX2EifQ');
+  });
+
+  test('buildCloudQueryResult includes the next page cursor', () => {
+    expect(
+      buildCloudQueryResult(
+        [
+          {
+            entity_type: 'Party',
+            id: 'party_a',
+            world_id: 1,
+            attributes: {
+              leaderId: 'pc_1',
+            },
+            rank_scores: null,
+          },
+        ],
+        'eyJpZCI6InBhcnR5X2EifQ'
+      )
+    ).toEqual({
+      ok: true,
+      code: '',
+      rows: [
+        {
+          entityType: 'Party',
+          id: 'party_a',
+          worldId: 1,
+          attributesJson: '{"leaderId":"pc_1"}',
+          rankScoresJson: '{}',
+        },
+      ],
+      nextCursor: 'eyJpZCI6InBhcnR5X2EifQ',
+    });
+    expect(buildCloudQueryResult([]).nextCursor).toBe('');
+  });
+
+  test('buildCloudErrorResult reports the failing field without rows', () => {
+    expect(buildCloudErrorResult('missing_field', 'Command 0: rankKey is required', 'rankKey')).toEqual({
+      ok: false,
+      code: 'missing_field',
+      field: 'rankKey',
+      error: 'Command 0: rankKey is required',
+      rows: [],
     });
   });
 });
@@ -0,0 +1,310 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+// Published as ES modules only, and only used for encrypted requests
+jest.mock('@stablelib/nacl', () => ({}));
+jest.mock('@stablelib/base64', () => ({}));
+// Imported by the entity managers but not part of this tree
+jest.mock('../../util/StreamUpdateUtil.js', () => ({ StreamUpdateUtil: {} }), { virtual: true });
+
+import { CommandProcessor } from '../../util/CommandProcessor.js';
+import { config } from '../../config.js';
+import { metrics } from '../../util/MetricsCollector.js';
+import { auditLogger } from '../../util/AuditLogger.js';
+import { entityTypeRegistry } from '../../util/EntityTypeRegistry.js';
+import { CommandHandlerRegistry } from '../../util/CommandHandlerRegistry.js';
+import joinGuild from '../../handlers/joinGuild.js';
+
+// Loading the processor starts the metrics singleton's collection timer
+afterAll(() => {
+  metrics.stopSystemMetricsCollection();
+});
+
+describe('CommandProcessor transactions', () => {
+  const maxTransactionSize = config.ephemeral.maxTransactionSize;
+  // Validation and handler commits only use the processor's methods, not its managers
+  const processor = Object.create(CommandProcessor.prototype);
+  const save = entityId => ({ entityType: 'Account', entityId, worldId: 1, attributes: { level: 1 } });
+
+  beforeEach(() => {
+    config.ephemeral.maxTransactionSize = 2;
+  });
+
+  afterEach(() => {
+    config.ephemeral.maxTransactionSize = maxTransactionSize;
+  });
+
+  test('rejects a txn command with more saves than maxTransactionSize', () => {
+    expect(processor.validateTransactionCommand({ saves: [save('a'), save('b')] })).toBeNull();
+    expect(processor.validateTransactionCommand({ saves: [save('a'), save('b'), save('c')] })).toEqual({
+      code: 'invalid_field',
+      field: 'saves',
+      message: 'txn.saves must contain 2 saves or fewer'
+    });
+  });
+
+  test('fails a handler that saves more entities than maxTransactionSize without applying any', async () => {
+    const applyTransaction = jest.fn();
+    const handlerProcessor = Object.assign(Object.create(CommandProcessor.prototype), { ephemeralManager: { applyTransaction } });
+
+    const outcome = await handlerProcessor.commitHandlerContext(
+      { handler: 'grantRewards', saves: [save('a'), save('b'), save('c')], sends: [] },
+      null,
+      'production'
+    );
+
+    expect(outcome).toEqual({ success: false, code: 'handler_error', error: 'grantRewards: saved 3 entities, above the limit of 2' });
+    expect(applyTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('CommandProcessor command validation', () => {
+  const BATCH_METHODS = [
+    'processBatchedLoads', 'processBatchedSaves', 'processBatchedTransactions', 'processBatchedStreamAdds',
+    'processBatchedStreamPulls', 'processBatchedSearchByName', 'processBatchedCalculateRank',
+    'processBatchedGetRankings', 'processBatchedClientMetrics', 'processBatchedPresence'
+  ];
+
+  // Every batch succeeds for the commands it is given, so only validation can fail a command
+  function buildProcessor() {
+    const processor = Object.create(CommandProcessor.prototype);
+    processor.validateAndDecryptRequest = jest.fn().mockResolvedValue(undefined);
+    processor.getFileManager = () => null;
+    processor.presenceManager = { getPlayerPopulationSnapshot: jest.fn().mockResolvedValue({}) };
+    processor.backpressure = { getWarning: () => null };
+    processor.idempotencyStore = {
+      claim: jest.fn(async keys => keys.map(() => ({ status: 'claimed' }))),
+      complete: jest.fn().mockResolvedValue(undefined),
+      release: jest.fn().mockResolvedValue(undefined),
+      getKey: (...parts) => parts.join(':')
+    };
+    BATCH_METHODS.forEach(method => {
+      processor[method] = jest.fn(async commands => commands.map(command => ({
+        originalIndex: command.originalIndex,
+        type: command.type,
+        result: { success: true }
+      })));
+    });
+    return processor;
+  }
+
+  const payload = commands => ({ worldInstanceId: 'world-1', environment: 'production', commands });
+  const load = entityId => ({ entityType: 'Account', entityId, worldId: 1 });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(auditLogger, 'logCommands').mockResolvedValue(undefined);
+    jest.spyOn(auditLogger, 'logFailedRequest').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns an error result for each malformed command and still runs its siblings', async () => {
+    const processor = buildProcessor();
+
+    const response = await processor.processCommands(payload({
+      load: [load('a'), { entityType: 'Account', entityId: 'b', worldId: 'north' }, 'c'],
+      save: [{ entityType: 'Account', worldId: 1 }],
+      rank: [load('d')],
+      top: [{ entityType: 'Account', worldId: -1, rankKey: 'level' }],
+      warp: [load('e')]
+    }));
+
+    expect(response.load).toEqual([
+      { success: true },
+      { success: false, code: 'invalid_field', field: 'worldId', error: 'Command 1: World ID must be a non-negative integer' },
+      { success: false, code: 'invalid_command', field: null, error: 'Command 2 must be an object' }
+    ]);
+    expect(response.save).toEqual([
+      { success: false, code: 'missing_field', field: 'entityId', error: 'Command 0: entityId is required' }
+    ]);
+    expect(response.rank).toEqual([
+      { success: false, code: 'missing_field', field: 'rankKey', error: 'Command 0: rankKey is required' }
+    ]);
+    expect(response.top).toEqual([
+      { ok: false, code: 'invalid_field', field: 'worldId', error: 'Command 0: World ID must be a non-negative integer', rows: [] }
+    ]);
+    expect(response.warp).toEqual([
+      { success: false, code: 'unknown_command_type', field: null, error: 'Command 0: unknown command type: warp' }
+    ]);
+    expect(processor.processBatchedLoads).toHaveBeenCalledWith([expect.objectContaining({ entityId: 'a' })], 'production');
+    expect(processor.processBatchedSaves).toHaveBeenCalledWith([], 'production');
+  });
+
+  test('reports the field of an invalid save inside a txn command', async () => {
+    const processor = buildProcessor();
+
+    const response = await processor.processCommands(payload({
+      txn: [{ saves: [load('a'), { entityType: 'Account', worldId: 1 }] }, { saves: [] }]
+    }));
+
+    expect(response.txn).toEqual([
+      { success: false, code: 'missing_field', field: 'saves[1].entityId', error: 'Command 0: saves[1].entityId is required' },
+      { success: false, code: 'invalid_field', field: 'saves', error: 'Command 1: txn.saves must be a non-empty array' }
+    ]);
+    expect(processor.processBatchedTransactions).toHaveBeenCalledWith([], 'production');
+  });
+
+  test('returns an invalid per-command idempotencyKey as a command error and still runs its siblings', async () => {
+    const processor = buildProcessor();
+    const save = (entityId, idempotencyKey) => ({ entityType: 'Account', entityId, worldId: 1, attributes: {}, idempotencyKey });
+
+    const response = await processor.processCommands(payload({
+      save: [save('a', 'grant-1'), save('b', 'grant 2')]
+    }));
+
+    expect(response.save).toEqual([
+      { success: true },
+      { success: false, code: 'invalid_field', field: 'idempotencyKey', error: 'Command 1: idempotencyKey contains invalid characters' }
+    ]);
+    expect(processor.processBatchedSaves).toHaveBeenCalledWith([expect.objectContaining({ entityId: 'a' })], 'production');
+  });
+
+  test('rejects the whole request with a 400 only for a malformed envelope', async () => {
+    const processor = buildProcessor();
+
+    await expect(processor.processCommands(payload({ load: [load('a')], save: { entityId: 'b' } })))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Commands must be an array for type: save', details: { type: 'save' } });
+    await expect(processor.processCommands(payload([load('a')])))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid request: commands object is required' });
+    BATCH_METHODS.forEach(method => expect(processor[method]).not.toHaveBeenCalled());
+  });
+});
+
+describe('CommandProcessor links', () => {
+  const members = { ownerType: 'Guild', name: 'members', target: 'PlayerCharacter', inverse: 'guild', maxTargets: 50, maxSources: 1, direction: 'outgoing' };
+
+  beforeEach(() => {
+    jest.spyOn(entityTypeRegistry, 'getRelationship').mockReturnValue(members);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('links only entities that exist and reports the missing side', async () => {
+    const existing = new Set(['Guild:g-1', 'PlayerCharacter:pc-1']);
+    const link = jest.fn().mockResolvedValue({ success: true, created: true });
+    const processor = Object.assign(Object.create(CommandProcessor.prototype), {
+      relationshipManager: { link },
+      loadEntities: jest.fn(async requests => requests.map(({ entityType, entityId }) => (
+        existing.has(`${entityType}:${entityId}`) ? { id: entityId } : null
+      )))
+    });
+    const command = (originalIndex, entityId, targetId) => ({ originalIndex, entityType: 'Guild', relationship: 'members', entityId, worldId: 1, targetId });
+
+    const results = await processor.processBatchedLinks([
+      command(0, 'g-1', 'pc-1'),
+      command(1, 'g-1', 'pc-9'),
+      command(2, 'g-9', 'pc-1')
+    ], 'production');
+
+    expect(results.map(({ result }) => result)).toEqual([
+      { success: true, created: true },
+      { success: false, error: 'entity_not_found', entityType: 'PlayerCharacter', entityId: 'pc-9' },
+      { success: false, error: 'entity_not_found', entityType: 'Guild', entityId: 'g-9' }
+    ]);
+    expect(link).toHaveBeenCalledTimes(1);
+    expect(link).toHaveBeenCalledWith(expect.objectContaining({ fromId: 'g-1', toId: 'pc-1', toWorldId: 1 }));
+  });
+
+  test('does not link a deleted entity', async () => {
+    const link = jest.fn();
+    const processor = Object.assign(Object.create(CommandProcessor.prototype), {
+      relationshipManager: { link },
+      loadEntities: jest.fn().mockResolvedValue([{ id: 'g-1' }, { id: 'pc-1', isDeleted: true }])
+    });
+
+    const [{ result }] = await processor.processBatchedLinks(
+      [{ originalIndex: 0, entityType: 'Guild', relationship: 'members', entityId: 'g-1', worldId: 1, targetId: 'pc-1' }],
+      'production'
+    );
+
+    expect(result).toEqual({ success: false, error: 'entity_not_found', entityType: 'PlayerCharacter', entityId: 'pc-1' });
+    expect(link).not.toHaveBeenCalled();
+  });
+});
+
+describe('CommandProcessor handler calls', () => {
+  // Entities by type and id; applyTransaction enforces expectedVersion like the write script
+  function buildProcessor(entities) {
+    const store = new Map(entities.map(entity => [`${entity.entityType}:${entity.id}`, entity]));
+    // Registered directly rather than read from COMMAND_HANDLERS_DIR
+    const handlerRegistry = new CommandHandlerRegistry();
+    handlerRegistry.handlers.set('joinGuild', handlerRegistry.normalizeHandler('joinGuild', joinGuild));
+    handlerRegistry.loadPromise = Promise.resolve(handlerRegistry.handlers.size);
+
+    const applyTransaction = jest.fn(async updates => {
+      const stored = updates.map(update => store.get(`${update.entityType}:${update.entityId}`));
+      const conflict = updates.findIndex((update, index) => (
+        update.expectedVersion !== undefined && update.expectedVersion !== stored[index].version
+      ));
+      if (conflict !== -1) {
+        return { success: false, index: conflict, error: 'version_conflict', currentVersion: stored[conflict].version };
+      }
+
+      updates.forEach((update, index) => {
+        const attributes = { ...stored[index].attributes, ...update.attributes };
+        (update.attributeOps || []).forEach(({ op, path, value }) => {
+          attributes[path] = op === 'inc' ? (attributes[path] ?? 0) + value : [...(attributes[path] ?? []), value];
+        });
+        store.set(`${update.entityType}:${update.entityId}`, { ...stored[index], attributes, version: stored[index].version + 1 });
+      });
+      return { success: true, versions: updates.map((update, index) => stored[index].version + 1) };
+    });
+
+    const processor = Object.assign(Object.create(CommandProcessor.prototype), {
+      handlerRegistry,
+      ephemeralManager: { applyTransaction },
+      streamManager: { batchAddMessages: jest.fn().mockResolvedValue(undefined) },
+      schemaValidator: { validateUpdates: jest.fn(async (environment, updates) => updates.map(() => null)) },
+      backpressure: { admit: () => null },
+      // Every call loads before any of them commits, as concurrent requests can
+      loadEntities: jest.fn(async requests => {
+        const loaded = requests.map(({ entityType, entityId }) => {
+          const entity = store.get(`${entityType}:${entityId}`);
+          return entity ? structuredClone(entity) : null;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        return loaded;
+      })
+    });
+    return { processor, store, applyTransaction };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reruns a join that lost a version conflict, which then sees the character already in a guild', async () => {
+    const { processor, store, applyTransaction } = buildProcessor([
+      { entityType: 'Guild', id: 'g-1', version: 5, attributes: { memberCount: 1, memberIds: ['pc-0'] } },
+      { entityType: 'Guild', id: 'g-2', version: 2, attributes: { memberCount: 0, memberIds: [] } },
+      { entityType: 'PlayerCharacter', id: 'pc-1', version: 3, attributes: {} }
+    ]);
+    const call = (originalIndex, guildId) => ({
+      originalIndex,
+      type: 'call',
+      handler: 'joinGuild',
+      input: { worldId: 1, guildId, characterId: 'pc-1' }
+    });
+
+    const results = await processor.processBatchedCalls([call(0, 'g-1'), call(1, 'g-2')], 'production');
+
+    expect(results.map(({ result }) => result)).toEqual([
+      { success: true, result: { guildId: 'g-1', characterId: 'pc-1' }, versions: [6, 4] },
+      { success: false, code: 'already_in_guild', error: 'joinGuild: PlayerCharacter pc-1 is already in guild g-1' }
+    ]);
+    expect(applyTransaction).toHaveBeenCalledTimes(2);
+    expect(applyTransaction.mock.calls[1][0]).toEqual([
+      expect.objectContaining({ entityId: 'g-2', expectedVersion: 2 }),
+      expect.objectContaining({ entityId: 'pc-1', expectedVersion: 3 })
+    ]);
+    expect(store.get('Guild:g-2')).toMatchObject({ version: 2, attributes: { memberCount: 0, memberIds: [] } });
+    expect(store.get('PlayerCharacter:pc-1')).toMatchObject({ version: 4, attributes: { guildId: 'g-1' } });
+  });
+});
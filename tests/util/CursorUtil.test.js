@@ -0,0 +1,38 @@
+import { CursorUtil } from '../../util/CursorUtil.js';
+
+describe('CursorUtil', () => {
+  test('rank cursors round-trip BIGINT scores and are bound to rankKey and sortOrder', () => {
+    const query = { rankKey: 'fameScore:1', sortOrder: 'DESC' };
+    const cursor = CursorUtil.encodeRankCursor({ id: 'guild_a', rank_value: 9007199254740993n }, query);
+
+    expect(CursorUtil.decodeRankCursor(cursor, query)).toEqual({ score: '9007199254740993', id: 'guild_a' });
+    expect(() => CursorUtil.decodeRankCursor(cursor, { ...query, sortOrder: 'ASC' })).toThrow('cursor does not match this query');
+    expect(() => CursorUtil.decodeRankCursor(cursor, { ...query, rankKey: 'fameScore:2' })).toThrow('cursor does not match this query');
+  });
+
+  test('name cursors record the last world for searches across all worlds', () => {
+    const query = { namePattern: 'knight', worldId: null };
+    const cursor = CursorUtil.encodeNameCursor(
+      { id: 'guild_a', world_id: 3, attributes: { name: 'Knights' } },
+      query
+    );
+
+    expect(CursorUtil.decodeNameCursor(cursor, query)).toEqual({ worldId: 3, name: 'Knights', id: 'guild_a' });
+    expect(() => CursorUtil.decodeNameCursor(cursor, { namePattern: 'knight', worldId: 3 })).toThrow('cursor does not match this query');
+  });
+
+  test('paginate trims the extra row and only returns a cursor when more rows exist', () => {
+    const rows = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    expect(CursorUtil.paginate(rows, 2, last => `after:${last.id}`)).toEqual({
+      rows: [{ id: 'a' }, { id: 'b' }],
+      nextCursor: 'after:b'
+    });
+    expect(CursorUtil.paginate(rows, 3, last => `after:${last.id}`)).toEqual({ rows, nextCursor: null });
+  });
+
+  test('rejects cursors that are not encoded objects', () => {
+    expect(() => CursorUtil.decode('not a cursor')).toThrow('cursor is invalid');
+    expect(() => CursorUtil.decode(CursorUtil.encode([1, 2]))).toThrow('cursor is invalid');
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+import { DeletedEntityManager } from '../../util/DeletedEntityManager.js';
+import { metrics } from '../../util/MetricsCollector.js';
+
+// Loading the lock utility starts the metrics singleton's collection timer
+afterAll(() => {
+  metrics.stopSystemMetricsCollection();
+});
+
+const deletedRow = {
+  environment: 'production',
+  entityType: 'Guild',
+  id: 'g-1',
+  worldId: 1,
+  attributes: { name: 'Knights', tag: 'KN' },
+  rankScores: {},
+  version: 4,
+  isDeleted: true
+};
+
+function buildManager({ row = deletedRow, redisDocument = null, conflicts = [], reserved = { success: true, status: 'reserved' }, restoredCount = 1, lockHeld = false } = {}) {
+  let stored = row && { ...row };
+  const prisma = {
+    entity: {
+      findFirst: jest.fn(async () => stored && { ...stored }),
+      updateMany: jest.fn(async () => {
+        if (restoredCount > 0) stored = { ...stored, isDeleted: false, version: stored.version + 1 };
+        return { count: restoredCount };
+      })
+    },
+    $queryRaw: jest.fn().mockResolvedValue(conflicts)
+  };
+  const registry = {
+    isEphemeral: entityType => entityType === 'Party',
+    getIndexes: () => [{ attribute: 'tag', unique: true }, { attribute: 'level', unique: false }],
+    getPolicy: () => ({ nameField: 'name' }),
+    list: () => [
+      { name: 'Guild', persistence: 'persistent', purgeDeletedAfterDays: 7 },
+      { name: 'Party', persistence: 'ephemeral', purgeDeletedAfterDays: 30 }
+    ]
+  };
+  const nameReservations = {
+    isEnabled: () => true,
+    batchReserve: jest.fn().mockResolvedValue([reserved]),
+    batchConfirm: jest.fn().mockResolvedValue([{ success: true, status: 'confirmed' }]),
+    batchRelease: jest.fn().mockResolvedValue([{ success: true }])
+  };
+  const persistentManager = {
+    getCacheKey: (...parts) => parts.filter(part => part !== undefined).join(':'),
+    cache: { trackDependencies: jest.fn(), mset: jest.fn().mockResolvedValue(undefined), defaultTTL: 300 }
+  };
+  const redis = {
+    set: jest.fn().mockResolvedValue(lockHeld ? null : 'OK'),
+    eval: jest.fn().mockResolvedValue(1)
+  };
+
+  const manager = new DeletedEntityManager({
+    prisma,
+    persistentManager,
+    ephemeralManager: { batchLoad: jest.fn().mockResolvedValue([redisDocument]) },
+    entityTypeRegistry: registry,
+    indexManager: { persist: jest.fn().mockResolvedValue(undefined) },
+    relationshipManager: { removeExcessLinks: jest.fn().mockResolvedValue(0) },
+    nameReservations,
+    versionHistory: { capture: jest.fn().mockResolvedValue(new Map()), record: jest.fn().mockResolvedValue(undefined) },
+    auditLogger: { logCommands: jest.fn().mockResolvedValue(undefined) },
+    enabled: true,
+    deletedAfterDays: 30,
+    batchSize: 2,
+    redis
+  });
+  return { manager, prisma, nameReservations, persistentManager };
+}
+
+const request = { environment: 'production', entityType: 'Guild', entityId: 'g-1', requestContext: { clientIp: '10.0.0.1' } };
+
+describe('DeletedEntityManager undelete', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restores a deleted entity with its index entries, links and name and records the version', async () => {
+    const { manager, prisma, nameReservations, persistentManager } = buildManager();
+
+    const result = await manager.undelete(request);
+
+    expect(result).toEqual({
+      success: true,
+      entity: { id: 'g-1', environment: 'production', entityType: 'Guild', worldId: 1, attributes: deletedRow.attributes, rankScores: {}, version: 5 },
+      name: { success: true, status: 'confirmed' }
+    });
+    expect(prisma.entity.updateMany).toHaveBeenCalledWith({
+      where: { environment: 'production', entityType: 'Guild', id: 'g-1', isDeleted: true },
+      data: { isDeleted: false, version: { increment: 1 } }
+    });
+    expect(manager.versionHistory.record).toHaveBeenCalled();
+    expect(manager.indexManager.persist).toHaveBeenCalledWith([expect.objectContaining({ entityId: 'g-1', attributes: deletedRow.attributes })]);
+    expect(manager.relationshipManager.removeExcessLinks).toHaveBeenCalledWith({ environment: 'production', entityType: 'Guild', entityId: 'g-1' });
+    expect(nameReservations.batchConfirm).toHaveBeenCalledWith([{ entityType: 'Guild', entityId: 'g-1', name: 'Knights' }], 'production');
+    expect(persistentManager.cache.mset).toHaveBeenCalled();
+    expect(manager.auditLogger.logCommands).toHaveBeenCalledWith(
+      expect.objectContaining({ environment: 'production' }),
+      expect.anything(),
+      { undelete: [{ originalIndex: 0, type: 'undelete', result: { success: true, version: 5 } }] },
+      200
+    );
+  });
+
+  test.each([
+    ['an ephemeral entity type', { entityType: 'Party' }, {}, { success: false, error: 'entity_type_not_persistent' }],
+    ['a missing entity', {}, { row: null }, { success: false, error: 'entity_not_found' }],
+    ['an entity that is not deleted', {}, { row: { ...deletedRow, isDeleted: false } }, { success: false, error: 'entity_not_deleted' }],
+    ['an entity with unpersisted writes', {}, { redisDocument: { id: 'g-1' } }, { success: false, error: 'write_pending' }],
+    ['a unique value taken since the delete', {}, { conflicts: [{ attribute: 'tag' }] }, { success: false, error: 'unique_value_taken', attribute: 'tag' }],
+    ['a name taken since the delete', {}, { reserved: { success: false, error: 'name_taken', name: 'Knights' } }, { success: false, error: 'name_taken', name: 'Knights' }]
+  ])('refuses to restore %s', async (description, overrides, options, expected) => {
+    const { manager, prisma } = buildManager(options);
+
+    expect(await manager.undelete({ ...request, ...overrides })).toEqual(expected);
+    expect(prisma.entity.updateMany).not.toHaveBeenCalled();
+    expect(manager.relationshipManager.removeExcessLinks).not.toHaveBeenCalled();
+    expect(manager.auditLogger.logCommands).toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.anything(), 409);
+  });
+
+  test('releases the reclaimed name when another restore got there first', async () => {
+    const { manager, nameReservations } = buildManager({ restoredCount: 0 });
+
+    expect(await manager.undelete(request)).toEqual({ success: false, error: 'entity_not_deleted' });
+    expect(nameReservations.batchRelease).toHaveBeenCalledWith([{ entityType: 'Guild', entityId: 'g-1', name: 'Knights' }], 'production');
+    expect(manager.versionHistory.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('DeletedEntityManager purge', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports what a purge would remove with the retention of each persistent type', async () => {
+    const { manager, prisma } = buildManager();
+    const oldest = new Date('2026-09-01T00:00:00Z');
+    prisma.$queryRaw.mockResolvedValue([
+      { environment: 'production', entity_type: 'Guild', days: 7, count: 12, oldest_deleted_at: oldest }
+    ]);
+
+    expect(await manager.report()).toEqual([
+      { environment: 'production', entityType: 'Guild', purgeAfterDays: 7, count: 12, oldestDeletedAt: oldest }
+    ]);
+    expect(prisma.$queryRaw.mock.calls[0]).toContain(JSON.stringify([{ entity_type: 'Guild', days: 7 }]));
+    expect(prisma.$queryRaw.mock.calls[0]).toContain(30);
+  });
+
+  test('purges in batches until a batch is not full and counts removals by type', async () => {
+    const { manager, prisma } = buildManager();
+    prisma.$queryRaw
+      .mockResolvedValueOnce([{ entity_type: 'Guild', count: 1 }, { entity_type: 'Account', count: 1 }])
+      .mockResolvedValueOnce([{ entity_type: 'Guild', count: 2 }])
+      .mockResolvedValueOnce([{ entity_type: 'Guild', count: 1 }]);
+
+    expect(await manager.purge()).toEqual({ Guild: 4, Account: 1 });
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(3);
+    // Links are kept while an entity is deleted and go with it
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toContain('DELETE FROM entity_relationships');
+  });
+
+  test('runs the purge under a lock and skips it while another server holds the lock', async () => {
+    const { manager, prisma } = buildManager();
+    prisma.$queryRaw.mockResolvedValue([{ entity_type: 'Guild', count: 1 }]);
+
+    expect(await manager.runPurge()).toEqual({ Guild: 1 });
+    expect(manager.getStats()).toMatchObject({ lastPurged: 1, lastError: null });
+
+    const { manager: locked, prisma: lockedPrisma } = buildManager({ lockHeld: true });
+    expect(await locked.runPurge()).toBeNull();
+    expect(lockedPrisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,29 @@
+import { EntityDiffUtil } from '../../util/EntityDiffUtil.js';
+
+describe('EntityDiffUtil', () => {
+  test('computeChanges lists changed and removed keys', () => {
+    const previous = { attributes: { name: 'Maple', level: 9, title: 'Rookie' }, rankScores: { fame: { 1: 10 } } };
+    const current = { attributes: { name: 'Maple', level: 10 }, rankScores: { fame: { 1: 12 }, pvp: { 1: 3 } } };
+
+    expect(EntityDiffUtil.computeChanges(previous, current)).toEqual({
+      attributes: { level: 10 },
+      removedAttributes: ['title'],
+      rankScores: { fame: { 1: 12 }, pvp: { 1: 3 } },
+      removedRankScores: []
+    });
+  });
+
+  test('applyChanges replays a chain of changes from a snapshot', () => {
+    const v1 = { attributes: { name: 'Maple', level: 1 }, rankScores: {} };
+    const v2 = { attributes: { name: 'Maple', level: 2, guild: 'g-1' }, rankScores: { fame: { 1: 5 } } };
+    const v3 = { attributes: { name: 'Maple II', level: 2 }, rankScores: { fame: { 1: 5 } } };
+
+    const replayed = [v2, v3].reduce(
+      (state, next, index) => EntityDiffUtil.applyChanges(state, EntityDiffUtil.computeChanges([v1, v2][index], next)),
+      v1
+    );
+
+    expect(replayed).toEqual(v3);
+    expect(v1.attributes).toEqual({ name: 'Maple', level: 1 });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+import { EntityIndexManager } from '../../util/EntityIndexManager.js';
+
+// rows: what the database query of each test returns
+function buildManager({ members = [], rows = [] } = {}) {
+  const redis = {
+    // Two members per page, like a large set read in several SSCAN calls
+    sscan: jest.fn(async (key, cursor, ...options) => {
+      const match = options[options.indexOf('MATCH') + 1];
+      const start = parseInt(cursor);
+      const page = members.slice(start, start + 2).filter(member => match === '*' || member.startsWith(match.slice(0, -1)));
+      const next = start + 2 >= members.length ? '0' : String(start + 2);
+      return [next, page];
+    }),
+    eval: jest.fn().mockResolvedValue(1)
+  };
+  const prisma = { $queryRaw: jest.fn().mockResolvedValue(rows) };
+  const manager = new EntityIndexManager({
+    redis,
+    prisma,
+    entityTypeRegistry: { isEphemeral: () => false }
+  });
+  return { manager, redis, prisma };
+}
+
+describe('EntityIndexManager', () => {
+  const lookup = { environment: 'production', entityType: 'PlayerCharacter', attribute: 'guildId', value: 'g-1' };
+
+  test('reads at most limit members of a large index set', async () => {
+    const members = Array.from({ length: 10 }, (_, index) => `1:pc-${index}`);
+    const { manager, redis } = buildManager({ members, rows: [{ entity_id: 'pc-0', world_id: 1 }, { entity_id: 'pc-99', world_id: 1 }] });
+
+    const candidates = await manager.findCandidates({ ...lookup, limit: 3 });
+
+    expect(redis.sscan).toHaveBeenCalledTimes(2);
+    expect(candidates).toEqual([
+      { entityId: 'pc-0', worldId: 1 },
+      { entityId: 'pc-1', worldId: 1 },
+      { entityId: 'pc-2', worldId: 1 },
+      { entityId: 'pc-99', worldId: 1 }
+    ]);
+  });
+
+  test('only scans members of the requested world', async () => {
+    const { manager } = buildManager({ members: ['1:pc-1', '2:pc-2', '2:pc-3'] });
+
+    const candidates = await manager.findCandidates({ ...lookup, worldId: 2, limit: 10 });
+
+    expect(candidates.map(({ entityId }) => entityId)).toEqual(['pc-2', 'pc-3']);
+  });
+
+  test('removes stale entries by compare-and-remove, passing which entities the database still has with the value', async () => {
+    const { manager, redis } = buildManager({ rows: [{ id: 'pc-2', world_id: 1 }] });
+
+    await manager.removeStale(lookup, [{ entityId: 'pc-1', worldId: 1 }, { entityId: 'pc-2', worldId: 1 }]);
+
+    const [, keyCount, ...rest] = redis.eval.mock.calls[0];
+    expect(keyCount).toBe(3);
+    expect(rest.slice(0, 3)).toEqual([
+      manager.getIndexKey('production', 'PlayerCharacter', 'guildId', 's:g-1'),
+      'production:ephemeral:PlayerCharacter:1:pc-1',
+      'production:ephemeral:PlayerCharacter:1:pc-2'
+    ]);
+    expect(rest.slice(3)).toEqual(['$.attributes.guildId', '["g-1"]', '1:pc-1', '0', '1:pc-2', '1']);
+  });
+});
@@ -0,0 +1,87 @@
+import { EntityQueryBuilder } from '../../util/EntityQueryBuilder.js';
+
+function buildQuery(command) {
+  return {
+    ...EntityQueryBuilder.sanitizeQuery({ entityType: 'Party', worldId: 1, ...command }),
+    environment: 'staging'
+  };
+}
+
+describe('EntityQueryBuilder', () => {
+  test('builds containment predicates that can use the attributes GIN index', () => {
+    const { text, values } = EntityQueryBuilder.build(buildQuery({
+      where: [
+        { path: 'leaderId', op: 'eq', value: 'pc_1' },
+        { path: 'job', op: 'in', values: ['warrior', 'mage'] },
+        { path: 'tags', op: 'contains', value: 'pvp' }
+      ]
+    }));
+
+    expect(text).toContain('attributes @> $4::JSONB');
+    expect(text).toContain('(attributes @> $5::JSONB OR attributes @> $6::JSONB)');
+    expect(text).toContain('ORDER BY id ASC');
+    expect(values).toEqual([
+      'staging',
+      'Party',
+      1,
+      '{"leaderId":"pc_1"}',
+      '{"job":"warrior"}',
+      '{"job":"mage"}',
+      '{"tags":["pvp"]}',
+      101
+    ]);
+  });
+
+  test('builds numeric range and exists predicates on nested paths', () => {
+    const { text, values } = EntityQueryBuilder.build(buildQuery({
+      where: [
+        { path: 'stats.level', op: 'range', gte: 10, lt: 50 },
+        { path: 'guildId', op: 'exists', value: false }
+      ],
+      limit: 20
+    }));
+
+    expect(text).toContain("CASE WHEN jsonb_typeof(attributes #> $4::TEXT[]) = 'number'");
+    expect(text).toContain('>= $5::NUMERIC');
+    expect(text).toContain('< $6::NUMERIC');
+    expect(text).toContain('attributes #> $7::TEXT[] IS NULL');
+    expect(values.slice(3)).toEqual(['{stats,level}', 10, 50, '{guildId}', 21]);
+  });
+
+  test('paginates with a keyset cursor on the sort attribute and id', () => {
+    const query = buildQuery({ sort: { path: 'level', order: 'desc' }, limit: 2 });
+    const page = EntityQueryBuilder.paginate([
+      { id: 'a', attributes: { level: 30 } },
+      { id: 'b', attributes: { level: 20 } },
+      { id: 'c', attributes: { level: 10 } }
+    ], query);
+
+    expect(page.rows.map(row => row.id)).toEqual(['a', 'b']);
+    expect(page.nextCursor).toEqual(expect.any(String));
+
+    const nextQuery = buildQuery({ sort: { path: 'level', order: 'DESC' }, limit: 2, cursor: page.nextCursor });
+    const { text, values } = EntityQueryBuilder.build(nextQuery);
+
+    expect(nextQuery.cursor).toEqual({ id: 'b', value: 20 });
+    expect(text).toContain("(COALESCE(attributes #> $4::TEXT[], 'null'::JSONB), id) < ($5::JSONB, $6::TEXT)");
+    expect(text).toContain("ORDER BY COALESCE(attributes #> $4::TEXT[], 'null'::JSONB) DESC, id DESC");
+    expect(values.slice(3)).toEqual(['{level}', '20', 'b', 3]);
+  });
+
+  test('returns no cursor on the last page', () => {
+    const query = buildQuery({ limit: 2 });
+    expect(EntityQueryBuilder.paginate([{ id: 'a' }], query)).toEqual({ rows: [{ id: 'a' }], nextCursor: null });
+  });
+
+  test('rejects invalid predicates and mismatched cursors with the offending field', () => {
+    expect(() => buildQuery({ where: [{ path: 'level', op: 'like', value: 1 }] })).toThrow(
+      expect.objectContaining({ field: 'where[0].op' })
+    );
+    expect(() => buildQuery({ where: [{ path: "name'--", op: 'eq', value: 1 }] })).toThrow(
+      expect.objectContaining({ field: 'where[0].path' })
+    );
+
+    const cursor = EntityQueryBuilder.encodeCursor({ id: 'a', attributes: { level: 1 } }, { segments: ['level'], order: 'ASC' });
+    expect(() => buildQuery({ cursor })).toThrow(expect.objectContaining({ field: 'cursor' }));
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+import { EntityRelationshipManager } from '../../util/EntityRelationshipManager.js';
+
+describe('EntityRelationshipManager', () => {
+  const members = { ownerType: 'Guild', name: 'members', target: 'PlayerCharacter', inverse: 'guild', maxTargets: 50, maxSources: 1, direction: 'outgoing' };
+  const guild = { ...members, direction: 'incoming' };
+  const link = { environment: 'production', relationship: members, fromId: 'g-1', fromWorldId: 1, toId: 'pc-1', toWorldId: 1 };
+
+  function buildManager(queryRaw, definitions = []) {
+    return new EntityRelationshipManager({
+      prisma: { $queryRaw: jest.fn(queryRaw), $executeRaw: jest.fn().mockResolvedValue(1) },
+      entityTypeRegistry: { list: () => definitions }
+    });
+  }
+
+  test('reports which side of a link is full with its limit', async () => {
+    const outcomes = ['source_limit', 'target_limit', 'created', 'updated'];
+    const manager = buildManager(async () => [{ outcome: outcomes.shift() }]);
+
+    expect(await manager.link(link)).toEqual({ success: false, error: 'max_targets_exceeded', limit: 50 });
+    expect(await manager.link(link)).toEqual({ success: false, error: 'max_sources_exceeded', limit: 1 });
+    expect(await manager.link(link)).toEqual({ success: true, created: true });
+    expect(await manager.link(link)).toEqual({ success: true, created: false });
+  });
+
+  test('pages through links with a cursor after the last id of the previous page', async () => {
+    const rows = ['pc-1', 'pc-2', 'pc-3'].map(id => ({ entity_type: 'PlayerCharacter', id, world_id: 1, metadata: {} }));
+    const manager = buildManager(async (strings, ...values) => {
+      const afterId = values[values.length - 3];
+      const limit = values[values.length - 1];
+      return rows.filter(row => afterId === null || row.id > afterId).slice(0, limit);
+    });
+    const query = { environment: 'production', relationship: members, entityId: 'g-1', limit: 2 };
+
+    const first = await manager.list(query);
+    const second = await manager.list({ ...query, cursor: first.nextCursor });
+
+    expect(first.links.map(({ entityId }) => entityId)).toEqual(['pc-1', 'pc-2']);
+    expect(second.links.map(({ entityId }) => entityId)).toEqual(['pc-3']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('rejects a cursor issued for another relationship or direction', async () => {
+    const manager = buildManager(async () => [{ entity_type: 'PlayerCharacter', id: 'pc-1', world_id: 1 }, { id: 'pc-2' }]);
+    const { nextCursor } = await manager.list({ environment: 'production', relationship: members, entityId: 'g-1', limit: 1 });
+
+    await expect(manager.list({ environment: 'production', relationship: guild, entityId: 'pc-1', cursor: nextCursor }))
+      .rejects.toThrow('cursor does not match this query');
+    await expect(manager.list({ environment: 'production', relationship: { ...members, name: 'officers' }, entityId: 'g-1', cursor: nextCursor }))
+      .rejects.toThrow('cursor does not match this query');
+  });
+
+  test('leaves links of deleted entities out of a list', async () => {
+    const manager = buildManager(async () => []);
+
+    await manager.list({ environment: 'production', relationship: members, entityId: 'g-1' });
+    await manager.list({ environment: 'production', relationship: guild, entityId: 'pc-1' });
+
+    manager.prisma.$queryRaw.mock.calls.forEach(([strings]) => {
+      expect(strings.join('?')).toContain('e.is_deleted');
+    });
+  });
+
+  test('checks a restored entity\'s links against the limits of every relationship it takes part in', async () => {
+    const manager = buildManager(null, [
+      { name: 'Alliance', relationships: [{ name: 'guilds', target: 'Guild', maxTargets: 5, maxSources: null }] },
+      { name: 'Guild', relationships: [{ name: 'members', target: 'PlayerCharacter', maxTargets: 50, maxSources: 1 }] },
+      { name: 'PlayerCharacter', relationships: [{ name: 'friends', target: 'PlayerCharacter', maxTargets: 100, maxSources: null }] }
+    ]);
+
+    expect(await manager.removeExcessLinks({ environment: 'production', entityType: 'Guild', entityId: 'g-1' })).toBe(1);
+    expect(manager.prisma.$executeRaw.mock.calls[0]).toContain(JSON.stringify([
+      { from_type: 'Alliance', relationship: 'guilds', max_targets: 5, max_sources: null },
+      { from_type: 'Guild', relationship: 'members', max_targets: 50, max_sources: 1 }
+    ]));
+
+    expect(await manager.removeExcessLinks({ environment: 'production', entityType: 'Account', entityId: 'a-1' })).toBe(0);
+    expect(manager.prisma.$executeRaw).toHaveBeenCalledTimes(1);
+  });
+});
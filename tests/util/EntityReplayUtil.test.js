@@ -0,0 +1,65 @@
+import { EntityReplayUtil } from '../../util/EntityReplayUtil.js';
+import { InputValidator } from '../../util/InputValidator.js';
+
+const NULL = InputValidator.NULL_MARKER;
+
+describe('EntityReplayUtil', () => {
+  test('applySave replays attributes, removals, rank scores and ops', () => {
+    const state = {
+      attributes: { name: 'Maple', meso: 100, stats: { hp: 50, mp: 20 }, title: 'Rookie' },
+      rankScores: { fameScore: { 1: 10, 2: 4 } },
+      isDeleted: false
+    };
+
+    const next = EntityReplayUtil.applySave(state, {
+      attributes: { stats: { hp: 60, mp: NULL }, title: NULL, fameScore: { 1: 12 } },
+      ops: [{ op: 'inc', path: 'meso', value: 50 }]
+    });
+
+    expect(next).toEqual({
+      attributes: { name: 'Maple', meso: 150, stats: { hp: 60 } },
+      rankScores: { fameScore: { 1: 12, 2: 4 } },
+      isDeleted: false
+    });
+    expect(state.attributes.meso).toBe(100);
+  });
+
+  test('applySave follows create, delete and rejected saves', () => {
+    const created = EntityReplayUtil.applySave(null, { isCreate: true, messageJson: '{"name":"Maple"}' });
+    expect(created).toEqual({ attributes: { name: 'Maple' }, rankScores: {}, isDeleted: false });
+
+    // Updates to missing entities and failing ops were rejected, so nothing changes
+    expect(EntityReplayUtil.applySave(null, { attributes: { name: 'Maple' } })).toBeNull();
+    expect(EntityReplayUtil.applySave(created, { ops: [{ op: 'append', path: 'name', value: 'x' }] })).toBe(created);
+
+    expect(EntityReplayUtil.applySave(created, { isDelete: true }).isDeleted).toBe(true);
+  });
+
+  test('buildRestoreAttributes produces a save that restores the target', () => {
+    const current = {
+      attributes: { name: 'Maple', meso: 999999, exploit: true },
+      rankScores: { fameScore: { 1: 90, 2: 4 }, pvpScore: { 1: 3 }, legacy: { 1: 1 } }
+    };
+    const target = {
+      attributes: { name: 'Maple', meso: 100 },
+      rankScores: { fameScore: { 1: 10 }, legacy: { 1: 2 } }
+    };
+
+    const restore = EntityReplayUtil.buildRestoreAttributes(current, target);
+
+    expect(restore).toEqual({
+      attributes: { meso: 100, exploit: NULL, fameScore: { 1: 10, 2: NULL }, pvpScore: NULL },
+      unrestorableRankScores: ['legacy']
+    });
+    expect(EntityReplayUtil.applySave({ ...current, isDeleted: false }, restore)).toEqual({
+      attributes: target.attributes,
+      rankScores: { fameScore: { 1: 10 }, legacy: { 1: 1 } },
+      isDeleted: false
+    });
+  });
+
+  test('isTruncated finds values cut short by the audit logger', () => {
+    expect(EntityReplayUtil.isTruncated({ attributes: { a: 1 } })).toBe(false);
+    expect(EntityReplayUtil.isTruncated({ saves: [{ attributes: { _truncated: '3 more keys' } }] })).toBe(true);
+  });
+});
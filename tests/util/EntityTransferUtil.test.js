@@ -0,0 +1,78 @@
+import { EntityTransferUtil } from '../../util/EntityTransferUtil.js';
+import { InputValidator } from '../../util/InputValidator.js';
+
+const NULL = InputValidator.NULL_MARKER;
+
+describe('EntityTransferUtil', () => {
+  const record = {
+    entityType: 'Guild',
+    entityId: 'g-7',
+    worldId: 1,
+    attributes: { name: 'Maple', level: 3 },
+    rankScores: { fameScore: { 1: 10 }, legacy: { 1: 2 } }
+  };
+
+  test('parseRecord validates lines and skips blank ones', () => {
+    expect(EntityTransferUtil.parseRecord('   ')).toBeNull();
+    expect(EntityTransferUtil.parseRecord(JSON.stringify({ ...record, version: 12, updatedAt: '2026-10-19T00:00:00Z' })))
+      .toEqual(record);
+    expect(EntityTransferUtil.parseRecord('{"entityType":"Guild","entityId":"g-8","worldId":"2"}'))
+      .toEqual({ entityType: 'Guild', entityId: 'g-8', worldId: 2, attributes: {}, rankScores: {} });
+
+    expect(() => EntityTransferUtil.parseRecord('{')).toThrow('not valid JSON');
+    expect(() => EntityTransferUtil.parseRecord('[1]')).toThrow('must be an object');
+    expect(() => EntityTransferUtil.parseRecord(JSON.stringify({ ...record, entityId: 'g 7' }))).toThrow('Invalid entity ID');
+    expect(() => EntityTransferUtil.parseRecord(JSON.stringify({ ...record, rankScores: { fameScore: 3 } }))).toThrow('partition');
+  });
+
+  test('buildImportSave creates missing entities', () => {
+    expect(EntityTransferUtil.buildImportSave(record, null, 'skip')).toEqual({
+      action: 'create',
+      save: {
+        entityType: 'Guild',
+        entityId: 'g-7',
+        worldId: 1,
+        attributes: { name: 'Maple', level: 3, fameScore: { 1: 10 } },
+        isCreate: true,
+        expectedVersion: 0
+      },
+      warnings: ['rank_scores_not_importable']
+    });
+  });
+
+  test('buildImportSave applies the conflict policy to existing entities', () => {
+    const current = {
+      worldId: 1,
+      attributes: { name: 'Maple', level: 9, motto: 'Hi' },
+      rankScores: { fameScore: { 1: 4, 2: 8 }, legacy: { 1: 2 } },
+      pendingVersion: 5
+    };
+
+    expect(EntityTransferUtil.buildImportSave(record, current, 'skip')).toEqual({ action: 'skip', save: null, warnings: [] });
+
+    const overwrite = EntityTransferUtil.buildImportSave(record, current, 'overwrite');
+    expect(overwrite.action).toBe('update');
+    expect(overwrite.save).toEqual({
+      entityType: 'Guild',
+      entityId: 'g-7',
+      worldId: 1,
+      attributes: { level: 3, motto: NULL, fameScore: { 1: 10, 2: NULL } },
+      expectedVersion: 5
+    });
+    expect(overwrite.warnings).toEqual([]);
+
+    const merge = EntityTransferUtil.buildImportSave(record, { ...current, pendingVersion: null }, 'merge');
+    expect(merge.save).toEqual({
+      entityType: 'Guild',
+      entityId: 'g-7',
+      worldId: 1,
+      attributes: { name: 'Maple', level: 3, fameScore: { 1: 10 } },
+      isCreate: true,
+      expectedVersion: 0
+    });
+    expect(merge.warnings).toEqual(['rank_scores_not_importable']);
+
+    const unchanged = { ...current, attributes: record.attributes, rankScores: record.rankScores };
+    expect(EntityTransferUtil.buildImportSave(record, unchanged, 'overwrite').action).toBe('none');
+  });
+});
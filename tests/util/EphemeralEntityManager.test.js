@@ -0,0 +1,421 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+// Imported by the entity managers but not part of this tree
+jest.mock('../../util/StreamUpdateUtil.js', () => ({ StreamUpdateUtil: {} }), { virtual: true });
+
+import { lua, lauxlib, lualib, to_luastring } from 'fengari';
+import { EphemeralEntityManager } from '../../util/EphemeralEntityManager.js';
+import { metrics } from '../../util/MetricsCollector.js';
+
+// Loading the persistence outbox starts the metrics singleton's collection timer
+afterAll(() => {
+  metrics.stopSystemMetricsCollection();
+});
+
+// Records every command; documents are the keys JSON.TYPE finds, scriptResults what each eval returns
+class FakeRedis {
+  constructor({ documents = [], scriptResults = [] } = {}) {
+    this.documents = new Set(documents);
+    this.scriptResults = scriptResults;
+    this.commands = [];
+    this.versions = new Map();
+  }
+
+  run(command, args) {
+    this.commands.push([command, ...args]);
+    if (command === 'JSON.TYPE') return this.documents.has(args[0]) ? ['object'] : null;
+    if (command === 'JSON.GET') return JSON.stringify({ attributes: {}, rankScores: {} });
+    if (command === 'incr') {
+      this.versions.set(args[0], (this.versions.get(args[0]) || 1) + 1);
+      return this.versions.get(args[0]);
+    }
+    if (command === 'eval') return this.scriptResults.shift();
+    return 'OK';
+  }
+
+  async eval(...args) {
+    return this.run('eval', args);
+  }
+
+  pipeline() {
+    const queued = [];
+    const pipeline = {
+      get length() { return queued.length; },
+      call: (command, ...args) => { queued.push([command, args]); return pipeline; },
+      exec: async () => queued.map(([command, args]) => [null, this.run(command, args)])
+    };
+    ['sadd', 'zadd', 'set', 'del', 'incr', 'expire', 'eval'].forEach(command => {
+      pipeline[command] = (...args) => { queued.push([command, args]); return pipeline; };
+    });
+    return pipeline;
+  }
+
+  // Keys a command of the given name was run against
+  keysOf(name) {
+    return this.commands.filter(([command]) => command === name).map(([, key]) => key);
+  }
+
+  // Specs passed to APPLY_WRITES_SCRIPT, one array per eval
+  scriptSpecs() {
+    return this.commands
+      .filter(([command]) => command === 'eval')
+      .map(command => JSON.parse(command[command.length - 1]));
+  }
+}
+
+// Runs the write script in fengari against JSON documents kept in memory. fengari is Lua 5.3,
+// so numbers are pushed as floats to match the doubles of Redis' Lua 5.1
+class ScriptRedis extends FakeRedis {
+  constructor(documents) {
+    super({ documents: Object.keys(documents) });
+    this.store = new Map(Object.entries(documents).map(([key, document]) => [key, structuredClone(document)]));
+    this.scriptCommands = [];
+  }
+
+  run(command, args) {
+    if (command !== 'eval') return super.run(command, args);
+    this.commands.push([command, ...args]);
+    const [script, keyCount, ...rest] = args;
+    return this.evalScript(script, rest.slice(0, keyCount), rest.slice(keyCount));
+  }
+
+  evalScript(script, keys, argv) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    pushLuaValue(L, keys);
+    lua.lua_setglobal(L, to_luastring('KEYS'));
+    pushLuaValue(L, argv);
+    lua.lua_setglobal(L, to_luastring('ARGV'));
+    // A nil reply reaches the script as false, as in Redis
+    setLuaFunctions(L, 'redis', { call: (command, ...args) => this.call(command, args) ?? false });
+    setLuaFunctions(L, 'cjson', { encode: value => JSON.stringify(value), decode: json => JSON.parse(json) });
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw new Error(lua.lua_tojsstring(L, -1));
+    }
+    return readLuaValue(L, -1);
+  }
+
+  // The commands the write script runs, against the in-memory documents
+  call(command, args) {
+    const [key, path, value] = args;
+    this.scriptCommands.push([command, ...args]);
+    const document = this.store.get(key);
+    switch (command) {
+      case 'EXISTS': return this.store.has(key) ? 1 : 0;
+      case 'GET': return document ?? null;
+      case 'SET': this.store.set(key, args[1]); return 'OK';
+      case 'INCR': this.store.set(key, String(Number(document || 0) + 1)); return Number(this.store.get(key));
+      case 'SADD':
+      case 'ZADD': return 1;
+      case 'JSON.TYPE': {
+        if (!document) return null;
+        const found = resolvePath(document, path);
+        if (found === undefined) return [];
+        if (Number.isInteger(found)) return ['integer'];
+        return [Array.isArray(found) ? 'array' : typeof found];
+      }
+      case 'JSON.GET': {
+        const found = resolvePath(document, path);
+        return JSON.stringify(found === undefined ? [] : [found]);
+      }
+      case 'JSON.SET': {
+        if (path === '$') this.store.set(key, JSON.parse(value));
+        else setPath(document, path, JSON.parse(value));
+        return 'OK';
+      }
+      case 'JSON.NUMINCRBY': {
+        const next = resolvePath(document, path) + Number(value);
+        setPath(document, path, next);
+        return JSON.stringify([next]);
+      }
+      default: throw new Error(`Unsupported script command ${command}`);
+    }
+  }
+}
+
+function resolvePath(document, path) {
+  return path.split('.').slice(1).reduce((node, segment) => node?.[segment], document);
+}
+
+function setPath(document, path, value) {
+  const segments = path.split('.').slice(1);
+  const parent = resolvePath(document, ['$', ...segments.slice(0, -1)].join('.'));
+  parent[segments[segments.length - 1]] = value;
+}
+
+function pushLuaValue(L, value) {
+  if (value === null || value === undefined) lua.lua_pushnil(L);
+  else if (typeof value === 'boolean') lua.lua_pushboolean(L, value);
+  else if (typeof value === 'number') lua.lua_pushnumber(L, value);
+  else if (typeof value === 'string') lua.lua_pushstring(L, to_luastring(value));
+  else {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index + 1, item]) : Object.entries(value);
+    lua.lua_createtable(L, 0, 0);
+    entries.forEach(([field, item]) => {
+      pushLuaValue(L, field);
+      pushLuaValue(L, item);
+      lua.lua_settable(L, -3);
+    });
+  }
+}
+
+// Tables with keys 1..n become arrays and other tables objects, as cjson encodes them
+function readLuaValue(L, index) {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TBOOLEAN: return lua.lua_toboolean(L, index);
+    case lua.LUA_TNUMBER: return lua.lua_tonumber(L, index);
+    case lua.LUA_TSTRING: return lua.lua_tojsstring(L, index);
+    case lua.LUA_TTABLE: {
+      const table = lua.lua_absindex(L, index);
+      const entries = [];
+      lua.lua_pushnil(L);
+      while (lua.lua_next(L, table) !== 0) {
+        entries.push([readLuaValue(L, -2), readLuaValue(L, -1)]);
+        lua.lua_pop(L, 1);
+      }
+      const keys = entries.map(([field]) => field);
+      if (entries.length > 0 && keys.every(field => Number.isInteger(field)) && Math.max(...keys) === entries.length) {
+        return entries.sort(([a], [b]) => a - b).map(([, item]) => item);
+      }
+      return Object.fromEntries(entries);
+    }
+    default: return null;
+  }
+}
+
+function setLuaFunctions(L, name, functions) {
+  lua.lua_createtable(L, 0, 0);
+  Object.entries(functions).forEach(([field, fn]) => {
+    lua.lua_pushjsfunction(L, state => {
+      const args = Array.from({ length: lua.lua_gettop(state) }, (_, index) => readLuaValue(state, index + 1));
+      pushLuaValue(state, fn(...args));
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring(field));
+  });
+  lua.lua_setglobal(L, to_luastring(name));
+}
+
+function buildManager(redisOptions) {
+  jest.spyOn(EphemeralEntityManager.prototype, 'checkRedisJSONSupport').mockResolvedValue(undefined);
+  const manager = new EphemeralEntityManager(null);
+  manager.redis = new FakeRedis(redisOptions);
+  manager.shardCount = 1;
+  manager.indexManager = {
+    prepare: jest.fn(async updates => updates.map(() => null)),
+    apply: jest.fn().mockResolvedValue(undefined)
+  };
+  manager.outbox = { enabled: true, record: jest.fn().mockResolvedValue(undefined), recordFailure: jest.fn() };
+  return manager;
+}
+
+function buildUpdate(entityId, fields = {}) {
+  return { environment: 'production', entityType: 'Account', entityId, worldId: 1, attributes: { level: 2 }, ...fields };
+}
+
+const keyOf = entityId => `production:ephemeral:Account:1:${entityId}`;
+
+describe('EphemeralEntityManager.batchSavePartial', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects saves that do not match whether the entity exists and writes nothing for them', async () => {
+    const manager = buildManager({ documents: [keyOf('existing'), keyOf('updated')] });
+
+    const results = await manager.batchSavePartial([
+      buildUpdate('missing'),
+      buildUpdate('deleted-missing', { isCreate: true, isDelete: true }),
+      buildUpdate('existing', { isCreate: true }),
+      buildUpdate('updated')
+    ]);
+
+    expect(results).toEqual([
+      { success: false, error: 'Entity does not exist and isCreate is false' },
+      { success: false, error: 'Entity does not exist and isDelete is true' },
+      { success: false, error: 'Entity already exists and isCreate is true' },
+      { success: true, version: 2 }
+    ]);
+    expect(manager.redis.keysOf('JSON.SET').filter(key => key !== keyOf('updated'))).toEqual([]);
+    expect(manager.redis.commands.filter(([command, key]) => command === 'sadd' && key === 'ephemeral:dirty_entities'))
+      .toEqual([['sadd', 'ephemeral:dirty_entities', 'production:Account:1:updated']]);
+    expect(manager.outbox.record).toHaveBeenCalledWith([expect.objectContaining({ entityId: 'updated', version: 2 })]);
+  });
+
+  test('passes expectedVersion to the write script and applies nothing it rejects as a version conflict', async () => {
+    const manager = buildManager({
+      documents: [keyOf('stale'), keyOf('current')],
+      scriptResults: [
+        JSON.stringify({ index: 0, error: 'version_conflict', currentVersion: 7 }),
+        JSON.stringify({ versions: [6] })
+      ]
+    });
+
+    const results = await manager.batchSavePartial([
+      buildUpdate('stale', { expectedVersion: 5 }),
+      buildUpdate('current', { expectedVersion: 5 })
+    ]);
+
+    expect(manager.redis.scriptSpecs()).toEqual([
+      [expect.objectContaining({ isCreate: false, expectedVersion: 5, dirtyKey: 'production:Account:1:stale' })],
+      [expect.objectContaining({ isCreate: false, expectedVersion: 5, dirtyKey: 'production:Account:1:current' })]
+    ]);
+    expect(results).toEqual([
+      { success: false, error: 'version_conflict', path: undefined, currentVersion: 7 },
+      { success: true, version: 6 }
+    ]);
+    // The conflicting save is written by neither the shared pipeline nor the version stamp
+    expect(manager.redis.keysOf('JSON.SET')).toEqual([keyOf('current')]);
+    expect(manager.redis.keysOf('JSON.COPY')).toEqual([keyOf('current')]);
+    expect(manager.outbox.record).toHaveBeenCalledWith([expect.objectContaining({ entityId: 'current', version: 6 })]);
+  });
+
+  test('reports an existence rejection from the write script for an entity removed after the check', async () => {
+    const manager = buildManager({
+      documents: [keyOf('evicted')],
+      scriptResults: [JSON.stringify({ index: 0, error: 'Entity does not exist and isCreate is false' })]
+    });
+
+    const [result] = await manager.batchSavePartial([buildUpdate('evicted', { expectedVersion: 0 })]);
+
+    expect(result).toMatchObject({ success: false, error: 'Entity does not exist and isCreate is false' });
+    expect(manager.redis.keysOf('JSON.COPY')).toEqual([]);
+    expect(manager.outbox.record).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid expectedVersion without running the write script', async () => {
+    const manager = buildManager({ documents: [keyOf('a')] });
+
+    const [result] = await manager.batchSavePartial([buildUpdate('a', { expectedVersion: -1 })]);
+
+    expect(result).toEqual({ success: false, error: 'expectedVersion must be a non-negative integer' });
+    expect(manager.redis.scriptSpecs()).toEqual([]);
+  });
+});
+
+describe('EphemeralEntityManager.applyTransaction', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('applies every save in one script call and stamps each version', async () => {
+    const manager = buildManager({ scriptResults: [JSON.stringify({ versions: [4, 1] })] });
+
+    const outcome = await manager.applyTransaction([
+      buildUpdate('a', { expectedVersion: 3 }),
+      buildUpdate('b', { isCreate: true })
+    ]);
+
+    expect(outcome).toEqual({ success: true, versions: [4, 1] });
+    expect(manager.redis.scriptSpecs()).toEqual([[
+      expect.objectContaining({ isCreate: false, expectedVersion: 3 }),
+      expect.objectContaining({ isCreate: true, document: expect.any(String) })
+    ]]);
+    expect(manager.redis.keysOf('JSON.COPY')).toEqual([keyOf('a'), keyOf('b')]);
+    expect(manager.outbox.record).toHaveBeenCalledWith([
+      expect.objectContaining({ entityId: 'a', version: 4 }),
+      expect.objectContaining({ entityId: 'b', version: 1 })
+    ]);
+  });
+
+  test('applies nothing when the script rejects one save', async () => {
+    const manager = buildManager({
+      scriptResults: [JSON.stringify({ index: 1, error: 'version_conflict', currentVersion: 9 })]
+    });
+
+    const outcome = await manager.applyTransaction([
+      buildUpdate('a', { expectedVersion: 3 }),
+      buildUpdate('b', { expectedVersion: 8 })
+    ]);
+
+    expect(outcome).toEqual({ success: false, index: 1, error: 'version_conflict', path: undefined, currentVersion: 9 });
+    expect(manager.redis.keysOf('JSON.COPY')).toEqual([]);
+    expect(manager.outbox.record).not.toHaveBeenCalled();
+    expect(manager.indexManager.apply).toHaveBeenCalledWith(expect.any(Array), [{ success: false }, { success: false }]);
+  });
+
+  test('rejects the transaction before the script for a duplicate entity, an invalid save or a unique index conflict', async () => {
+    const manager = buildManager();
+
+    expect(await manager.applyTransaction([buildUpdate('a'), buildUpdate('b'), buildUpdate('a')]))
+      .toEqual({ success: false, index: 2, error: 'Duplicate entity in transaction' });
+    expect(await manager.applyTransaction([buildUpdate('a'), buildUpdate('b', { isDelete: true, attributeOps: [{ op: 'inc', path: 'level', delta: 1 }] })]))
+      .toEqual({ success: false, index: 1, error: 'ops cannot be combined with isDelete' });
+
+    manager.indexManager.prepare.mockResolvedValue([null, { rejection: { error: 'unique_violation', field: 'attributes.name' } }]);
+    expect(await manager.applyTransaction([buildUpdate('a'), buildUpdate('b')]))
+      .toEqual({ success: false, index: 1, error: 'unique_violation', field: 'attributes.name' });
+
+    expect(manager.redis.scriptSpecs()).toEqual([]);
+  });
+});
+
+describe('EphemeralEntityManager attribute operations', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Runs the real write script against an account holding the given attributes
+  function buildScriptManager(attributes) {
+    const manager = buildManager();
+    manager.redis = new ScriptRedis({ [keyOf('a')]: { attributes, rankScores: {} } });
+    return manager;
+  }
+
+  const goldOp = fields => buildUpdate('a', { attributes: undefined, attributeOps: [{ op: 'inc', path: 'gold', ...fields }] });
+  const storedGold = manager => manager.redis.store.get(keyOf('a')).attributes.gold;
+
+  test('increments an existing number in place with JSON.NUMINCRBY', async () => {
+    const manager = buildScriptManager({ gold: 40 });
+
+    const [result] = await manager.batchSavePartial([goldOp({ value: 5, max: 100 })]);
+
+    expect(result).toEqual({ success: true, version: 1, values: { gold: 45 } });
+    expect(manager.redis.scriptCommands).toContainEqual(['JSON.NUMINCRBY', keyOf('a'), '$.attributes.gold', '5']);
+    expect(storedGold(manager)).toBe(45);
+  });
+
+  test('only clamps to the bound the delta moves towards', async () => {
+    const manager = buildScriptManager({ gold: 150 });
+
+    await manager.batchSavePartial([goldOp({ op: 'dec', value: 10, max: 100 })]);
+    expect(storedGold(manager)).toBe(140);
+
+    await manager.batchSavePartial([goldOp({ op: 'dec', value: 200, min: 0, max: 100 })]);
+    expect(storedGold(manager)).toBe(0);
+  });
+
+  test('leaves a value already past the bound it moves towards unchanged', async () => {
+    const manager = buildScriptManager({ gold: 150 });
+
+    const [result] = await manager.batchSavePartial([goldOp({ value: 5, max: 100 })]);
+
+    expect(result).toEqual({ success: true, version: 1, values: { gold: 150 } });
+    expect(manager.redis.scriptCommands.filter(([command, , path]) => path === '$.attributes.gold' && command !== 'JSON.TYPE' && command !== 'JSON.GET'))
+      .toEqual([]);
+  });
+
+  test('rejects a strict operation that would cross its bound', async () => {
+    const manager = buildScriptManager({ gold: 95 });
+
+    const [result] = await manager.batchSavePartial([goldOp({ value: 10, max: 100, strict: true })]);
+
+    expect(result).toEqual({ success: false, error: 'bounds_violation', path: 'gold' });
+    expect(storedGold(manager)).toBe(95);
+  });
+});
@@ -0,0 +1,47 @@
+import { HandlerContext } from '../../util/HandlerContext.js';
+
+function createContext(loadEntities = async requests => requests.map(() => null)) {
+  return new HandlerContext({ environment: 'staging', worldInstanceId: 'wi-1', handler: 'joinGuild', loadEntities });
+}
+
+describe('HandlerContext', () => {
+  test('buffers saves and sends and returns the handler result', async () => {
+    const context = createContext(async requests => requests.map(({ entityId }) => ({ id: entityId, version: 3 })));
+
+    const result = await HandlerContext.run(async (ctx, input) => {
+      const guild = await ctx.load('Guild', input.guildId, 1);
+      ctx.save({ entityType: 'Guild', entityId: guild.id, worldId: 1, expectedVersion: guild.version, attributes: { open: false } });
+      ctx.send({ entityType: 'Guild', entityId: guild.id, worldId: 1, message: { type: 'closed' } });
+      return { closed: guild.id };
+    }, context, { guildId: 'guild-1' }, 100);
+
+    expect(result).toEqual({ closed: 'guild-1' });
+    expect(context.saves).toEqual([
+      { entityType: 'Guild', entityId: 'guild-1', worldId: 1, expectedVersion: 3, attributes: { open: false } }
+    ]);
+    expect(context.sends).toHaveLength(1);
+  });
+
+  test('fail rejects with the handler code', async () => {
+    await expect(HandlerContext.run(ctx => ctx.fail('guild_full', 'Guild is full'), createContext(), {}, 100))
+      .rejects.toMatchObject({ handlerCode: 'guild_full', message: 'Guild is full' });
+  });
+
+  test('times out slow handlers and closes the context to late writes', async () => {
+    const context = createContext();
+    let lateSave;
+
+    await expect(HandlerContext.run(async ctx => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      try {
+        ctx.save({ entityType: 'Guild', entityId: 'guild-1', worldId: 1 });
+      } catch (error) {
+        lateSave = error;
+      }
+    }, context, {}, 10)).rejects.toMatchObject({ handlerCode: 'handler_timeout' });
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(lateSave.message).toBe('handler joinGuild used its context after it finished');
+    expect(context.saves).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+import { IdempotencyStore } from '../../util/IdempotencyStore.js';
+
+// SET NX/EX, GET and the release script's compare-and-delete, with a clock the test moves
+class FakeRedis {
+  constructor() {
+    this.now = 0;
+    this.entries = new Map();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry?.value ?? null;
+  }
+
+  set(key, value, ...options) {
+    if (options.includes('NX') && this.read(key) !== null) return null;
+    const ttl = options[options.indexOf('EX') + 1];
+    this.entries.set(key, { value, expiresAt: this.now + ttl * 1000 });
+    return 'OK';
+  }
+
+  eval(script, keyCount, key, expected) {
+    if (this.read(key) !== expected) return 0;
+    this.entries.delete(key);
+    return 1;
+  }
+
+  pipeline() {
+    const queued = [];
+    const pipeline = {};
+    ['set', 'get', 'eval'].forEach(command => {
+      pipeline[command] = (...args) => { queued.push([command, args]); return pipeline; };
+    });
+    pipeline.exec = async () => queued.map(([command, args]) => [null, command === 'get' ? this.read(...args) : this[command](...args)]);
+    return pipeline;
+  }
+}
+
+describe('IdempotencyStore', () => {
+  let redis;
+  let store;
+  const key = 'idempotency:production:w-1:save:k-1';
+
+  beforeEach(() => {
+    redis = new FakeRedis();
+    store = new IdempotencyStore({ redis, ttlSeconds: 3600, pendingTTLSeconds: 30 });
+  });
+
+  test('scopes keys by environment and world instance', () => {
+    expect(store.getKey('production', 'w-1', 'save', 'k-1')).toBe(key);
+    expect(store.getKey('production', 'w-2', 'save', 'k-1')).not.toBe(key);
+  });
+
+  test('claims a key once and reports it pending to later claims until completed', async () => {
+    expect(await store.claim([key])).toEqual([{ status: 'claimed' }]);
+    expect(await store.claim([key])).toEqual([{ status: 'pending' }]);
+
+    await store.complete([{ key, result: { success: true, version: 3 } }]);
+
+    expect(await store.claim([key, 'idempotency:production:w-1:save:k-2'])).toEqual([
+      { status: 'completed', result: { success: true, version: 3 } },
+      { status: 'claimed' }
+    ]);
+  });
+
+  test('lets a key be claimed again once its pending marker expires', async () => {
+    await store.claim([key]);
+
+    redis.now += 29000;
+    expect(await store.claim([key])).toEqual([{ status: 'pending' }]);
+
+    redis.now += 1000;
+    expect(await store.claim([key])).toEqual([{ status: 'claimed' }]);
+  });
+
+  test('keeps a completed result for the idempotency window', async () => {
+    await store.claim([key]);
+    await store.complete([{ key, result: { success: true } }]);
+
+    redis.now += 3599000;
+    expect(await store.claim([key])).toEqual([{ status: 'completed', result: { success: true } }]);
+
+    redis.now += 1000;
+    expect(await store.claim([key])).toEqual([{ status: 'claimed' }]);
+  });
+
+  test('release frees a pending key for a retry', async () => {
+    await store.claim([key]);
+    await store.release([key]);
+
+    expect(await store.claim([key])).toEqual([{ status: 'claimed' }]);
+  });
+
+  test('release never deletes a completed result', async () => {
+    await store.claim([key]);
+    await store.complete([{ key, result: { success: true, version: 1 } }]);
+
+    await store.release([key]);
+
+    expect(await store.claim([key])).toEqual([{ status: 'completed', result: { success: true, version: 1 } }]);
+  });
+
+  test('treats an unreadable record as pending', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    redis.set(key, 'not json', 'EX', 30);
+
+    expect(await store.claim([key])).toEqual([{ status: 'pending' }]);
+    jest.restoreAllMocks();
+  });
+});
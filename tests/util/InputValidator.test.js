@@ -0,0 +1,22 @@
+import { InputValidator } from '../../util/InputValidator.js';
+
+describe('InputValidator entity type registry hook', () => {
+  afterEach(() => {
+    InputValidator.setEntityTypeRegistry(null);
+  });
+
+  test('accepts any well-formed entity type without a registry', () => {
+    expect(InputValidator.sanitizeEntityType('Pet')).toBe('Pet');
+    expect(() => InputValidator.sanitizeEntityType('Pet-1')).toThrow('Invalid entity type');
+  });
+
+  test('rejects entity types the registry has no policy for', () => {
+    InputValidator.setEntityTypeRegistry({
+      getPolicy: entityType => (entityType === 'Guild' ? { name: 'Guild' } : null)
+    });
+
+    expect(InputValidator.sanitizeEntityType('Guild')).toBe('Guild');
+    expect(() => InputValidator.sanitizeEntityType('Pet')).toThrow('Unknown entity type: Pet');
+    expect(InputValidator.sanitizeEntityTypeName('Pet')).toBe('Pet');
+  });
+});
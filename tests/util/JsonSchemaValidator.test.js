@@ -0,0 +1,59 @@
+import { JsonSchemaValidator } from '../../util/JsonSchemaValidator.js';
+import { InputValidator } from '../../util/InputValidator.js';
+
+const guildSchema = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 3 },
+    level: { type: 'integer', minimum: 1 },
+    tags: { type: 'array', items: { type: 'string' } },
+    stats: { type: 'object', properties: { fame: { type: 'number' } } }
+  }
+};
+
+describe('JsonSchemaValidator', () => {
+  test('reports type and bound errors with JSON paths', () => {
+    expect(JsonSchemaValidator.validate(guildSchema, {
+      name: 'Kn',
+      level: 1.5,
+      tags: ['pvp', 3],
+      stats: { fame: 'high' }
+    }, { partial: true })).toEqual([
+      { path: '$.name', message: 'must be at least 3 characters' },
+      { path: '$.level', message: 'must be integer, got number' },
+      { path: '$.tags[1]', message: 'must be string, got number' },
+      { path: '$.stats.fame', message: 'must be number, got string' }
+    ]);
+  });
+
+  test('required keys may be omitted by partial saves but not removed', () => {
+    expect(JsonSchemaValidator.validate(guildSchema, { level: 2 }, { partial: true })).toEqual([]);
+    expect(JsonSchemaValidator.validate(guildSchema, { level: 2 })).toEqual([
+      { path: '$.name', message: 'is required' }
+    ]);
+    expect(JsonSchemaValidator.validate(guildSchema, { name: InputValidator.NULL_MARKER }, { partial: true })).toEqual([
+      { path: '$.name', message: 'is required and cannot be removed' }
+    ]);
+  });
+
+  test('rejects undeclared keys when additionalProperties is false', () => {
+    expect(JsonSchemaValidator.validate(guildSchema, { name: 'Knights', motto: 'x' })).toEqual([
+      { path: '$.motto', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('checks attribute operations against the type of their path', () => {
+    expect(JsonSchemaValidator.validateAttributeOps(guildSchema, [
+      { op: 'inc', path: 'level', value: 1 },
+      { op: 'inc', path: 'name', value: 1 },
+      { op: 'append', path: 'tags', value: 7 },
+      { op: 'setIfAbsent', path: 'motto', value: 'x' }
+    ])).toEqual([
+      { path: '$.name', message: 'must be string, inc requires a number' },
+      { path: '$.tags[]', message: 'must be string, got number' },
+      { path: '$.motto', message: 'is not an allowed property' }
+    ]);
+  });
+});
@@ -0,0 +1,28 @@
+import { NameUtil } from '../../util/NameUtil.js';
+
+describe('NameUtil', () => {
+  test('normalizes case, width and whitespace to one name', () => {
+    expect(NameUtil.normalize('Maple')).toBe('maple');
+    expect(NameUtil.normalize('  MAPLE ')).toBe('maple');
+    expect(NameUtil.normalize('Ｍａｐｌｅ')).toBe('maple');
+    expect(NameUtil.normalize('Dark \t Knight')).toBe('dark knight');
+    // Composed and decomposed accents are the same name
+    expect(NameUtil.normalize('Zo\u00e9')).toBe(NameUtil.normalize('Zoe\u0301'));
+  });
+
+  test('rejects empty, long and control-character names', () => {
+    expect(() => NameUtil.normalize('   ')).toThrow('name must not be empty');
+    expect(() => NameUtil.normalize('a'.repeat(33))).toThrow('name must be 32 characters or fewer');
+    expect(() => NameUtil.normalize('ma\u200bple')).toThrow('name must not contain control or unassigned characters');
+    expect(() => NameUtil.normalize(42)).toThrow('name must be a string');
+  });
+
+  test('blocks contained terms ignoring spaces and exact terms only when equal', () => {
+    const blocklist = NameUtil.buildBlocklist(['Admin', '=GM', '']);
+
+    expect(NameUtil.isBlocked(NameUtil.normalize('TheAdmin'), blocklist)).toBe(true);
+    expect(NameUtil.isBlocked(NameUtil.normalize('Ad Min'), blocklist)).toBe(true);
+    expect(NameUtil.isBlocked(NameUtil.normalize('gm'), blocklist)).toBe(true);
+    expect(NameUtil.isBlocked(NameUtil.normalize('Gmork'), blocklist)).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+import { PersistenceBackpressure, BACKPRESSURE_ERROR_CODE } from '../../util/PersistenceBackpressure.js';
+import { PersistenceShardUtil } from '../../util/PersistenceShardUtil.js';
+
+describe('PersistenceBackpressure', () => {
+  const thresholds = { softPending: 1000, hardPending: 5000, softLagMs: 60000, hardLagMs: 300000 };
+
+  test('levels by the backlog or the lag, whichever is further along', () => {
+    expect(PersistenceBackpressure.evaluate({ pending: 999, lagMs: 59999 }, thresholds))
+      .toEqual({ level: 'normal', shedRatio: 0 });
+    expect(PersistenceBackpressure.evaluate({ pending: 3000, lagMs: 0 }, thresholds))
+      .toEqual({ level: 'soft', shedRatio: 0.5 });
+    expect(PersistenceBackpressure.evaluate({ pending: 2000, lagMs: 240000 }, thresholds))
+      .toEqual({ level: 'soft', shedRatio: 0.75 });
+    expect(PersistenceBackpressure.evaluate({ pending: 0, lagMs: 300000 }, thresholds))
+      .toEqual({ level: 'hard', shedRatio: 1 });
+  });
+
+  test('rejects a share of saves at soft and all of them at hard', () => {
+    let roll = 0.4;
+    const backpressure = new PersistenceBackpressure(null, {
+      enabled: true, ...thresholds, checkIntervalMs: 5000, retryAfterMs: 2000, random: () => roll
+    });
+    expect(backpressure.admit()).toBeNull();
+    expect(backpressure.getWarning()).toBeNull();
+
+    backpressure.state = { ...backpressure.state, level: 'soft', shedRatio: 0.5 };
+    expect(backpressure.admit(3)).toMatchObject({ success: false, code: BACKPRESSURE_ERROR_CODE, retryable: true, retryAfterMs: 2000 });
+    roll = 0.6;
+    expect(backpressure.admit()).toBeNull();
+    expect(backpressure.getWarning()).toMatchObject({ code: BACKPRESSURE_ERROR_CODE, level: 'soft' });
+
+    backpressure.state = { ...backpressure.state, level: 'hard', shedRatio: 1 };
+    expect(backpressure.admit()).not.toBeNull();
+    expect(backpressure.getState().rejected).toBe(4);
+  });
+
+  test('measures a backlogged shard with no completed run from its oldest dirty entry', async () => {
+    const now = Date.now();
+    const lanes = {
+      [PersistenceShardUtil.getLaneKey(0, 'Account')]: ['production:Account:1:a', String(now - 90000)],
+      [PersistenceShardUtil.getLaneKey(0, 'Party')]: []
+    };
+    const redis = {
+      smembers: jest.fn().mockResolvedValue(['Account', 'Party']),
+      pipeline: jest.fn(() => {
+        const commands = [];
+        const pipeline = {
+          scard: () => { commands.push([null, 40]); return pipeline; },
+          get: () => { commands.push([null, null]); return pipeline; },
+          zrange: (key) => { commands.push([null, lanes[key]]); return pipeline; },
+          exec: async () => commands
+        };
+        return pipeline;
+      })
+    };
+    const backpressure = new PersistenceBackpressure({ shardCount: 1, redis }, {
+      enabled: true, ...thresholds, checkIntervalMs: 5000, retryAfterMs: 2000
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const state = await backpressure.check();
+
+    expect(state.lagMs).toBeGreaterThanOrEqual(90000);
+    expect(state.level).toBe('soft');
+
+    redis.smembers.mockResolvedValue([]);
+    backpressure.startedAt = now - 400000;
+    expect((await backpressure.check()).level).toBe('hard');
+    jest.restoreAllMocks();
+  });
+});
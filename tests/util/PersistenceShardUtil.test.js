@@ -0,0 +1,58 @@
+import { PersistenceShardUtil, DIRTY_SET_KEY, MAX_SHARDS } from '../../util/PersistenceShardUtil.js';
+
+describe('PersistenceShardUtil', () => {
+  test('assigns dirty keys to stable shards within the shard count', () => {
+    const keys = Array.from({ length: 200 }, (_, index) => `production:player:1:p-${index}`);
+    const shards = keys.map(key => PersistenceShardUtil.getShard(key, 8));
+
+    expect(shards.every(shard => shard >= 0 && shard < 8)).toBe(true);
+    expect(new Set(shards).size).toBe(8);
+    expect(keys.map(key => PersistenceShardUtil.getShard(key, 8))).toEqual(shards);
+    expect(PersistenceShardUtil.getShard(keys[0], 1)).toBe(0);
+  });
+
+  test('shard 0 keeps the unsharded dirty set and lock keys', () => {
+    expect(PersistenceShardUtil.getDirtySetKey(0)).toBe(DIRTY_SET_KEY);
+    expect(PersistenceShardUtil.getDirtySetKey(3)).toBe(`${DIRTY_SET_KEY}:3`);
+    expect(PersistenceShardUtil.getLockKey('background:persistence:lock', 0)).toBe('background:persistence:lock');
+    expect(PersistenceShardUtil.getLockKey('background:persistence:lock', 3)).toBe('background:persistence:lock:3');
+  });
+
+  test('normalizes the shard count and lists orphaned shards above it', () => {
+    expect(PersistenceShardUtil.normalizeShardCount('abc')).toBe(1);
+    expect(PersistenceShardUtil.normalizeShardCount(0)).toBe(1);
+    expect(PersistenceShardUtil.normalizeShardCount(1000)).toBe(MAX_SHARDS);
+    expect(PersistenceShardUtil.getOrphanedShards(1, 24)).toEqual([25, 49]);
+  });
+
+  test('grows the batch size with the backlog up to the maximum', () => {
+    const limits = { batchSize: 500, maxBatchSize: 5000 };
+
+    expect(PersistenceShardUtil.computeBatchSize({ backlog: 0, ...limits })).toBe(500);
+    expect(PersistenceShardUtil.computeBatchSize({ backlog: 8000, ...limits })).toBe(2000);
+    expect(PersistenceShardUtil.computeBatchSize({ backlog: 100000, ...limits })).toBe(5000);
+    expect(PersistenceShardUtil.computeBatchSize({ backlog: 100000, batchSize: 500, maxBatchSize: 100 })).toBe(500);
+  });
+
+  test('schedules lane members soonest due first across entity types', () => {
+    expect(PersistenceShardUtil.getLaneKey(3, 'Account')).toBe(`${DIRTY_SET_KEY}:3:lane:Account`);
+    expect(PersistenceShardUtil.getLanesKey(0)).toBe(`${DIRTY_SET_KEY}:lanes`);
+
+    const scheduled = PersistenceShardUtil.scheduleLanes([
+      { entityType: 'Party', targetMs: 60000, entries: [{ dirtyKey: 'production:Party:1:a', dirtySince: 1000 }] },
+      {
+        entityType: 'Account',
+        targetMs: 2000,
+        entries: [
+          { dirtyKey: 'production:Account:1:b', dirtySince: 30000 },
+          { dirtyKey: 'production:Account:1:c', dirtySince: 70000 }
+        ]
+      }
+    ], 2);
+
+    expect(scheduled).toEqual([
+      { dirtyKey: 'production:Account:1:b', entityType: 'Account', dirtySince: 30000, dueAt: 32000 },
+      { dirtyKey: 'production:Party:1:a', entityType: 'Party', dirtySince: 1000, dueAt: 61000 }
+    ]);
+  });
+});
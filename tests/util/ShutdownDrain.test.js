@@ -0,0 +1,33 @@
+import { ShutdownDrain } from '../../util/ShutdownDrain.js';
+
+describe('ShutdownDrain', () => {
+  test('reports each phase and whether everything was drained', async () => {
+    const order = [];
+    const report = await new ShutdownDrain({ timeoutMs: 1000 }).run([
+      { name: 'requests', run: async () => { order.push('requests'); return { inFlight: 0, drained: true }; } },
+      { name: 'persistence', run: async () => { order.push('persistence'); return { persisted: 3, remaining: 2, drained: false }; } },
+      { name: 'audit', run: async () => { throw new Error('stream unavailable'); } }
+    ]);
+
+    expect(order).toEqual(['requests', 'persistence']);
+    expect(report.complete).toBe(false);
+    expect(report.phases).toEqual([
+      expect.objectContaining({ name: 'requests', status: 'completed', inFlight: 0 }),
+      expect.objectContaining({ name: 'persistence', status: 'incomplete', remaining: 2 }),
+      expect.objectContaining({ name: 'audit', status: 'failed', error: 'stream unavailable' })
+    ]);
+  });
+
+  test('leaves a phase running past the deadline and skips the rest', async () => {
+    const report = await new ShutdownDrain({ timeoutMs: 20 }).run([
+      { name: 'persistence', run: () => new Promise(resolve => setTimeout(resolve, 200)) },
+      { name: 'audit', run: async () => ({ archived: 1 }) }
+    ]);
+
+    expect(report.complete).toBe(false);
+    expect(report.phases.map(({ name, status }) => ({ name, status }))).toEqual([
+      { name: 'persistence', status: 'timed_out' },
+      { name: 'audit', status: 'skipped' }
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+// util/AnonymizationUtil.js
+import { createHmac } from 'crypto';
+
+export const ANONYMIZATION_RULES = ['hash', 'name', 'remove'];
+
+// Rule key for the entity id itself
+export const ENTITY_ID_RULE_KEY = '$entityId';
+
+const WILDCARD_ENTITY_TYPE = '*';
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Anonymization of entity records copied out of production.
+ *
+ * Rules map entity types ('*' for all types) to {attribute: rule}:
+ * - hash: replaced with anon-<hex>, a keyed hash of the value. Equal values hash
+ *   alike, so ids that reference other entities still match after anonymization
+ * - name: replaced with Anon<hex>, a keyed hash that is a valid name
+ * - remove: the attribute is dropped
+ *
+ * The rule key $entityId applies to the entity id, and only accepts hash.
+ */
+export class AnonymizationUtil {
+  /**
+   * @param {Object} rules - {entityType|'*': {attribute: rule}}
+   * @throws {Error} - When the rules are not valid
+   */
+  static validateRules(rules) {
+    if (!isPlainObject(rules)) {
+      throw new Error('rules must be an object of entity types');
+    }
+
+    Object.entries(rules).forEach(([entityType, attributes]) => {
+      if (!isPlainObject(attributes)) {
+        throw new Error(`rules.${entityType} must be an object of attributes`);
+      }
+      Object.entries(attributes).forEach(([attribute, rule]) => {
+        if (!ANONYMIZATION_RULES.includes(rule)) {
+          throw new Error(`rules.${entityType}.${attribute} must be one of ${ANONYMIZATION_RULES.join(', ')}`);
+        }
+        if (attribute === ENTITY_ID_RULE_KEY && rule !== 'hash') {
+          throw new Error(`rules.${entityType}.${ENTITY_ID_RULE_KEY} must be hash`);
+        }
+      });
+    });
+
+    return rules;
+  }
+
+  // Rules for one type: the '*' rules, overridden by the type's own
+  static getRules(rules, entityType) {
+    return { ...(rules[WILDCARD_ENTITY_TYPE] || {}), ...(rules[entityType] || {}) };
+  }
+
+  static hash(value, salt) {
+    const input = typeof value === 'string' ? value : JSON.stringify(value);
+    return createHmac('sha256', salt).update(input).digest('hex');
+  }
+
+  static applyRule(rule, value, salt) {
+    if (rule === 'hash') return `anon-${this.hash(value, salt).slice(0, 16)}`;
+    if (rule === 'name') return `Anon${this.hash(value, salt).slice(0, 10)}`;
+    return undefined;
+  }
+
+  /**
+   * Anonymize an export record (see EntityTransferUtil) with the rules for its type
+   * @returns {Object} - A new record; the input is not changed
+   */
+  static anonymizeRecord(record, rules, salt) {
+    const typeRules = this.getRules(rules, record.entityType);
+    const attributes = { ...record.attributes };
+
+    Object.entries(typeRules).forEach(([attribute, rule]) => {
+      if (attribute === ENTITY_ID_RULE_KEY || attributes[attribute] === undefined || attributes[attribute] === null) return;
+
+      const value = this.applyRule(rule, attributes[attribute], salt);
+      if (value === undefined) {
+        delete attributes[attribute];
+      } else {
+        attributes[attribute] = value;
+      }
+    });
+
+    return {
+      ...record,
+      entityId: typeRules[ENTITY_ID_RULE_KEY] ? this.applyRule('hash', record.entityId, salt) : record.entityId,
+      attributes
+    };
+  }
+}
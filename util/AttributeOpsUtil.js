@@ -0,0 +1,194 @@
+// util/AttributeOpsUtil.js
+
+const ATTRIBUTE_OP_TYPES = new Set(['inc', 'dec', 'append', 'removeValue', 'setIfAbsent']);
+const MAX_ATTRIBUTE_OPS = 100;
+const PATH_SEGMENT_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+/**
+ * Utility for validating and evaluating atomic attribute operations on saves.
+ * Existing entities are updated by APPLY_WRITES_SCRIPT in EphemeralEntityManager;
+ * newly created entities have their operations evaluated here before the document
+ * is written, so both paths follow the same rules.
+ */
+export class AttributeOpsUtil {
+  /**
+   * Validate and normalize attribute operations from a save command
+   * @param {Array} ops - e.g. [{ op: 'inc', path: 'meso', value: 100, max: 999999 }]
+   * @returns {Array} - Normalized operations; dec is expressed as inc with a negative delta
+   */
+  static sanitizeAttributeOps(ops) {
+    if (!Array.isArray(ops)) {
+      throw new Error('ops must be an array');
+    }
+
+    if (ops.length > MAX_ATTRIBUTE_OPS) {
+      throw new Error(`ops must contain ${MAX_ATTRIBUTE_OPS} operations or fewer`);
+    }
+
+    const seenPaths = new Set();
+
+    return ops.map((entry, index) => {
+      if (typeof entry !== 'object' || entry === null) {
+        throw new Error(`ops[${index}] must be an object`);
+      }
+
+      const { op, path } = entry;
+
+      if (!ATTRIBUTE_OP_TYPES.has(op)) {
+        throw new Error(`ops[${index}].op must be one of: ${[...ATTRIBUTE_OP_TYPES].join(', ')}`);
+      }
+
+      this.validatePath(path, index);
+
+      // Each path may be targeted once per save so results are unambiguous
+      if (seenPaths.has(path)) {
+        throw new Error(`ops[${index}]: duplicate operation on ${path}`);
+      }
+      seenPaths.add(path);
+
+      if (op === 'inc' || op === 'dec') {
+        return this.sanitizeNumericOp(entry, index);
+      }
+
+      if (entry.value === undefined) {
+        throw new Error(`ops[${index}].value is required for ${op}`);
+      }
+
+      if (op === 'removeValue' && !['string', 'number', 'boolean'].includes(typeof entry.value)) {
+        throw new Error(`ops[${index}].value must be a string, number or boolean for removeValue`);
+      }
+
+      return { op, path, value: JSON.stringify(entry.value) };
+    });
+  }
+
+  static validatePath(path, index) {
+    if (typeof path !== 'string' || path.length === 0) {
+      throw new Error(`ops[${index}].path is required`);
+    }
+
+    const segments = path.split('.');
+    if (segments.some(segment => !PATH_SEGMENT_PATTERN.test(segment) || segment.length > 64)) {
+      throw new Error(`ops[${index}].path is invalid: ${path}`);
+    }
+  }
+
+  static sanitizeNumericOp(entry, index) {
+    const { op, path, value = 1, min, max, strict = false } = entry;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`ops[${index}].value must be a finite number for ${op}`);
+    }
+
+    const normalized = {
+      op: 'inc',
+      path,
+      delta: op === 'dec' ? -value : value
+    };
+
+    if (min !== undefined) {
+      if (typeof min !== 'number' || !Number.isFinite(min)) {
+        throw new Error(`ops[${index}].min must be a finite number`);
+      }
+      normalized.min = min;
+    }
+
+    if (max !== undefined) {
+      if (typeof max !== 'number' || !Number.isFinite(max)) {
+        throw new Error(`ops[${index}].max must be a finite number`);
+      }
+      normalized.max = max;
+    }
+
+    if (min !== undefined && max !== undefined && min > max) {
+      throw new Error(`ops[${index}]: min must be less than or equal to max`);
+    }
+
+    if (strict) {
+      normalized.strict = true;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Top-level attribute keys touched by normalized operations
+   */
+  static getRootKeys(ops) {
+    return new Set(ops.map(({ path }) => path.split('.')[0]));
+  }
+
+  /**
+   * Apply normalized operations to a plain attributes object (mutates it).
+   * Mirrors the semantics of APPLY_WRITES_SCRIPT for entities being created.
+   * @returns {{values: Object}|{error: string, path: string}}
+   */
+  static applyToAttributes(attributes, ops) {
+    const values = {};
+
+    for (const entry of ops) {
+      const segments = entry.path.split('.');
+      const field = segments.pop();
+      let parent = attributes;
+
+      for (const segment of segments) {
+        if (typeof parent[segment] !== 'object' || parent[segment] === null || Array.isArray(parent[segment])) {
+          return { error: 'invalid_path', path: entry.path };
+        }
+        parent = parent[segment];
+      }
+
+      const exists = Object.prototype.hasOwnProperty.call(parent, field);
+      const current = parent[field];
+
+      if (entry.op === 'inc') {
+        if (exists && typeof current !== 'number') {
+          return { error: 'type_mismatch', path: entry.path };
+        }
+
+        const result = this.applyBounds(exists ? current : 0, entry);
+        if (result.error) {
+          return { error: result.error, path: entry.path };
+        }
+        parent[field] = result.value;
+      } else if (entry.op === 'append') {
+        if (exists && !Array.isArray(current)) {
+          return { error: 'type_mismatch', path: entry.path };
+        }
+        parent[field] = [...(current || []), JSON.parse(entry.value)];
+      } else if (entry.op === 'removeValue') {
+        if (exists && !Array.isArray(current)) {
+          return { error: 'type_mismatch', path: entry.path };
+        }
+        if (exists) {
+          const value = JSON.parse(entry.value);
+          parent[field] = current.filter(item => item !== value);
+        }
+      } else if (entry.op === 'setIfAbsent' && !exists) {
+        parent[field] = JSON.parse(entry.value);
+      }
+
+      values[entry.path] = parent[field] === undefined ? null : parent[field];
+    }
+
+    return { values };
+  }
+
+  // Only the bound the delta moves towards applies; a value already past it is left as it is
+  static applyBounds(current, { delta, min, max, strict }) {
+    const value = current + delta;
+    let bound = null;
+
+    if (delta < 0 && min !== undefined && value < min) {
+      bound = Math.min(min, current);
+    } else if (delta > 0 && max !== undefined && value > max) {
+      bound = Math.max(max, current);
+    }
+
+    if (bound === null) {
+      return { value };
+    }
+
+    return strict ? { error: 'bounds_violation' } : { value: bound };
+  }
+}
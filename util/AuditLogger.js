@@ -3,7 +3,7 @@ import { metrics } from './MetricsCollector.js';
 
 const SKIP_COMMANDS = new Set(config.audit.skipCommands || ['emit', 'presence']);
 
-const COMMAND_TYPES = ['load', 'save', 'send', 'recv', 'search', 'rank', 'top'];
+const COMMAND_TYPES = ['load', 'save', 'txn', 'send', 'recv', 'search', 'rank', 'top', 'query', 'lookup', 'call', 'reserve', 'confirm', 'release', 'link', 'unlink', 'links', 'rollback', 'undelete', 'import'];
 
 export class AuditLogger {
   constructor(options = {}) {
@@ -41,6 +41,9 @@ export class AuditLogger {
       if (!Array.isArray(commandList) || commandList.length === 0) continue;
 
       for (const cmd of commandList) {
+        // Non-object commands are rejected during validation and carry no audit fields
+        if (!cmd || typeof cmd !== 'object') continue;
+
         const result = this.getResultForCommand(results, commandType, cmd.originalIndex);
         
         entries.push({
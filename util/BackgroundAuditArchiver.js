@@ -20,6 +20,7 @@ export class BackgroundAuditArchiver {
     
     this.isRunning = false;
     this.intervalId = null;
+    this.activeRun = null;
     this.initialized = false;
     
     this.stats = {
@@ -89,8 +90,45 @@ export class BackgroundAuditArchiver {
   }
 
   async run() {
-    if (!this.isRunning) return;
+    if (!this.isRunning || this.activeRun) return;
 
+    this.activeRun = this.archive();
+    try {
+      await this.activeRun;
+    } finally {
+      this.activeRun = null;
+    }
+  }
+
+  /**
+   * Archive what is left in the stream before shutdown, after the archiver is stopped.
+   * Batches repeat until the stream is empty; another server holding the lock is left to it.
+   * @param {Object} options - {deadline}: epoch milliseconds to start no batch after
+   * @returns {Promise<{archived: number, drained: boolean}>}
+   */
+  async drain({ deadline }) {
+    if (this.activeRun) {
+      await this.activeRun;
+    }
+
+    let archived = 0;
+    while (Date.now() < deadline) {
+      const result = await this.archive();
+      if (!result || result.archived === 0) {
+        return { archived, drained: result !== false };
+      }
+      archived += result.archived;
+    }
+
+    return { archived, drained: false };
+  }
+
+  /**
+   * Archive one batch if no other server holds the lock
+   * @returns {Promise<Object|null|false>} - The batch result, null when another server holds
+   *   the lock, or false when the batch failed
+   */
+  async archive() {
     this.stats.totalRuns++;
     const startTime = Date.now();
 
@@ -102,7 +140,7 @@ export class BackgroundAuditArchiver {
       );
 
       if (result === null) {
-        return;
+        return null;
       }
 
       this.stats.successfulRuns++;
@@ -118,10 +156,13 @@ export class BackgroundAuditArchiver {
           `[BackgroundAuditArchiver] Archived ${result.archived} commands in ${duration}ms`
         );
       }
+
+      return result;
     } catch (error) {
       this.stats.failedRuns++;
       this.stats.lastError = error.message;
       console.error('[BackgroundAuditArchiver] Run failed:', error);
+      return false;
     }
   }
 
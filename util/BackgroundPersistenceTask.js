@@ -1,13 +1,40 @@
 // util/BackgroundPersistenceTask.js
 import { ephemeralRedis, config } from '../config.js';
 import { DistributedLock } from './DistributedLock.js';
+import { KeyGenerator } from './KeyGenerator.js';
 import { metrics } from './MetricsCollector.js';
+import { entityVersionHistory } from './EntityVersionHistory.js';
+import { persistenceOutbox } from './PersistenceOutbox.js';
+import { persistenceDeadLetters } from './PersistenceDeadLetters.js';
+import { PersistenceShardUtil } from './PersistenceShardUtil.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+
+// Shortest wait between runs, however tight a persistence target is
+const MIN_RUN_DELAY_MS = 250;
+
+// Prisma errors for an unreachable or exhausted database: the batch is kept for later runs
+// instead of being split up and dead-lettered
+const CONNECTION_ERROR_CODES = new Set(['P1001', 'P1002', 'P1008', 'P1017', 'P2024']);
+
+function isConnectionError(error) {
+  return error?.name === 'PrismaClientInitializationError' || CONNECTION_ERROR_CODES.has(error?.code);
+}
+
+export function createDeadLetterError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 export class BackgroundPersistenceTask {
   constructor(ephemeralManager, persistentManager, options = {}) {
     this.ephemeralManager = ephemeralManager;
     this.persistentManager = persistentManager;
     this.lock = new DistributedLock(ephemeralRedis);
+    this.versionHistory = options.versionHistory || entityVersionHistory;
+    this.outbox = options.outbox || persistenceOutbox;
+    this.deadLetters = options.deadLetters || persistenceDeadLetters;
+    this.entityTypeRegistry = options.entityTypeRegistry || entityTypeRegistry;
 
     // Configuration with environment variable defaults
     this.lockKey = options.lockKey || 'background:persistence:lock';
@@ -16,16 +43,28 @@ export class BackgroundPersistenceTask {
     this.intervalMs = options.intervalMs || config.backgroundPersistence.intervalMs;
     this.maxRetries = options.maxRetries || config.backgroundPersistence.maxRetries;
     this.retryDelayMs = options.retryDelayMs || config.backgroundPersistence.retryDelayMs;
+    this.maxBatchSize = options.maxBatchSize || config.backgroundPersistence.maxBatchSize;
+
+    // The dirty set is split into shards, each persisted under its own lock, so several
+    // servers can persist at once; shard 0 keeps the unsharded set and lock keys
+    this.shardCount = ephemeralManager.shardCount || 1;
 
     // State
-    this.intervalId = null;
+    this.timer = null;
     this.isRunning = false;
+    this.activeRun = null;
+    this.shardStats = new Map();
     this.stats = {
       totalRuns: 0,
       successfulRuns: 0,
       failedRuns: 0,
       entitiesPersisted: 0,
       retriedOperations: 0,
+      recoveredFromOutbox: 0,
+      documentsLost: 0,
+      lastDocumentLost: null,
+      deadLettered: 0,
+      lastDeadLettered: null,
       lastRunTime: null,
       lastError: null
     };
@@ -43,9 +82,29 @@ export class BackgroundPersistenceTask {
     console.log(`Starting background persistence task (interval: ${this.intervalMs}ms, batch size: ${this.batchSize})`);
     this.isRunning = true;
 
-    // Run immediately, then at intervals
-    this.run();
-    this.intervalId = setInterval(() => this.run(), this.intervalMs);
+    // Run immediately, then again after each run completes
+    this.tick();
+  }
+
+  tick() {
+    this.run().finally(() => {
+      if (this.isRunning) {
+        this.timer = setTimeout(() => this.tick(), this.getRunDelay());
+      }
+    });
+  }
+
+  /**
+   * Wait before the next run: intervalMs, shortened to half the tightest persistence target
+   * of a persistent type so saves are picked up with a run to spare
+   * @returns {number} - Milliseconds
+   */
+  getRunDelay() {
+    const targetsMs = this.entityTypeRegistry.list()
+      .filter(policy => policy.persistence === 'persistent')
+      .map(policy => policy.persistenceTargetSeconds * 1000);
+    const tightestMs = Math.min(config.backgroundPersistence.defaultTargetSeconds * 1000, ...targetsMs);
+    return Math.max(MIN_RUN_DELAY_MS, Math.min(this.intervalMs, Math.floor(tightestMs / 2)));
   }
 
   /**
@@ -60,35 +119,86 @@ export class BackgroundPersistenceTask {
     console.log('Stopping background persistence task');
     this.isRunning = false;
 
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
     }
   }
 
   /**
-   * Run one iteration of the persistence task
+   * Run one iteration of the persistence task: every shard whose lock is free
    */
   async run() {
-    if (!this.isRunning) {
+    if (!this.isRunning || this.activeRun) {
       return;
     }
 
+    this.activeRun = (async () => {
+      // Servers start at random shards so they spread over them instead of queueing on one lock
+      const first = Math.floor(Math.random() * this.shardCount);
+      for (let offset = 0; offset < this.shardCount && this.isRunning; offset++) {
+        await this.runShard((first + offset) % this.shardCount);
+      }
+    })();
+
+    try {
+      await this.activeRun;
+    } finally {
+      this.activeRun = null;
+    }
+  }
+
+  /**
+   * Persist the dirty backlog before shutdown, after the task is stopped. Passes over all
+   * shards repeat while they make progress; shards locked by another server are left to it.
+   * @param {Object} options - {deadline}: epoch milliseconds to start no pass after
+   * @returns {Promise<{persisted: number, remaining: number, drained: boolean}>}
+   */
+  async drain({ deadline }) {
+    // A run in progress when the task was stopped still holds its shard's lock
+    if (this.activeRun) {
+      await this.activeRun;
+    }
+
+    let persisted = 0;
+    let remaining = await this.ephemeralManager.getPendingCount();
+
+    while (remaining > 0 && Date.now() < deadline) {
+      let passPersisted = 0;
+      for (let shard = 0; shard < this.shardCount && Date.now() < deadline; shard++) {
+        const result = await this.runShard(shard);
+        passPersisted += result ? result.processed : 0;
+      }
+
+      persisted += passPersisted;
+      remaining = await this.ephemeralManager.getPendingCount();
+      if (passPersisted === 0) break;
+    }
+
+    return { persisted, remaining, drained: remaining === 0 };
+  }
+
+  /**
+   * Persist one shard if no other server holds its lock
+   * @returns {Promise<Object|null|false>} - The run's result, null when another server holds
+   *   the lock, or false when the run failed
+   */
+  async runShard(shard) {
     this.stats.totalRuns++;
     const startTime = Date.now();
 
     try {
       // Try to acquire distributed lock
       const result = await this.lock.withLock(
-        this.lockKey,
-        () => this.processPendingUpdates(),
+        PersistenceShardUtil.getLockKey(this.lockKey, shard),
+        () => this.processPendingUpdates(shard),
         this.lockTTL
       );
 
       if (result === null) {
         // Could not acquire lock - another instance is running
         // This is not an error, just skip this run
-        return;
+        return null;
       }
 
       this.stats.successfulRuns++;
@@ -96,16 +206,29 @@ export class BackgroundPersistenceTask {
 
       const duration = Date.now() - startTime;
 
+      // Shared across servers; PersistenceBackpressure measures lag from it
+      await ephemeralRedis.set(PersistenceShardUtil.getLastSuccessKey(shard), Date.now());
+
       // Record metrics
       metrics.recordBackgroundTaskRun(true, duration, result.processed);
+      metrics.recordPersistenceShardRun(shard, { duration, ...result });
+      this.shardStats.set(shard, {
+        lastRunAt: new Date().toISOString(),
+        lastRunDuration: duration,
+        lastProcessed: result.processed,
+        backlog: result.backlog,
+        batchSize: result.batchSize,
+        remaining: result.remaining
+      });
 
       if (result.processed > 0) {
         console.log(
-          `Background persistence: processed ${result.processed} entities in ${duration}ms ` +
-          `(pending: ${result.remaining})`
+          `Background persistence: processed ${result.processed} entities ` +
+          `${this.shardCount > 1 ? `in shard ${shard} ` : ''}in ${duration}ms (pending: ${result.remaining})`
         );
       }
 
+      return result;
     } catch (error) {
       this.stats.failedRuns++;
       this.stats.lastError = error.message;
@@ -115,19 +238,38 @@ export class BackgroundPersistenceTask {
       metrics.recordBackgroundTaskRun(false, duration, 0);
 
       console.error('Background persistence task failed:', error);
+      return false;
     }
   }
 
   /**
    * Process pending updates from ephemeral storage with retry logic
-   * This is called while holding the distributed lock
+   * This is called while holding the shard's distributed lock
+   * @param {number} shard - Persistence shard to process
    */
-  async processPendingUpdates() {
+  async processPendingUpdates(shard = 0) {
+    // Larger backlogs are read in larger batches, up to maxBatchSize
+    const backlog = await this.ephemeralManager.getPendingCount(shard);
+    const batchSize = PersistenceShardUtil.computeBatchSize({ backlog, batchSize: this.batchSize, maxBatchSize: this.maxBatchSize });
+    await this.ephemeralManager.rehomeOrphanedShards(shard, batchSize);
+
+    // Entities with outbox entries are persisted from there first, recovering evicted ones;
+    // a drain that fails is logged and does not hold up the dirty set
+    let drained = 0;
+    if (this.outbox.enabled) {
+      try {
+        drained = await this.drainOutbox(shard);
+      } catch (error) {
+        console.error(`[BackgroundPersistence] Outbox drain of shard ${shard} failed:`, error);
+      }
+    }
+
     // Get pending updates from ephemeral storage
-    const originalUpdates = await this.ephemeralManager.getPendingUpdates(this.batchSize);
+    const { updates: originalUpdates, missing } = await this.ephemeralManager.getPendingUpdates(batchSize, shard);
 
     if (originalUpdates.length === 0) {
-      return { processed: 0, remaining: 0 };
+      await this.handleLostDocuments(missing);
+      return { processed: drained, remaining: 0, backlog, batchSize };
     }
 
     // Track all results across retries and remaining updates to retry
@@ -137,21 +279,8 @@ export class BackgroundPersistenceTask {
 
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        // Persist to database using the direct persistence method
-        const results = await this.persistentManager.performBatchUpsert(
-          this.convertToMergedUpdates(pendingUpdates)
-        );
-
-        // Merge results into allResults map, handling non-retryable errors
-        for (const [key, result] of results.entries()) {
-          // Convert non-retryable errors to success
-          if (!result.success && result.error === 'ENTITY_NOT_FOUND') {
-            console.log(`Entity not found during persistence (likely deleted): ${key} - marking as success`);
-            allResults.set(key, { success: true, version: 0, skipped: true });
-          } else {
-            allResults.set(key, result);
-          }
-        }
+        const results = await this.persistBatch(pendingUpdates);
+        this.mergeResults(allResults, results);
 
         // Check if any operations failed (excluding non-retryable errors already converted to success)
         const failed = Array.from(allResults.values()).filter(r => !r.success);
@@ -198,9 +327,21 @@ export class BackgroundPersistenceTask {
           );
           this.stats.retriedOperations += pendingUpdates.length;
           await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
-        } else {
+        } else if (isConnectionError(error)) {
           console.error(`Batch persistence failed after ${this.maxRetries} attempts:`, error);
           throw error; // Re-throw on final attempt
+        } else {
+          // An entity the batch cannot be persisted with is found by splitting the batch,
+          // so only it is dead-lettered below and the rest are persisted
+          console.error(`Batch persistence failed after ${this.maxRetries} attempts, persisting it in parts:`, error);
+          const { results, failures } = await this.persistIsolating(pendingUpdates, error);
+          if (results.size === 0 && failures.length > 1) {
+            throw error; // Nothing persisted on its own either: not one entity's fault
+          }
+          this.mergeResults(allResults, results);
+          failures.forEach(({ update, error: failure }) => {
+            allResults.set(`${update.entityType}:${update.entityId}:${update.worldId}`, { success: false, error: failure });
+          });
         }
       }
     }
@@ -212,6 +353,15 @@ export class BackgroundPersistenceTask {
     // Count successful persists
     const successful = Array.from(allResults.values()).filter(r => r.success).length;
 
+    // Entities still failing after every attempt are dead-lettered instead of holding up later batches
+    await this.deadLetter(originalUpdates
+      .filter(update => allResults.get(`${update.entityType}:${update.entityId}:${update.worldId}`)?.success === false)
+      .map(update => ({
+        update,
+        error: allResults.get(`${update.entityType}:${update.entityId}:${update.worldId}`).error,
+        attempts: this.maxRetries
+      })));
+
     // Flush successfully persisted entities from ephemeral storage and remove from dirty set
     // Use originalUpdates to get all attempted entities, not just the failed ones from retries
     const successfulKeys = originalUpdates
@@ -233,20 +383,441 @@ export class BackgroundPersistenceTask {
         };
       });
 
+    await this.deadLetters.resolve(successfulKeys);
     await this.ephemeralManager.flushPersistedEntities(successfulKeys);
 
+    // Time from the first unpersisted save to persistence, per type
+    const persistedAt = Date.now();
+    originalUpdates
+      .filter(update => update.dirtySince && allResults.get(`${update.entityType}:${update.entityId}:${update.worldId}`)?.success)
+      .forEach(update => metrics.recordPersistenceLag(update.entityType, (persistedAt - update.dirtySince) / 1000));
+
     // Update stats
     this.stats.entitiesPersisted += successful;
 
+    // Checked last so saves that were mid-write when the batch was read have landed
+    await this.handleLostDocuments(missing);
+
     // Get remaining count
-    const remaining = await this.ephemeralManager.getPendingCount();
+    const remaining = await this.ephemeralManager.getPendingCount(shard);
 
     return {
-      processed: successful,
-      remaining
+      processed: successful + drained,
+      remaining,
+      backlog,
+      batchSize
     };
   }
 
+  /**
+   * Persist the entities with the oldest outbox entries. An entity whose Redis document is
+   * current is persisted from Redis as usual; one whose document vanished, or was recreated
+   * by later saves, is first persisted from its outbox documents.
+   * @param {number} shard - Only entities of this persistence shard are drained
+   * @returns {Promise<number>} - Entities persisted
+   */
+  async drainOutbox(shard = 0) {
+    const pending = await this.outbox.readPending(undefined, { shard, shardCount: this.shardCount });
+    if (pending.length === 0) return 0;
+
+    const loaded = await this.ephemeralManager.batchLoad(pending);
+    const documents = new Map(pending.map((entity, index) => [entity, loaded[index]]));
+    const lost = new Set(await this.ephemeralManager.findLostDocuments(pending.filter(entity => !documents.get(entity))));
+
+    // Round n holds each entity's n-th state, so each entity's states are persisted in order
+    const rounds = [];
+    const finalStates = new Map();
+    pending.forEach(entity => {
+      const document = documents.get(entity);
+      const outboxDocuments = entity.documents;
+      const isCurrent = document && document.version >= outboxDocuments[outboxDocuments.length - 1].version;
+      if (document && !isCurrent) {
+        lost.add(entity);
+      }
+
+      const states = isCurrent
+        ? [...outboxDocuments.slice(0, -1), document]
+        : [...outboxDocuments, ...(document ? [document] : [])];
+      finalStates.set(entity, states[states.length - 1]);
+      states.forEach((state, round) => {
+        rounds[round] = rounds[round] || [];
+        rounds[round].push({
+          entity,
+          update: {
+            environment: entity.environment,
+            entityType: entity.entityType,
+            entityId: entity.entityId,
+            worldId: entity.worldId,
+            attributes: state.attributes || {},
+            rankScores: state.rankScores || {},
+            isCreate: false,
+            isDelete: state.isDeleted || false
+          }
+        });
+      });
+    });
+
+    // Entities failing a round are retried like a normal batch; ones that still fail skip later rounds
+    const failed = new Map();
+    const persistedVersions = new Map();
+    for (const round of rounds) {
+      let entries = round.filter(({ entity }) => !failed.has(entity));
+
+      for (let attempt = 1; attempt <= this.maxRetries && entries.length > 0; attempt++) {
+        if (attempt > 1) {
+          this.stats.retriedOperations += entries.length;
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+        }
+
+        const updates = entries.map(({ update }) => update);
+        let results;
+        const thrown = new Set();
+        try {
+          results = await this.persistBatch(updates);
+        } catch (error) {
+          if (isConnectionError(error)) throw error;
+
+          // The entities the round throws for are found by splitting it and fail at once,
+          // so one bad outbox entry does not stop the shard's runs
+          console.error('Outbox round persistence failed, persisting it in parts:', error);
+          const isolated = await this.persistIsolating(updates, error);
+          if (isolated.results.size === 0 && isolated.failures.length > 1) throw error;
+          results = isolated.results;
+          isolated.failures.forEach(({ update, error: failure }) => {
+            const key = `${update.entityType}:${update.entityId}:${update.worldId}`;
+            results.set(key, { success: false, error: failure });
+            thrown.add(key);
+          });
+        }
+
+        entries = entries.filter(({ entity }) => {
+          const key = `${entity.entityType}:${entity.entityId}:${entity.worldId}`;
+          const result = results.get(key);
+          if (result?.success || result?.error === 'ENTITY_NOT_FOUND') {
+            persistedVersions.set(entity, result.version || 0);
+            return false;
+          }
+          if (attempt === this.maxRetries || thrown.has(key)) {
+            failed.set(entity, result?.error);
+            return false;
+          }
+          return true;
+        });
+      }
+    }
+
+    // The final state of each failed entity is dead-lettered, which takes over from its entries
+    const persisted = pending.filter(entity => !failed.has(entity));
+    await this.deadLetter([...failed].map(([entity, error]) => {
+      const state = finalStates.get(entity);
+      return {
+        update: {
+          environment: entity.environment,
+          entityType: entity.entityType,
+          entityId: entity.entityId,
+          worldId: entity.worldId,
+          attributes: state.attributes || {},
+          rankScores: state.rankScores || {},
+          isDelete: state.isDeleted || false,
+          version: documents.get(entity)?.version
+        },
+        error,
+        attempts: this.maxRetries
+      };
+    }));
+    await this.deadLetters.resolve(persisted);
+
+    // Redis copies are flushed as after a normal persist; vanished ones only leave the dirty set
+    await this.ephemeralManager.flushPersistedEntities(persisted
+      .filter(entity => documents.get(entity))
+      .map(entity => ({
+        environment: entity.environment,
+        entityType: entity.entityType,
+        entityId: entity.entityId,
+        worldId: entity.worldId,
+        persistedVersion: persistedVersions.get(entity)
+      })));
+    await this.ephemeralManager.removeDirtyKeys(persisted
+      .filter(entity => !documents.get(entity))
+      .map(({ environment, entityType, entityId, worldId }) => KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId)));
+    await this.outbox.acknowledge(pending);
+
+    const recovered = persisted.filter(entity => lost.has(entity));
+    if (lost.size > 0) {
+      this.reportLostDocuments([...lost], recovered.length);
+    }
+    this.stats.recoveredFromOutbox += recovered.length;
+    metrics.recordOutboxRecovery(recovered.length);
+    this.stats.entitiesPersisted += persisted.length;
+
+    return persisted.length;
+  }
+
+  /**
+   * Move entities that failed every persistence attempt to the dead-letter store and out of
+   * the dirty set. Their Redis documents are kept; an entity saved again since stays dirty,
+   * and persisting it resolves its entry.
+   * @param {Array} failures - {update, error, attempts}; update holds the attempted state and
+   *   the Redis document's version
+   */
+  async deadLetter(failures) {
+    if (failures.length === 0) return;
+
+    await this.deadLetters.add(failures.map(({ update, error, attempts }) => ({
+      environment: update.environment,
+      entityType: update.entityType,
+      entityId: update.entityId,
+      worldId: update.worldId,
+      payload: {
+        attributes: update.attributes,
+        rankScores: update.rankScores,
+        isDelete: update.isDelete || false
+      },
+      error,
+      attempts
+    })));
+    await this.ephemeralManager.releaseDirtyKeys(failures.map(({ update }) => update));
+
+    this.stats.deadLettered += failures.length;
+    this.stats.lastDeadLettered = {
+      at: new Date().toISOString(),
+      count: failures.length
+    };
+
+    const sample = failures.slice(0, 10).map(({ update }) =>
+      KeyGenerator.getDirtyKey(update.environment, update.entityType, update.entityId, update.worldId)
+    );
+    console.error(
+      `[BackgroundPersistence] Moved ${failures.length} entities that failed persistence to the dead-letter store: ` +
+      `${sample.join(', ')}${failures.length > sample.length ? ', ...' : ''}`
+    );
+  }
+
+  /**
+   * Persist a dead-lettered entity again, optionally with an edited payload, and remove its
+   * entry when that succeeds. Runs under the persistence lock so it cannot interleave with a run.
+   * @param {string} id - Dead-letter entry id
+   * @param {Object|null} payload - {attributes?, rankScores?, isDelete?} replacing the stored payload's fields
+   * @returns {Promise<Object>} - {id, status: 'persisted'|'skipped'|'failed', version?, error?}
+   */
+  async retryDeadLetter(id, payload = null) {
+    const entry = await this.getDeadLetter(id);
+    const attempted = { ...entry.payload, ...this.validateDeadLetterPayload(payload) };
+
+    return this.withPersistenceLock(entry, async () => {
+      await this.ensureNotDirty(entry);
+
+      const mergedUpdates = this.convertToMergedUpdates([{ ...entry, ...attempted, isCreate: false }]);
+      let result;
+      try {
+        const previousStates = await this.versionHistory.capture(mergedUpdates);
+        const results = await this.persistentManager.performBatchUpsert(mergedUpdates);
+        await this.versionHistory.record(mergedUpdates, results, previousStates);
+        result = results.get(`${entry.entityType}:${entry.entityId}:${entry.worldId}`) ||
+          { success: false, error: 'No result returned for entity' };
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (!result.success && result.error !== 'ENTITY_NOT_FOUND') {
+        await this.deadLetters.recordFailure(entry.id, attempted, result.error);
+        metrics.recordDeadLetterAction('retry_failed');
+        return { id: entry.id, status: 'failed', error: result.error };
+      }
+
+      // The Redis document holds the failed state, which the database now supersedes
+      await this.deadLetters.remove(entry.id);
+      await this.flushDeadLetteredDocument(entry);
+      metrics.recordDeadLetterAction('retried');
+
+      return result.success
+        ? { id: entry.id, status: 'persisted', version: result.version }
+        : { id: entry.id, status: 'skipped', error: result.error };
+    });
+  }
+
+  /**
+   * Drop a dead-lettered entity's unpersisted state: its entry and, unless it has been
+   * saved again since, its Redis document, so it reads from the database again
+   * @param {string} id - Dead-letter entry id
+   * @returns {Promise<Object>} - The discarded entry
+   */
+  async discardDeadLetter(id) {
+    const entry = await this.getDeadLetter(id);
+
+    return this.withPersistenceLock(entry, async () => {
+      await this.deadLetters.remove(entry.id);
+      await this.flushDeadLetteredDocument(entry);
+      metrics.recordDeadLetterAction('discarded');
+      return entry;
+    });
+  }
+
+  async getDeadLetter(id) {
+    const entry = await this.deadLetters.get(id);
+    if (!entry) {
+      throw createDeadLetterError(`Dead letter ${id} not found`, 'dead_letter_not_found');
+    }
+    return entry;
+  }
+
+  validateDeadLetterPayload(payload) {
+    if (payload === null || payload === undefined) return {};
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(payload) ||
+      (payload.attributes !== undefined && !isObject(payload.attributes)) ||
+      (payload.rankScores !== undefined && !isObject(payload.rankScores)) ||
+      (payload.isDelete !== undefined && typeof payload.isDelete !== 'boolean')) {
+      throw createDeadLetterError('payload must be an object with object attributes and rankScores and a boolean isDelete', 'invalid_request');
+    }
+
+    const { attributes, rankScores, isDelete } = payload;
+    return {
+      ...(attributes !== undefined ? { attributes } : {}),
+      ...(rankScores !== undefined ? { rankScores } : {}),
+      ...(isDelete !== undefined ? { isDelete } : {})
+    };
+  }
+
+  // The lock of the entity's shard
+  async withPersistenceLock({ environment, entityType, entityId, worldId }, fn) {
+    const dirtyKey = KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
+    const lockKey = PersistenceShardUtil.getLockKey(this.lockKey, PersistenceShardUtil.getShard(dirtyKey, this.shardCount));
+    const { acquired, value } = await this.lock.acquireWithRetry(lockKey, this.lockTTL);
+    if (!acquired) {
+      throw createDeadLetterError('Background persistence is running; try again shortly', 'persistence_busy');
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.lock.release(lockKey, value);
+    }
+  }
+
+  // Newer saves are persisted by the background task and resolve the entry themselves
+  async ensureNotDirty({ environment, entityType, entityId, worldId }) {
+    const dirtyKey = KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
+    if (await this.ephemeralManager.redis.sismember(this.ephemeralManager.getDirtySetKey(dirtyKey), dirtyKey)) {
+      throw createDeadLetterError(
+        `${entityType} ${entityId} has saves waiting for persistence; its entry is resolved when they are persisted`,
+        'entity_has_pending_saves'
+      );
+    }
+  }
+
+  // Only a document that is not dirty again is flushed
+  async flushDeadLetteredDocument({ environment, entityType, entityId, worldId }) {
+    const dirtyKey = KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
+    if (await this.ephemeralManager.redis.sismember(this.ephemeralManager.getDirtySetKey(dirtyKey), dirtyKey)) return;
+
+    const [document] = await this.ephemeralManager.batchLoad([{ environment, entityType, entityId, worldId }]);
+    if (document) {
+      await this.ephemeralManager.flushPersistedEntities([{
+        environment, entityType, entityId, worldId, dirtyKey, persistedVersion: document.version
+      }]);
+    }
+  }
+
+  /**
+   * Report dirty entities whose Redis document is gone and drop them from the dirty set;
+   * nothing is left to persist them from (with the outbox enabled, the drain persists
+   * them from their outbox entries)
+   */
+  async handleLostDocuments(missing) {
+    if (missing.length === 0) return;
+
+    try {
+      const lost = await this.ephemeralManager.findLostDocuments(missing);
+      if (lost.length === 0) return;
+
+      this.reportLostDocuments(lost, 0);
+      await this.ephemeralManager.removeDirtyKeys(lost.map(({ dirtyKey }) => dirtyKey));
+    } catch (error) {
+      console.error('Failed to check dirty entities for lost documents:', error);
+    }
+  }
+
+  reportLostDocuments(lost, recovered) {
+    this.stats.documentsLost += lost.length;
+    this.stats.lastDocumentLost = {
+      at: new Date().toISOString(),
+      count: lost.length,
+      recovered
+    };
+    metrics.recordDocumentsLost(lost.map(({ entityType }) => entityType));
+
+    const sample = lost.slice(0, 10).map(({ environment, entityType, entityId, worldId }) =>
+      KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId)
+    );
+    console.error(
+      `[BackgroundPersistence] ${lost.length} dirty entities lost their ephemeral document before persistence ` +
+      `(${recovered} recovered from the persistence outbox): ${sample.join(', ')}${lost.length > sample.length ? ', ...' : ''}`
+    );
+  }
+
+  /**
+   * Persist to database using the direct persistence method,
+   * recording each new version in the entity history
+   * @param {Array} updates - Pending updates
+   * @returns {Promise<Map>} - Results by entityType:entityId:worldId
+   */
+  async persistBatch(updates) {
+    const mergedUpdates = this.convertToMergedUpdates(updates);
+    const previousStates = await this.versionHistory.capture(mergedUpdates);
+    const results = await this.persistentManager.performBatchUpsert(mergedUpdates);
+    await this.versionHistory.record(mergedUpdates, results, previousStates);
+    return results;
+  }
+
+  // Merge batch results into allResults, handling non-retryable errors
+  mergeResults(allResults, results) {
+    for (const [key, result] of results.entries()) {
+      // Convert non-retryable errors to success
+      if (!result.success && result.error === 'ENTITY_NOT_FOUND') {
+        console.log(`Entity not found during persistence (likely deleted): ${key} - marking as success`);
+        allResults.set(key, { success: true, version: 0, skipped: true });
+      } else {
+        allResults.set(key, result);
+      }
+    }
+  }
+
+  /**
+   * Persist updates whose batch threw, in halves down to single entities
+   * @param {Array} updates - Pending updates
+   * @param {Error} error - What the whole batch threw
+   * @returns {Promise<{results: Map, failures: Array<{update, error}>}>} - Results of the parts that
+   *   persisted, and the entities that still threw on their own with the error message
+   */
+  async persistIsolating(updates, error) {
+    const results = new Map();
+    const failures = [];
+
+    const split = async (part, error) => {
+      if (part.length === 1) {
+        failures.push({ update: part[0], error: error.message });
+        return;
+      }
+      const middle = Math.ceil(part.length / 2);
+      await persist(part.slice(0, middle));
+      await persist(part.slice(middle));
+    };
+
+    const persist = async (part) => {
+      try {
+        const partResults = await this.persistBatch(part);
+        partResults.forEach((result, key) => results.set(key, result));
+      } catch (partError) {
+        await split(part, partError);
+      }
+    };
+
+    await split(updates, error);
+    return { results, failures };
+  }
+
   /**
    * Convert pending updates array to merged updates map format
    * expected by performBatchUpsert
@@ -287,7 +858,13 @@ export class BackgroundPersistenceTask {
       ...this.stats,
       isRunning: this.isRunning,
       intervalMs: this.intervalMs,
-      batchSize: this.batchSize
+      runDelayMs: this.getRunDelay(),
+      batchSize: this.batchSize,
+      maxBatchSize: this.maxBatchSize,
+      maxRetries: this.maxRetries,
+      shardCount: this.shardCount,
+      shards: Object.fromEntries(this.shardStats),
+      outbox: this.outbox.getStats()
     };
   }
 
@@ -300,6 +877,11 @@ export class BackgroundPersistenceTask {
       successfulRuns: 0,
       failedRuns: 0,
       entitiesPersisted: 0,
+      recoveredFromOutbox: 0,
+      documentsLost: 0,
+      lastDocumentLost: null,
+      deadLettered: 0,
+      lastDeadLettered: null,
       lastRunTime: null,
       lastError: null
     };
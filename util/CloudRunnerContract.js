@@ -18,33 +18,55 @@ export function decodeCloudSaveMessage(command) {
   return {};
 }
 
-export function buildCloudSearchResult(rows) {
+function toCloudEntityRow(row) {
+  return {
+    entityType: row?.entity_type || row?.entityType || '',
+    id: row?.id || '',
+    worldId: Number(row?.world_id ?? row?.worldId ?? 0),
+    attributesJson: normalizeJsonString(row?.attributes || {}),
+    rankScoresJson: normalizeJsonString(row?.rank_scores || row?.rankScores || {}),
+  };
+}
+
+export function buildCloudSearchResult(rows, nextCursor = null) {
   const safeRows = Array.isArray(rows) ? rows : [];
   return {
     ok: true,
     code: '',
-    rows: safeRows.map((row) => ({
-      entityType: row?.entity_type || row?.entityType || '',
-      id: row?.id || '',
-      worldId: Number(row?.world_id ?? row?.worldId ?? 0),
-      attributesJson: normalizeJsonString(row?.attributes || {}),
-      rankScoresJson: normalizeJsonString(row?.rank_scores || row?.rankScores || {}),
-    })),
+    rows: safeRows.map(toCloudEntityRow),
+    nextCursor: nextCursor || '',
   };
 }
 
-export function buildCloudTopResult(rows) {
+export function buildCloudTopResult(rows, nextCursor = null) {
   const safeRows = Array.isArray(rows) ? rows : [];
   return {
     ok: true,
     code: '',
     rows: safeRows.map((row) => ({
-      entityType: row?.entity_type || row?.entityType || '',
-      id: row?.id || '',
-      worldId: Number(row?.world_id ?? row?.worldId ?? 0),
-      attributesJson: normalizeJsonString(row?.attributes || {}),
-      rankScoresJson: normalizeJsonString(row?.rank_scores || row?.rankScores || {}),
+      ...toCloudEntityRow(row),
       rankValue: Number(row?.rank_value ?? row?.rankValue ?? 0),
     })),
+    nextCursor: nextCursor || '',
+  };
+}
+
+export function buildCloudQueryResult(rows, nextCursor = null) {
+  const safeRows = Array.isArray(rows) ? rows : [];
+  return {
+    ok: true,
+    code: '',
+    rows: safeRows.map(toCloudEntityRow),
+    nextCursor: nextCursor || '',
+  };
+}
+
+export function buildCloudErrorResult(code, message, field = null) {
+  return {
+    ok: false,
+    code,
+    field,
+    error: message,
+    rows: [],
   };
 }
@@ -0,0 +1,118 @@
+// util/CommandHandlerRegistry.js
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { config } from '../config.js';
+import { JsonSchemaValidator } from './JsonSchemaValidator.js';
+
+const HANDLER_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+/**
+ * Server-side command handlers invoked with the call command.
+ *
+ * Every .js file in the handlers directory is one handler, named after the file.
+ * Its default export is either a function or
+ * {input?, timeoutMs?, handle(context, input)} where `input` is a JSON Schema
+ * for the call's input and `context` is a HandlerContext.
+ *
+ * Handlers are loaded once at startup; changing them requires a restart.
+ */
+export class CommandHandlerRegistry {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || config.commandHandlers.directory);
+    this.defaultTimeoutMs = options.timeoutMs || config.commandHandlers.timeoutMs;
+    this.handlers = new Map();
+    this.loadErrors = {};
+    this.loadPromise = null;
+    this.lastLoadedAt = null;
+  }
+
+  // Load the handlers directory on first use
+  ready() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.load();
+    }
+    return this.loadPromise;
+  }
+
+  async load() {
+    let fileNames = [];
+    try {
+      fileNames = await fs.readdir(this.directory);
+    } catch (error) {
+      // No handlers directory means no handlers
+      if (error.code !== 'ENOENT') {
+        console.error(`[CommandHandlerRegistry] Failed to read ${this.directory}:`, error.message);
+      }
+    }
+
+    const handlers = new Map();
+    const loadErrors = {};
+
+    for (const fileName of fileNames.filter(name => name.endsWith('.js')).sort()) {
+      const name = path.basename(fileName, '.js');
+
+      try {
+        const module = await import(pathToFileURL(path.join(this.directory, fileName)).href);
+        handlers.set(name, this.normalizeHandler(name, module.default));
+      } catch (error) {
+        // One broken handler must not take the others down
+        loadErrors[name] = error.message;
+        console.error(`[CommandHandlerRegistry] Failed to load handler ${name}:`, error.message);
+      }
+    }
+
+    this.handlers = handlers;
+    this.loadErrors = loadErrors;
+    this.lastLoadedAt = Date.now();
+
+    console.log(`[CommandHandlerRegistry] Loaded ${handlers.size} command handlers from ${this.directory}`);
+    return handlers.size;
+  }
+
+  normalizeHandler(name, definition) {
+    if (!HANDLER_NAME_PATTERN.test(name)) {
+      throw new Error('handler file names must start with a letter and contain only letters, digits and underscores');
+    }
+
+    const handler = typeof definition === 'function' ? { handle: definition } : definition;
+    if (!handler || typeof handler.handle !== 'function') {
+      throw new Error('default export must be a function or an object with a handle function');
+    }
+
+    if (handler.timeoutMs !== undefined && (!Number.isInteger(handler.timeoutMs) || handler.timeoutMs < 1)) {
+      throw new Error('timeoutMs must be a positive integer');
+    }
+
+    if (handler.input !== undefined && (typeof handler.input !== 'object' || handler.input === null)) {
+      throw new Error('input must be a JSON Schema object');
+    }
+
+    return {
+      name,
+      input: handler.input || null,
+      timeoutMs: handler.timeoutMs || this.defaultTimeoutMs,
+      handle: handler.handle
+    };
+  }
+
+  get(name) {
+    return this.handlers.get(name) || null;
+  }
+
+  /**
+   * @returns {Array<{path: string, message: string}>} - Errors against the handler's input schema
+   */
+  validateInput(handler, input) {
+    return handler.input ? JsonSchemaValidator.validate(handler.input, input) : [];
+  }
+
+  getStats() {
+    return {
+      directory: this.directory,
+      handlers: [...this.handlers.values()].map(({ name, timeoutMs }) => ({ name, timeoutMs })),
+      loadErrors: this.loadErrors,
+      lastLoadedAt: this.lastLoadedAt ? new Date(this.lastLoadedAt).toISOString() : null
+    };
+  }
+}
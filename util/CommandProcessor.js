@@ -8,13 +8,88 @@ import { StreamManager } from './StreamManager.js';
 import { EphemeralEntityManager } from './EphemeralEntityManager.js';
 import { PersistentEntityManager } from './PersistentEntityManager.js';
 import { BackgroundPersistenceTask } from './BackgroundPersistenceTask.js';
+import { PersistenceBackpressure, BACKPRESSURE_ERROR_CODE } from './PersistenceBackpressure.js';
+import { pendingOperations } from './PendingOperations.js';
 import { BackblazeFileManager } from './BackblazeFileManager.js';
 import { S3FileManager } from './S3FileManager.js';
 import { LocalFileManager } from './LocalFileManager.js';
 import { metrics } from './MetricsCollector.js';
 import { PresenceManager } from './PresenceManager.js';
-import { buildCloudSearchResult, buildCloudTopResult, decodeCloudSaveMessage } from './CloudRunnerContract.js';
+import {
+  buildCloudErrorResult,
+  buildCloudQueryResult,
+  buildCloudSearchResult,
+  buildCloudTopResult,
+  decodeCloudSaveMessage
+} from './CloudRunnerContract.js';
 import { auditLogger } from './AuditLogger.js';
+import { IdempotencyStore } from './IdempotencyStore.js';
+import { InputValidator } from './InputValidator.js';
+import { EntityQueryBuilder } from './EntityQueryBuilder.js';
+import { CursorUtil } from './CursorUtil.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { EntityIndexManager, entityIndexManager } from './EntityIndexManager.js';
+import { EntitySchemaValidator } from './EntitySchemaValidator.js';
+import { CommandHandlerRegistry } from './CommandHandlerRegistry.js';
+import { HandlerContext } from './HandlerContext.js';
+import { nameReservationManager } from './NameReservationManager.js';
+import { entityRelationshipManager } from './EntityRelationshipManager.js';
+import { entityVersionHistory } from './EntityVersionHistory.js';
+import { DeletedEntityManager } from './DeletedEntityManager.js';
+import { environmentRegistry } from './EnvironmentRegistry.js';
+
+// Command types whose results are remembered by idempotencyKey (mutating commands only)
+const IDEMPOTENT_COMMAND_TYPES = new Set(['save', 'txn', 'send', 'call', 'reserve', 'confirm', 'release', 'link', 'unlink']);
+
+// Fields each command type must carry; unknown command types are rejected per command
+const COMMAND_REQUIRED_FIELDS = {
+  load: ['entityType', 'entityId', 'worldId'],
+  save: ['entityType', 'entityId', 'worldId'],
+  txn: ['saves'],
+  send: ['entityType', 'entityId', 'worldId'],
+  recv: ['entityType', 'entityId', 'worldId'],
+  search: ['entityType', 'worldId', 'namePattern'],
+  rank: ['entityType', 'entityId', 'worldId', 'rankKey'],
+  top: ['entityType', 'worldId', 'rankKey'],
+  query: ['entityType', 'worldId'],
+  lookup: ['entityType', 'attribute', 'value'],
+  call: ['handler'],
+  reserve: ['entityType', 'entityId', 'name'],
+  confirm: ['entityType', 'entityId', 'name'],
+  release: ['entityType', 'entityId', 'name'],
+  link: ['entityType', 'entityId', 'worldId', 'relationship', 'targetId'],
+  unlink: ['entityType', 'entityId', 'relationship', 'targetId'],
+  links: ['entityType', 'entityId', 'relationship'],
+  emit: [],
+  presence: []
+};
+
+// Validators for fields whenever they are present on a command
+const COMMAND_FIELD_VALIDATORS = {
+  entityType: value => InputValidator.sanitizeEntityType(value),
+  entityId: value => InputValidator.sanitizeEntityId(value),
+  worldId: value => InputValidator.sanitizeWorldId(value),
+  targetId: value => InputValidator.sanitizeEntityId(value),
+  targetWorldId: value => InputValidator.sanitizeWorldId(value),
+  namePattern: value => InputValidator.sanitizeNamePattern(value),
+  sortOrder: value => InputValidator.sanitizeSortOrder(value),
+  limit: value => InputValidator.sanitizeLimit(value),
+  expectedVersion: value => InputValidator.sanitizeExpectedVersion(value)
+};
+
+const MAX_LINK_METADATA_BYTES = 4096;
+
+// Command types whose results use the cloud runner contract shape
+const CONTRACT_RESULT_TYPES = new Set(['search', 'top', 'query']);
+
+// load.asOf: an ISO 8601 string or epoch milliseconds
+function parseAsOf(value) {
+  const timestamp = new Date(typeof value === 'number' ? value : String(value));
+  if ((typeof value !== 'number' && typeof value !== 'string') || Number.isNaN(timestamp.getTime())) {
+    throw new Error('load.asOf must be an ISO 8601 timestamp or epoch milliseconds');
+  }
+  return timestamp;
+}
 
 function createValidationError(message, statusCode = 400, details = null) {
   const error = new Error(message);
@@ -46,6 +121,16 @@ export class CommandProcessor {
     this.ephemeralManager = new EphemeralEntityManager(this.streamManager);
     this.persistentManager = new PersistentEntityManager(this.cache, this.streamManager, this.ephemeralManager);
     this.presenceManager = new PresenceManager(this.persistentManager);
+    this.idempotencyStore = new IdempotencyStore();
+    this.schemaValidator = new EntitySchemaValidator();
+    this.handlerRegistry = new CommandHandlerRegistry();
+    this.nameReservations = nameReservationManager;
+    this.relationshipManager = entityRelationshipManager;
+    this.versionHistory = entityVersionHistory;
+    this.deletedEntities = new DeletedEntityManager({
+      persistentManager: this.persistentManager,
+      ephemeralManager: this.ephemeralManager
+    });
 
     // Initialize background persistence task
     this.backgroundTask = new BackgroundPersistenceTask(
@@ -57,6 +142,7 @@ export class CommandProcessor {
         lockTTL: 10       // Hold lock for 10 seconds max
       }
     );
+    this.backpressure = new PersistenceBackpressure(this.ephemeralManager, config.persistenceBackpressure);
 
     // Initialize file managers
     // LocalFileManager for staging (reads from local disk)
@@ -81,7 +167,14 @@ export class CommandProcessor {
 
   async startBackgroundTasks() {
     console.log('Starting background tasks...');
+    entityTypeRegistry.start();
+    environmentRegistry.start();
+    this.handlerRegistry.ready();
+    this.nameReservations.start();
+    this.versionHistory.start();
+    this.deletedEntities.start();
     this.backgroundTask.start();
+    this.backpressure.start();
     this.presenceManager.start();
 
     if (this.localFileManager) {
@@ -116,10 +209,14 @@ export class CommandProcessor {
       this.backgroundTask.stop();
     }
 
+    this.backpressure.stop();
+
     if (this.presenceManager) {
       this.presenceManager.stop();
     }
 
+    this.deletedEntities.stop();
+
     if (this.localFileManager) {
       await this.localFileManager.shutdown();
     }
@@ -130,7 +227,9 @@ export class CommandProcessor {
   }
 
   getBackgroundTaskStats() {
-    return this.backgroundTask ? this.backgroundTask.getStats() : null;
+    return this.backgroundTask
+      ? { ...this.backgroundTask.getStats(), backpressure: this.backpressure.getState() }
+      : null;
   }
 
   initializeDecryption() {
@@ -171,6 +270,9 @@ export class CommandProcessor {
       path: '/cloudrun'
     };
 
+    // Idempotency keys claimed by this request; released again if it fails
+    const claimedIdempotencyKeys = [];
+
     try {
       // Track world instance request
       if (payload.worldInstanceId) {
@@ -182,9 +284,9 @@ export class CommandProcessor {
 
       // Validate environment
       const { environment, commands } = payload;
-      if (!environment || !config.allowedEnvironments.includes(environment)) {
+      if (!environment || !environmentRegistry.isAllowed(environment)) {
         throw createValidationError(
-          `Invalid environment: must be one of ${config.allowedEnvironments.join(', ')}`,
+          `Invalid environment: must be one of ${environmentRegistry.list().join(', ')}`,
           400,
           { provided: environment }
         );
@@ -194,24 +296,68 @@ export class CommandProcessor {
         throw createValidationError('Invalid request: commands object is required');
       }
 
-      // Group commands by type for optimal batching
-      this.groupCommandsByType(commands, payload.worldInstanceId);
+      // A retried request with the same idempotencyKey returns the original response
+      let requestIdempotencyKey = null;
+      if (payload.idempotencyKey !== undefined) {
+        let sanitizedKey;
+        try {
+          sanitizedKey = InputValidator.sanitizeIdempotencyKey(payload.idempotencyKey);
+        } catch (error) {
+          throw createValidationError(error.message);
+        }
+
+        requestIdempotencyKey = this.idempotencyStore.getKey(environment, payload.worldInstanceId, 'request', sanitizedKey);
+        const [claim] = await this.idempotencyStore.claim([requestIdempotencyKey]);
+
+        if (claim.status === 'completed') {
+          metrics.recordIdempotencyReplay();
+          return claim.result;
+        }
+
+        if (claim.status === 'pending') {
+          metrics.recordIdempotencyInProgress();
+          throw createValidationError('A request with this idempotencyKey is still being processed', 409);
+        }
+
+        claimedIdempotencyKeys.push(requestIdempotencyKey);
+      }
+
+      // Group commands by type for optimal batching; invalid commands get their own error result
+      const { validCommands, invalidResults } = this.groupCommandsByType(commands, payload.worldInstanceId);
+
+      // Commands carrying their own idempotencyKey are skipped when already applied
+      const {
+        pendingCommands,
+        replayedResults,
+        claimedCommands
+      } = await this.claimCommandIdempotencyKeys(validCommands, environment, payload.worldInstanceId);
+      claimedIdempotencyKeys.push(...claimedCommands.map(({ key }) => key));
 
       // Process all command groups in parallel
       const results = await Promise.all([
-        this.processBatchedLoads(commands.load || [], environment),
-        this.processBatchedSaves(commands.save || [], environment),
-        this.processBatchedStreamAdds(commands.send || [], environment),
-        this.processBatchedStreamPulls(commands.recv || [], environment),
-        this.processBatchedSearchByName(commands.search || [], environment),
-        this.processBatchedCalculateRank(commands.rank || [], environment),
-        this.processBatchedGetRankings(commands.top || [], environment),
-        this.processBatchedClientMetrics(commands.emit || [], payload.worldInstanceId),
-        this.processBatchedPresence(commands.presence || [], environment, payload.worldInstanceId)
+        this.processBatchedLoads(pendingCommands.load || [], environment),
+        this.processBatchedSaves(pendingCommands.save || [], environment),
+        this.processBatchedTransactions(pendingCommands.txn || [], environment),
+        this.processBatchedStreamAdds(pendingCommands.send || [], environment),
+        this.processBatchedStreamPulls(pendingCommands.recv || [], environment),
+        this.processBatchedSearchByName(pendingCommands.search || [], environment),
+        this.processBatchedCalculateRank(pendingCommands.rank || [], environment),
+        this.processBatchedGetRankings(pendingCommands.top || [], environment),
+        this.processBatchedQueries(pendingCommands.query || [], environment),
+        this.processBatchedLookups(pendingCommands.lookup || [], environment),
+        this.processBatchedCalls(pendingCommands.call || [], environment),
+        this.processBatchedNameReservations('reserve', pendingCommands.reserve || [], environment),
+        this.processBatchedNameReservations('confirm', pendingCommands.confirm || [], environment),
+        this.processBatchedNameReservations('release', pendingCommands.release || [], environment),
+        this.processBatchedLinks(pendingCommands.link || [], environment),
+        this.processBatchedUnlinks(pendingCommands.unlink || [], environment),
+        this.processBatchedListLinks(pendingCommands.links || [], environment),
+        this.processBatchedClientMetrics(pendingCommands.emit || [], payload.worldInstanceId),
+        this.processBatchedPresence(pendingCommands.presence || [], environment, payload.worldInstanceId)
       ]);
 
       // Reconstruct results in original command order
-      const flatResults = results.flat();
+      const flatResults = [...results.flat(), ...replayedResults, ...invalidResults];
       const orderedResults = this.reconstructOrderedResults(commands, flatResults);
 
       const processingTime = performance.now() - startTime;
@@ -220,11 +366,21 @@ export class CommandProcessor {
       const commandCounts = {
         load: commands.load?.length || 0,
         save: commands.save?.length || 0,
+        txn: commands.txn?.length || 0,
         send: commands.send?.length || 0,
         recv: commands.recv?.length || 0,
         search: commands.search?.length || 0,
         rank: commands.rank?.length || 0,
         top: commands.top?.length || 0,
+        query: commands.query?.length || 0,
+        lookup: commands.lookup?.length || 0,
+        call: commands.call?.length || 0,
+        reserve: commands.reserve?.length || 0,
+        confirm: commands.confirm?.length || 0,
+        release: commands.release?.length || 0,
+        link: commands.link?.length || 0,
+        unlink: commands.unlink?.length || 0,
+        links: commands.links?.length || 0,
         emit: commands.emit?.length || 0,
         presence: commands.presence?.length || 0
       };
@@ -240,6 +396,11 @@ export class CommandProcessor {
       // Handle file sync if files parameter is present
       const response = { ...orderedResults };
 
+      const backpressureWarning = this.backpressure.getWarning();
+      if (backpressureWarning) {
+        response.warnings = [backpressureWarning];
+      }
+
       try {
         response.playerPopulation = await this.presenceManager.getPlayerPopulationSnapshot(environment);
       } catch (error) {
@@ -264,9 +425,35 @@ export class CommandProcessor {
         }
       }
 
+      // Remember results for idempotency keys claimed by this request. Retryable results are
+      // released instead, so a retry with the same key is applied; so is a response holding one.
+      const idempotencyEntries = claimedCommands.map(({ key, type, originalIndex }) => ({
+        key,
+        result: orderedResults[type][originalIndex],
+        retryable: orderedResults[type][originalIndex]?.retryable === true
+      }));
+      if (requestIdempotencyKey) {
+        idempotencyEntries.push({
+          key: requestIdempotencyKey,
+          result: response,
+          retryable: Object.values(orderedResults).some(typeResults => typeResults.some(result => result?.retryable === true))
+        });
+      }
+
+      try {
+        const stored = idempotencyEntries.filter(entry => !entry.retryable);
+        await Promise.all([
+          this.idempotencyStore.complete(stored.map(({ key, result }) => ({ key, result }))),
+          this.idempotencyStore.release(idempotencyEntries.filter(entry => entry.retryable).map(({ key }) => key))
+        ]);
+        metrics.recordIdempotencyStored(stored.length);
+      } catch (error) {
+        console.error('Failed to store idempotency results:', error);
+      }
+
       // Log commands to audit
       requestContext.durationMs = processingTime;
-      auditLogger.logCommands(requestContext, commands, orderedResults, 200).catch(err => {
+      pendingOperations.track(auditLogger.logCommands(requestContext, commands, orderedResults, 200)).catch(err => {
         console.error('[CommandProcessor] Failed to log audit:', err);
       });
 
@@ -274,13 +461,17 @@ export class CommandProcessor {
     } catch (error) {
       console.error('Command processing failed:', error);
 
+      pendingOperations.track(this.idempotencyStore.release(claimedIdempotencyKeys)).catch(err => {
+        console.error('[CommandProcessor] Failed to release idempotency keys:', err);
+      });
+
       // Record error metric
       const duration = performance.now() - startTime;
       metrics.recordCommand('unknown', false, duration, payload.worldInstanceId);
 
       // Log failed request to audit
       requestContext.durationMs = duration;
-      auditLogger.logFailedRequest(requestContext, error, error.statusCode || 500).catch(err => {
+      pendingOperations.track(auditLogger.logFailedRequest(requestContext, error, error.statusCode || 500)).catch(err => {
         console.error('[CommandProcessor] Failed to log failed audit:', err);
       });
 
@@ -386,56 +577,412 @@ export class CommandProcessor {
     }
   }
 
+  /**
+   * Validate commands and tag them with their position and type.
+   * Malformed envelopes (a command group that is not an array) reject the whole
+   * request with a 400; an individual invalid command only gets an error result
+   * in its own slot and the rest of the batch is still executed.
+   * @returns {{validCommands: Object, invalidResults: Array}}
+   */
   groupCommandsByType(commands, worldInstanceId) {
+    const validCommands = {};
+    const invalidResults = [];
+
     for (const cmd of Object.keys(commands)) {
       let array = commands[cmd];
 
       // Validate that commands[cmd] is an array
       if (!Array.isArray(array)) {
-        throw new Error(`Commands must be an array for type: ${cmd}`);
+        throw createValidationError(`Commands must be an array for type: ${cmd}`, 400, { type: cmd });
       }
 
+      validCommands[cmd] = [];
+
       for (let i = 0; i < array.length; i++) {
         const command = array[i];
 
         // Validate that command is an object
-        if (typeof command !== 'object' || command === null) {
-          throw new Error(`Command ${i} must be an object`);
+        if (typeof command !== 'object' || command === null || Array.isArray(command)) {
+          invalidResults.push(this.buildCommandError(cmd, i, 'invalid_command', null, `Command ${i} must be an object`));
+          continue;
         }
 
         command.originalIndex = i;
         command.type = cmd;
         command.worldInstanceId = worldInstanceId;
 
-        // Validate required fields by command type
-        if (cmd !== 'emit' && cmd !== 'presence') {
-          if (!command.entityType) {
-            throw new Error(`Command ${i}: entityType is required`);
-          }
-
-          if (command.worldId === undefined || command.worldId === null) {
-            throw new Error(`Command ${i}: worldId is required`);
-          }
+        const problem = this.validateCommandFields(cmd, command);
+        if (problem) {
+          invalidResults.push(this.buildCommandError(cmd, i, problem.code, problem.field, `Command ${i}: ${problem.message}`));
+          continue;
         }
 
-        if (cmd === 'presence') {
-          if (command.accountId === undefined && command.entityId === undefined && command.userId === undefined) {
-            throw new Error(`Command ${i}: presence.accountId is required`);
-          }
+        validCommands[cmd].push(command);
+      }
+    }
+
+    return { validCommands, invalidResults };
+  }
+
+  /**
+   * Check the fields a command type requires
+   * @returns {{code: string, field: string|null, message: string}|null} - First problem found, or null
+   */
+  validateCommandFields(type, command) {
+    const requiredFields = COMMAND_REQUIRED_FIELDS[type];
+    if (!requiredFields) {
+      return { code: 'unknown_command_type', field: null, message: `unknown command type: ${type}` };
+    }
+
+    const problem = this.validateFields(command, requiredFields, '');
+    if (problem) {
+      return problem;
+    }
+
+    if (type === 'save') {
+      return this.validateSavePolicy(command, '');
+    }
+
+    if (type === 'load' && (command.asOf !== undefined || command.asOfVersion !== undefined)) {
+      return this.validateAsOfLoad(command);
+    }
+
+    if (type === 'txn') {
+      return this.validateTransactionCommand(command);
+    }
+
+    if (type === 'query') {
+      return this.validateQueryCommand(command);
+    }
+
+    if (type === 'lookup') {
+      return this.validateLookupCommand(command);
+    }
+
+    if (type === 'call') {
+      return this.validateCallCommand(command);
+    }
+
+    if (type === 'reserve' || type === 'confirm' || type === 'release') {
+      return this.validateNameCommand(type, command);
+    }
+
+    if (type === 'link' || type === 'unlink' || type === 'links') {
+      return this.validateRelationshipCommand(type, command);
+    }
+
+    if ((type === 'top' || type === 'search') && !CursorUtil.isEmpty(command.cursor)) {
+      return this.validatePageCursor(type, command);
+    }
+
+    if (type === 'presence' && command.accountId === undefined && command.entityId === undefined && command.userId === undefined) {
+      return { code: 'missing_field', field: 'accountId', message: 'presence.accountId is required' };
+    }
+
+    return null;
+  }
+
+  validateFields(command, requiredFields, fieldPrefix) {
+    for (const field of requiredFields) {
+      if (command[field] === undefined || command[field] === null) {
+        return { code: 'missing_field', field: `${fieldPrefix}${field}`, message: `${fieldPrefix}${field} is required` };
+      }
+    }
+
+    // Validate every known field that is present, required or not
+    for (const [field, validate] of Object.entries(COMMAND_FIELD_VALIDATORS)) {
+      if (command[field] === undefined) continue;
+
+      try {
+        validate(command[field]);
+      } catch (error) {
+        return { code: 'invalid_field', field: `${fieldPrefix}${field}`, message: error.message };
+      }
+    }
+
+    return null;
+  }
+
+  validateTransactionCommand(command) {
+    if (!Array.isArray(command.saves) || command.saves.length === 0) {
+      return { code: 'invalid_field', field: 'saves', message: 'txn.saves must be a non-empty array' };
+    }
+
+    if (command.saves.length > config.ephemeral.maxTransactionSize) {
+      return {
+        code: 'invalid_field',
+        field: 'saves',
+        message: `txn.saves must contain ${config.ephemeral.maxTransactionSize} saves or fewer`
+      };
+    }
+
+    for (let j = 0; j < command.saves.length; j++) {
+      const save = command.saves[j];
+
+      if (typeof save !== 'object' || save === null || Array.isArray(save)) {
+        return { code: 'invalid_command', field: `saves[${j}]`, message: `txn.saves[${j}] must be an object` };
+      }
+
+      const problem = this.validateFields(save, COMMAND_REQUIRED_FIELDS.save, `saves[${j}].`)
+        || this.validateSavePolicy(save, `saves[${j}].`);
+      if (problem) {
+        return problem;
+      }
+    }
+
+    return null;
+  }
+
+  // Per-type save policies from the entity type registry (rank score keys, attribute size)
+  validateSavePolicy(command, fieldPrefix) {
+    if (command.isDelete) return null;
+
+    let update;
+    try {
+      update = this.buildSaveUpdate(command, null);
+    } catch (error) {
+      return { code: 'invalid_field', field: `${fieldPrefix}messageJson`, message: `${fieldPrefix}messageJson must be valid JSON` };
+    }
+
+    const violation = entityTypeRegistry.checkSavePolicy(command.entityType, update.attributes, update.rankScores || null);
+    if (violation) {
+      return { code: 'policy_violation', field: `${fieldPrefix}${violation.field}`, message: violation.message };
+    }
+
+    return null;
+  }
+
+  validateQueryCommand(command) {
+    // Ephemeral-only entity types never reach the entities table
+    if (this.isEphemeralEntityType(command.entityType)) {
+      return { code: 'invalid_field', field: 'entityType', message: `query is not supported for ${command.entityType}` };
+    }
+
+    try {
+      EntityQueryBuilder.sanitizeQuery(command);
+    } catch (error) {
+      return { code: 'invalid_field', field: error.field || null, message: error.message };
+    }
+
+    return null;
+  }
+
+  validateLookupCommand(command) {
+    if (!entityIndexManager.getIndex(command.entityType, command.attribute)) {
+      return { code: 'invalid_field', field: 'attribute', message: `${command.attribute} is not indexed for ${command.entityType}` };
+    }
+
+    if (EntityIndexManager.encodeValue(command.value) === null) {
+      return {
+        code: 'invalid_field',
+        field: 'value',
+        message: 'lookup.value must be a string (up to 1024 characters), number or boolean'
+      };
+    }
+
+    return null;
+  }
+
+  // Handler names and input schemas are checked when the call runs, once handlers are loaded
+  validateCallCommand(command) {
+    if (typeof command.handler !== 'string' || command.handler.length === 0) {
+      return { code: 'invalid_field', field: 'handler', message: 'call.handler must be a handler name' };
+    }
+
+    if (command.input !== undefined && (typeof command.input !== 'object' || command.input === null || Array.isArray(command.input))) {
+      return { code: 'invalid_field', field: 'input', message: 'call.input must be an object' };
+    }
+
+    return null;
+  }
+
+  validateAsOfLoad(command) {
+    if (this.isEphemeralEntityType(command.entityType)) {
+      return { code: 'invalid_field', field: 'asOf', message: `${command.entityType} has no version history` };
+    }
+
+    if (command.asOf !== undefined && command.asOfVersion !== undefined) {
+      return { code: 'invalid_field', field: 'asOf', message: 'load accepts asOf or asOfVersion, not both' };
+    }
+
+    if (command.asOfVersion !== undefined && (!Number.isInteger(command.asOfVersion) || command.asOfVersion < 1)) {
+      return { code: 'invalid_field', field: 'asOfVersion', message: 'load.asOfVersion must be a positive integer' };
+    }
+
+    if (command.asOf !== undefined) {
+      try {
+        parseAsOf(command.asOf);
+      } catch (error) {
+        return { code: 'invalid_field', field: 'asOf', message: error.message };
+      }
+    }
+
+    return null;
+  }
+
+  validateNameCommand(type, command) {
+    if (!this.nameReservations.isEnabled(command.entityType)) {
+      return { code: 'invalid_field', field: 'entityType', message: `names are not reserved for ${command.entityType}` };
+    }
+
+    try {
+      this.nameReservations.normalize(command.name);
+    } catch (error) {
+      return { code: 'invalid_field', field: 'name', message: `${type}.${error.message}` };
+    }
+
+    return null;
+  }
+
+  validateRelationshipCommand(type, command) {
+    const relationship = entityTypeRegistry.getRelationship(command.entityType, command.relationship);
+    if (!relationship) {
+      return { code: 'invalid_field', field: 'relationship', message: `${command.entityType} has no relationship ${command.relationship}` };
+    }
+
+    if (entityTypeRegistry.isEphemeral(relationship.ownerType) || entityTypeRegistry.isEphemeral(relationship.target)) {
+      return { code: 'invalid_field', field: 'relationship', message: `${type} is not supported for ephemeral entity types` };
+    }
+
+    if (command.metadata !== undefined) {
+      if (type !== 'link' || typeof command.metadata !== 'object' || command.metadata === null || Array.isArray(command.metadata)) {
+        return { code: 'invalid_field', field: 'metadata', message: 'link.metadata must be an object' };
+      }
+      if (Buffer.byteLength(JSON.stringify(command.metadata)) > MAX_LINK_METADATA_BYTES) {
+        return { code: 'invalid_field', field: 'metadata', message: `link.metadata must be ${MAX_LINK_METADATA_BYTES} bytes or fewer` };
+      }
+    }
+
+    if (type === 'links' && !CursorUtil.isEmpty(command.cursor)) {
+      try {
+        this.relationshipManager.decodeCursor(command.cursor, relationship);
+      } catch (error) {
+        return { code: 'invalid_field', field: 'cursor', message: error.message };
+      }
+    }
+
+    return null;
+  }
+
+  // A cursor is only valid for the same rankKey/sortOrder (top) or namePattern/worldId (search)
+  validatePageCursor(type, command) {
+    try {
+      if (type === 'top') {
+        CursorUtil.decodeRankCursor(command.cursor, {
+          rankKey: command.rankKey,
+          sortOrder: InputValidator.sanitizeSortOrder(command.sortOrder || 'DESC')
+        });
+      } else {
+        CursorUtil.decodeNameCursor(command.cursor, {
+          namePattern: InputValidator.sanitizeNamePattern(command.namePattern),
+          worldId: InputValidator.sanitizeWorldId(command.worldId)
+        });
+      }
+    } catch (error) {
+      return { code: 'invalid_field', field: 'cursor', message: error.message };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the result for a command rejected during validation.
+   * search/top/query results follow the cloud runner contract ({ok, code, rows}).
+   */
+  buildCommandError(type, originalIndex, code, field, message) {
+    const result = CONTRACT_RESULT_TYPES.has(type)
+      ? buildCloudErrorResult(code, message, field)
+      : { success: false, code, field, error: message };
+
+    return { originalIndex, type, result };
+  }
+
+  /**
+   * Claim per-command idempotency keys for mutating commands.
+   * Commands whose key already completed get their remembered result replayed;
+   * commands whose key is still pending in another request are not executed.
+   * @returns {Promise<{pendingCommands: Object, replayedResults: Array, claimedCommands: Array}>}
+   */
+  async claimCommandIdempotencyKeys(commands, environment, worldInstanceId) {
+    const pendingCommands = { ...commands };
+    const replayedResults = [];
+    const candidates = [];
+
+    for (const type of Object.keys(commands)) {
+      if (!IDEMPOTENT_COMMAND_TYPES.has(type)) continue;
+
+      commands[type].forEach(command => {
+        if (command.idempotencyKey === undefined) return;
+
+        try {
+          const sanitizedKey = InputValidator.sanitizeIdempotencyKey(command.idempotencyKey);
+          candidates.push({
+            key: this.idempotencyStore.getKey(environment, worldInstanceId, type, sanitizedKey),
+            type,
+            originalIndex: command.originalIndex
+          });
+        } catch (error) {
+          replayedResults.push(this.buildCommandError(
+            type, command.originalIndex, 'invalid_field', 'idempotencyKey', `Command ${command.originalIndex}: ${error.message}`
+          ));
         }
+      });
+    }
+
+    if (candidates.length === 0 && replayedResults.length === 0) {
+      return { pendingCommands, replayedResults, claimedCommands: [] };
+    }
+
+    const claims = await this.idempotencyStore.claim(candidates.map(({ key }) => key));
+    const claimedCommands = [];
+
+    claims.forEach((claim, index) => {
+      const candidate = candidates[index];
+
+      if (claim.status === 'claimed') {
+        claimedCommands.push(candidate);
+        return;
       }
+
+      if (claim.status === 'completed') {
+        metrics.recordIdempotencyReplay();
+      } else {
+        metrics.recordIdempotencyInProgress();
+      }
+
+      replayedResults.push({
+        originalIndex: candidate.originalIndex,
+        type: candidate.type,
+        result: claim.status === 'completed'
+          ? claim.result
+          : { success: false, error: 'idempotency_key_in_progress' }
+      });
+    });
+
+    // Only commands without a replayed/rejected result are executed
+    const skipped = new Set(replayedResults.map(({ type, originalIndex }) => `${type}:${originalIndex}`));
+    for (const type of IDEMPOTENT_COMMAND_TYPES) {
+      if (!commands[type]) continue;
+      pendingCommands[type] = commands[type].filter(
+        command => !skipped.has(`${type}:${command.originalIndex}`)
+      );
     }
+
+    return { pendingCommands, replayedResults, claimedCommands };
   }
 
   async processBatchedLoads(loadCommands, environment) {
     if (loadCommands.length === 0) return [];
 
-    // Separate ephemeral from persistent entities
+    // Separate ephemeral from persistent entities, and as-of loads from both
     const ephemeralLoads = [];
     const persistentLoads = [];
+    const historyLoads = [];
 
     loadCommands.forEach(cmd => {
-      if (this.isEphemeralEntityType(cmd.entityType)) {
+      if (cmd.asOf !== undefined || cmd.asOfVersion !== undefined) {
+        historyLoads.push(cmd);
+      } else if (this.isEphemeralEntityType(cmd.entityType)) {
         ephemeralLoads.push(cmd);
       } else {
         persistentLoads.push(cmd);
@@ -443,12 +990,39 @@ export class CommandProcessor {
     });
 
     // Process both types in parallel
-    const [ephemeralResults, persistentResults] = await Promise.all([
+    const [ephemeralResults, persistentResults, historyResults] = await Promise.all([
       this.processEphemeralLoads(ephemeralLoads, environment),
-      this.processPersistentLoads(persistentLoads, environment)
+      this.processPersistentLoads(persistentLoads, environment),
+      this.processHistoryLoads(historyLoads, environment)
     ]);
 
-    return [...ephemeralResults, ...persistentResults];
+    return [...ephemeralResults, ...persistentResults, ...historyResults];
+  }
+
+  // As-of loads read entity_versions only, never Redis or the cache
+  async processHistoryLoads(commands, environment) {
+    if (commands.length === 0) return [];
+
+    const entities = await Promise.all(commands.map(async cmd => {
+      try {
+        return await this.versionHistory.getAsOf({
+          environment,
+          entityType: cmd.entityType,
+          entityId: cmd.entityId,
+          version: cmd.asOfVersion ?? null,
+          timestamp: cmd.asOf !== undefined ? parseAsOf(cmd.asOf) : null
+        });
+      } catch (error) {
+        console.error('As-of load failed:', error);
+        return { success: false, error: error.message };
+      }
+    }));
+
+    return commands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'load',
+      result: entities[index]
+    }));
   }
 
   async processEphemeralLoads(commands, environment) {
@@ -513,19 +1087,62 @@ export class CommandProcessor {
     return [...ephemeralResults, ...persistentResults];
   }
 
-  async processEphemeralSaves(commands, environment) {
-    if (commands.length === 0) return [];
-
-    const updates = commands.map(cmd => ({
+  buildEphemeralSaveUpdate(cmd, environment) {
+    return {
       environment,
       entityType: cmd.entityType,
       entityId: cmd.entityId,
       worldId: cmd.worldId,
       attributes: decodeCloudSaveMessage(cmd),
-    }));
+      attributeOps: cmd.ops,
+      expectedVersion: cmd.expectedVersion
+    };
+  }
+
+  buildPersistentSaveUpdate(cmd, environment) {
+    // Extract rank scores from attributes if present
+    // rankScores now uses map<int32, int64> structure: { "scoreType": { "partitionKey": value } }
+    const rankScores = {};
+    const rawAttributes = decodeCloudSaveMessage(cmd);
+    const attributes = { ...rawAttributes };
+
+    // Look for rank score patterns and extract them
+    // Expected format in attributes: "scoreType:partitionKey" -> value
+    // We'll convert this to nested structure: rankScores[scoreType][partitionKey] = value
+    Object.keys(attributes).forEach(key => {
+      if (key.endsWith('Score')) {
+        rankScores[key] = attributes[key];
+        delete attributes[key];
+      }
+    });
+
+    return {
+      environment,
+      entityType: cmd.entityType,
+      entityId: cmd.entityId,
+      worldId: cmd.worldId,
+      attributes,
+      rankScores: Object.keys(rankScores).length > 0 ? rankScores : null,
+      isCreate: cmd.isCreate,
+      isDelete: cmd.isDelete,
+      attributeOps: cmd.ops,
+      expectedVersion: cmd.expectedVersion
+    };
+  }
+
+  buildSaveUpdate(cmd, environment) {
+    return this.isEphemeralEntityType(cmd.entityType)
+      ? this.buildEphemeralSaveUpdate(cmd, environment)
+      : this.buildPersistentSaveUpdate(cmd, environment);
+  }
+
+  async processEphemeralSaves(commands, environment) {
+    if (commands.length === 0) return [];
+
+    const updates = commands.map(cmd => this.buildEphemeralSaveUpdate(cmd, environment));
 
     // This automatically adds to streams via EphemeralEntityManager
-    const results = await this.ephemeralManager.batchSavePartial(updates);
+    const results = await this.saveWithSchemaValidation(updates, environment);
 
     return commands.map((cmd, index) => ({
       originalIndex: cmd.originalIndex,
@@ -537,37 +1154,20 @@ export class CommandProcessor {
   async processPersistentSaves(commands, environment) {
     if (commands.length === 0) return [];
 
-    const updates = commands.map(cmd => {
-      // Extract rank scores from attributes if present
-      // rankScores now uses map<int32, int64> structure: { "scoreType": { "partitionKey": value } }
-      const rankScores = {};
-      const rawAttributes = decodeCloudSaveMessage(cmd);
-      const attributes = { ...rawAttributes };
-
-      // Look for rank score patterns and extract them
-      // Expected format in attributes: "scoreType:partitionKey" -> value
-      // We'll convert this to nested structure: rankScores[scoreType][partitionKey] = value
-      Object.keys(attributes).forEach(key => {
-        if (key.endsWith('Score')) {
-          rankScores[key] = attributes[key];
-          delete attributes[key];
-        }
-      });
+    // While persistence is behind, the request's persistent saves are rejected together
+    const rejection = this.backpressure.admit(commands.length);
+    if (rejection) {
+      return commands.map(cmd => ({
+        originalIndex: cmd.originalIndex,
+        type: 'save',
+        result: { ...rejection }
+      }));
+    }
 
-      return {
-        environment,
-        entityType: cmd.entityType,
-        entityId: cmd.entityId,
-        worldId: cmd.worldId,
-        attributes,
-        rankScores: Object.keys(rankScores).length > 0 ? rankScores : null,
-        isCreate: cmd.isCreate,
-        isDelete: cmd.isDelete
-      };
-    });
+    const updates = commands.map(cmd => this.buildPersistentSaveUpdate(cmd, environment));
 
     // This automatically adds to streams via PersistentEntityManager
-    const results = await this.ephemeralManager.batchSavePartial(updates);
+    const results = await this.saveWithSchemaValidation(updates, environment);
 
     return commands.map((cmd, index) => ({
       originalIndex: cmd.originalIndex,
@@ -576,6 +1176,77 @@ export class CommandProcessor {
     }));
   }
 
+  /**
+   * Apply save updates that match their entity type schema; the others get a
+   * schema_violation result in their slot (enforce mode only)
+   */
+  async saveWithSchemaValidation(updates, environment) {
+    const schemaErrors = await this.schemaValidator.validateUpdates(environment, updates);
+    const acceptedUpdates = updates.filter((update, index) => !schemaErrors[index]);
+    const acceptedResults = await this.ephemeralManager.batchSavePartial(acceptedUpdates);
+
+    let acceptedIndex = 0;
+    return updates.map((update, index) => (schemaErrors[index]
+      ? {
+        success: false,
+        code: 'schema_violation',
+        field: 'attributes',
+        error: `attributes do not match the ${update.entityType} schema`,
+        errors: schemaErrors[index]
+      }
+      : acceptedResults[acceptedIndex++]));
+  }
+
+  /**
+   * Backpressure check for a transaction: one holding persistent saves is rejected whole
+   * while persistence is behind, at the index of its first persistent save
+   * @returns {Object|null} - The transaction's failure result, or null to apply it
+   */
+  admitTransaction(updates) {
+    const persistentCount = updates.filter(update => !this.isEphemeralEntityType(update.entityType)).length;
+    if (persistentCount === 0) return null;
+
+    const rejection = this.backpressure.admit(persistentCount);
+    if (!rejection) return null;
+
+    return {
+      success: false,
+      index: updates.findIndex(update => !this.isEphemeralEntityType(update.entityType)),
+      error: BACKPRESSURE_ERROR_CODE,
+      retryable: true,
+      retryAfterMs: rejection.retryAfterMs
+    };
+  }
+
+  // Each txn command applies its saves all-or-nothing; separate txn commands are independent
+  async processBatchedTransactions(txnCommands, environment) {
+    if (txnCommands.length === 0) return [];
+
+    const results = await Promise.all(txnCommands.map(async cmd => {
+      const updates = cmd.saves.map(save => this.buildSaveUpdate(save, environment));
+
+      // A save that fails its schema fails the whole transaction, like a failed precondition
+      const schemaErrors = await this.schemaValidator.validateUpdates(environment, updates);
+      const rejectedIndex = schemaErrors.findIndex(errors => errors);
+      if (rejectedIndex !== -1) {
+        return { success: false, index: rejectedIndex, error: 'schema_violation', errors: schemaErrors[rejectedIndex] };
+      }
+
+      const rejection = this.admitTransaction(updates);
+      if (rejection) {
+        return rejection;
+      }
+
+      return this.ephemeralManager.applyTransaction(updates);
+    }));
+
+    return txnCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'txn',
+      result: results[index]
+    }));
+  }
+
   async processBatchedStreamAdds(streamAddCommands, environment) {
     if (streamAddCommands.length === 0) return [];
 
@@ -621,7 +1292,8 @@ export class CommandProcessor {
       entityType: cmd.entityType,
       namePattern: cmd.namePattern,
       worldId: cmd.worldId,
-      limit: cmd.limit || 100
+      limit: cmd.limit || 100,
+      cursor: cmd.cursor
     }));
 
     const results = await this.persistentManager.batchSearchByName(requests);
@@ -629,7 +1301,7 @@ export class CommandProcessor {
     return searchCommands.map((cmd, index) => ({
       originalIndex: cmd.originalIndex,
       type: 'search',
-      result: buildCloudSearchResult(results[index])
+      result: buildCloudSearchResult(results[index].rows, results[index].nextCursor)
     }));
   }
 
@@ -664,7 +1336,8 @@ export class CommandProcessor {
       worldId: cmd.worldId,
       rankKey: cmd.rankKey,
       sortOrder: cmd.sortOrder || 'DESC',
-      limit: cmd.limit || 100
+      limit: cmd.limit || 100,
+      cursor: cmd.cursor
     }));
 
     const results = await this.persistentManager.batchGetRankedEntities(requests);
@@ -672,8 +1345,354 @@ export class CommandProcessor {
     return getRankingsCommands.map((cmd, index) => ({
       originalIndex: cmd.originalIndex,
       type: 'top',
-      result: buildCloudTopResult(results[index])
+      result: buildCloudTopResult(results[index].rows, results[index].nextCursor)
+    }));
+  }
+
+  async processBatchedQueries(queryCommands, environment) {
+    if (queryCommands.length === 0) return [];
+
+    const requests = queryCommands.map(cmd => ({
+      environment,
+      entityType: cmd.entityType,
+      worldId: cmd.worldId,
+      where: cmd.where,
+      sort: cmd.sort,
+      limit: cmd.limit || 100,
+      cursor: cmd.cursor
     }));
+
+    const results = await this.persistentManager.batchQueryEntities(requests);
+
+    return queryCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'query',
+      result: results[index].error
+        ? buildCloudErrorResult('query_failed', results[index].error)
+        : buildCloudQueryResult(results[index].rows, results[index].nextCursor)
+    }));
+  }
+
+  /**
+   * Resolve indexed attribute values to entities. Index entries are candidates
+   * only; each is checked against the loaded entity and stale ones are dropped.
+   */
+  async processBatchedLookups(lookupCommands, environment) {
+    if (lookupCommands.length === 0) return [];
+
+    const results = await Promise.all(lookupCommands.map(async cmd => {
+      const lookup = {
+        environment,
+        entityType: cmd.entityType,
+        attribute: cmd.attribute,
+        value: cmd.value,
+        worldId: cmd.worldId ?? null,
+        limit: cmd.limit || 100
+      };
+
+      try {
+        const candidates = await entityIndexManager.findCandidates(lookup);
+        const entities = await this.loadEntities(
+          candidates.map(({ entityId, worldId }) => ({ entityType: cmd.entityType, entityId, worldId })),
+          environment
+        );
+
+        const matches = entities.filter(entity => entity && !entity.isDeleted && entity.attributes?.[cmd.attribute] === cmd.value);
+        const stale = candidates.filter((candidate, index) => !matches.includes(entities[index]));
+        if (stale.length > 0) {
+          entityIndexManager.removeStale(lookup, stale).catch(error => {
+            console.error('[CommandProcessor] Failed to remove stale index entries:', error);
+          });
+        }
+
+        return { success: true, entities: matches.slice(0, lookup.limit) };
+      } catch (error) {
+        console.error('Lookup failed:', error);
+        return { success: false, error: error.message };
+      }
+    }));
+
+    return lookupCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'lookup',
+      result: results[index]
+    }));
+  }
+
+  async processBatchedNameReservations(type, nameCommands, environment) {
+    if (nameCommands.length === 0) return [];
+
+    let results;
+    try {
+      if (type === 'reserve') {
+        results = await this.nameReservations.batchReserve(nameCommands, environment);
+      } else if (type === 'confirm') {
+        results = await this.nameReservations.batchConfirm(nameCommands, environment);
+      } else {
+        results = await this.nameReservations.batchRelease(nameCommands, environment);
+      }
+    } catch (error) {
+      console.error(`Name ${type} failed:`, error);
+      results = nameCommands.map(() => ({ success: false, error: error.message }));
+    }
+
+    return nameCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type,
+      result: results[index]
+    }));
+  }
+
+  /**
+   * Resolve a link or unlink command to the owner (from) and target (to) sides.
+   * Commands may name either side; incoming relationships are swapped around.
+   */
+  resolveLink(cmd, environment) {
+    const relationship = entityTypeRegistry.getRelationship(cmd.entityType, cmd.relationship);
+    const self = { id: cmd.entityId, worldId: cmd.worldId };
+    const other = { id: cmd.targetId, worldId: cmd.targetWorldId ?? cmd.worldId };
+    const [from, to] = relationship.direction === 'outgoing' ? [self, other] : [other, self];
+
+    return {
+      environment,
+      relationship,
+      fromId: from.id,
+      fromWorldId: from.worldId,
+      toId: to.id,
+      toWorldId: to.worldId,
+      metadata: cmd.metadata
+    };
+  }
+
+  // Both entities must exist before they are linked
+  async processBatchedLinks(linkCommands, environment) {
+    if (linkCommands.length === 0) return [];
+
+    const links = linkCommands.map(cmd => this.resolveLink(cmd, environment));
+    const entities = await this.loadEntities(links.flatMap(({ relationship, fromId, fromWorldId, toId, toWorldId }) => [
+      { entityType: relationship.ownerType, entityId: fromId, worldId: fromWorldId },
+      { entityType: relationship.target, entityId: toId, worldId: toWorldId }
+    ]), environment);
+
+    const results = await Promise.all(links.map(async (link, index) => {
+      const missing = [entities[index * 2], entities[index * 2 + 1]].findIndex(entity => !entity || entity.isDeleted);
+      if (missing !== -1) {
+        const [entityType, entityId] = missing === 0
+          ? [link.relationship.ownerType, link.fromId]
+          : [link.relationship.target, link.toId];
+        return { success: false, error: 'entity_not_found', entityType, entityId };
+      }
+
+      try {
+        return await this.relationshipManager.link(link);
+      } catch (error) {
+        console.error('Link failed:', error);
+        return { success: false, error: error.message };
+      }
+    }));
+
+    return linkCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'link',
+      result: results[index]
+    }));
+  }
+
+  async processBatchedUnlinks(unlinkCommands, environment) {
+    if (unlinkCommands.length === 0) return [];
+
+    const results = await Promise.all(unlinkCommands.map(async cmd => {
+      try {
+        return await this.relationshipManager.unlink(this.resolveLink(cmd, environment));
+      } catch (error) {
+        console.error('Unlink failed:', error);
+        return { success: false, error: error.message };
+      }
+    }));
+
+    return unlinkCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'unlink',
+      result: results[index]
+    }));
+  }
+
+  async processBatchedListLinks(listCommands, environment) {
+    if (listCommands.length === 0) return [];
+
+    const results = await Promise.all(listCommands.map(async cmd => {
+      try {
+        const page = await this.relationshipManager.list({
+          environment,
+          relationship: entityTypeRegistry.getRelationship(cmd.entityType, cmd.relationship),
+          entityId: cmd.entityId,
+          limit: InputValidator.sanitizeLimit(cmd.limit ?? 100),
+          cursor: cmd.cursor
+        });
+        return { success: true, ...page };
+      } catch (error) {
+        console.error('List links failed:', error);
+        return { success: false, error: error.message };
+      }
+    }));
+
+    return listCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'links',
+      result: results[index]
+    }));
+  }
+
+  // Handler calls are independent; each runs its own load/save/send context
+  async processBatchedCalls(callCommands, environment) {
+    if (callCommands.length === 0) return [];
+
+    await this.handlerRegistry.ready();
+
+    const results = await Promise.all(callCommands.map(cmd => this.runHandlerCall(cmd, environment)));
+
+    return callCommands.map((cmd, index) => ({
+      originalIndex: cmd.originalIndex,
+      type: 'call',
+      result: results[index]
+    }));
+  }
+
+  /**
+   * Run a handler, rerunning it (up to COMMAND_HANDLER_MAX_RETRIES times) when
+   * its saves hit a version conflict
+   * @returns {Promise<Object>} - {success: true, result, versions} or {success: false, code?, error, ...}
+   */
+  async runHandlerCall(cmd, environment) {
+    const handler = this.handlerRegistry.get(cmd.handler);
+    if (!handler) {
+      return { success: false, code: 'unknown_handler', field: 'handler', error: `unknown handler: ${cmd.handler}` };
+    }
+
+    const input = cmd.input ?? {};
+    const inputErrors = this.handlerRegistry.validateInput(handler, input);
+    if (inputErrors.length > 0) {
+      return {
+        success: false,
+        code: 'invalid_field',
+        field: 'input',
+        error: `input does not match the ${handler.name} input schema`,
+        errors: inputErrors
+      };
+    }
+
+    const startTime = performance.now();
+    let outcome;
+
+    for (let attempt = 0; ; attempt++) {
+      outcome = await this.runHandlerAttempt(handler, input, cmd, environment);
+      if (outcome.error !== 'version_conflict' || attempt >= config.commandHandlers.maxRetries) break;
+      metrics.recordHandlerRetry();
+    }
+
+    const metricOutcome = outcome.success ? 'success' : outcome.code === 'handler_timeout' ? 'timeout' : 'failure';
+    metrics.recordHandlerCall(handler.name, metricOutcome, performance.now() - startTime);
+
+    return outcome;
+  }
+
+  async runHandlerAttempt(handler, input, cmd, environment) {
+    const context = new HandlerContext({
+      environment,
+      worldInstanceId: cmd.worldInstanceId,
+      handler: handler.name,
+      loadEntities: requests => this.loadEntities(requests, environment)
+    });
+
+    let result;
+    try {
+      result = await HandlerContext.run(handler.handle, context, input, handler.timeoutMs);
+    } catch (error) {
+      if (error.handlerCode) {
+        return { success: false, code: error.handlerCode, error: `${handler.name}: ${error.message}` };
+      }
+
+      console.error(`[CommandProcessor] Handler ${handler.name} failed:`, error);
+      return { success: false, code: 'handler_error', error: `${handler.name}: ${error.message}` };
+    }
+
+    return this.commitHandlerContext(context, result, environment);
+  }
+
+  // Load entities in request order (null when missing); requests are validated like load commands
+  async loadEntities(requests, environment) {
+    const loadCommands = requests.map((request, index) => {
+      const problem = this.validateFields(request, COMMAND_REQUIRED_FIELDS.load, 'load.');
+      if (problem) {
+        throw new Error(problem.message);
+      }
+
+      return { ...request, originalIndex: index };
+    });
+
+    const results = await this.processBatchedLoads(loadCommands, environment);
+    const entities = new Array(requests.length).fill(null);
+    results.forEach(({ originalIndex, result }) => {
+      entities[originalIndex] = result ?? null;
+    });
+
+    return entities;
+  }
+
+  // Apply a finished handler's saves as one transaction, then its sends
+  async commitHandlerContext(context, result, environment) {
+    const { saves, sends } = context;
+
+    if (saves.length > config.ephemeral.maxTransactionSize) {
+      return {
+        success: false,
+        code: 'handler_error',
+        error: `${context.handler}: saved ${saves.length} entities, above the limit of ${config.ephemeral.maxTransactionSize}`
+      };
+    }
+
+    for (let j = 0; j < saves.length; j++) {
+      const problem = this.validateFields(saves[j], COMMAND_REQUIRED_FIELDS.save, `saves[${j}].`)
+        || this.validateSavePolicy(saves[j], `saves[${j}].`);
+      if (problem) {
+        return { success: false, code: problem.code, field: problem.field, error: `${context.handler}: ${problem.message}` };
+      }
+    }
+
+    for (let j = 0; j < sends.length; j++) {
+      const problem = this.validateFields(sends[j], COMMAND_REQUIRED_FIELDS.send, `sends[${j}].`);
+      if (problem) {
+        return { success: false, code: problem.code, field: problem.field, error: `${context.handler}: ${problem.message}` };
+      }
+    }
+
+    let versions = [];
+    if (saves.length > 0) {
+      const updates = saves.map(save => this.buildSaveUpdate(save, environment));
+
+      const schemaErrors = await this.schemaValidator.validateUpdates(environment, updates);
+      const rejectedIndex = schemaErrors.findIndex(errors => errors);
+      if (rejectedIndex !== -1) {
+        return { success: false, index: rejectedIndex, error: 'schema_violation', errors: schemaErrors[rejectedIndex] };
+      }
+
+      const rejection = this.admitTransaction(updates);
+      if (rejection) {
+        return rejection;
+      }
+
+      const outcome = await this.ephemeralManager.applyTransaction(updates);
+      if (!outcome.success) {
+        return outcome;
+      }
+      versions = outcome.versions;
+    }
+
+    if (sends.length > 0) {
+      await this.streamManager.batchAddMessages(sends.map(send => ({ ...send, environment })));
+    }
+
+    return { success: true, result: result ?? null, versions };
   }
 
   reconstructOrderedResults(originalCommands, batchResults) {
@@ -751,7 +1770,7 @@ export class CommandProcessor {
   }
 
   isEphemeralEntityType(entityType) {
-    return config.entityTypes.ephemeral.includes(entityType);
+    return entityTypeRegistry.isEphemeral(entityType);
   }
 
   encryptWorldInstanceId(worldInstanceId) {
@@ -0,0 +1,103 @@
+// util/CursorUtil.js
+
+/**
+ * Opaque pagination cursors: base64url-encoded JSON payloads.
+ * Each payload records the query it was issued for, so a cursor cannot be
+ * replayed against a differently sorted or filtered query.
+ */
+export class CursorUtil {
+  static isEmpty(cursor) {
+    return cursor === undefined || cursor === null || cursor === '';
+  }
+
+  static encode(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * @param {string} cursor - Cursor previously returned as nextCursor
+   * @returns {Object} - Decoded payload
+   * @throws {Error} - When the cursor is not a valid encoded object
+   */
+  static decode(cursor) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      payload = null;
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('cursor is invalid');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Rankings are ordered by score in sortOrder, then by id ascending.
+   * The score is kept as a string because rank values are BIGINT.
+   */
+  static encodeRankCursor(row, { rankKey, sortOrder }) {
+    return this.encode({
+      rankKey,
+      order: sortOrder,
+      score: String(row.rank_value ?? row.rankValue),
+      id: row.id
+    });
+  }
+
+  static decodeRankCursor(cursor, { rankKey, sortOrder }) {
+    const payload = this.decode(cursor);
+
+    if (payload.rankKey !== rankKey || payload.order !== sortOrder ||
+        typeof payload.id !== 'string' || !/^-?\d+$/.test(payload.score)) {
+      throw new Error('cursor does not match this query');
+    }
+
+    return { score: payload.score, id: payload.id };
+  }
+
+  /**
+   * Name search is ordered by the type's name attribute, then by id. Searches across all worlds
+   * are ordered by world first, so the cursor records the last row's world too.
+   */
+  static encodeNameCursor(row, { namePattern, worldId }, nameField = 'name') {
+    return this.encode({
+      namePattern,
+      worldId,
+      lastWorldId: Number(row.world_id ?? row.worldId),
+      name: String(row.attributes?.[nameField] ?? ''),
+      id: row.id
+    });
+  }
+
+  static decodeNameCursor(cursor, { namePattern, worldId }) {
+    const payload = this.decode(cursor);
+
+    if (payload.namePattern !== namePattern || payload.worldId !== worldId ||
+        typeof payload.name !== 'string' || typeof payload.id !== 'string' ||
+        !Number.isInteger(payload.lastWorldId)) {
+      throw new Error('cursor does not match this query');
+    }
+
+    return { worldId: payload.lastWorldId, name: payload.name, id: payload.id };
+  }
+
+  /**
+   * Trim a result fetched with limit + 1 rows and derive the next cursor
+   * @param {Array} rows - Rows in page order
+   * @param {number} limit - Page size
+   * @param {Function} encodeLast - Builds the cursor from the last row of the page
+   * @returns {{rows: Array, nextCursor: string|null}}
+   */
+  static paginate(rows, limit, encodeLast) {
+    const safeRows = Array.isArray(rows) ? rows : [];
+    if (safeRows.length <= limit) {
+      return { rows: safeRows, nextCursor: null };
+    }
+
+    const pageRows = safeRows.slice(0, limit);
+    return { rows: pageRows, nextCursor: encodeLast(pageRows[pageRows.length - 1]) };
+  }
+}
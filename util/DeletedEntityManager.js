@@ -0,0 +1,358 @@
+// util/DeletedEntityManager.js
+import { config, ephemeralRedis, prisma } from '../config.js';
+import { DistributedLock } from './DistributedLock.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { EntityIndexManager, entityIndexManager } from './EntityIndexManager.js';
+import { entityRelationshipManager } from './EntityRelationshipManager.js';
+import { nameReservationManager } from './NameReservationManager.js';
+import { entityVersionHistory } from './EntityVersionHistory.js';
+import { auditLogger } from './AuditLogger.js';
+import { metrics } from './MetricsCollector.js';
+
+const PURGE_LOCK_KEY = 'entity-purge:lock';
+const PURGE_LOCK_TTL = 600; // seconds
+const MAX_PURGE_BATCHES = 100; // per run, so one run stays well inside the lock TTL
+
+/**
+ * Soft-deleted persistent entities: admin undelete, and the scheduled purge
+ * that hard-deletes rows deleted more than purgeDeletedAfterDays ago.
+ *
+ * A deleted row is never written again, so its updated_at is the time it was
+ * deleted. Purging also removes the entity's version history and its links,
+ * which are kept (and hidden) while it is deleted; its index entries were
+ * already removed when the delete was persisted.
+ */
+export class DeletedEntityManager {
+  constructor(options = {}) {
+    this.prisma = options.prisma || prisma;
+    this.persistentManager = options.persistentManager;
+    this.ephemeralManager = options.ephemeralManager;
+    this.entityTypeRegistry = options.entityTypeRegistry || entityTypeRegistry;
+    this.indexManager = options.indexManager || entityIndexManager;
+    this.relationshipManager = options.relationshipManager || entityRelationshipManager;
+    this.nameReservations = options.nameReservations || nameReservationManager;
+    this.versionHistory = options.versionHistory || entityVersionHistory;
+    this.auditLogger = options.auditLogger || auditLogger;
+    this.enabled = options.enabled ?? config.entityPurge.enabled;
+    this.deletedAfterDays = options.deletedAfterDays || config.entityPurge.deletedAfterDays;
+    this.intervalMs = options.intervalMs || config.entityPurge.intervalMs;
+    this.batchSize = options.batchSize || config.entityPurge.batchSize;
+    this.lock = new DistributedLock(options.redis || ephemeralRedis);
+    this.timer = null;
+    this.stats = {
+      lastRunAt: null,
+      lastPurged: 0,
+      lastError: null
+    };
+  }
+
+  // Purge on an interval; the lock keeps it to one server per run
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => void this.purgeWithLock(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted entity: clear is_deleted, restore its secondary index
+   * entries and name reservation, record the version and refresh the entity cache.
+   * Its links, kept while it was deleted, count again; those whose other side
+   * reached its limit in the meantime are removed.
+   * @param {Object} request - {environment, entityType, entityId, requestContext}
+   * @returns {Promise<Object>} - {success: true, entity, name?} or {success: false, error, ...}
+   */
+  async undelete({ environment, entityType, entityId, requestContext }) {
+    const result = await this.restore(environment, entityType, entityId);
+    const output = result.success
+      ? { success: true, version: result.entity.version }
+      : { success: false, error: result.error };
+
+    await this.auditLogger.logCommands(
+      { ...requestContext, environment },
+      { undelete: [{ originalIndex: 0, entityType, entityId, worldId: result.entity?.worldId ?? null }] },
+      { undelete: [{ originalIndex: 0, type: 'undelete', result: output }] },
+      result.success ? 200 : 409
+    ).catch(error => {
+      console.error('[DeletedEntityManager] Failed to log audit:', error);
+    });
+
+    return result;
+  }
+
+  async restore(environment, entityType, entityId) {
+    if (this.entityTypeRegistry.isEphemeral(entityType)) {
+      return { success: false, error: 'entity_type_not_persistent' };
+    }
+
+    const row = await this.prisma.entity.findFirst({ where: { environment, entityType, id: entityId } });
+    if (!row) {
+      return { success: false, error: 'entity_not_found' };
+    }
+    if (!row.isDeleted) {
+      return { success: false, error: 'entity_not_deleted' };
+    }
+
+    // A Redis copy means writes that are not persisted yet; they decide the entity's state
+    const [document] = await this.ephemeralManager.batchLoad([{ environment, entityType, entityId, worldId: row.worldId }]);
+    if (document) {
+      return { success: false, error: 'write_pending' };
+    }
+
+    const conflict = await this.findUniqueConflict(row);
+    if (conflict) {
+      return { success: false, error: 'unique_value_taken', attribute: conflict };
+    }
+
+    const name = await this.reserveName(row);
+    if (name && !name.success) {
+      return { success: false, error: name.error, name: name.name };
+    }
+
+    const entityKey = `${entityType}:${entityId}:${row.worldId}`;
+    const updates = new Map([[entityKey, { environment, entityType, entityId, worldId: row.worldId }]]);
+    const previousStates = await this.versionHistory.capture(updates);
+
+    const restored = await this.prisma.entity.updateMany({
+      where: { environment, entityType, id: entityId, isDeleted: true },
+      data: { isDeleted: false, version: { increment: 1 } }
+    });
+    if (restored.count === 0) {
+      if (name?.status === 'reserved') {
+        await this.nameReservations.batchRelease([{ entityType, entityId, name: row.attributes[this.getNameField(entityType)] }], environment);
+      }
+      return { success: false, error: 'entity_not_deleted' };
+    }
+
+    await this.versionHistory.record(updates, new Map([[entityKey, { success: true }]]), previousStates);
+
+    try {
+      await this.indexManager.persist([{ environment, entityType, entityId, worldId: row.worldId, attributes: row.attributes }]);
+    } catch (error) {
+      console.error('[DeletedEntityManager] Failed to restore secondary index entries:', error);
+    }
+
+    try {
+      await this.relationshipManager.removeExcessLinks({ environment, entityType, entityId });
+    } catch (error) {
+      console.error('[DeletedEntityManager] Failed to remove links over their limits:', error);
+    }
+
+    let nameResult = name;
+    if (name) {
+      const [confirmed] = await this.nameReservations.batchConfirm(
+        [{ entityType, entityId, name: row.attributes[this.getNameField(entityType)] }],
+        environment
+      );
+      nameResult = confirmed;
+    }
+
+    const entity = await this.prisma.entity.findFirst({ where: { environment, entityType, id: entityId } });
+    this.rehydrateCache(entity);
+    metrics.recordEntityRestored();
+
+    return {
+      success: true,
+      entity: {
+        id: entity.id,
+        environment,
+        entityType,
+        worldId: entity.worldId,
+        attributes: entity.attributes,
+        rankScores: entity.rankScores,
+        version: entity.version
+      },
+      ...(nameResult ? { name: nameResult } : {})
+    };
+  }
+
+  getNameField(entityType) {
+    return this.entityTypeRegistry.getPolicy(entityType)?.nameField || 'name';
+  }
+
+  // Another entity holding one of the row's unique indexed values, persisted after the delete
+  async findUniqueConflict(row) {
+    const values = this.entityTypeRegistry.getIndexes(row.entityType)
+      .filter(index => index.unique)
+      .map(({ attribute }) => ({ attribute, value: EntityIndexManager.encodeValue(row.attributes?.[attribute]) }))
+      .filter(({ value }) => value);
+    if (values.length === 0) return null;
+
+    const conflicts = await this.prisma.$queryRaw`
+      SELECT i.attribute
+      FROM entity_index_entries i
+      JOIN jsonb_to_recordset(${JSON.stringify(values)}::JSONB) AS v(attribute TEXT, value TEXT)
+        ON i.attribute = v.attribute AND i.value = v.value
+      WHERE i.environment = ${row.environment}
+        AND i.entity_type = ${row.entityType}
+        AND i.entity_id <> ${row.id}
+      LIMIT 1
+    `;
+    return conflicts[0]?.attribute || null;
+  }
+
+  // Reclaim the entity's name before restoring it; null when the type has no reservations or no name
+  async reserveName(row) {
+    if (!this.nameReservations.isEnabled(row.entityType)) return null;
+
+    const name = row.attributes?.[this.getNameField(row.entityType)];
+    if (typeof name !== 'string') return null;
+
+    try {
+      const [reserved] = await this.nameReservations.batchReserve(
+        [{ entityType: row.entityType, entityId: row.id, worldId: row.worldId, name }],
+        row.environment
+      );
+      return reserved;
+    } catch (error) {
+      // Names saved before reservations existed may not normalize; reconciliation reports them
+      console.warn(`[DeletedEntityManager] Could not reserve name of ${row.entityType} ${row.id}:`, error.message);
+      return null;
+    }
+  }
+
+  rehydrateCache(entity) {
+    const { environment, entityType, id, worldId, version } = entity;
+    const newestCacheKey = this.persistentManager.getCacheKey(environment, entityType, id, worldId);
+    const versionedCacheKey = this.persistentManager.getCacheKey(environment, entityType, id, worldId, version);
+
+    this.persistentManager.cache.trackDependencies(newestCacheKey, [`${entityType}:${id}`]);
+    this.persistentManager.cache.mset([[newestCacheKey, entity], [versionedCacheKey, entity]], this.persistentManager.cache.defaultTTL).catch(error => {
+      console.error('[DeletedEntityManager] Failed to cache restored entity:', error);
+    });
+  }
+
+  // Purge retention per registered type; unregistered types use deletedAfterDays
+  getRetention() {
+    return JSON.stringify(this.entityTypeRegistry.list()
+      .filter(definition => definition.persistence === 'persistent')
+      .map(definition => ({ entity_type: definition.name, days: definition.purgeDeletedAfterDays })));
+  }
+
+  /**
+   * Dry run: what the next purge would remove
+   * @returns {Promise<Array<{environment, entityType, purgeAfterDays, count, oldestDeletedAt}>>}
+   */
+  async report() {
+    const rows = await this.prisma.$queryRaw`
+      SELECT e.environment, e.entity_type, COALESCE(r.days, ${this.deletedAfterDays}::INT) AS days,
+        COUNT(*)::INT AS count, MIN(e.updated_at) AS oldest_deleted_at
+      FROM entities e
+      LEFT JOIN jsonb_to_recordset(${this.getRetention()}::JSONB) AS r(entity_type TEXT, days INT)
+        ON r.entity_type = e.entity_type
+      WHERE e.is_deleted = true
+        AND e.updated_at < NOW() - make_interval(days => COALESCE(r.days, ${this.deletedAfterDays}::INT))
+      GROUP BY e.environment, e.entity_type, r.days
+      ORDER BY e.environment, e.entity_type
+    `;
+
+    return rows.map(row => ({
+      environment: row.environment,
+      entityType: row.entity_type,
+      purgeAfterDays: row.days,
+      count: row.count,
+      oldestDeletedAt: row.oldest_deleted_at
+    }));
+  }
+
+  /**
+   * Hard-delete expired soft-deleted entities with their version history and links, in batches
+   * @returns {Promise<Object>} - {entityType: count} of removed entities
+   */
+  async purge() {
+    const purged = {};
+
+    for (let batch = 0; batch < MAX_PURGE_BATCHES; batch++) {
+      const rows = await this.prisma.$queryRaw`
+        WITH expired AS (
+          SELECT e.environment, e.entity_type, e.id
+          FROM entities e
+          LEFT JOIN jsonb_to_recordset(${this.getRetention()}::JSONB) AS r(entity_type TEXT, days INT)
+            ON r.entity_type = e.entity_type
+          WHERE e.is_deleted = true
+            AND e.updated_at < NOW() - make_interval(days => COALESCE(r.days, ${this.deletedAfterDays}::INT))
+          LIMIT ${this.batchSize}
+          FOR UPDATE OF e SKIP LOCKED
+        ),
+        removed AS (
+          DELETE FROM entities e
+          USING expired x
+          WHERE e.environment = x.environment AND e.entity_type = x.entity_type AND e.id = x.id
+          RETURNING e.environment, e.entity_type, e.id
+        ),
+        removed_versions AS (
+          DELETE FROM entity_versions v
+          USING removed r
+          WHERE v.environment = r.environment AND v.entity_type = r.entity_type AND v.entity_id = r.id
+        ),
+        removed_links AS (
+          DELETE FROM entity_relationships l
+          USING removed r
+          WHERE l.environment = r.environment
+            AND ((l.from_type = r.entity_type AND l.from_id = r.id) OR (l.to_type = r.entity_type AND l.to_id = r.id))
+        )
+        SELECT entity_type, COUNT(*)::INT AS count
+        FROM removed
+        GROUP BY entity_type
+      `;
+
+      let removed = 0;
+      rows.forEach(({ entity_type: entityType, count }) => {
+        purged[entityType] = (purged[entityType] || 0) + count;
+        removed += count;
+      });
+      if (removed < this.batchSize) break;
+    }
+
+    return purged;
+  }
+
+  /**
+   * Purge under the lock, recording metrics
+   * @returns {Promise<Object|null>} - purge() result, or null when another purge holds the lock
+   */
+  async runPurge() {
+    try {
+      const purged = await this.lock.withLock(PURGE_LOCK_KEY, () => this.purge(), PURGE_LOCK_TTL);
+      if (!purged) return null;
+
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      metrics.recordEntityPurge(purged);
+      this.stats = { lastRunAt: new Date().toISOString(), lastPurged: total, lastError: null };
+      if (total > 0) {
+        console.log(`[DeletedEntityManager] Purged ${total} soft-deleted entities`, purged);
+      }
+      return purged;
+    } catch (error) {
+      metrics.recordEntityPurge({}, false);
+      this.stats = { ...this.stats, lastRunAt: new Date().toISOString(), lastError: error.message };
+      throw error;
+    }
+  }
+
+  async purgeWithLock() {
+    try {
+      return await this.runPurge();
+    } catch (error) {
+      console.error('[DeletedEntityManager] Failed to purge deleted entities:', error.message);
+      return null;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      deletedAfterDays: this.deletedAfterDays,
+      intervalMs: this.intervalMs,
+      batchSize: this.batchSize,
+      ...this.stats
+    };
+  }
+}
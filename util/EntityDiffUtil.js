@@ -121,4 +121,50 @@ export class EntityDiffUtil {
 
     return diff;
   }
+
+  /**
+   * Changes between two persisted states of an entity, for version history.
+   * Top-level keys are compared; removed keys are listed separately.
+   *
+   * @param {Object|null} previous - {attributes, rankScores} before, or null for a new entity
+   * @param {Object} current - {attributes, rankScores} after
+   * @returns {{attributes: Object, removedAttributes: Array<string>, rankScores: Object, removedRankScores: Array<string>}}
+   */
+  static computeChanges(previous, current) {
+    const changes = { attributes: {}, removedAttributes: [], rankScores: {}, removedRankScores: [] };
+
+    [['attributes', 'removedAttributes'], ['rankScores', 'removedRankScores']].forEach(([field, removedField]) => {
+      const before = previous?.[field] || {};
+      const after = current?.[field] || {};
+
+      for (const [key, value] of Object.entries(after)) {
+        if (!this.isEqual(before[key], value)) {
+          changes[field][key] = value;
+        }
+      }
+      for (const key of Object.keys(before)) {
+        if (!(key in after)) {
+          changes[removedField].push(key);
+        }
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Apply changes from computeChanges to a state
+   * @param {Object} state - {attributes, rankScores}
+   * @param {Object} changes - From computeChanges
+   * @returns {{attributes: Object, rankScores: Object}} - New state; the input is not modified
+   */
+  static applyChanges(state, changes) {
+    const attributes = { ...(state?.attributes || {}), ...(changes.attributes || {}) };
+    const rankScores = { ...(state?.rankScores || {}), ...(changes.rankScores || {}) };
+
+    (changes.removedAttributes || []).forEach(key => delete attributes[key]);
+    (changes.removedRankScores || []).forEach(key => delete rankScores[key]);
+
+    return { attributes, rankScores };
+  }
 }
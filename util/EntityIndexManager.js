@@ -0,0 +1,471 @@
+// util/EntityIndexManager.js
+import { createHash } from 'crypto';
+import { ephemeralRedis, prisma } from '../config.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { InputValidator } from './InputValidator.js';
+import { KeyGenerator } from './KeyGenerator.js';
+
+const MAX_INDEXED_STRING_LENGTH = 1024;
+
+// Delete a unique claim only while the given entity still holds it
+const RELEASE_CLAIM_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Remove index members whose entity no longer has the value. The entity's Redis document
+// decides when there is one, so a save landing after the lookup keeps its entry; otherwise
+// the member goes unless the caller found the value in the entities table.
+// KEYS[1]: index set, KEYS[i + 1]: document of the i-th member
+// ARGV[1]: attribute path, ARGV[2]: value as JSON, then per member: member, '1' if persisted with the value
+const REMOVE_STALE_SCRIPT = `
+local expected = cjson.decode(ARGV[2])[1]
+local removed = 0
+for i = 2, #KEYS do
+  local member = ARGV[i * 2 - 1]
+  local stale
+  if redis.call('EXISTS', KEYS[i]) == 1 then
+    local deleted = cjson.decode(redis.call('JSON.GET', KEYS[i], '$.isDeleted'))[1]
+    local current = cjson.decode(redis.call('JSON.GET', KEYS[i], ARGV[1]))[1]
+    stale = deleted == true or current ~= expected
+  else
+    stale = ARGV[i * 2] ~= '1'
+  end
+  if stale then
+    removed = removed + redis.call('SREM', KEYS[1], member)
+  end
+end
+return removed
+`;
+
+// SSCAN page size when reading index sets
+const SCAN_COUNT = 500;
+
+// Index keys hash the value so that long values keep keys short
+function hashValue(encodedValue) {
+  return createHash('sha1').update(encodedValue).digest('hex');
+}
+
+/**
+ * Secondary attribute indexes declared per entity type in the registry
+ * (`indexes: [{attribute, unique}]`).
+ *
+ * Saves in EphemeralEntityManager update Redis index sets and claim unique
+ * values; persistence mirrors the entries into entity_index_entries so they
+ * outlive the Redis copy of the entity. Entries can be stale (e.g. after
+ * concurrent saves of one entity), so lookups verify candidates against the
+ * loaded entities.
+ */
+export class EntityIndexManager {
+  constructor(options = {}) {
+    this.redis = options.redis || ephemeralRedis;
+    this.prisma = options.prisma || prisma;
+    this.entityTypeRegistry = options.entityTypeRegistry || entityTypeRegistry;
+  }
+
+  /**
+   * Encode a value for index keys and rows; mirrors encode_entity_index_value in SQL
+   * @returns {string|null} - null when the value is not indexable (objects, arrays, long strings)
+   */
+  static encodeValue(value) {
+    if (typeof value === 'string') {
+      return value.length <= MAX_INDEXED_STRING_LENGTH ? `s:${value}` : null;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `n:${value}`;
+    }
+    if (typeof value === 'boolean') {
+      return `b:${value}`;
+    }
+    return null;
+  }
+
+  static getMember(worldId, entityId) {
+    return `${worldId}:${entityId}`;
+  }
+
+  static parseMember(member) {
+    const separator = member.indexOf(':');
+    return { worldId: parseInt(member.slice(0, separator)), entityId: member.slice(separator + 1) };
+  }
+
+  getIndexKey(environment, entityType, attribute, encodedValue) {
+    return KeyGenerator.getIndexKey(environment, entityType, attribute, hashValue(encodedValue));
+  }
+
+  getClaimKey(environment, entityType, attribute, encodedValue) {
+    return KeyGenerator.getUniqueIndexKey(environment, entityType, attribute, hashValue(encodedValue));
+  }
+
+  getIndex(entityType, attribute) {
+    return this.entityTypeRegistry.getIndexes(entityType).find(index => index.attribute === attribute) || null;
+  }
+
+  /**
+   * Indexed attributes a save touches. `value` is null when the attribute is
+   * removed, and undefined when it is only known once an attribute op is applied.
+   * @returns {Array<{attribute: string, unique: boolean, value: *}>}
+   */
+  getChanges(update) {
+    const indexes = this.entityTypeRegistry.getIndexes(update.entityType);
+    if (indexes.length === 0) return [];
+
+    const attributes = update.attributes || {};
+    const opPaths = new Set((update.attributeOps || []).map(op => op?.path));
+
+    return indexes.flatMap(({ attribute, unique }) => {
+      if (update.isDelete) {
+        return [{ attribute, unique, value: null }];
+      }
+      if (attributes[attribute] !== undefined) {
+        const value = InputValidator.isNullMarker(attributes[attribute]) ? null : attributes[attribute];
+        return [{ attribute, unique, value }];
+      }
+      if (opPaths.has(attribute)) {
+        return [{ attribute, unique, value: undefined }];
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Read the indexed values the saved entities currently have and claim new
+   * unique values. Pass the plans and save results to apply() afterwards, which
+   * also releases the claims of saves that were not applied.
+   * @param {Array} updates - Saves in batchSavePartial format
+   * @returns {Promise<Array<Object|null>>} - One plan per update (null when no index is touched);
+   *   plan.rejection is set when the save must not be applied
+   */
+  async prepare(updates) {
+    const plans = updates.map(update => {
+      const changes = this.getChanges(update);
+      if (changes.length === 0) return null;
+
+      const plan = { update, changes, previous: {}, claims: [], rejection: null };
+      const opOnUnique = changes.find(change => change.unique && change.value === undefined);
+      if (opOnUnique) {
+        plan.rejection = { error: 'unique attributes cannot be changed with ops', path: opOnUnique.attribute };
+      }
+      return plan;
+    });
+
+    const activePlans = plans.filter(plan => plan && !plan.rejection);
+    if (activePlans.length === 0) return plans;
+
+    // Current values, so the entity can be removed from the entries it leaves
+    const readPipeline = this.redis.pipeline();
+    activePlans.forEach(({ update, changes }) => {
+      const key = KeyGenerator.getEphemeralKey(update.environment, update.entityType, update.entityId, update.worldId);
+      changes.forEach(({ attribute }) => readPipeline.call('JSON.GET', key, `$.attributes.${attribute}`));
+    });
+    const readResults = await readPipeline.exec();
+
+    let position = 0;
+    activePlans.forEach(plan => {
+      plan.changes.forEach(({ attribute }) => {
+        const [error, raw] = readResults[position++];
+        plan.previous[attribute] = !error && raw ? (JSON.parse(raw)[0] ?? null) : null;
+      });
+    });
+
+    await this.claimUniqueValues(activePlans);
+
+    return plans;
+  }
+
+  async claimUniqueValues(plans) {
+    const claims = [];
+    plans.forEach(plan => {
+      const { environment, entityType, entityId, worldId } = plan.update;
+
+      plan.changes.forEach(({ attribute, unique, value }) => {
+        const encodedValue = EntityIndexManager.encodeValue(value);
+        if (!unique || !encodedValue || value === plan.previous[attribute]) return;
+
+        claims.push({
+          plan,
+          attribute,
+          encodedValue,
+          key: this.getClaimKey(environment, entityType, attribute, encodedValue),
+          member: EntityIndexManager.getMember(worldId, entityId)
+        });
+      });
+    });
+
+    if (claims.length === 0) return;
+
+    const claimPipeline = this.redis.pipeline();
+    claims.forEach(({ key, member }) => {
+      claimPipeline.set(key, member, 'NX');
+      claimPipeline.get(key);
+    });
+    const claimResults = await claimPipeline.exec();
+
+    const newClaims = [];
+    claims.forEach((claim, index) => {
+      const [, setResult] = claimResults[index * 2];
+      const [, owner] = claimResults[index * 2 + 1];
+
+      if (setResult === 'OK') {
+        claim.plan.claims.push(claim);
+        newClaims.push(claim);
+      } else if (owner !== claim.member) {
+        claim.plan.rejection = { error: 'unique_violation', path: claim.attribute };
+      }
+    });
+
+    // A value claimed for the first time in Redis may still belong to a persisted entity
+    await this.checkPersistedOwners(newClaims);
+
+    const releasePipeline = this.redis.pipeline();
+    plans.forEach(plan => {
+      if (!plan.rejection) return;
+      plan.claims.forEach(({ key, member }) => releasePipeline.eval(RELEASE_CLAIM_SCRIPT, 1, key, member));
+      plan.claims = [];
+    });
+    if (releasePipeline.length > 0) {
+      await releasePipeline.exec();
+    }
+  }
+
+  async checkPersistedOwners(claims) {
+    const persistedClaims = claims.filter(({ plan }) => !this.entityTypeRegistry.isEphemeral(plan.update.entityType));
+    if (persistedClaims.length === 0) return;
+
+    let rows;
+    try {
+      const lookups = JSON.stringify(persistedClaims.map(({ plan, attribute, encodedValue }) => ({
+        environment: plan.update.environment,
+        entity_type: plan.update.entityType,
+        attribute,
+        value: encodedValue
+      })));
+
+      rows = await this.prisma.$queryRaw`
+        SELECT i.environment, i.entity_type, i.attribute, i.value, i.entity_id, i.world_id
+        FROM entity_index_entries i
+        JOIN jsonb_to_recordset(${lookups}::JSONB) AS l(environment TEXT, entity_type TEXT, attribute TEXT, value TEXT)
+          ON i.environment = l.environment AND i.entity_type = l.entity_type
+          AND i.attribute = l.attribute AND i.value = l.value
+      `;
+    } catch (error) {
+      // Saves do not depend on the database; uniqueness against persisted entities is best effort
+      console.error('[EntityIndexManager] Failed to check persisted unique values:', error.message);
+      return;
+    }
+
+    const conflicts = [];
+    persistedClaims.forEach(claim => {
+      const { environment, entityType } = claim.plan.update;
+      const owner = rows.find(row =>
+        row.environment === environment && row.entity_type === entityType &&
+        row.attribute === claim.attribute && row.value === claim.encodedValue &&
+        EntityIndexManager.getMember(row.world_id, row.entity_id) !== claim.member
+      );
+      if (owner) {
+        conflicts.push({ claim, owner });
+      }
+    });
+    if (conflicts.length === 0) return;
+
+    // The persisted owner may have changed the value since; its Redis copy is newer
+    const ownerPipeline = this.redis.pipeline();
+    conflicts.forEach(({ claim, owner }) => {
+      const key = KeyGenerator.getEphemeralKey(owner.environment, owner.entity_type, owner.entity_id, owner.world_id);
+      ownerPipeline.call('JSON.GET', key, `$.attributes.${claim.attribute}`);
+    });
+    const ownerResults = await ownerPipeline.exec();
+
+    conflicts.forEach(({ claim }, index) => {
+      const [error, raw] = ownerResults[index];
+      const currentValues = !error && raw ? JSON.parse(raw) : null;
+      const ownerChangedValue = currentValues !== null &&
+        EntityIndexManager.encodeValue(currentValues[0] ?? null) !== claim.encodedValue;
+
+      if (!ownerChangedValue) {
+        claim.plan.rejection = { error: 'unique_violation', path: claim.attribute };
+      }
+    });
+  }
+
+  /**
+   * Update index sets for applied saves; release the claims of saves that were not applied
+   * @param {Array} plans - From prepare()
+   * @param {Array} results - Save results in update order ({success, values?})
+   */
+  async apply(plans, results) {
+    const pipeline = this.redis.pipeline();
+
+    plans.forEach((plan, index) => {
+      if (!plan) return;
+
+      const result = results[index];
+      const { environment, entityType, entityId, worldId } = plan.update;
+      const member = EntityIndexManager.getMember(worldId, entityId);
+
+      if (plan.rejection || !result || result.success === false) {
+        plan.claims.forEach(({ key }) => pipeline.eval(RELEASE_CLAIM_SCRIPT, 1, key, member));
+        return;
+      }
+
+      plan.changes.forEach(({ attribute, unique, value }) => {
+        // Values changed by attribute ops are returned with the save result
+        const current = value === undefined ? result.values?.[attribute] : value;
+        if (current === undefined) return;
+
+        const previousValue = EntityIndexManager.encodeValue(plan.previous[attribute]);
+        const currentValue = EntityIndexManager.encodeValue(current);
+
+        if (previousValue && previousValue !== currentValue) {
+          pipeline.srem(this.getIndexKey(environment, entityType, attribute, previousValue), member);
+          if (unique) {
+            pipeline.eval(RELEASE_CLAIM_SCRIPT, 1, this.getClaimKey(environment, entityType, attribute, previousValue), member);
+          }
+        }
+        if (currentValue) {
+          pipeline.sadd(this.getIndexKey(environment, entityType, attribute, currentValue), member);
+        }
+      });
+    });
+
+    if (pipeline.length > 0) {
+      await pipeline.exec();
+    }
+  }
+
+  /**
+   * Mirror the indexed attributes of persisted entities into entity_index_entries
+   * @param {Array} updates - {environment, entityType, entityId, worldId, attributes, isDelete}
+   * @returns {Promise<number>} - Entries written or removed
+   */
+  async persist(updates) {
+    const entries = [];
+
+    updates.forEach(({ environment, entityType, entityId, worldId, attributes, isDelete }) => {
+      this.entityTypeRegistry.getIndexes(entityType).forEach(({ attribute, unique }) => {
+        const value = attributes?.[attribute];
+        if (!isDelete && value === undefined) return;
+
+        entries.push({
+          environment,
+          entity_type: entityType,
+          attribute,
+          id: entityId,
+          world_id: worldId,
+          value: isDelete || InputValidator.isNullMarker(value) ? null : EntityIndexManager.encodeValue(value),
+          is_unique: unique
+        });
+      });
+    });
+
+    if (entries.length === 0) return 0;
+
+    await this.prisma.$queryRaw`
+      SELECT sync_entity_index_entries(${JSON.stringify(entries)}::JSONB) as result
+    `;
+    return entries.length;
+  }
+
+  /**
+   * Entities that may have an indexed value: recent saves from Redis plus persisted entries,
+   * up to limit of each. Callers must verify candidates against the loaded entities.
+   * @returns {Promise<Array<{entityId: string, worldId: number}>>}
+   */
+  async findCandidates({ environment, entityType, attribute, value, worldId = null, limit = 100 }) {
+    const encodedValue = EntityIndexManager.encodeValue(value);
+    if (!encodedValue) return [];
+
+    const [members, rows] = await Promise.all([
+      this.scanMembers(this.getIndexKey(environment, entityType, attribute, encodedValue), worldId, limit),
+      this.entityTypeRegistry.isEphemeral(entityType)
+        ? Promise.resolve([])
+        : this.prisma.$queryRaw`
+            SELECT entity_id, world_id
+            FROM entity_index_entries
+            WHERE environment = ${environment}
+              AND entity_type = ${entityType}
+              AND attribute = ${attribute}
+              AND value = ${encodedValue}
+              AND (${worldId}::INT IS NULL OR world_id = ${worldId}::INT)
+            ORDER BY entity_id
+            LIMIT ${limit}
+          `
+    ]);
+
+    const candidates = new Map();
+    members.map(member => EntityIndexManager.parseMember(member))
+      .concat(rows.map(row => ({ entityId: row.entity_id, worldId: row.world_id })))
+      .filter(candidate => worldId === null || candidate.worldId === worldId)
+      .forEach(candidate => candidates.set(EntityIndexManager.getMember(candidate.worldId, candidate.entityId), candidate));
+
+    return [...candidates.values()];
+  }
+
+  // Up to limit members of an index set, only those of one world when worldId is given
+  async scanMembers(key, worldId, limit) {
+    const members = new Set();
+    const match = worldId === null ? '*' : EntityIndexManager.getMember(worldId, '*');
+    let cursor = '0';
+
+    do {
+      const [nextCursor, page] = await this.redis.sscan(key, cursor, 'MATCH', match, 'COUNT', SCAN_COUNT);
+      cursor = nextCursor;
+      page.forEach(member => members.add(member));
+    } while (cursor !== '0' && members.size < limit);
+
+    return [...members].slice(0, limit);
+  }
+
+  /**
+   * Drop Redis entries that a lookup found to be stale, if they still are: against the entity's
+   * Redis document when it has one, otherwise against the entities table
+   * @returns {Promise<number>} - Entries removed
+   */
+  async removeStale({ environment, entityType, attribute, value }, candidates) {
+    const encodedValue = EntityIndexManager.encodeValue(value);
+    if (!encodedValue || candidates.length === 0) return 0;
+
+    const persisted = this.entityTypeRegistry.isEphemeral(entityType)
+      ? []
+      : await this.prisma.$queryRaw`
+          SELECT id, world_id
+          FROM entities
+          WHERE environment = ${environment}
+            AND entity_type = ${entityType}
+            AND is_deleted = false
+            AND id = ANY(${candidates.map(({ entityId }) => entityId)})
+            AND attributes->${attribute} = ${JSON.stringify(value)}::JSONB
+        `;
+    const persistedMembers = new Set(persisted.map(row => EntityIndexManager.getMember(row.world_id, row.id)));
+
+    const keys = [this.getIndexKey(environment, entityType, attribute, encodedValue)];
+    const args = [`$.attributes.${attribute}`, JSON.stringify([value])];
+    candidates.forEach(({ worldId, entityId }) => {
+      const member = EntityIndexManager.getMember(worldId, entityId);
+      keys.push(KeyGenerator.getEphemeralKey(environment, entityType, entityId, worldId));
+      args.push(member, persistedMembers.has(member) ? '1' : '0');
+    });
+
+    return this.redis.eval(REMOVE_STALE_SCRIPT, keys.length, ...keys, ...args);
+  }
+
+  /**
+   * Rebuild one attribute's persisted entries from the entities table, e.g. after declaring an index
+   * @returns {Promise<number>} - Entities indexed
+   */
+  async rebuild(environment, entityType, attribute) {
+    const index = this.getIndex(entityType, attribute);
+    if (!index) {
+      throw new Error(`${attribute} is not indexed for ${entityType}`);
+    }
+
+    const result = await this.prisma.$queryRaw`
+      SELECT rebuild_entity_index(${environment}, ${entityType}, ${attribute}, ${index.unique}) as indexed
+    `;
+    return Number(result[0]?.indexed || 0);
+  }
+}
+
+export const entityIndexManager = new EntityIndexManager();
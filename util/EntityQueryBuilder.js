@@ -0,0 +1,277 @@
+// util/EntityQueryBuilder.js
+import { CursorUtil } from './CursorUtil.js';
+
+const PREDICATE_OPS = new Set(['eq', 'in', 'range', 'exists', 'contains']);
+const RANGE_BOUNDS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const PATH_SEGMENT_PATTERN = /^[a-zA-Z0-9_]+$/;
+const MAX_PREDICATES = 10;
+const MAX_IN_VALUES = 100;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function createQueryError(message, field) {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+}
+
+/**
+ * Builds parameterized SQL for the `query` command: JSONB attribute predicates
+ * over the entities table with keyset (cursor) pagination.
+ *
+ * Equality, `in` and `contains` predicates are expressed as `attributes @> ...`
+ * so they can use the GIN index on attributes. Results are ordered by the sort
+ * attribute and then id, which keeps pagination stable across pages.
+ */
+export class EntityQueryBuilder {
+  /**
+   * Validate and normalize a query command
+   * @param {Object} command - {entityType, worldId, where?, sort?, limit?, cursor?}
+   * @returns {Object} - Normalized query
+   * @throws {Error} - With `field` naming the offending input
+   */
+  static sanitizeQuery(command) {
+    const { entityType, worldId, where = [], sort = null, limit = DEFAULT_LIMIT, cursor = null } = command;
+
+    if (!Array.isArray(where)) {
+      throw createQueryError('where must be an array of predicates', 'where');
+    }
+
+    if (where.length > MAX_PREDICATES) {
+      throw createQueryError(`where must contain ${MAX_PREDICATES} predicates or fewer`, 'where');
+    }
+
+    const numLimit = parseInt(limit, 10);
+    if (isNaN(numLimit) || numLimit < 1 || numLimit > MAX_LIMIT) {
+      throw createQueryError(`limit must be between 1 and ${MAX_LIMIT}`, 'limit');
+    }
+
+    const query = {
+      entityType,
+      worldId: parseInt(worldId, 10),
+      where: where.map((predicate, index) => this.sanitizePredicate(predicate, `where[${index}]`)),
+      sort: this.sanitizeSort(sort),
+      limit: numLimit,
+      cursor: null
+    };
+
+    if (!CursorUtil.isEmpty(cursor)) {
+      query.cursor = this.decodeCursor(cursor, query.sort);
+    }
+
+    return query;
+  }
+
+  static sanitizePath(path, field) {
+    if (typeof path !== 'string' || path.length === 0) {
+      throw createQueryError(`${field}.path is required`, `${field}.path`);
+    }
+
+    const segments = path.split('.');
+    if (segments.some(segment => !PATH_SEGMENT_PATTERN.test(segment) || segment.length > 64)) {
+      throw createQueryError(`${field}.path is invalid: ${path}`, `${field}.path`);
+    }
+
+    return segments;
+  }
+
+  static sanitizePredicate(predicate, field) {
+    if (typeof predicate !== 'object' || predicate === null) {
+      throw createQueryError(`${field} must be an object`, field);
+    }
+
+    const { op } = predicate;
+    if (!PREDICATE_OPS.has(op)) {
+      throw createQueryError(`${field}.op must be one of: ${[...PREDICATE_OPS].join(', ')}`, `${field}.op`);
+    }
+
+    const segments = this.sanitizePath(predicate.path, field);
+
+    if (op === 'eq' || op === 'contains') {
+      if (predicate.value === undefined) {
+        throw createQueryError(`${field}.value is required for ${op}`, `${field}.value`);
+      }
+      return { op, segments, value: predicate.value };
+    }
+
+    if (op === 'in') {
+      const { values } = predicate;
+      if (!Array.isArray(values) || values.length === 0 || values.length > MAX_IN_VALUES) {
+        throw createQueryError(`${field}.values must contain between 1 and ${MAX_IN_VALUES} values`, `${field}.values`);
+      }
+      return { op, segments, values };
+    }
+
+    if (op === 'exists') {
+      return { op, segments, value: predicate.value !== false };
+    }
+
+    // range
+    const bounds = Object.keys(RANGE_BOUNDS).filter(bound => predicate[bound] !== undefined);
+    if (bounds.length === 0) {
+      throw createQueryError(`${field} needs at least one of gt, gte, lt, lte`, field);
+    }
+
+    bounds.forEach(bound => {
+      if (typeof predicate[bound] !== 'number' || !Number.isFinite(predicate[bound])) {
+        throw createQueryError(`${field}.${bound} must be a finite number`, `${field}.${bound}`);
+      }
+    });
+
+    return {
+      op,
+      segments,
+      bounds: bounds.map(bound => ({ operator: RANGE_BOUNDS[bound], value: predicate[bound] }))
+    };
+  }
+
+  static sanitizeSort(sort) {
+    if (sort === null || sort === undefined) {
+      return { segments: null, order: 'ASC' };
+    }
+
+    if (typeof sort !== 'object') {
+      throw createQueryError('sort must be an object', 'sort');
+    }
+
+    const order = String(sort.order || 'ASC').toUpperCase();
+    if (order !== 'ASC' && order !== 'DESC') {
+      throw createQueryError('sort.order must be ASC or DESC', 'sort.order');
+    }
+
+    return {
+      segments: sort.path === undefined ? null : this.sanitizePath(sort.path, 'sort'),
+      order
+    };
+  }
+
+  /**
+   * Build a containment document for a path, e.g. ['a', 'b'] + 1 -> {"a":{"b":1}}
+   */
+  static buildContainment(segments, value) {
+    return JSON.stringify(segments.reduceRight((inner, segment) => ({ [segment]: inner }), value));
+  }
+
+  // Path segments are restricted to [a-zA-Z0-9_], so they form a safe text[] literal
+  static toPathLiteral(segments) {
+    return `{${segments.join(',')}}`;
+  }
+
+  /**
+   * Build SQL text and positional parameters for $queryRawUnsafe.
+   * One row more than the limit is fetched to detect whether another page exists.
+   * @param {Object} query - Result of sanitizeQuery, plus environment
+   * @returns {{text: string, values: Array}}
+   */
+  static build(query) {
+    const values = [];
+    const param = (value, cast) => {
+      values.push(value);
+      return `$${values.length}::${cast}`;
+    };
+
+    const conditions = [
+      `environment = ${param(query.environment, 'TEXT')}`,
+      `entity_type = ${param(query.entityType, 'TEXT')}`,
+      `world_id = ${param(query.worldId, 'INT')}`,
+      'is_deleted = false'
+    ];
+
+    query.where.forEach(predicate => {
+      const path = () => param(this.toPathLiteral(predicate.segments), 'TEXT[]');
+
+      if (predicate.op === 'eq' || predicate.op === 'contains') {
+        const value = predicate.op === 'contains' ? [predicate.value] : predicate.value;
+        conditions.push(`attributes @> ${param(this.buildContainment(predicate.segments, value), 'JSONB')}`);
+      } else if (predicate.op === 'in') {
+        const alternatives = predicate.values.map(value =>
+          `attributes @> ${param(this.buildContainment(predicate.segments, value), 'JSONB')}`
+        );
+        conditions.push(`(${alternatives.join(' OR ')})`);
+      } else if (predicate.op === 'exists') {
+        conditions.push(`attributes #> ${path()} IS ${predicate.value ? 'NOT NULL' : 'NULL'}`);
+      } else {
+        // Non-numeric values never match a range instead of failing the cast
+        const pathParam = path();
+        const numeric = `CASE WHEN jsonb_typeof(attributes #> ${pathParam}) = 'number' ` +
+          `THEN (attributes #>> ${pathParam})::NUMERIC END`;
+        predicate.bounds.forEach(({ operator, value }) => {
+          conditions.push(`${numeric} ${operator} ${param(value, 'NUMERIC')}`);
+        });
+      }
+    });
+
+    const { segments, order } = query.sort;
+    const comparison = order === 'DESC' ? '<' : '>';
+    let orderBy = `id ${order}`;
+
+    if (segments) {
+      const sortExpression = `COALESCE(attributes #> ${param(this.toPathLiteral(segments), 'TEXT[]')}, 'null'::JSONB)`;
+      orderBy = `${sortExpression} ${order}, id ${order}`;
+
+      if (query.cursor) {
+        conditions.push(
+          `(${sortExpression}, id) ${comparison} (${param(JSON.stringify(query.cursor.value), 'JSONB')}, ${param(query.cursor.id, 'TEXT')})`
+        );
+      }
+    } else if (query.cursor) {
+      conditions.push(`id ${comparison} ${param(query.cursor.id, 'TEXT')}`);
+    }
+
+    const text = `SELECT entity_type, id, world_id, attributes, rank_scores, version
+      FROM entities
+      WHERE ${conditions.join('\n        AND ')}
+      ORDER BY ${orderBy}
+      LIMIT ${param(query.limit + 1, 'INT')}`;
+
+    return { text, values };
+  }
+
+  /**
+   * Trim the extra row fetched by build() and derive the next cursor
+   * @returns {{rows: Array, nextCursor: string|null}}
+   */
+  static paginate(rows, query) {
+    return CursorUtil.paginate(rows, query.limit, last => this.encodeCursor(last, query.sort));
+  }
+
+  static getSortValue(row, segments) {
+    let value = row?.attributes;
+    for (const segment of segments) {
+      if (value === null || typeof value !== 'object') return null;
+      value = value[segment];
+    }
+    return value === undefined ? null : value;
+  }
+
+  // Cursors record the sort they were issued for (see CursorUtil)
+  static encodeCursor(row, sort) {
+    const payload = {
+      id: row.id,
+      sort: sort.segments ? sort.segments.join('.') : null,
+      order: sort.order
+    };
+
+    if (sort.segments) {
+      payload.value = this.getSortValue(row, sort.segments);
+    }
+
+    return CursorUtil.encode(payload);
+  }
+
+  static decodeCursor(cursor, sort) {
+    let payload;
+    try {
+      payload = CursorUtil.decode(cursor);
+    } catch (error) {
+      throw createQueryError(error.message, 'cursor');
+    }
+
+    const expectedSort = sort.segments ? sort.segments.join('.') : null;
+    if (typeof payload.id !== 'string' || payload.sort !== expectedSort || payload.order !== sort.order) {
+      throw createQueryError('cursor does not match this query', 'cursor');
+    }
+
+    return { id: payload.id, value: payload.value === undefined ? null : payload.value };
+  }
+}
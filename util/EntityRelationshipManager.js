@@ -0,0 +1,200 @@
+// util/EntityRelationshipManager.js
+import { prisma } from '../config.js';
+import { CursorUtil } from './CursorUtil.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+
+const LINK_ERRORS = {
+  source_limit: 'max_targets_exceeded',
+  target_limit: 'max_sources_exceeded'
+};
+
+/**
+ * Links between entities of relationship types declared in the registry
+ * (`relationships: [{name, target, inverse, maxTargets, maxSources}]` on the owning type).
+ *
+ * Each link is one entity_relationships row, read from the owner side by the
+ * relationship name and from the target side by its inverse name, so the two
+ * sides cannot disagree. Links are written directly to the database;
+ * link_entity_relationship serializes links touching the same entities so
+ * cardinality limits hold under concurrency.
+ *
+ * Links of a soft-deleted entity are kept so undelete brings them back. Until
+ * then they are left out of list() and of the cardinality counts; the purge
+ * removes them with the entity.
+ */
+export class EntityRelationshipManager {
+  constructor(options = {}) {
+    this.prisma = options.prisma || prisma;
+    this.entityTypeRegistry = options.entityTypeRegistry || entityTypeRegistry;
+  }
+
+  /**
+   * Create a link, or update its metadata when it exists
+   * @param {Object} link - {environment, relationship, fromType, fromId, fromWorldId, toId, toWorldId, metadata}
+   *   where relationship is resolved with registry.getRelationship(fromType, ...)
+   * @returns {Promise<Object>} - {success, created} or {success: false, error, limit}
+   */
+  async link({ environment, relationship, fromId, fromWorldId, toId, toWorldId, metadata }) {
+    const { ownerType, name, target, maxTargets, maxSources } = relationship;
+
+    const result = await this.prisma.$queryRaw`
+      SELECT link_entity_relationship(
+        ${environment}, ${name}, ${ownerType}, ${fromId}, ${fromWorldId}::INT,
+        ${target}, ${toId}, ${toWorldId}::INT, ${JSON.stringify(metadata || {})}::JSONB,
+        ${maxTargets}::INT, ${maxSources}::INT
+      ) as outcome
+    `;
+    const outcome = result[0]?.outcome;
+
+    if (LINK_ERRORS[outcome]) {
+      return {
+        success: false,
+        error: LINK_ERRORS[outcome],
+        limit: outcome === 'source_limit' ? maxTargets : maxSources
+      };
+    }
+    return { success: true, created: outcome === 'created' };
+  }
+
+  /**
+   * @returns {Promise<Object>} - {success: true} or {success: false, error: 'link_not_found'}
+   */
+  async unlink({ environment, relationship, fromId, toId }) {
+    const removed = await this.prisma.$executeRaw`
+      DELETE FROM entity_relationships
+      WHERE environment = ${environment}
+        AND from_type = ${relationship.ownerType}
+        AND relationship = ${relationship.name}
+        AND from_id = ${fromId}
+        AND to_type = ${relationship.target}
+        AND to_id = ${toId}
+    `;
+
+    return removed > 0 ? { success: true } : { success: false, error: 'link_not_found' };
+  }
+
+  /**
+   * Entities linked to one entity, ordered by their id
+   * @param {Object} query - {environment, relationship, entityId, limit, cursor} where relationship
+   *   is resolved for the listed entity's type and carries the direction
+   * @returns {Promise<{links: Array, nextCursor: string|null}>}
+   */
+  async list({ environment, relationship, entityId, limit = 100, cursor = null }) {
+    const afterId = CursorUtil.isEmpty(cursor) ? null : this.decodeCursor(cursor, relationship);
+    const { ownerType, name, target, direction } = relationship;
+
+    // One extra row tells whether there is a next page
+    const rows = direction === 'outgoing'
+      ? await this.prisma.$queryRaw`
+          SELECT to_type AS entity_type, to_id AS id, to_world_id AS world_id, metadata, created_at, updated_at
+          FROM entity_relationships r
+          WHERE environment = ${environment}
+            AND from_type = ${ownerType}
+            AND relationship = ${name}
+            AND from_id = ${entityId}
+            AND to_type = ${target}
+            AND (${afterId}::TEXT IS NULL OR to_id > ${afterId}::TEXT)
+            AND NOT EXISTS (
+              SELECT 1 FROM entities e
+              WHERE e.environment = r.environment AND e.is_deleted
+                AND ((e.entity_type = r.from_type AND e.id = r.from_id) OR (e.entity_type = r.to_type AND e.id = r.to_id))
+            )
+          ORDER BY to_id
+          LIMIT ${limit + 1}
+        `
+      : await this.prisma.$queryRaw`
+          SELECT from_type AS entity_type, from_id AS id, from_world_id AS world_id, metadata, created_at, updated_at
+          FROM entity_relationships r
+          WHERE environment = ${environment}
+            AND to_type = ${target}
+            AND to_id = ${entityId}
+            AND from_type = ${ownerType}
+            AND relationship = ${name}
+            AND (${afterId}::TEXT IS NULL OR from_id > ${afterId}::TEXT)
+            AND NOT EXISTS (
+              SELECT 1 FROM entities e
+              WHERE e.environment = r.environment AND e.is_deleted
+                AND ((e.entity_type = r.from_type AND e.id = r.from_id) OR (e.entity_type = r.to_type AND e.id = r.to_id))
+            )
+          ORDER BY from_id
+          LIMIT ${limit + 1}
+        `;
+
+    const page = CursorUtil.paginate(rows, limit, last => this.encodeCursor(last, relationship));
+    return {
+      links: page.rows.map(row => ({
+        entityType: row.entity_type,
+        entityId: row.id,
+        worldId: row.world_id,
+        metadata: row.metadata,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      })),
+      nextCursor: page.nextCursor
+    };
+  }
+
+  // Cursors are bound to the relationship and direction they were issued for
+  encodeCursor(row, { ownerType, name, direction }) {
+    return CursorUtil.encode({ relationship: `${ownerType}.${name}`, direction, id: row.id });
+  }
+
+  decodeCursor(cursor, { ownerType, name, direction }) {
+    const payload = CursorUtil.decode(cursor);
+    if (payload.relationship !== `${ownerType}.${name}` || payload.direction !== direction || typeof payload.id !== 'string') {
+      throw new Error('cursor does not match this query');
+    }
+    return payload.id;
+  }
+
+  /**
+   * Remove the links of a restored entity whose other side reached its limit while
+   * the entity was deleted, when those links did not count
+   * @param {Object} entity - {environment, entityType, entityId}
+   * @returns {Promise<number>} - Links removed
+   */
+  async removeExcessLinks({ environment, entityType, entityId }) {
+    const limits = this.entityTypeRegistry.list().flatMap(definition => definition.relationships
+      .filter(relationship => definition.name === entityType || relationship.target === entityType)
+      .map(relationship => ({
+        from_type: definition.name,
+        relationship: relationship.name,
+        max_targets: relationship.maxTargets,
+        max_sources: relationship.maxSources
+      })));
+    if (limits.length === 0) return 0;
+
+    // The entity's side never grows while it is deleted (deleted entities cannot be
+    // linked), so only the other side's count is checked, against its live links
+    return this.prisma.$executeRaw`
+      DELETE FROM entity_relationships r
+      USING jsonb_to_recordset(${JSON.stringify(limits)}::JSONB) AS l(from_type TEXT, relationship TEXT, max_targets INT, max_sources INT)
+      WHERE r.environment = ${environment}
+        AND r.from_type = l.from_type
+        AND r.relationship = l.relationship
+        AND (
+          (r.from_type = ${entityType} AND r.from_id = ${entityId} AND l.max_sources IS NOT NULL AND (
+            SELECT COUNT(*) FROM entity_relationships o
+            WHERE o.environment = r.environment AND o.from_type = r.from_type AND o.relationship = r.relationship
+              AND o.to_type = r.to_type AND o.to_id = r.to_id AND o.from_id <> r.from_id
+              AND NOT EXISTS (
+                SELECT 1 FROM entities e
+                WHERE e.environment = o.environment AND e.entity_type = o.from_type AND e.id = o.from_id AND e.is_deleted
+              )
+          ) >= l.max_sources)
+          OR
+          (r.to_type = ${entityType} AND r.to_id = ${entityId} AND l.max_targets IS NOT NULL AND (
+            SELECT COUNT(*) FROM entity_relationships o
+            WHERE o.environment = r.environment AND o.from_type = r.from_type AND o.relationship = r.relationship
+              AND o.from_id = r.from_id AND NOT (o.to_type = r.to_type AND o.to_id = r.to_id)
+              AND NOT EXISTS (
+                SELECT 1 FROM entities e
+                WHERE e.environment = o.environment AND e.entity_type = o.to_type AND e.id = o.to_id AND e.is_deleted
+              )
+          ) >= l.max_targets)
+        )
+    `;
+  }
+}
+
+export const entityRelationshipManager = new EntityRelationshipManager();
@@ -0,0 +1,146 @@
+// util/EntityReplayUtil.js
+import { decodeCloudSaveMessage } from './CloudRunnerContract.js';
+import { InputValidator } from './InputValidator.js';
+import { AttributeOpsUtil } from './AttributeOpsUtil.js';
+import { EntityDiffUtil } from './EntityDiffUtil.js';
+
+const RANK_SCORE_SUFFIX = 'Score';
+
+function removePath(target, path) {
+  const segments = path.split('.');
+  const field = segments.pop();
+  const parent = segments.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), target);
+  if (parent && typeof parent === 'object') {
+    delete parent[field];
+  }
+}
+
+/**
+ * Replays logged save commands onto an entity state, and builds the save that
+ * turns one state into another. Used by point-in-time rollback.
+ *
+ * States are {attributes, rankScores, isDeleted}; null is an entity that does not exist.
+ */
+export class EntityReplayUtil {
+  /**
+   * Apply one save command the way the persistent save path would
+   * (CommandProcessor.buildPersistentSaveUpdate, then EphemeralEntityManager.buildWriteOperations)
+   * @param {Object|null} state - State before the save
+   * @param {Object} save - Save command as logged in audit input_data
+   * @returns {Object|null} - State after the save; the input state when the save could not have applied
+   */
+  static applySave(state, save) {
+    const exists = state !== null && !state.isDeleted;
+
+    if (save.isDelete) {
+      return exists ? { ...state, isDeleted: true } : state;
+    }
+    if (!exists && !save.isCreate) {
+      return state;
+    }
+
+    const attributes = exists ? structuredClone(state.attributes || {}) : {};
+    const rankScores = exists ? structuredClone(state.rankScores || {}) : {};
+
+    try {
+      const raw = decodeCloudSaveMessage(save);
+      const attributeInput = {};
+      const rankScoreInput = {};
+      Object.entries(raw).forEach(([key, value]) => {
+        (key.endsWith(RANK_SCORE_SUFFIX) ? rankScoreInput : attributeInput)[key] = value;
+      });
+
+      const setAttributes = InputValidator.sanitizeAttributes(attributeInput);
+      Object.assign(attributes, setAttributes.sanitized);
+      setAttributes.keysToRemove.forEach(path => removePath(attributes, path));
+
+      const setRankScores = InputValidator.sanitizeAttributes(rankScoreInput);
+      Object.entries(setRankScores.sanitized).forEach(([scoreType, partitions]) => {
+        if (partitions && typeof partitions === 'object') {
+          rankScores[scoreType] = { ...(rankScores[scoreType] || {}), ...partitions };
+        }
+      });
+      setRankScores.keysToRemove.forEach(path => removePath(rankScores, path));
+
+      if (save.ops) {
+        const evaluated = AttributeOpsUtil.applyToAttributes(attributes, AttributeOpsUtil.sanitizeAttributeOps(save.ops));
+        if (evaluated.error) return state;
+      }
+    } catch (error) {
+      // Invalid input was rejected by the save path, so it changed nothing
+      return state;
+    }
+
+    return { attributes, rankScores, isDeleted: false };
+  }
+
+  /**
+   * Attributes for a save command that turns current into target. Changed top-level
+   * attributes are set whole and missing ones removed with NULL_MARKER; rank scores
+   * are set per partition under their score type key, which the save path moves
+   * back into rankScores.
+   * @param {Object} current - {attributes, rankScores}
+   * @param {Object} target - {attributes, rankScores}
+   * @returns {{attributes: Object, unrestorableRankScores: Array<string>}} - Score types whose
+   *   key does not end in 'Score' cannot be written through a save and are left out
+   */
+  static buildRestoreAttributes(current, target) {
+    const attributes = {};
+    const unrestorableRankScores = [];
+    const currentAttributes = current?.attributes || {};
+    const targetAttributes = target?.attributes || {};
+
+    Object.entries(targetAttributes).forEach(([key, value]) => {
+      if (!EntityDiffUtil.isEqual(currentAttributes[key], value)) {
+        attributes[key] = value;
+      }
+    });
+    Object.keys(currentAttributes).forEach(key => {
+      if (!(key in targetAttributes)) {
+        attributes[key] = InputValidator.NULL_MARKER;
+      }
+    });
+
+    const currentRankScores = current?.rankScores || {};
+    const targetRankScores = target?.rankScores || {};
+
+    new Set([...Object.keys(currentRankScores), ...Object.keys(targetRankScores)]).forEach(scoreType => {
+      const before = currentRankScores[scoreType];
+      const after = targetRankScores[scoreType];
+      if (EntityDiffUtil.isEqual(before, after)) return;
+
+      if (!scoreType.endsWith(RANK_SCORE_SUFFIX)) {
+        unrestorableRankScores.push(scoreType);
+        return;
+      }
+      if (after === undefined) {
+        attributes[scoreType] = InputValidator.NULL_MARKER;
+        return;
+      }
+
+      const partitions = {};
+      Object.entries(after).forEach(([partitionKey, value]) => {
+        if (!EntityDiffUtil.isEqual(before?.[partitionKey], value)) {
+          partitions[partitionKey] = value;
+        }
+      });
+      Object.keys(before || {}).forEach(partitionKey => {
+        if (!(partitionKey in after)) {
+          partitions[partitionKey] = InputValidator.NULL_MARKER;
+        }
+      });
+      attributes[scoreType] = partitions;
+    });
+
+    return { attributes, unrestorableRankScores };
+  }
+
+  /**
+   * Whether AuditLogger cut a logged value short (more than 50 keys or 10 levels deep)
+   */
+  static isTruncated(value) {
+    if (!value || typeof value !== 'object') return false;
+    if (!Array.isArray(value) && '_truncated' in value) return true;
+    return Object.values(value).some(item => this.isTruncated(item));
+  }
+}
@@ -0,0 +1,134 @@
+// util/EntitySchemaValidator.js
+import { config } from '../config.js';
+import { metrics } from './MetricsCollector.js';
+import { JsonSchemaValidator } from './JsonSchemaValidator.js';
+
+const SCHEMA_MODES = new Set(['enforce', 'warn', 'off']);
+
+/**
+ * Validates saved attributes against per-entity-type JSON Schemas published
+ * in the config manifest (config.entitySchemas.fileName, keyed by entity type).
+ *
+ * Modes: `enforce` rejects violating saves, `warn` logs and counts them but lets
+ * them through (for rollout), `off` skips validation. Types without a schema
+ * are not validated.
+ */
+export class EntitySchemaValidator {
+  constructor(options = {}) {
+    const mode = options.mode || config.entitySchemas.mode;
+    this.mode = SCHEMA_MODES.has(mode) ? mode : 'warn';
+    this.fileName = options.fileName || config.entitySchemas.fileName;
+    this.refreshIntervalMs = options.refreshIntervalMs || config.entitySchemas.refreshIntervalMs;
+    this.snapshotReader = options.snapshotReader || null;
+    this.schemasByEnvironment = new Map(); // environment -> {schemas, loadedAt, snapshotVersion}
+    this.pendingLoads = new Map();
+  }
+
+  // The snapshot reader depends on the file manager, so it is attached after construction
+  setSnapshotReader(snapshotReader) {
+    this.snapshotReader = snapshotReader;
+    this.schemasByEnvironment.clear();
+  }
+
+  // Drop cached schemas, e.g. when a new config version is published
+  invalidate(environment) {
+    this.schemasByEnvironment.delete(environment);
+  }
+
+  async getSchemas(environment) {
+    const cached = this.schemasByEnvironment.get(environment);
+    if (cached && Date.now() - cached.loadedAt < this.refreshIntervalMs) {
+      return cached.schemas;
+    }
+
+    if (!this.pendingLoads.has(environment)) {
+      const load = this.loadSchemas(environment).finally(() => this.pendingLoads.delete(environment));
+      this.pendingLoads.set(environment, load);
+    }
+
+    return this.pendingLoads.get(environment);
+  }
+
+  async loadSchemas(environment) {
+    let schemas = {};
+    let snapshotVersion = null;
+
+    if (this.snapshotReader) {
+      try {
+        const snapshot = await this.snapshotReader.getCurrentSnapshot(environment, [this.fileName]);
+        schemas = snapshot.files[this.fileName] || {};
+        snapshotVersion = snapshot.manifest?.snapshotVersion ?? null;
+      } catch (error) {
+        // No manifest (or no schema file) means no schemas; saves are not blocked on config sync
+        if (error.code !== 'manifest_not_found') {
+          console.error(`[EntitySchemaValidator] Failed to load ${this.fileName} for ${environment}:`, error.message);
+        }
+      }
+    }
+
+    this.schemasByEnvironment.set(environment, { schemas, snapshotVersion, loadedAt: Date.now() });
+    return schemas;
+  }
+
+  /**
+   * Validate save updates (as built by CommandProcessor) against their schemas
+   * @param {string} environment
+   * @param {Array} updates - {entityType, attributes, rankScores?, attributeOps?, isCreate?, isDelete?}
+   * @returns {Promise<Array<Array|null>>} - Per update: schema errors when the save must be
+   *   rejected, otherwise null (valid, unchecked, or violating in warn mode)
+   */
+  async validateUpdates(environment, updates) {
+    if (this.mode === 'off' || updates.length === 0) {
+      return updates.map(() => null);
+    }
+
+    const schemas = await this.getSchemas(environment);
+
+    return updates.map(update => {
+      const schema = schemas[update.entityType];
+      if (!schema || update.isDelete) return null;
+
+      let errors;
+      try {
+        // Rank scores are submitted as *Score attributes, so they are validated with them
+        const attributes = { ...(update.attributes || {}), ...(update.rankScores || {}) };
+        errors = [
+          ...JsonSchemaValidator.validate(schema, attributes, { partial: update.isCreate !== true }),
+          ...JsonSchemaValidator.validateAttributeOps(schema, update.attributeOps)
+        ];
+      } catch (error) {
+        console.error(`[EntitySchemaValidator] Invalid schema for ${update.entityType}:`, error.message);
+        return null;
+      }
+
+      if (errors.length === 0) return null;
+
+      const rejected = this.mode === 'enforce';
+      metrics.recordSchemaViolation(update.entityType, rejected);
+
+      if (!rejected) {
+        console.warn(
+          `[EntitySchemaValidator] ${update.entityType}:${update.entityId} violates its schema:`,
+          errors.map(error => `${error.path} ${error.message}`).join('; ')
+        );
+        return null;
+      }
+
+      return errors;
+    });
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      fileName: this.fileName,
+      environments: Object.fromEntries(
+        [...this.schemasByEnvironment.entries()].map(([environment, entry]) => [environment, {
+          entityTypes: Object.keys(entry.schemas),
+          snapshotVersion: entry.snapshotVersion,
+          loadedAt: new Date(entry.loadedAt).toISOString()
+        }])
+      )
+    };
+  }
+}
@@ -0,0 +1,114 @@
+// util/EntityTransferUtil.js
+import { InputValidator } from './InputValidator.js';
+import { EntityReplayUtil } from './EntityReplayUtil.js';
+
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'merge'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * NDJSON records for entity export and import. One record per line:
+ * {entityType, entityId, worldId, version, attributes, rankScores, createdAt, updatedAt}.
+ * version, createdAt and updatedAt describe the exported entity and are ignored on import.
+ */
+export class EntityTransferUtil {
+  // A current entity (persisted row merged with its Redis copy) as an export record
+  static toRecord({ entityType, entityId, worldId, version, attributes, rankScores, createdAt, updatedAt }) {
+    return {
+      entityType,
+      entityId,
+      worldId,
+      version,
+      attributes: attributes || {},
+      rankScores: rankScores || {},
+      createdAt: createdAt instanceof Date ? createdAt.toISOString() : createdAt ?? null,
+      updatedAt: updatedAt instanceof Date ? updatedAt.toISOString() : updatedAt ?? null
+    };
+  }
+
+  /**
+   * Parse and validate one import line
+   * @returns {Object|null} - {entityType, entityId, worldId, attributes, rankScores}, or null for a blank line
+   * @throws {Error} - When the line is not a valid record
+   */
+  static parseRecord(line) {
+    if (line.trim() === '') return null;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error('Line is not valid JSON');
+    }
+    if (!isPlainObject(record)) {
+      throw new Error('Record must be an object');
+    }
+
+    const attributes = record.attributes ?? {};
+    const rankScores = record.rankScores ?? {};
+    if (!isPlainObject(attributes) || !isPlainObject(rankScores)) {
+      throw new Error('attributes and rankScores must be objects');
+    }
+    if (Object.values(rankScores).some(partitions => !isPlainObject(partitions))) {
+      throw new Error('rankScores must map score types to partition objects');
+    }
+
+    return {
+      entityType: InputValidator.sanitizeEntityType(record.entityType),
+      entityId: InputValidator.sanitizeEntityId(record.entityId),
+      worldId: InputValidator.sanitizeWorldId(record.worldId),
+      attributes,
+      rankScores
+    };
+  }
+
+  /**
+   * The save that imports a record under a conflict policy
+   * @param {Object} record - From parseRecord()
+   * @param {Object|null} current - Live entity {worldId, attributes, rankScores, pendingVersion},
+   *   where pendingVersion is the version of its Redis copy or null; null when missing or deleted
+   * @param {string} conflictPolicy - skip (keep existing entities), overwrite (replace them) or
+   *   merge (write the record's attributes over theirs)
+   * @returns {{action: 'create'|'update'|'skip'|'none', save: Object|null, warnings: Array<string>}}
+   */
+  static buildImportSave(record, current, conflictPolicy) {
+    const { entityType, entityId } = record;
+    const warnings = [];
+
+    if (current && conflictPolicy === 'skip') {
+      return { action: 'skip', save: null, warnings };
+    }
+
+    // Merging writes the whole record over the entity; saves merge nested objects and rank score partitions
+    const { attributes, unrestorableRankScores } = EntityReplayUtil.buildRestoreAttributes(
+      current && conflictPolicy === 'overwrite' ? current : null,
+      record
+    );
+    if (unrestorableRankScores.length > 0) {
+      warnings.push('rank_scores_not_importable');
+    }
+
+    if (!current) {
+      return {
+        action: 'create',
+        save: { entityType, entityId, worldId: record.worldId, attributes, isCreate: true, expectedVersion: 0 },
+        warnings
+      };
+    }
+
+    if (current.worldId !== record.worldId) {
+      warnings.push('world_id_differs');
+    }
+    if (Object.keys(attributes).length === 0) {
+      return { action: 'none', save: null, warnings };
+    }
+
+    // Entities that are not in Redis are written like a client's first save after a load
+    const save = current.pendingVersion !== null
+      ? { entityType, entityId, worldId: current.worldId, attributes, expectedVersion: current.pendingVersion }
+      : { entityType, entityId, worldId: current.worldId, attributes, isCreate: true, expectedVersion: 0 };
+    return { action: 'update', save, warnings };
+  }
+}
@@ -0,0 +1,379 @@
+// util/EntityTypeRegistry.js
+import { prisma, cacheTTL, config } from '../config.js';
+import { InputValidator } from './InputValidator.js';
+
+const PERSISTENCE_MODES = new Set(['persistent', 'ephemeral']);
+const ATTRIBUTE_KEY_PATTERN = /^[a-zA-Z0-9_]{1,64}$/;
+const MAX_INDEXES = 8;
+const MAX_RELATIONSHIPS = 8;
+
+function createDefinitionError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Registry of entity types and their per-type policies, stored in the
+ * entity_types table so types can be added without a deploy.
+ *
+ * Lookups are synchronous against an in-memory snapshot that is refreshed
+ * periodically. Until the first load succeeds (or when the table is empty),
+ * the snapshot is built from config.entityTypes.
+ */
+export class EntityTypeRegistry {
+  constructor(options = {}) {
+    this.prisma = options.prisma || prisma;
+    this.refreshIntervalMs = options.refreshIntervalMs || config.entityTypeRegistry.refreshIntervalMs;
+    this.strict = options.strict ?? config.entityTypeRegistry.strict;
+    this.defaults = {
+      streamRetentionSeconds: cacheTTL,
+      versionCacheTTLSeconds: config.ephemeral.versionCacheTTL,
+      maxAttributeBytes: null,
+      nameField: 'name',
+      purgeDeletedAfterDays: config.entityPurge.deletedAfterDays,
+      persistenceTargetSeconds: config.backgroundPersistence.defaultTargetSeconds
+    };
+    this.definitions = this.buildFallbackDefinitions();
+    this.source = 'config';
+    this.lastLoadedAt = null;
+    this.timer = null;
+  }
+
+  buildFallbackDefinitions() {
+    const definitions = new Map();
+    const { persistent = [], ephemeral = [] } = config.entityTypes || {};
+
+    persistent.forEach(name => definitions.set(name, this.normalizeDefinition({ name, persistence: 'persistent' })));
+    ephemeral.forEach(name => definitions.set(name, this.normalizeDefinition({ name, persistence: 'ephemeral' })));
+
+    return definitions;
+  }
+
+  /**
+   * Fill policy defaults for a stored or submitted definition
+   * @param {Object} definition - {name, persistence?, streamRetentionSeconds?, versionCacheTTLSeconds?,
+   *   rankScoreKeys?, maxAttributeBytes?, nameField?, indexes?, relationships?, purgeDeletedAfterDays?,
+   *   persistenceTargetSeconds?}
+   * @returns {Object} - Complete policy
+   */
+  normalizeDefinition(definition) {
+    return {
+      name: definition.name,
+      persistence: definition.persistence || 'persistent',
+      streamRetentionSeconds: definition.streamRetentionSeconds ?? this.defaults.streamRetentionSeconds,
+      versionCacheTTLSeconds: definition.versionCacheTTLSeconds ?? this.defaults.versionCacheTTLSeconds,
+      rankScoreKeys: Array.isArray(definition.rankScoreKeys) ? definition.rankScoreKeys : [],
+      maxAttributeBytes: definition.maxAttributeBytes ?? this.defaults.maxAttributeBytes,
+      nameField: definition.nameField || this.defaults.nameField,
+      indexes: Array.isArray(definition.indexes)
+        ? definition.indexes.map(index => ({ attribute: index.attribute, unique: index.unique === true }))
+        : [],
+      relationships: Array.isArray(definition.relationships)
+        ? definition.relationships.map(relationship => ({
+            name: relationship.name,
+            target: relationship.target,
+            inverse: relationship.inverse || relationship.name,
+            maxTargets: relationship.maxTargets ?? null,
+            maxSources: relationship.maxSources ?? null
+          }))
+        : [],
+      purgeDeletedAfterDays: definition.purgeDeletedAfterDays ?? this.defaults.purgeDeletedAfterDays,
+      persistenceTargetSeconds: definition.persistenceTargetSeconds ?? this.defaults.persistenceTargetSeconds
+    };
+  }
+
+  async load() {
+    try {
+      const rows = await this.prisma.entityTypeDefinition.findMany();
+
+      if (rows.length === 0) {
+        this.definitions = this.buildFallbackDefinitions();
+        this.source = 'config';
+      } else {
+        this.definitions = new Map(rows.map(row => [row.name, this.normalizeDefinition(row)]));
+        this.source = 'database';
+      }
+
+      this.lastLoadedAt = Date.now();
+    } catch (error) {
+      // Keep serving the last snapshot; entity traffic must not depend on this table
+      console.error('[EntityTypeRegistry] Failed to load entity types:', error.message);
+    }
+
+    return this.definitions.size;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    void this.load();
+    this.timer = setInterval(() => void this.load(), this.refreshIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Policy for an entity type. Unregistered types are persistent with default
+   * policies unless the registry is strict.
+   * @returns {Object|null}
+   */
+  getPolicy(entityType) {
+    const definition = this.definitions.get(entityType);
+    if (definition) return definition;
+
+    return this.strict ? null : this.normalizeDefinition({ name: entityType });
+  }
+
+  // Secondary indexes declared for a type: [{attribute, unique}]
+  getIndexes(entityType) {
+    return this.definitions.get(entityType)?.indexes || [];
+  }
+
+  /**
+   * Resolve a relationship name as seen from an entity type: the type's own
+   * relationships by name, or another type's relationship targeting it by inverse name
+   * @returns {{ownerType: string, name: string, target: string, inverse: string,
+   *   maxTargets: number|null, maxSources: number|null, direction: 'outgoing'|'incoming'}|null}
+   */
+  getRelationship(entityType, name) {
+    const own = this.definitions.get(entityType)?.relationships.find(relationship => relationship.name === name);
+    if (own) {
+      return { ...own, ownerType: entityType, direction: 'outgoing' };
+    }
+
+    for (const definition of this.definitions.values()) {
+      const inverse = definition.relationships.find(relationship => relationship.target === entityType && relationship.inverse === name);
+      if (inverse) {
+        return { ...inverse, ownerType: definition.name, direction: 'incoming' };
+      }
+    }
+
+    return null;
+  }
+
+  isEphemeral(entityType) {
+    return this.definitions.get(entityType)?.persistence === 'ephemeral';
+  }
+
+  list() {
+    return [...this.definitions.values()];
+  }
+
+  getStats() {
+    return {
+      source: this.source,
+      strict: this.strict,
+      count: this.definitions.size,
+      lastLoadedAt: this.lastLoadedAt ? new Date(this.lastLoadedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Check a save against the type's rank score keys and attribute size policies
+   * @param {string} entityType
+   * @param {Object} attributes - Decoded save attributes
+   * @param {Object|null} rankScores - Rank scores extracted from the save
+   * @returns {{field: string, message: string}|null} - The first violation, if any
+   */
+  checkSavePolicy(entityType, attributes, rankScores = null) {
+    const policy = this.getPolicy(entityType);
+    if (!policy) return null;
+
+    if (policy.rankScoreKeys.length > 0 && rankScores) {
+      const disallowed = Object.keys(rankScores).find(key => !policy.rankScoreKeys.includes(key));
+      if (disallowed) {
+        return {
+          field: 'attributes',
+          message: `rank score key ${disallowed} is not allowed for ${entityType} (allowed: ${policy.rankScoreKeys.join(', ')})`
+        };
+      }
+    }
+
+    if (policy.maxAttributeBytes) {
+      const size = Buffer.byteLength(JSON.stringify(attributes || {}));
+      if (size > policy.maxAttributeBytes) {
+        return {
+          field: 'attributes',
+          message: `attributes are ${size} bytes, above the ${policy.maxAttributeBytes} byte limit for ${entityType}`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate an admin-submitted definition
+   * @throws {Error} - With statusCode 400 when a field is invalid
+   */
+  validateDefinition(definition) {
+    if (definition.persistence !== undefined && !PERSISTENCE_MODES.has(definition.persistence)) {
+      throw createDefinitionError('persistence must be persistent or ephemeral');
+    }
+
+    ['streamRetentionSeconds', 'versionCacheTTLSeconds', 'maxAttributeBytes', 'purgeDeletedAfterDays', 'persistenceTargetSeconds'].forEach(field => {
+      const value = definition[field];
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+        throw createDefinitionError(`${field} must be a positive integer`);
+      }
+    });
+
+    const rankScoreKeys = definition.rankScoreKeys ?? [];
+    if (!Array.isArray(rankScoreKeys)) {
+      throw createDefinitionError('rankScoreKeys must be an array');
+    }
+
+    const nameField = definition.nameField ?? 'name';
+    if (typeof nameField !== 'string' || !ATTRIBUTE_KEY_PATTERN.test(nameField)) {
+      throw createDefinitionError('nameField must be an attribute key');
+    }
+
+    const indexes = this.validateIndexes(definition.indexes ?? []);
+    const relationships = this.validateRelationships(definition.relationships ?? []);
+
+    let name;
+    try {
+      name = InputValidator.sanitizeEntityTypeName(definition.name);
+      rankScoreKeys.forEach(key => InputValidator.sanitizeRankKey(key));
+    } catch (error) {
+      throw createDefinitionError(error.message);
+    }
+
+    return {
+      name,
+      persistence: definition.persistence || 'persistent',
+      streamRetentionSeconds: definition.streamRetentionSeconds ?? null,
+      versionCacheTTLSeconds: definition.versionCacheTTLSeconds ?? null,
+      rankScoreKeys,
+      maxAttributeBytes: definition.maxAttributeBytes ?? null,
+      nameField,
+      indexes,
+      relationships,
+      purgeDeletedAfterDays: definition.purgeDeletedAfterDays ?? null,
+      persistenceTargetSeconds: definition.persistenceTargetSeconds ?? null
+    };
+  }
+
+  validateIndexes(indexes) {
+    if (!Array.isArray(indexes) || indexes.length > MAX_INDEXES) {
+      throw createDefinitionError(`indexes must be an array of at most ${MAX_INDEXES} indexes`);
+    }
+
+    const attributes = new Set();
+    return indexes.map(index => {
+      if (!index || typeof index.attribute !== 'string' || !ATTRIBUTE_KEY_PATTERN.test(index.attribute)) {
+        throw createDefinitionError('indexes[].attribute must be a top-level attribute key');
+      }
+      if (index.unique !== undefined && typeof index.unique !== 'boolean') {
+        throw createDefinitionError('indexes[].unique must be a boolean');
+      }
+      if (attributes.has(index.attribute)) {
+        throw createDefinitionError(`attribute ${index.attribute} is indexed twice`);
+      }
+      attributes.add(index.attribute);
+
+      return { attribute: index.attribute, unique: index.unique === true };
+    });
+  }
+
+  validateRelationships(relationships) {
+    if (!Array.isArray(relationships) || relationships.length > MAX_RELATIONSHIPS) {
+      throw createDefinitionError(`relationships must be an array of at most ${MAX_RELATIONSHIPS} relationships`);
+    }
+
+    const names = new Set();
+    return relationships.map(relationship => {
+      if (!relationship || typeof relationship.name !== 'string' || !ATTRIBUTE_KEY_PATTERN.test(relationship.name)) {
+        throw createDefinitionError('relationships[].name must contain only letters, digits and underscores');
+      }
+      if (relationship.inverse !== undefined && (typeof relationship.inverse !== 'string' || !ATTRIBUTE_KEY_PATTERN.test(relationship.inverse))) {
+        throw createDefinitionError('relationships[].inverse must contain only letters, digits and underscores');
+      }
+      ['maxTargets', 'maxSources'].forEach(field => {
+        const value = relationship[field];
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+          throw createDefinitionError(`relationships[].${field} must be a positive integer`);
+        }
+      });
+      if (names.has(relationship.name)) {
+        throw createDefinitionError(`relationship ${relationship.name} is declared twice`);
+      }
+      names.add(relationship.name);
+
+      let target;
+      try {
+        target = InputValidator.sanitizeEntityTypeName(relationship.target);
+      } catch (error) {
+        throw createDefinitionError(`relationships[].target: ${error.message}`);
+      }
+
+      return {
+        name: relationship.name,
+        target,
+        inverse: relationship.inverse || relationship.name,
+        maxTargets: relationship.maxTargets ?? null,
+        maxSources: relationship.maxSources ?? null
+      };
+    });
+  }
+
+  // Inverse names resolve relationships from the target side, so they must be unambiguous per target type
+  checkRelationshipConflicts(data) {
+    const others = this.list().filter(definition => definition.name !== data.name);
+    const inverses = new Set();
+
+    data.relationships.forEach(relationship => {
+      const key = `${relationship.target}.${relationship.inverse}`;
+      const targetRelationships = relationship.target === data.name
+        ? data.relationships
+        : this.definitions.get(relationship.target)?.relationships || [];
+      const taken = inverses.has(key) ||
+        targetRelationships.some(own => own.name === relationship.inverse) ||
+        others.some(definition => definition.relationships.some(other => `${other.target}.${other.inverse}` === key));
+      if (taken) {
+        throw createDefinitionError(`${relationship.target} already has a relationship named ${relationship.inverse}; choose another inverse name`);
+      }
+      inverses.add(key);
+    });
+
+    data.relationships.forEach(relationship => {
+      const incoming = others.find(definition => definition.relationships.some(other => other.target === data.name && other.inverse === relationship.name));
+      if (incoming) {
+        throw createDefinitionError(`${incoming.name} already declares ${relationship.name} as an inverse relationship of ${data.name}`);
+      }
+    });
+  }
+
+  async upsert(definition) {
+    const data = this.validateDefinition(definition);
+    this.checkRelationshipConflicts(data);
+
+    await this.prisma.entityTypeDefinition.upsert({
+      where: { name: data.name },
+      create: data,
+      update: data
+    });
+    await this.load();
+
+    return this.getPolicy(data.name);
+  }
+
+  async remove(name) {
+    const result = await this.prisma.entityTypeDefinition.deleteMany({ where: { name } });
+    await this.load();
+
+    return result.count > 0;
+  }
+}
+
+export const entityTypeRegistry = new EntityTypeRegistry();
+
+// sanitizeEntityType rejects unregistered types when the registry is strict
+InputValidator.setEntityTypeRegistry(entityTypeRegistry);
@@ -0,0 +1,265 @@
+// util/EntityVersionHistory.js
+import { config, ephemeralRedis, prisma } from '../config.js';
+import { DistributedLock } from './DistributedLock.js';
+import { EntityDiffUtil } from './EntityDiffUtil.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_LOCK_KEY = 'entity-history:prune:lock';
+const PRUNE_LOCK_TTL = 600; // seconds
+
+function getStateKey(environment, entityType, entityId) {
+  return `${environment}:${entityType}:${entityId}`;
+}
+
+function toState(row) {
+  return { attributes: row.attributes || {}, rankScores: row.rank_scores || {} };
+}
+
+/**
+ * Version history of persisted entities in entity_versions.
+ *
+ * BackgroundPersistenceTask captures the entities rows before each batch upsert
+ * and records one row per new version afterwards, holding the changes from the
+ * previous version. A full snapshot is stored whenever the chain of versions is
+ * broken (first recorded version, versions written elsewhere) and every
+ * snapshotInterval versions, so an as-of load replays at most that many changes.
+ *
+ * Versions are entities.version numbers; saves that were merged in Redis before
+ * being persisted share one version.
+ */
+export class EntityVersionHistory {
+  constructor(options = {}) {
+    this.prisma = options.prisma || prisma;
+    this.enabled = options.enabled ?? config.entityHistory.enabled;
+    this.retentionDays = options.retentionDays || config.entityHistory.retentionDays;
+    this.snapshotInterval = options.snapshotInterval || config.entityHistory.snapshotInterval;
+    this.pruneIntervalMs = options.pruneIntervalMs || config.entityHistory.pruneIntervalMs;
+    this.lock = new DistributedLock(options.redis || ephemeralRedis);
+    this.timer = null;
+  }
+
+  // Prune on an interval; the lock keeps it to one server per run
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => void this.pruneWithLock(), this.pruneIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async readStates(updates) {
+    const keys = JSON.stringify(updates.map(({ environment, entityType, entityId }) => ({
+      environment,
+      entity_type: entityType,
+      id: entityId
+    })));
+
+    const rows = await this.prisma.$queryRaw`
+      SELECT e.environment, e.entity_type, e.id, e.world_id, e.attributes, e.rank_scores, e.version, e.is_deleted,
+        (SELECT MAX(v.version) FROM entity_versions v
+         WHERE v.environment = e.environment AND v.entity_type = e.entity_type AND v.entity_id = e.id) AS history_version
+      FROM entities e
+      JOIN jsonb_to_recordset(${keys}::JSONB) AS k(environment TEXT, entity_type TEXT, id TEXT)
+        ON e.environment = k.environment AND e.entity_type = k.entity_type AND e.id = k.id
+    `;
+
+    return new Map(rows.map(row => [getStateKey(row.environment, row.entity_type, row.id), row]));
+  }
+
+  /**
+   * Read the current rows of entities about to be persisted
+   * @param {Map} mergedUpdates - performBatchUpsert input
+   * @returns {Promise<Map|null>} - Pass to record(); null when history is disabled or the read failed
+   */
+  async capture(mergedUpdates) {
+    if (!this.enabled || mergedUpdates.size === 0) return null;
+
+    try {
+      return await this.readStates([...mergedUpdates.values()]);
+    } catch (error) {
+      console.error('[EntityVersionHistory] Failed to read entities before persistence:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the versions written by a batch upsert. History is best effort: a
+   * failure is logged and the next recorded version of the entity is a snapshot.
+   * @param {Map} mergedUpdates - performBatchUpsert input
+   * @param {Map} results - performBatchUpsert results, keyed like mergedUpdates
+   * @param {Map|null} previousStates - From capture()
+   * @returns {Promise<number>} - Versions recorded
+   */
+  async record(mergedUpdates, results, previousStates) {
+    if (!this.enabled || !previousStates) return 0;
+
+    const persisted = [...mergedUpdates.entries()]
+      .filter(([entityKey]) => results.get(entityKey)?.success)
+      .map(([, update]) => update);
+    if (persisted.length === 0) return 0;
+
+    try {
+      const currentStates = await this.readStates(persisted);
+      const rows = [];
+
+      persisted.forEach(({ environment, entityType, entityId }) => {
+        const key = getStateKey(environment, entityType, entityId);
+        const current = currentStates.get(key);
+        const previous = previousStates.get(key) || null;
+        if (!current || (previous && previous.version === current.version)) return;
+
+        const continuesHistory = previous !== null &&
+          previous.history_version === previous.version &&
+          current.version === previous.version + 1;
+
+        rows.push({
+          environment,
+          entity_type: entityType,
+          entity_id: entityId,
+          version: current.version,
+          world_id: current.world_id,
+          is_deleted: current.is_deleted,
+          changes: EntityDiffUtil.computeChanges(previous && toState(previous), toState(current)),
+          snapshot: !continuesHistory || current.version % this.snapshotInterval === 0 ? toState(current) : null
+        });
+      });
+
+      if (rows.length === 0) return 0;
+
+      await this.prisma.$executeRaw`
+        INSERT INTO entity_versions (environment, entity_type, entity_id, version, world_id, is_deleted, changes, snapshot, created_at)
+        SELECT r.environment, r.entity_type, r.entity_id, r.version, r.world_id, r.is_deleted, r.changes, r.snapshot, NOW()
+        FROM jsonb_to_recordset(${JSON.stringify(rows)}::JSONB)
+          AS r(environment TEXT, entity_type TEXT, entity_id TEXT, version INT, world_id INT, is_deleted BOOLEAN, changes JSONB, snapshot JSONB)
+        ON CONFLICT (environment, entity_type, entity_id, version) DO NOTHING
+      `;
+      return rows.length;
+    } catch (error) {
+      console.error('[EntityVersionHistory] Failed to record entity versions:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * An entity as it was at a version, or at the latest version persisted at or before a time
+   * @param {Object} query - {environment, entityType, entityId, version?, timestamp?: Date}
+   * @returns {Promise<Object|null>} - Entity in load result shape, or null when history has no such version
+   */
+  async getAsOf({ environment, entityType, entityId, version = null, timestamp = null }) {
+    const rows = await this.prisma.$queryRaw`
+      WITH target AS (
+        SELECT MAX(version) AS version
+        FROM entity_versions
+        WHERE environment = ${environment}
+          AND entity_type = ${entityType}
+          AND entity_id = ${entityId}
+          AND (${version}::INT IS NULL OR version = ${version}::INT)
+          AND (${timestamp}::TIMESTAMP IS NULL OR created_at <= ${timestamp}::TIMESTAMP)
+      ),
+      base AS (
+        SELECT MAX(v.version) AS version
+        FROM entity_versions v, target t
+        WHERE v.environment = ${environment}
+          AND v.entity_type = ${entityType}
+          AND v.entity_id = ${entityId}
+          AND v.snapshot IS NOT NULL
+          AND v.version <= t.version
+      )
+      SELECT v.version, v.world_id, v.is_deleted, v.changes, v.snapshot, v.created_at
+      FROM entity_versions v, target t, base b
+      WHERE v.environment = ${environment}
+        AND v.entity_type = ${entityType}
+        AND v.entity_id = ${entityId}
+        AND v.version BETWEEN b.version AND t.version
+      ORDER BY v.version
+    `;
+    if (rows.length === 0) return null;
+
+    const state = rows.slice(1).reduce(
+      (current, row) => EntityDiffUtil.applyChanges(current, row.changes),
+      rows[0].snapshot
+    );
+    const last = rows[rows.length - 1];
+
+    return {
+      id: entityId,
+      environment,
+      entityType,
+      worldId: last.world_id,
+      attributes: state.attributes,
+      rankScores: state.rankScores,
+      version: last.version,
+      isDeleted: last.is_deleted,
+      updatedAt: last.created_at
+    };
+  }
+
+  /**
+   * Recorded versions of an entity, newest first
+   * @returns {Promise<Array<{version, worldId, isDeleted, changes, persistedAt}>>}
+   */
+  async list({ environment, entityType, entityId, limit = 50, beforeVersion = null }) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT version, world_id, is_deleted, changes, created_at
+      FROM entity_versions
+      WHERE environment = ${environment}
+        AND entity_type = ${entityType}
+        AND entity_id = ${entityId}
+        AND (${beforeVersion}::INT IS NULL OR version < ${beforeVersion}::INT)
+      ORDER BY version DESC
+      LIMIT ${limit}
+    `;
+
+    return rows.map(row => ({
+      version: row.version,
+      worldId: row.world_id,
+      isDeleted: row.is_deleted,
+      changes: row.changes,
+      persistedAt: row.created_at
+    }));
+  }
+
+  /**
+   * Drop versions older than the retention period. Each entity keeps its newest
+   * snapshot from before the cutoff, as the base for the versions after it.
+   * @returns {Promise<number>} - Versions removed
+   */
+  async prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+
+    return this.prisma.$executeRaw`
+      DELETE FROM entity_versions v
+      USING (
+        SELECT environment, entity_type, entity_id, MAX(version) AS base_version
+        FROM entity_versions
+        WHERE created_at < ${cutoff} AND snapshot IS NOT NULL
+        GROUP BY environment, entity_type, entity_id
+      ) b
+      WHERE v.environment = b.environment
+        AND v.entity_type = b.entity_type
+        AND v.entity_id = b.entity_id
+        AND v.version < b.base_version
+    `;
+  }
+
+  async pruneWithLock() {
+    try {
+      const removed = await this.lock.withLock(PRUNE_LOCK_KEY, () => this.prune(), PRUNE_LOCK_TTL);
+      if (removed > 0) {
+        console.log(`[EntityVersionHistory] Pruned ${removed} entity versions older than ${this.retentionDays} days`);
+      }
+      return removed;
+    } catch (error) {
+      console.error('[EntityVersionHistory] Failed to prune entity versions:', error.message);
+      return 0;
+    }
+  }
+}
+
+export const entityVersionHistory = new EntityVersionHistory();
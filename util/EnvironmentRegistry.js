@@ -0,0 +1,179 @@
+// util/EnvironmentRegistry.js
+import { EventEmitter } from 'events';
+import { prisma, config } from '../config.js';
+
+// Lowercase; ':' never appears since it separates key segments. Sandbox keys share
+// Redis with fixed top-level prefixes (ephemeral:, idempotency:, presence:, stream:,
+// background: ...), so names carry their own prefix for teardown's `<name>:*` to only
+// ever match the sandbox's keys.
+const SANDBOX_NAME_PREFIX = 'sbx-';
+const SANDBOX_NAME_PATTERN = /^sbx-[a-z0-9][a-z0-9-]{1,35}$/;
+
+export function createEnvironmentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Registry of sandbox environments, stored in the sandbox_environments table.
+ *
+ * Every environment check goes through isAllowed(): the base environments
+ * (config.allowedEnvironments, staging and production) and the current sandboxes.
+ * The snapshot is refreshed periodically; 'added' and 'removed' are emitted with
+ * the environment name when a refresh finds a change.
+ */
+export class EnvironmentRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.prisma = options.prisma || prisma;
+    this.refreshIntervalMs = options.refreshIntervalMs || config.sandboxes.refreshIntervalMs;
+    this.maxCount = options.maxCount || config.sandboxes.maxCount;
+    this.baseEnvironments = [...(options.baseEnvironments || config.allowedEnvironments)];
+    this.sandboxes = new Map();
+    this.lastLoadedAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * @returns {string} - The name, when it can be a sandbox name
+   * @throws {Error} - invalid_request when it cannot
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !SANDBOX_NAME_PATTERN.test(name)) {
+      throw createEnvironmentError(
+        `name must be ${SANDBOX_NAME_PREFIX} followed by 2-36 lowercase letters, digits or hyphens`,
+        'invalid_request'
+      );
+    }
+    if (this.baseEnvironments.includes(name)) {
+      throw createEnvironmentError(`${name} is not a sandbox environment`, 'invalid_request');
+    }
+    return name;
+  }
+
+  async load() {
+    try {
+      this.apply(await this.prisma.sandboxEnvironment.findMany({ orderBy: { name: 'asc' } }));
+      this.lastLoadedAt = Date.now();
+    } catch (error) {
+      // Keep serving the last snapshot; base environments never depend on this table
+      console.error('[EnvironmentRegistry] Failed to load sandbox environments:', error.message);
+    }
+
+    return this.sandboxes.size;
+  }
+
+  apply(rows) {
+    const previous = this.sandboxes;
+    this.sandboxes = new Map(rows
+      .filter(row => !this.baseEnvironments.includes(row.name))
+      .map(row => [row.name, {
+        name: row.name,
+        configSource: row.configSource,
+        owner: row.owner ?? null,
+        expiresAt: row.expiresAt ?? null,
+        createdAt: row.createdAt
+      }]));
+
+    [...this.sandboxes.keys()].filter(name => !previous.has(name)).forEach(name => this.emit('added', name));
+    [...previous.keys()].filter(name => !this.sandboxes.has(name)).forEach(name => this.emit('removed', name));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    void this.load();
+    this.timer = setInterval(() => void this.load(), this.refreshIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isSandbox(environment) {
+    return this.sandboxes.has(environment);
+  }
+
+  isAllowed(environment) {
+    return this.baseEnvironments.includes(environment) || this.sandboxes.has(environment);
+  }
+
+  // Names of the base environments followed by the sandboxes
+  list() {
+    return [...this.baseEnvironments, ...this.sandboxes.keys()];
+  }
+
+  get(name) {
+    return this.sandboxes.get(name) || null;
+  }
+
+  listSandboxes() {
+    return [...this.sandboxes.values()];
+  }
+
+  // The base environment whose config storage a sandbox uses; base environments are their own
+  getConfigEnvironment(environment) {
+    return this.sandboxes.get(environment)?.configSource || environment;
+  }
+
+  /**
+   * Register a sandbox environment
+   * @param {Object} definition - {name, configSource?, owner?, ttlHours?}
+   * @returns {Promise<Object>} - The registered sandbox
+   */
+  async create({ name, configSource = 'staging', owner = null, ttlHours = config.sandboxes.defaultTtlHours }) {
+    this.validateName(name);
+    if (!this.baseEnvironments.includes(configSource)) {
+      throw createEnvironmentError(`configSource must be one of ${this.baseEnvironments.join(', ')}`, 'invalid_request');
+    }
+    if (owner !== null && (typeof owner !== 'string' || owner.length > 128)) {
+      throw createEnvironmentError('owner must be a string of 128 characters or less', 'invalid_request');
+    }
+    if (ttlHours !== null && ttlHours !== undefined && (!Number.isInteger(ttlHours) || ttlHours <= 0)) {
+      throw createEnvironmentError('ttlHours must be a positive integer', 'invalid_request');
+    }
+
+    const count = await this.prisma.sandboxEnvironment.count();
+    if (count >= this.maxCount) {
+      throw createEnvironmentError(`At most ${this.maxCount} sandbox environments may exist (SANDBOX_MAX_COUNT)`, 'too_many_sandboxes');
+    }
+
+    try {
+      await this.prisma.sandboxEnvironment.create({
+        data: {
+          name,
+          configSource,
+          owner,
+          expiresAt: ttlHours ? new Date(Date.now() + ttlHours * 60 * 60 * 1000) : null
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw createEnvironmentError(`Sandbox environment ${name} already exists`, 'environment_exists');
+      }
+      throw error;
+    }
+    await this.load();
+
+    return this.get(name);
+  }
+
+  async remove(name) {
+    const result = await this.prisma.sandboxEnvironment.deleteMany({ where: { name } });
+    await this.load();
+
+    return result.count > 0;
+  }
+
+  // Sandboxes whose expiry has passed
+  async listExpired() {
+    return this.prisma.sandboxEnvironment.findMany({ where: { expiresAt: { lte: new Date() } } });
+  }
+}
+
+export const environmentRegistry = new EnvironmentRegistry();
@@ -3,17 +3,209 @@ import { ephemeralRedis, config } from '../config.js';
 import { InputValidator } from './InputValidator.js';
 import { EntityDiffUtil } from './EntityDiffUtil.js';
 import { KeyGenerator } from './KeyGenerator.js';
+import { AttributeOpsUtil } from './AttributeOpsUtil.js';
 import { StreamUpdateUtil } from './StreamUpdateUtil.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { entityIndexManager } from './EntityIndexManager.js';
+import { persistenceOutbox } from './PersistenceOutbox.js';
+import { PersistenceShardUtil, DIRTY_SET_KEY } from './PersistenceShardUtil.js';
+
+// Atomically validate and apply prepared writes to one or more entities.
+// KEYS holds (entityKey, versionKey, dirtySetKey, laneKey, lanesKey) per write.
+// ARGV[1] is a JSON array of specs in the same order as the key groups.
+// All preconditions (including attribute operation bounds and types) are checked
+// before anything is written, so either every write is applied or none is.
+const APPLY_WRITES_SCRIPT = `
+  local specs = cjson.decode(ARGV[1])
+
+  local function jsonType(key, path)
+    return redis.call('JSON.TYPE', key, path)[1]
+  end
+
+  local function reject(i, error, extra)
+    local result = extra or {}
+    result.index = i - 1
+    result.error = error
+    return cjson.encode(result)
+  end
+
+  for i, spec in ipairs(specs) do
+    local key = KEYS[i * 5 - 4]
+    local versionKey = KEYS[i * 5 - 3]
+    local exists = redis.call('EXISTS', key) == 1
+    local currentVersion = tonumber(redis.call('GET', versionKey)) or 0
+
+    if not exists and not spec.isCreate then
+      return reject(i, 'Entity does not exist and isCreate is false')
+    end
+    if exists and spec.isCreate then
+      return reject(i, 'Entity already exists and isCreate is true')
+    end
+    if spec.expectedVersion ~= nil and spec.expectedVersion ~= currentVersion then
+      return reject(i, 'version_conflict', { currentVersion = currentVersion })
+    end
+
+    -- Resolve attribute operations into plain writes against the current document
+    if spec.attributeOps and not spec.document then
+      for _, op in ipairs(spec.attributeOps) do
+        local path = '$.attributes.' .. op.path
+        local parentPath = string.match(path, '^(.*)%.[^%.]+$')
+        if parentPath ~= '$.attributes' and jsonType(key, parentPath) ~= 'object' then
+          return reject(i, 'invalid_path', { path = op.path })
+        end
+
+        local currentType = jsonType(key, path)
+        if op.op == 'inc' then
+          if currentType and currentType ~= 'integer' and currentType ~= 'number' then
+            return reject(i, 'type_mismatch', { path = op.path })
+          end
+
+          local current = 0
+          if currentType then
+            current = cjson.decode(redis.call('JSON.GET', key, path))[1]
+          end
+
+          -- Only the bound the delta moves towards applies, and a value already past
+          -- it stays where it is: a dec of 10 on 150 with max 100 gives 140
+          local value = current + op.delta
+          local bound = nil
+          if op.delta < 0 and op.min and value < op.min then
+            bound = math.min(op.min, current)
+          elseif op.delta > 0 and op.max and value > op.max then
+            bound = math.max(op.max, current)
+          end
+          if bound and op.strict then
+            return reject(i, 'bounds_violation', { path = op.path })
+          end
+
+          -- Lua numbers are doubles, so bounds are compared exactly only up to 2^53.
+          -- The write itself is exact: an existing value is incremented in place by
+          -- JSON.NUMINCRBY rather than rewritten from the double
+          if bound then
+            -- A value already at or past the bound is not rewritten
+            if bound ~= current or not currentType then
+              table.insert(spec.ops, { 'set', path, string.format('%.17g', bound) })
+            end
+          elseif currentType then
+            table.insert(spec.ops, { 'incrby', path, string.format('%.17g', op.delta) })
+          else
+            table.insert(spec.ops, { 'set', path, string.format('%.17g', op.delta) })
+          end
+        elseif op.op == 'setIfAbsent' then
+          if not currentType then
+            table.insert(spec.ops, { 'set', path, op.value })
+          end
+        else
+          if currentType and currentType ~= 'array' then
+            return reject(i, 'type_mismatch', { path = op.path })
+          end
+
+          if op.op == 'append' then
+            if not currentType then
+              table.insert(spec.ops, { 'set', path, '[]' })
+            end
+            table.insert(spec.ops, { 'append', path, op.value })
+          elseif currentType then
+            table.insert(spec.ops, { 'remove', path, op.value })
+          end
+        end
+      end
+    end
+  end
+
+  local versions = {}
+  local values = {}
+  local hasValues = false
+  for i, spec in ipairs(specs) do
+    local key = KEYS[i * 5 - 4]
+    local versionKey = KEYS[i * 5 - 3]
+
+    if spec.dirtyKey then
+      redis.call('SADD', KEYS[i * 5 - 2], spec.dirtyKey)
+      redis.call('ZADD', KEYS[i * 5 - 1], 'NX', spec.dirtySince, spec.dirtyKey)
+      redis.call('SADD', KEYS[i * 5], spec.lane)
+    end
+
+    values[i] = {}
+    if spec.purge then
+      redis.call('JSON.DEL', key)
+      redis.call('DEL', versionKey)
+      versions[i] = 0
+    else
+      if spec.document then
+        redis.call('JSON.SET', key, '$', spec.document)
+        redis.call('SET', versionKey, '1')
+        versions[i] = 1
+      else
+        for _, op in ipairs(spec.ops) do
+          if op[1] == 'set' then
+            redis.call('JSON.SET', key, op[2], op[3])
+          elseif op[1] == 'incrby' then
+            redis.call('JSON.NUMINCRBY', key, op[2], op[3])
+          elseif op[1] == 'append' then
+            redis.call('JSON.ARRAPPEND', key, op[2], op[3])
+          elseif op[1] == 'remove' then
+            local found = redis.call('JSON.ARRINDEX', key, op[2], op[3])[1]
+            while found and found >= 0 do
+              redis.call('JSON.ARRPOP', key, op[2], found)
+              found = redis.call('JSON.ARRINDEX', key, op[2], op[3])[1]
+            end
+          else
+            redis.call('JSON.DEL', key, op[2])
+          end
+        end
+        versions[i] = redis.call('INCR', versionKey)
+
+        if spec.attributeOps then
+          for _, op in ipairs(spec.attributeOps) do
+            values[i][op.path] = redis.call('JSON.GET', key, '$.attributes.' .. op.path)
+            hasValues = true
+          end
+        end
+      end
+      redis.call('JSON.SET', key, '$.version', tostring(versions[i]))
+    end
+  end
+
+  if hasValues then
+    return cjson.encode({ versions = versions, values = values })
+  end
+  return cjson.encode({ versions = versions })
+`;
+
+// Drop an entity type from a shard's lanes if its lane is still empty.
+// KEYS: lanesKey, laneKey; ARGV: entityType
+const DROP_EMPTY_LANE_SCRIPT = `
+  if redis.call('ZCARD', KEYS[2]) == 0 then
+    return redis.call('SREM', KEYS[1], ARGV[1])
+  end
+  return 0
+`;
+
+// Move a dirty key between shards' sets, carrying over when it became dirty.
+// KEYS: fromSet, toSet, fromLane, toLane, toLanes; ARGV: dirtyKey, entityType
+const MOVE_DIRTY_KEY_SCRIPT = `
+  local dirtySince = redis.call('ZSCORE', KEYS[3], ARGV[1])
+  local moved = redis.call('SMOVE', KEYS[1], KEYS[2], ARGV[1])
+  if dirtySince then
+    redis.call('ZREM', KEYS[3], ARGV[1])
+    redis.call('ZADD', KEYS[4], 'NX', dirtySince, ARGV[1])
+    redis.call('SADD', KEYS[5], ARGV[2])
+  end
+  return moved
+`;
 
 export class EphemeralEntityManager {
   constructor(streamManager) {
     this.redis = ephemeralRedis;
     this.streamManager = streamManager;
     this.checkRedisJSONSupport();
-    this.DIRTY_SET_KEY = 'ephemeral:dirty_entities'; // Set to track entities with pending updates
-    this.VERSION_CACHE_TTL = 3600; // 1 hour TTL for versioned snapshots
-    // Store the set of ephemeral-only entity types that should NOT be persisted
-    this.ephemeralOnlyTypes = new Set(config.entityTypes?.ephemeral || []);
+    this.DIRTY_SET_KEY = DIRTY_SET_KEY; // Set to track entities with pending updates (shard 0's set)
+    this.shardCount = PersistenceShardUtil.normalizeShardCount(config.backgroundPersistence.shards);
+    // Ephemeral-only types and versioned snapshot TTLs come from the entity type registry
+    this.entityTypeRegistry = entityTypeRegistry;
+    this.indexManager = entityIndexManager;
+    this.outbox = persistenceOutbox;
   }
 
   async checkRedisJSONSupport() {
@@ -29,7 +221,43 @@ export class EphemeralEntityManager {
 
   // Check if an entity type is ephemeral-only (should not be persisted to DB)
   isEphemeralOnly(entityType) {
-    return this.ephemeralOnlyTypes.has(entityType);
+    return this.entityTypeRegistry.isEphemeral(entityType);
+  }
+
+  getVersionCacheTTL(entityType) {
+    return this.entityTypeRegistry.getPolicy(entityType)?.versionCacheTTLSeconds || config.ephemeral.versionCacheTTL;
+  }
+
+  // The dirty set of the persistence shard a dirty key belongs to
+  getDirtySetKey(dirtyKey) {
+    return PersistenceShardUtil.getDirtySetKey(PersistenceShardUtil.getShard(dirtyKey, this.shardCount));
+  }
+
+  getDirtySetKeys() {
+    return Array.from({ length: this.shardCount }, (_, shard) => PersistenceShardUtil.getDirtySetKey(shard));
+  }
+
+  // The lane of a dirty key: its shard's sorted set for its entity type
+  getLaneKey(dirtyKey) {
+    const shard = PersistenceShardUtil.getShard(dirtyKey, this.shardCount);
+    return PersistenceShardUtil.getLaneKey(shard, KeyGenerator.parseDirtyKey(dirtyKey).entityType);
+  }
+
+  // Time within which saves of the type should be persisted
+  getPersistenceTargetMs(entityType) {
+    const seconds = this.entityTypeRegistry.getPolicy(entityType)?.persistenceTargetSeconds
+      || config.backgroundPersistence.defaultTargetSeconds;
+    return seconds * 1000;
+  }
+
+  /**
+   * Record when a dirty key became dirty in its type's lane; a key already in the lane keeps
+   * its first time, so its unpersisted saves age from the oldest
+   */
+  queueLaneEntry(pipeline, dirtyKey, entityType, dirtySince = Date.now()) {
+    const shard = PersistenceShardUtil.getShard(dirtyKey, this.shardCount);
+    pipeline.zadd(PersistenceShardUtil.getLaneKey(shard, entityType), 'NX', dirtySince, dirtyKey);
+    pipeline.sadd(PersistenceShardUtil.getLanesKey(shard), entityType);
   }
 
   // Ephemeral key includes entityType and worldId
@@ -44,6 +272,319 @@ export class EphemeralEntityManager {
     return EntityDiffUtil.computeEntityDiff(oldEntity, newEntity, { includeRankScores: false });
   }
 
+  /**
+   * Build the RedisJSON writes for a single partial update without executing them.
+   * The pipelined save path and the scripted (conditional) save path both apply
+   * the same operations so the resulting documents are identical.
+   *
+   * @param {Object} update - Partial update as passed to batchSavePartial
+   * @param {number} timestamp - Write timestamp (ms)
+   * @returns {{ops: Array, document: string|null, purge: boolean, streamUpdate: Object}}
+   *   ops are ['set', path, json] or ['del', path] tuples. Updates carrying attribute
+   *   operations also return attributeOps (evaluated by APPLY_WRITES_SCRIPT); creates
+   *   return the evaluated values, or a rejection when an operation cannot be applied.
+   * @throws {Error} - When attributes or attribute operations are invalid
+   */
+  buildWriteOperations(update, timestamp) {
+    const { environment, entityType, entityId, worldId, attributes, rankScores, isCreate = false, isDelete = false } = update;
+    const streamId = KeyGenerator.getStreamId(environment, entityType, worldId, entityId);
+
+    // Handle deletion
+    if (isDelete) {
+      if (update.attributeOps) {
+        throw new Error('ops cannot be combined with isDelete');
+      }
+
+      // For non-ephemeral entities, mark as deleted but keep in Redis temporarily
+      // so background task can persist the deletion to the database
+      // For ephemeral-only entities, delete immediately
+      return {
+        ops: [
+          ['set', '$.isDeleted', JSON.stringify(true)],
+          ['set', '$.lastWrite', JSON.stringify(timestamp)]
+        ],
+        document: null,
+        purge: this.isEphemeralOnly(entityType),
+        streamUpdate: { streamId, data: { deleted: true } }
+      };
+    }
+
+    // Separate attributes into updates and removals
+    const attributesToSet = {};
+    const attributesToRemove = [];
+    const rankScoresToSet = {};
+    const rankScoresToRemove = [];
+    const streamData = {};
+
+    // Process attributes (including nested removals)
+    const {
+      sanitized: sanitizedAttributes,
+      keysToRemove: attributeKeysToRemove
+    } = InputValidator.sanitizeAttributes(attributes || {});
+
+    Object.entries(sanitizedAttributes).forEach(([field, value]) => {
+      attributesToSet[field] = value;
+      streamData[field] = value;
+    });
+
+    attributesToRemove.push(...attributeKeysToRemove);
+
+    // Process rankScores (nested map structure)
+    if (rankScores) {
+      const {
+        sanitized: sanitizedRankScores,
+        keysToRemove: rankKeysToRemove
+      } = InputValidator.sanitizeAttributes(rankScores);
+
+      Object.entries(sanitizedRankScores).forEach(([scoreType, partitionMap]) => {
+        if (typeof partitionMap === 'object' && partitionMap !== null) {
+          // Process partition map
+          rankScoresToSet[scoreType] = partitionMap;
+          // Add to stream data with flattened format "scoreType:partitionKey"
+          Object.entries(partitionMap).forEach(([partitionKey, value]) => {
+            streamData[`${scoreType}:${partitionKey}`] = value;
+          });
+        }
+      });
+
+      rankScoresToRemove.push(...rankKeysToRemove);
+    }
+
+    // Atomic attribute operations (inc, dec, append, removeValue, setIfAbsent)
+    const attributeOps = update.attributeOps ? AttributeOpsUtil.sanitizeAttributeOps(update.attributeOps) : [];
+    const writtenKeys = new Set([
+      ...Object.keys(attributesToSet),
+      ...attributesToRemove.map(path => path.split('.')[0])
+    ]);
+    AttributeOpsUtil.getRootKeys(attributeOps).forEach(rootKey => {
+      if (writtenKeys.has(rootKey)) {
+        throw new Error(`ops and attributes must not target the same attribute: ${rootKey}`);
+      }
+    });
+
+    // Prepare stream update data (excluding NULL_MARKER values)
+    const streamUpdate = { streamId, data: streamData };
+
+    if (isCreate) {
+      // The document does not exist yet, so its operations are evaluated here
+      let values;
+      if (attributeOps.length > 0) {
+        const evaluated = AttributeOpsUtil.applyToAttributes(attributesToSet, attributeOps);
+        if (evaluated.error) {
+          return { rejection: { error: evaluated.error, path: evaluated.path }, streamUpdate };
+        }
+        values = evaluated.values;
+        Object.assign(streamData, values);
+      }
+
+      // Create new entity (isCreate=true and entity doesn't exist, validated by caller)
+      const newEntity = {
+        id: entityId,
+        entityType,
+        worldId,
+        attributes: attributesToSet,
+        rankScores: rankScoresToSet,
+        lastWrite: timestamp,
+        version: 1,
+        type: 'ephemeral'
+      };
+
+      return { ops: [], document: JSON.stringify(newEntity), purge: false, streamUpdate, values };
+    }
+
+    // Update existing entity attributes (entity exists, validated by caller)
+    const ops = [];
+
+    // Set new/updated attributes
+    Object.entries(attributesToSet).forEach(([field, value]) => {
+      ops.push(['set', `$.attributes.${field}`, JSON.stringify(value)]);
+    });
+
+    // Remove attributes marked with NULL_MARKER
+    attributesToRemove.forEach(field => {
+      ops.push(['del', `$.attributes.${field}`]);
+    });
+
+    // Set new/updated rankScores (nested map structure)
+    // For each scoreType, deep merge the partition map
+    Object.entries(rankScoresToSet).forEach(([scoreType, partitionMap]) => {
+      Object.entries(partitionMap).forEach(([partitionKey, value]) => {
+        ops.push(['set', `$.rankScores.${scoreType}.${partitionKey}`, JSON.stringify(value)]);
+      });
+    });
+
+    // Remove rankScores marked for deletion
+    rankScoresToRemove.forEach(scoreType => {
+      ops.push(['del', `$.rankScores.${scoreType}`]);
+    });
+
+    // Update worldId and timestamp
+    ops.push(['set', '$.worldId', JSON.stringify(worldId)]);
+    ops.push(['set', '$.lastWrite', JSON.stringify(timestamp)]);
+
+    return {
+      ops,
+      document: null,
+      purge: false,
+      streamUpdate,
+      attributeOps: attributeOps.length > 0 ? attributeOps : undefined
+    };
+  }
+
+  /**
+   * Queue prepared write operations on a pipeline
+   */
+  queueWriteOperations(pipeline, key, ops) {
+    ops.forEach(([op, path, value]) => {
+      if (op === 'set') {
+        pipeline.call('JSON.SET', key, path, value);
+      } else {
+        pipeline.call('JSON.DEL', key, path);
+      }
+    });
+  }
+
+  /**
+   * Build the argument list for APPLY_WRITES_SCRIPT
+   * @param {Array} writes - Array of {key, versionKey, spec} objects
+   * @returns {Array} - Arguments for redis.eval / pipeline.eval
+   */
+  buildWriteScriptArgs(writes) {
+    const keys = [];
+    writes.forEach(({ key, versionKey, spec }) => {
+      if (spec.dirtyKey) {
+        const shard = PersistenceShardUtil.getShard(spec.dirtyKey, this.shardCount);
+        keys.push(
+          key,
+          versionKey,
+          PersistenceShardUtil.getDirtySetKey(shard),
+          PersistenceShardUtil.getLaneKey(shard, spec.lane),
+          PersistenceShardUtil.getLanesKey(shard)
+        );
+      } else {
+        // Unused placeholders for writes that are not persisted
+        keys.push(key, versionKey, this.DIRTY_SET_KEY, this.DIRTY_SET_KEY, this.DIRTY_SET_KEY);
+      }
+    });
+    return [APPLY_WRITES_SCRIPT, keys.length, ...keys, JSON.stringify(writes.map(({ spec }) => spec))];
+  }
+
+  /**
+   * Build the script spec for one prepared write
+   */
+  buildWriteSpec(update, prepared) {
+    const spec = {
+      isCreate: update.isCreate === true,
+      ops: prepared.ops
+    };
+
+    if (prepared.document) {
+      spec.document = prepared.document;
+    }
+    if (prepared.purge) {
+      spec.purge = true;
+    }
+    if (prepared.attributeOps) {
+      spec.attributeOps = prepared.attributeOps;
+    }
+    if (!this.isEphemeralOnly(update.entityType)) {
+      spec.dirtyKey = KeyGenerator.getDirtyKey(update.environment, update.entityType, update.entityId, update.worldId);
+      spec.lane = update.entityType;
+      spec.dirtySince = Date.now();
+    }
+    if (update.expectedVersion !== undefined) {
+      spec.expectedVersion = update.expectedVersion;
+    }
+
+    return spec;
+  }
+
+  /**
+   * Decode the attribute values returned by APPLY_WRITES_SCRIPT for one entity.
+   * The script returns raw JSONPath results ('[value]') keyed by attribute path.
+   */
+  decodeScriptValues(rawValues) {
+    if (!rawValues || Object.keys(rawValues).length === 0) {
+      return undefined;
+    }
+
+    const values = {};
+    Object.entries(rawValues).forEach(([path, raw]) => {
+      const [value = null] = JSON.parse(raw);
+      values[path] = value;
+    });
+    return values;
+  }
+
+  /**
+   * Queue the version stamp and versioned snapshot for an applied write
+   */
+  queueVersionedCopy(pipeline, update, key, versionNum) {
+    const { environment, entityType, entityId, worldId } = update;
+
+    // Update the version in the entity JSON atomically
+    pipeline.call('JSON.SET', key, '$.version', versionNum);
+
+    // Cache this version of the entity for future diff calculations with TTL
+    const versionedKey = this.getEphemeralKey(environment, entityType, entityId, worldId, versionNum);
+    pipeline.call('JSON.COPY', key, versionedKey);
+    pipeline.expire(versionedKey, this.getVersionCacheTTL(entityType));
+  }
+
+  /**
+   * Update secondary indexes once saves are settled; a failure here leaves
+   * stale entries, which lookups verify, so it does not fail the saves
+   */
+  async settleIndexes(indexPlans, results) {
+    try {
+      await this.indexManager.apply(indexPlans, results);
+    } catch (error) {
+      console.error('Failed to update secondary indexes:', error);
+    }
+  }
+
+  /**
+   * Append applied persistent saves to the persistence outbox with the documents
+   * they produced; a no-op unless PERSISTENCE_OUTBOX_ENABLED is set
+   * @param {Array} saved - {update, version} for each applied save
+   */
+  async recordOutbox(saved) {
+    if (!this.outbox.enabled) return;
+
+    const entries = saved.filter(({ update, version }) => version && !this.isEphemeralOnly(update.entityType));
+    if (entries.length === 0) return;
+
+    try {
+      const pipeline = this.redis.pipeline();
+      entries.forEach(({ update: { environment, entityType, entityId, worldId } }) => {
+        pipeline.call('JSON.GET', this.getEphemeralKey(environment, entityType, entityId, worldId));
+      });
+      const documents = await pipeline.exec();
+
+      await this.outbox.record(entries
+        .map(({ update, version }, index) => {
+          const [error, raw] = documents[index];
+          if (error || !raw) return null;
+
+          const document = JSON.parse(raw);
+          return {
+            environment: update.environment,
+            entityType: update.entityType,
+            entityId: update.entityId,
+            worldId: update.worldId,
+            version,
+            attributes: document.attributes,
+            rankScores: document.rankScores,
+            isDeleted: document.isDeleted === true
+          };
+        })
+        .filter(entry => entry !== null));
+    } catch (error) {
+      console.error('Failed to read saved documents for the persistence outbox:', error);
+      this.outbox.recordFailure(entries.length, error);
+    }
+  }
+
   async batchSavePartial(updates) {
     if (updates.length === 0) return [];
 
@@ -60,6 +601,9 @@ export class EphemeralEntityManager {
       const existsResults = await existsPipeline.exec();
       const existsFlags = existsResults.map(([error, result]) => !!result && !error);
 
+      // Claim unique indexed values before writing; rejected saves are skipped below
+      const indexPlans = await this.indexManager.prepare(updates);
+
       // Process updates in optimized batches
       const batchSize = 5000; // Larger batches for better throughput
       const results = [];
@@ -72,14 +616,27 @@ export class EphemeralEntityManager {
 
         const pipeline = this.redis.pipeline();
         const versionKeyIndices = []; // Track which pipeline commands are version increments
-        const dirtyKeys = []; // Track keys to add to dirty set
+        const scriptedWrites = []; // Saves with an expectedVersion precondition or attribute ops
+        const appliedVersions = []; // {batchIndex, version, values} for every applied save
+        const batchStreamUpdates = new Map(); // batchIndex -> stream update
 
         batch.forEach((update, batchIndex) => {
-          const { environment, entityType, entityId, worldId, attributes, rankScores, isCreate = false, isDelete = false } = update;
+          const { environment, entityType, entityId, worldId, isCreate = false, isDelete = false } = update;
           const key = batchKeys[batchIndex];
           const exists = batchExists[batchIndex];
           const versionKey = KeyGenerator.getVersionKey(environment, entityType, entityId, worldId);
 
+          let expectedVersion;
+          try {
+            expectedVersion = InputValidator.sanitizeExpectedVersion(update.expectedVersion);
+          } catch (error) {
+            results[i + batchIndex] = {
+              success: false,
+              error: error.message
+            };
+            return;
+          }
+
           // Validation: Reject updates based on existence and flags
           if (!exists && !isCreate) {
             // Entity doesn't exist and isCreate is false - reject
@@ -108,138 +665,66 @@ export class EphemeralEntityManager {
             return;
           }
 
-          // Track this entity as dirty for background persistence BEFORE the update
-          // Skip ephemeral-only entity types that should not be persisted to DB
-          // This MUST happen before the entity update to prevent race conditions
-          if (!this.isEphemeralOnly(entityType)) {
-            const dirtyKey = KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
-            dirtyKeys.push(dirtyKey);
-            // Add to dirty set atomically with the update (for both updates and deletes)
-            pipeline.sadd(this.DIRTY_SET_KEY, dirtyKey);
+          const indexRejection = indexPlans[i + batchIndex]?.rejection;
+          if (indexRejection) {
+            results[i + batchIndex] = { success: false, ...indexRejection };
+            return;
           }
 
-          // Handle deletion
-          if (isDelete) {
-            // For non-ephemeral entities, mark as deleted but keep in Redis temporarily
-            // so background task can persist the deletion to the database
-            // For ephemeral-only entities, delete immediately
-            if (this.isEphemeralOnly(entityType)) {
-              // Delete the entity and its version counter immediately
-              pipeline.call('JSON.DEL', key);
-              pipeline.del(versionKey);
-            } else {
-              // Mark as deleted but keep the entity for background persistence
-              pipeline.call('JSON.SET', key, '$.isDeleted', true);
-              pipeline.call('JSON.SET', key, '$.lastWrite', timestamp);
-              // Increment version to track the deletion
-              const incrPosition = pipeline.length;
-              versionKeyIndices.push({ index: incrPosition, batchIndex, isCreate: false });
-              pipeline.incr(versionKey);
-            }
-
-            // Add deletion to stream
-            streamUpdates.push({
-              streamId: KeyGenerator.getStreamId(environment, entityType, worldId, entityId),
-              data: { deleted: true }
-            });
-
-            return; // Skip further processing for this entity
+          let prepared;
+          try {
+            prepared = this.buildWriteOperations(update, timestamp);
+          } catch (error) {
+            results[i + batchIndex] = {
+              success: false,
+              error: error.message
+            };
+            return;
           }
 
-          // Separate attributes into updates and removals
-          const attributesToSet = {};
-          const attributesToRemove = [];
-          const rankScoresToSet = {};
-          const rankScoresToRemove = [];
-          const streamData = {};
-
-          // Process attributes (including nested removals)
-          const {
-            sanitized: sanitizedAttributes,
-            keysToRemove: attributeKeysToRemove
-          } = InputValidator.sanitizeAttributes(attributes || {});
-
-          Object.entries(sanitizedAttributes).forEach(([field, value]) => {
-            attributesToSet[field] = value;
-            streamData[field] = value;
-          });
+          if (prepared.rejection) {
+            results[i + batchIndex] = { success: false, ...prepared.rejection };
+            return;
+          }
 
-          attributesToRemove.push(...attributeKeysToRemove);
-
-          // Process rankScores (nested map structure)
-          if (rankScores) {
-            const {
-              sanitized: sanitizedRankScores,
-              keysToRemove: rankKeysToRemove
-            } = InputValidator.sanitizeAttributes(rankScores);
-
-            Object.entries(sanitizedRankScores).forEach(([scoreType, partitionMap]) => {
-              if (typeof partitionMap === 'object' && partitionMap !== null) {
-                // Process partition map
-                rankScoresToSet[scoreType] = partitionMap;
-                // Add to stream data with flattened format "scoreType:partitionKey"
-                Object.entries(partitionMap).forEach(([partitionKey, value]) => {
-                  streamData[`${scoreType}:${partitionKey}`] = value;
-                });
-              }
+          batchStreamUpdates.set(batchIndex, prepared.streamUpdate);
+
+          // Saves with a version precondition or attribute operations are checked and
+          // applied atomically by APPLY_WRITES_SCRIPT instead of the shared pipeline
+          if (expectedVersion !== undefined || prepared.attributeOps) {
+            scriptedWrites.push({
+              batchIndex,
+              key,
+              versionKey,
+              values: prepared.values,
+              spec: this.buildWriteSpec({ ...update, expectedVersion }, prepared)
             });
-
-            rankScoresToRemove.push(...rankKeysToRemove);
+            return;
           }
 
-          // Prepare stream update data (excluding NULL_MARKER values)
-          streamUpdates.push({
-            streamId: KeyGenerator.getStreamId(environment, entityType, worldId, entityId),
-            data: streamData
-          });
-
-          if (isCreate) {
-            // Create new entity (isCreate=true and entity doesn't exist, validated above)
-            const newEntity = {
-              id: entityId,
-              entityType,
-              worldId,
-              attributes: attributesToSet,
-              rankScores: rankScoresToSet,
-              lastWrite: timestamp,
-              version: 1,
-              type: 'ephemeral'
-            };
+          // Track this entity as dirty for background persistence BEFORE the update
+          // Skip ephemeral-only entity types that should not be persisted to DB
+          // This MUST happen before the entity update to prevent race conditions
+          if (!this.isEphemeralOnly(entityType)) {
+            const dirtyKey = KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
+            // Add to dirty set atomically with the update (for both updates and deletes)
+            pipeline.sadd(this.getDirtySetKey(dirtyKey), dirtyKey);
+            this.queueLaneEntry(pipeline, dirtyKey, entityType);
+          }
 
-            pipeline.call('JSON.SET', key, '$', JSON.stringify(newEntity));
+          if (prepared.purge) {
+            // Delete the entity and its version counter immediately
+            pipeline.call('JSON.DEL', key);
+            pipeline.del(versionKey);
+            results[i + batchIndex] = { success: true, deleted: true };
+          } else if (prepared.document) {
+            pipeline.call('JSON.SET', key, '$', prepared.document);
             // Set initial version counter
             pipeline.set(versionKey, '1');
             // Track this for versioned cache
-            versionKeyIndices.push({ index: pipeline.length - 1, batchIndex, isCreate: true, version: 1 });
+            versionKeyIndices.push({ index: pipeline.length - 1, batchIndex, isCreate: true, version: 1, values: prepared.values });
           } else {
-            // Update existing entity attributes atomically (entity exists, validated above)
-
-            // Set new/updated attributes
-            Object.entries(attributesToSet).forEach(([field, value]) => {
-              pipeline.call('JSON.SET', key, `$.attributes.${field}`, JSON.stringify(value));
-            });
-
-            // Remove attributes marked with NULL_MARKER
-            attributesToRemove.forEach(field => {
-              pipeline.call('JSON.DEL', key, `$.attributes.${field}`);
-            });
-
-            // Set new/updated rankScores (nested map structure)
-            // For each scoreType, deep merge the partition map
-            Object.entries(rankScoresToSet).forEach(([scoreType, partitionMap]) => {
-              Object.entries(partitionMap).forEach(([partitionKey, value]) => {
-                pipeline.call('JSON.SET', key, `$.rankScores.${scoreType}.${partitionKey}`, JSON.stringify(value));
-              });
-            });
-
-            // Remove rankScores marked for deletion
-            rankScoresToRemove.forEach(scoreType => {
-              pipeline.call('JSON.DEL', key, `$.rankScores.${scoreType}`);
-            });
-
-            // Update worldId and timestamp
-            pipeline.call('JSON.SET', key, '$.worldId', worldId);
-            pipeline.call('JSON.SET', key, '$.lastWrite', timestamp);
+            this.queueWriteOperations(pipeline, key, prepared.ops);
 
             // Atomically increment version - track the position for extracting the new version
             const incrPosition = pipeline.length;
@@ -249,35 +734,83 @@ export class EphemeralEntityManager {
         });
 
         // Execute pipeline and get version numbers
-        const pipelineResults = await pipeline.exec();
-
-        // Extract version numbers from results and update JSON atomically
-        const versionUpdatePipeline = this.redis.pipeline();
+        const pipelineResults = pipeline.length > 0 ? await pipeline.exec() : [];
 
-        versionKeyIndices.forEach(({ index, batchIndex, isCreate, version: createVersion }) => {
+        versionKeyIndices.forEach(({ index, batchIndex, isCreate, version: createVersion, values }) => {
           const [error, result] = pipelineResults[index];
 
           if (!error && result) {
-            const versionNum = isCreate ? createVersion : parseInt(result);
-            const update = batch[batchIndex];
-            const { environment, entityType, entityId, worldId } = update;
-            const key = batchKeys[batchIndex];
-
-            // Update the version in the entity JSON atomically
-            versionUpdatePipeline.call('JSON.SET', key, '$.version', versionNum);
-
-            // Cache this version of the entity for future diff calculations with TTL
-            const versionedKey = this.getEphemeralKey(environment, entityType, entityId, worldId, versionNum);
-            versionUpdatePipeline.call('JSON.COPY', key, versionedKey);
-            versionUpdatePipeline.expire(versionedKey, this.VERSION_CACHE_TTL);
-
-            results[i + batchIndex] = { version: versionNum, success: true };
+            appliedVersions.push({ batchIndex, version: isCreate ? createVersion : parseInt(result), values });
           } else {
             console.error(`Failed to get version for entity at index ${i + batchIndex}:`, error);
             results[i + batchIndex] = { version: 1, success: true, warning: 'version_update_failed' };
           }
         });
 
+        // Apply scripted saves; each script call checks and writes one entity atomically
+        if (scriptedWrites.length > 0) {
+          const scriptPipeline = this.redis.pipeline();
+          scriptedWrites.forEach(write => {
+            scriptPipeline.eval(...this.buildWriteScriptArgs([write]));
+          });
+          const scriptResults = await scriptPipeline.exec();
+
+          scriptedWrites.forEach(({ batchIndex, spec, values: createValues }, index) => {
+            const [error, rawResult] = scriptResults[index];
+
+            if (error) {
+              console.error(`Scripted save failed for entity at index ${i + batchIndex}:`, error);
+              results[i + batchIndex] = { success: false, error: error.message };
+              return;
+            }
+
+            const outcome = JSON.parse(rawResult);
+            if (outcome.error) {
+              results[i + batchIndex] = {
+                success: false,
+                error: outcome.error,
+                path: outcome.path,
+                currentVersion: outcome.currentVersion
+              };
+              return;
+            }
+
+            if (spec.purge) {
+              results[i + batchIndex] = { success: true, deleted: true };
+            } else {
+              appliedVersions.push({
+                batchIndex,
+                version: outcome.versions[0],
+                values: createValues || this.decodeScriptValues(outcome.values?.[0])
+              });
+            }
+          });
+        }
+
+        // Attribute operation results are only known once applied
+        appliedVersions.forEach(({ batchIndex, values }) => {
+          if (values) {
+            Object.assign(batchStreamUpdates.get(batchIndex).data, values);
+          }
+        });
+
+        // Only saves that were actually applied produce stream updates
+        batchStreamUpdates.forEach((streamUpdate, batchIndex) => {
+          if (results[i + batchIndex]?.success !== false) {
+            streamUpdates.push(streamUpdate);
+          }
+        });
+
+        // Update the version in each entity JSON and cache the versioned copy
+        const versionUpdatePipeline = this.redis.pipeline();
+
+        appliedVersions.forEach(({ batchIndex, version: versionNum, values }) => {
+          this.queueVersionedCopy(versionUpdatePipeline, batch[batchIndex], batchKeys[batchIndex], versionNum);
+          results[i + batchIndex] = values
+            ? { version: versionNum, success: true, values }
+            : { version: versionNum, success: true };
+        });
+
         // Execute version update pipeline with error handling
         try {
           await versionUpdatePipeline.exec();
@@ -287,6 +820,12 @@ export class EphemeralEntityManager {
         }
       }
 
+      await this.recordOutbox(updates.map((update, index) => ({
+        update,
+        version: results[index]?.success ? results[index].version : null
+      })));
+      await this.settleIndexes(indexPlans, results);
+
       return results;
 
     } catch (error) {
@@ -298,6 +837,121 @@ export class EphemeralEntityManager {
     }
   }
 
+  /**
+   * Apply several partial updates all-or-nothing.
+   * Existence, isCreate and expectedVersion preconditions for every entity are
+   * checked inside APPLY_WRITES_SCRIPT before anything is written, and all
+   * persistent entities are marked dirty in the same script.
+   *
+   * @param {Array} updates - Partial updates in batchSavePartial format
+   * @returns {Promise<Object>} - {success: true, versions, values?} or
+   *   {success: false, error, index?, path?, currentVersion?}
+   */
+  async applyTransaction(updates) {
+    if (updates.length === 0) {
+      return { success: true, versions: [] };
+    }
+
+    const timestamp = Date.now();
+    const seenKeys = new Set();
+    const writes = [];
+
+    for (let index = 0; index < updates.length; index++) {
+      const update = updates[index];
+      const { environment, entityType, entityId, worldId } = update;
+      const key = this.getEphemeralKey(environment, entityType, entityId, worldId);
+
+      // The script checks every precondition before applying any write,
+      // so the same entity cannot be targeted twice in one transaction
+      if (seenKeys.has(key)) {
+        return { success: false, index, error: 'Duplicate entity in transaction' };
+      }
+      seenKeys.add(key);
+
+      let expectedVersion;
+      try {
+        expectedVersion = InputValidator.sanitizeExpectedVersion(update.expectedVersion);
+      } catch (error) {
+        return { success: false, index, error: error.message };
+      }
+
+      let prepared;
+      try {
+        prepared = this.buildWriteOperations(update, timestamp);
+      } catch (error) {
+        return { success: false, index, error: error.message };
+      }
+
+      if (prepared.rejection) {
+        return { success: false, index, ...prepared.rejection };
+      }
+
+      writes.push({
+        update,
+        values: prepared.values,
+        key,
+        versionKey: KeyGenerator.getVersionKey(environment, entityType, entityId, worldId),
+        spec: this.buildWriteSpec({ ...update, expectedVersion }, prepared)
+      });
+    }
+
+    const indexPlans = await this.indexManager.prepare(updates);
+    const failedResults = updates.map(() => ({ success: false }));
+
+    const rejectedIndex = indexPlans.findIndex(plan => plan?.rejection);
+    if (rejectedIndex !== -1) {
+      await this.settleIndexes(indexPlans, failedResults);
+      return { success: false, index: rejectedIndex, ...indexPlans[rejectedIndex].rejection };
+    }
+
+    try {
+      const outcome = JSON.parse(await this.redis.eval(...this.buildWriteScriptArgs(writes)));
+
+      if (outcome.error) {
+        await this.settleIndexes(indexPlans, failedResults);
+        return {
+          success: false,
+          index: outcome.index,
+          error: outcome.error,
+          path: outcome.path,
+          currentVersion: outcome.currentVersion
+        };
+      }
+
+      const versionUpdatePipeline = this.redis.pipeline();
+      writes.forEach(({ update, key, spec }, index) => {
+        if (!spec.purge) {
+          this.queueVersionedCopy(versionUpdatePipeline, update, key, outcome.versions[index]);
+        }
+      });
+
+      try {
+        await versionUpdatePipeline.exec();
+      } catch (error) {
+        console.error('Failed to cache versioned entities for transaction:', error);
+      }
+
+      await this.recordOutbox(writes.map(({ update, spec }, index) => ({
+        update,
+        version: spec.purge ? null : outcome.versions[index]
+      })));
+
+      const values = writes.map(({ values: createValues }, index) =>
+        createValues || this.decodeScriptValues(outcome.values?.[index]) || {}
+      );
+
+      await this.settleIndexes(indexPlans, values.map(entryValues => ({ success: true, values: entryValues })));
+
+      return values.some(entry => Object.keys(entry).length > 0)
+        ? { success: true, versions: outcome.versions, values }
+        : { success: true, versions: outcome.versions };
+    } catch (error) {
+      console.error('RedisJSON transaction failed:', error);
+      await this.settleIndexes(indexPlans, failedResults);
+      return { success: false, error: error.message };
+    }
+  }
+
   async batchLoad(requests) {
     if (requests.length === 0) return [];
 
@@ -403,20 +1057,32 @@ export class EphemeralEntityManager {
   /**
    * Get a batch of pending updates (dirty entities) for persistence
    * @param {number} batchSize - Maximum number of entities to retrieve
-   * @returns {Promise<Array>} - Array of entity keys that need to be persisted
+   * @param {number} shard - Persistence shard whose dirty set is read
+   * @returns {Promise<{updates: Array, missing: Array}>} - Updates to persist, and the dirty
+   *   entities ({environment, entityType, entityId, worldId, dirtyKey}) whose document was not found
    */
-  async getPendingUpdates(batchSize = 100) {
+  async getPendingUpdates(batchSize = 100, shard = 0) {
     try {
-      // Use SRANDMEMBER to read entities without removing them
-      // They will only be removed after successful persistence
-      const dirtyKeys = await this.redis.srandmember(this.DIRTY_SET_KEY, batchSize);
+      // Entities are read without removing them; they are removed after successful persistence.
+      // The soonest due come first; members without a lane entry, marked dirty before lanes
+      // existed, fill the rest of the batch at random.
+      let dirtyKeys = await this.getScheduledDirtyKeys(batchSize, shard);
+      if (dirtyKeys.length < batchSize) {
+        const scheduled = new Set(dirtyKeys);
+        const sampled = await this.redis.srandmember(PersistenceShardUtil.getDirtySetKey(shard), batchSize - dirtyKeys.length);
+        dirtyKeys = dirtyKeys.concat((sampled || []).filter(dirtyKey => !scheduled.has(dirtyKey)));
+      }
 
-      if (!dirtyKeys || dirtyKeys.length === 0) {
-        return [];
+      if (dirtyKeys.length === 0) {
+        return { updates: [], missing: [] };
       }
 
-      // Ensure dirtyKeys is an array (SRANDMEMBER returns single value or array)
-      const keysArray = Array.isArray(dirtyKeys) ? dirtyKeys : [dirtyKeys];
+      // Members left in this set by a different shard count move to their own shard
+      const keysArray = await this.rehomeDirtyKeys(dirtyKeys, shard);
+      if (keysArray.length === 0) {
+        return { updates: [], missing: [] };
+      }
+      const dirtySince = await this.getDirtySince(keysArray);
 
       // Parse the keys and load the full entities
       const requests = keysArray.map(key => {
@@ -434,7 +1100,8 @@ export class EphemeralEntityManager {
       const entities = await this.batchLoad(requests);
 
       // Filter out null entities and format for persistence
-      return entities
+      const missing = requests.filter((request, index) => !entities[index]);
+      const updates = entities
         .map((entity, index) => {
           if (!entity) return null;
 
@@ -448,25 +1115,191 @@ export class EphemeralEntityManager {
             rankScores: entity.rankScores || {},
             version: entity.version,
             dirtyKey: request.dirtyKey, // Include for later removal
+            dirtySince: dirtySince[index],
             isCreate: false,
             isDelete: entity.isDeleted || false // Include isDelete flag from entity
           };
         })
         .filter(entity => entity !== null);
 
+      return { updates, missing };
+
     } catch (error) {
       console.error('Failed to get pending updates:', error);
-      return [];
+      return { updates: [], missing: [] };
+    }
+  }
+
+  /**
+   * Dirty members of the shard's lanes that are due soonest (see PersistenceShardUtil.scheduleLanes).
+   * Lanes found empty are dropped, and so are lane entries whose member left the dirty set
+   * without going through removeDirtyKeys (sandbox teardown, staging clone).
+   * @param {number} limit
+   * @param {number} shard
+   * @returns {Promise<Array<string>>} - Dirty keys, soonest due first
+   */
+  async getScheduledDirtyKeys(limit, shard) {
+    const lanesKey = PersistenceShardUtil.getLanesKey(shard);
+    const entityTypes = await this.redis.smembers(lanesKey);
+    if (entityTypes.length === 0) return [];
+
+    const rangePipeline = this.redis.pipeline();
+    entityTypes.forEach(entityType => {
+      rangePipeline.zrange(PersistenceShardUtil.getLaneKey(shard, entityType), 0, limit - 1, 'WITHSCORES');
+    });
+    const ranges = await rangePipeline.exec();
+
+    const lanes = entityTypes.map((entityType, index) => {
+      const [, flat] = ranges[index];
+      const entries = [];
+      for (let i = 0; i < (flat || []).length; i += 2) {
+        entries.push({ dirtyKey: flat[i], dirtySince: parseInt(flat[i + 1]) });
+      }
+      return { entityType, targetMs: this.getPersistenceTargetMs(entityType), entries };
+    });
+
+    const cleanupPipeline = this.redis.pipeline();
+    lanes
+      .filter(lane => lane.entries.length === 0)
+      .forEach(({ entityType }) => {
+        cleanupPipeline.eval(DROP_EMPTY_LANE_SCRIPT, 2, lanesKey, PersistenceShardUtil.getLaneKey(shard, entityType), entityType);
+      });
+
+    const scheduled = PersistenceShardUtil.scheduleLanes(lanes, limit);
+    const isDirty = scheduled.length > 0
+      ? await this.redis.smismember(PersistenceShardUtil.getDirtySetKey(shard), ...scheduled.map(({ dirtyKey }) => dirtyKey))
+      : [];
+    scheduled
+      .filter((entry, index) => !isDirty[index])
+      .forEach(({ entityType, dirtyKey }) => cleanupPipeline.zrem(PersistenceShardUtil.getLaneKey(shard, entityType), dirtyKey));
+
+    if (cleanupPipeline.length > 0) {
+      await cleanupPipeline.exec();
+    }
+    return scheduled.filter((entry, index) => isDirty[index]).map(({ dirtyKey }) => dirtyKey);
+  }
+
+  /**
+   * When each dirty key became dirty, from its lane
+   * @param {Array<string>} dirtyKeys
+   * @returns {Promise<Array<number|null>>} - Epoch milliseconds; null for keys without a lane entry
+   */
+  async getDirtySince(dirtyKeys) {
+    const pipeline = this.redis.pipeline();
+    dirtyKeys.forEach(dirtyKey => pipeline.zscore(this.getLaneKey(dirtyKey), dirtyKey));
+    const results = await pipeline.exec();
+    return results.map(([, score]) => (score === null || score === undefined ? null : parseInt(score)));
+  }
+
+  /**
+   * Check dirty entities for a document that vanished before persistence (evicted under
+   * memory pressure). Entities still being written, or persisted since, are not reported.
+   * @param {Array} entities - {environment, entityType, entityId, worldId, dirtyKey?}
+   * @returns {Promise<Array>} - The entities that are dirty but have no document
+   */
+  async findLostDocuments(entities) {
+    if (entities.length === 0) return [];
+
+    const pipeline = this.redis.pipeline();
+    entities.forEach(({ environment, entityType, entityId, worldId, dirtyKey }) => {
+      pipeline.call('JSON.TYPE', this.getEphemeralKey(environment, entityType, entityId, worldId));
+      const member = dirtyKey || KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
+      pipeline.sismember(this.getDirtySetKey(member), member);
+    });
+    const results = await pipeline.exec();
+
+    return entities.filter((entity, index) => {
+      const [[typeError, type], [, isDirty]] = [results[index * 2], results[index * 2 + 1]];
+      return !typeError && !type && isDirty === 1;
+    });
+  }
+
+  /**
+   * Move dirty set members that belong to another shard there
+   * @param {Array} dirtyKeys - Members read from the shard's set
+   * @param {number} shard
+   * @returns {Promise<Array>} - The members that belong to the shard
+   */
+  async rehomeDirtyKeys(dirtyKeys, shard) {
+    const owned = [];
+    const pipeline = this.redis.pipeline();
+    dirtyKeys.forEach(dirtyKey => {
+      if (PersistenceShardUtil.getShard(dirtyKey, this.shardCount) === shard) {
+        owned.push(dirtyKey);
+      } else {
+        this.queueDirtyKeyMove(pipeline, shard, dirtyKey);
+      }
+    });
+
+    if (owned.length < dirtyKeys.length) {
+      await pipeline.exec();
+    }
+    return owned;
+  }
+
+  /**
+   * Queue moving a dirty key, with its lane entry, from a shard's set to the set of the shard it belongs to
+   */
+  queueDirtyKeyMove(pipeline, fromShard, dirtyKey) {
+    const { entityType } = KeyGenerator.parseDirtyKey(dirtyKey);
+    const toShard = PersistenceShardUtil.getShard(dirtyKey, this.shardCount);
+    pipeline.eval(
+      MOVE_DIRTY_KEY_SCRIPT,
+      5,
+      PersistenceShardUtil.getDirtySetKey(fromShard),
+      PersistenceShardUtil.getDirtySetKey(toShard),
+      PersistenceShardUtil.getLaneKey(fromShard, entityType),
+      PersistenceShardUtil.getLaneKey(toShard, entityType),
+      PersistenceShardUtil.getLanesKey(toShard),
+      dirtyKey,
+      entityType
+    );
+  }
+
+  /**
+   * Move members of sets above the shard count, left behind after it was lowered, to their
+   * shards. Each shard's worker handles the sets congruent to its shard.
+   * @param {number} shard
+   * @param {number} limit - Members moved per set
+   * @returns {Promise<number>} - Members moved
+   */
+  async rehomeOrphanedShards(shard, limit) {
+    const orphaned = PersistenceShardUtil.getOrphanedShards(shard, this.shardCount);
+    if (orphaned.length === 0) return 0;
+
+    const existsPipeline = this.redis.pipeline();
+    orphaned.forEach(orphan => existsPipeline.exists(PersistenceShardUtil.getDirtySetKey(orphan)));
+    const exists = await existsPipeline.exec();
+
+    let moved = 0;
+    for (const [index, orphan] of orphaned.entries()) {
+      if (exists[index][1] !== 1) continue;
+
+      const members = await this.redis.srandmember(PersistenceShardUtil.getDirtySetKey(orphan), limit);
+      const pipeline = this.redis.pipeline();
+      members.forEach(dirtyKey => this.queueDirtyKeyMove(pipeline, orphan, dirtyKey));
+      await pipeline.exec();
+      moved += members.length;
     }
+
+    return moved;
   }
 
   /**
    * Get count of pending updates
+   * @param {number|null} shard - Count one shard's dirty set; all shards when null
    * @returns {Promise<number>} - Number of entities waiting to be persisted
    */
-  async getPendingCount() {
+  async getPendingCount(shard = null) {
     try {
-      return await this.redis.scard(this.DIRTY_SET_KEY);
+      if (shard !== null) {
+        return await this.redis.scard(PersistenceShardUtil.getDirtySetKey(shard));
+      }
+
+      const pipeline = this.redis.pipeline();
+      this.getDirtySetKeys().forEach(setKey => pipeline.scard(setKey));
+      const results = await pipeline.exec();
+      return results.reduce((total, [, count]) => total + (count || 0), 0);
     } catch (error) {
       console.error('Failed to get pending count:', error);
       return 0;
@@ -482,13 +1315,59 @@ export class EphemeralEntityManager {
     if (dirtyKeys.length === 0) return;
 
     try {
-      await this.redis.srem(this.DIRTY_SET_KEY, ...dirtyKeys);
+      const bySet = new Map();
+      const byLane = new Map();
+      dirtyKeys.forEach(dirtyKey => {
+        const setKey = this.getDirtySetKey(dirtyKey);
+        if (!bySet.has(setKey)) bySet.set(setKey, []);
+        bySet.get(setKey).push(dirtyKey);
+
+        const laneKey = this.getLaneKey(dirtyKey);
+        if (!byLane.has(laneKey)) byLane.set(laneKey, []);
+        byLane.get(laneKey).push(dirtyKey);
+      });
+
+      const pipeline = this.redis.pipeline();
+      bySet.forEach((members, setKey) => pipeline.srem(setKey, ...members));
+      byLane.forEach((members, laneKey) => pipeline.zrem(laneKey, ...members));
+      await pipeline.exec();
       console.log(`Removed ${dirtyKeys.length} entities from dirty set after successful persistence`);
     } catch (error) {
       console.error('Failed to remove dirty keys:', error);
     }
   }
 
+  /**
+   * Remove entities from the dirty set without persisting them, keeping their documents.
+   * An entity saved again since its document was read stays dirty.
+   * @param {Array} entities - {environment, entityType, entityId, worldId, dirtyKey?, version}
+   * @returns {Promise<void>}
+   */
+  async releaseDirtyKeys(entities) {
+    if (entities.length === 0) return;
+
+    const luaScript = `
+      local currentVersion = redis.call('GET', KEYS[2])
+      if not currentVersion or tonumber(currentVersion) == tonumber(ARGV[2]) then
+        redis.call('ZREM', KEYS[3], ARGV[1])
+        return redis.call('SREM', KEYS[1], ARGV[1])
+      end
+      return 0
+    `;
+
+    try {
+      const pipeline = this.redis.pipeline();
+      entities.forEach(({ environment, entityType, entityId, worldId, dirtyKey, version }) => {
+        const versionKey = KeyGenerator.getVersionKey(environment, entityType, entityId, worldId);
+        const member = dirtyKey || KeyGenerator.getDirtyKey(environment, entityType, entityId, worldId);
+        pipeline.eval(luaScript, 3, this.getDirtySetKey(member), versionKey, this.getLaneKey(member), member, version || 0);
+      });
+      await pipeline.exec();
+    } catch (error) {
+      console.error('Failed to release dirty keys:', error);
+    }
+  }
+
   /**
    * Flush specific entities from ephemeral storage after successful persistence
    * Uses version checking to prevent race conditions with concurrent updates
@@ -565,7 +1444,7 @@ export class EphemeralEntityManager {
 
         // Note: We don't delete versioned entities (with :vN suffix)
         // as they may still be useful for diff calculations
-        // They will expire naturally based on VERSION_CACHE_TTL
+        // They will expire naturally based on the type's version cache TTL
       });
 
       // Execute conditional deletions
@@ -0,0 +1,102 @@
+// util/HandlerContext.js
+
+function createHandlerFailure(code, message) {
+  const error = new Error(message);
+  error.handlerCode = code;
+  return error;
+}
+
+function createHandlerTimeout(timeoutMs) {
+  const error = new Error(`timed out after ${timeoutMs}ms`);
+  error.handlerCode = 'handler_timeout';
+  return error;
+}
+
+/**
+ * Context passed to a command handler (see CommandHandlerRegistry).
+ *
+ * Loads go straight to the entity managers. Saves and sends are buffered and
+ * only applied after the handler returns: the saves in one transaction, then the
+ * sends. A handler that throws, fails or times out therefore changes nothing.
+ */
+export class HandlerContext {
+  /**
+   * @param {Object} options - {environment, worldInstanceId, handler, loadEntities}
+   *   where loadEntities(requests) resolves to entities (or null) in request order
+   */
+  constructor(options) {
+    this.environment = options.environment;
+    this.worldInstanceId = options.worldInstanceId;
+    this.handler = options.handler;
+    this.loadEntities = options.loadEntities;
+    this.saves = [];
+    this.sends = [];
+    this.closed = false;
+  }
+
+  assertOpen() {
+    if (this.closed) {
+      throw new Error(`handler ${this.handler} used its context after it finished`);
+    }
+  }
+
+  async load(entityType, entityId, worldId) {
+    const [entity] = await this.loadMany([{ entityType, entityId, worldId }]);
+    return entity;
+  }
+
+  /**
+   * @param {Array} requests - {entityType, entityId, worldId}
+   * @returns {Promise<Array>} - Entities in request order, null when missing
+   */
+  async loadMany(requests) {
+    this.assertOpen();
+    return this.loadEntities(requests);
+  }
+
+  /**
+   * Queue a save, using the same fields as a save command
+   * ({entityType, entityId, worldId, attributes, ops?, expectedVersion?, isCreate?, isDelete?}).
+   * Pass expectedVersion from the loaded entity to make the handler's read-then-write atomic.
+   */
+  save(save) {
+    this.assertOpen();
+    this.saves.push({ ...save });
+  }
+
+  // Queue a stream message, using the same fields as a send command ({entityType, entityId, worldId, message})
+  send(send) {
+    this.assertOpen();
+    this.sends.push({ ...send });
+  }
+
+  /**
+   * Abort the call with an error code returned to the caller; nothing is written
+   * @throws {Error}
+   */
+  fail(code, message) {
+    throw createHandlerFailure(code, message || code);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  /**
+   * Run a handler, rejecting with a handler_timeout error when it takes longer than timeoutMs
+   * @returns {Promise<*>} - The handler's return value
+   */
+  static async run(handle, context, input, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(createHandlerTimeout(timeoutMs)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([Promise.resolve().then(() => handle(context, input)), timeout]);
+    } finally {
+      clearTimeout(timer);
+      context.close();
+    }
+  }
+}
@@ -0,0 +1,103 @@
+// util/IdempotencyStore.js
+import { ephemeralRedis, config } from '../config.js';
+
+const PENDING_MARKER = JSON.stringify({ status: 'pending' });
+
+/**
+ * Remembers results of /cloudrun requests and commands by idempotency key,
+ * so a retried request returns the original results instead of re-applying them.
+ *
+ * A key is first claimed with a short-lived pending marker (SET NX) and then
+ * replaced with the completed result for the configured window. A retry that
+ * arrives while the original is still running sees the pending marker.
+ */
+export class IdempotencyStore {
+  constructor(options = {}) {
+    this.redis = options.redis || ephemeralRedis;
+    this.ttlSeconds = options.ttlSeconds || config.idempotency.ttlSeconds;
+    this.pendingTTLSeconds = options.pendingTTLSeconds || config.idempotency.pendingTTLSeconds;
+  }
+
+  /**
+   * Idempotency keys are scoped per environment and world instance so
+   * independent world instances can never replay each other's results
+   */
+  getKey(environment, worldInstanceId, scope, idempotencyKey) {
+    return `idempotency:${environment}:${worldInstanceId}:${scope}:${idempotencyKey}`;
+  }
+
+  /**
+   * Claim keys for processing
+   * @param {Array<string>} keys - Keys built with getKey
+   * @returns {Promise<Array<Object>>} - Per key: {status: 'claimed'}, {status: 'pending'}
+   *   or {status: 'completed', result}
+   */
+  async claim(keys) {
+    if (keys.length === 0) return [];
+
+    const pipeline = this.redis.pipeline();
+    keys.forEach(key => {
+      pipeline.set(key, PENDING_MARKER, 'NX', 'EX', this.pendingTTLSeconds);
+      pipeline.get(key);
+    });
+    const results = await pipeline.exec();
+
+    return keys.map((_, index) => {
+      const [setError, setResult] = results[index * 2];
+      const [, stored] = results[index * 2 + 1];
+
+      if (setError) {
+        throw setError;
+      }
+
+      if (setResult === 'OK') {
+        return { status: 'claimed' };
+      }
+
+      try {
+        const record = JSON.parse(stored);
+        if (record?.status === 'completed') {
+          return { status: 'completed', result: record.result };
+        }
+      } catch (error) {
+        console.error(`Invalid idempotency record for ${keys[index]}:`, error);
+      }
+
+      return { status: 'pending' };
+    });
+  }
+
+  /**
+   * Store results for previously claimed keys
+   * @param {Array<{key: string, result: *}>} entries
+   */
+  async complete(entries) {
+    if (entries.length === 0) return;
+
+    const pipeline = this.redis.pipeline();
+    entries.forEach(({ key, result }) => {
+      pipeline.set(key, JSON.stringify({ status: 'completed', result }), 'EX', this.ttlSeconds);
+    });
+    await pipeline.exec();
+  }
+
+  /**
+   * Release claimed keys without storing a result (e.g. the request failed),
+   * so a retry is processed normally
+   */
+  async release(keys) {
+    if (keys.length === 0) return;
+
+    // Only delete pending markers; never drop a completed result
+    const script = `
+      if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+      end
+      return 0
+    `;
+
+    const pipeline = this.redis.pipeline();
+    keys.forEach(key => pipeline.eval(script, 1, key, PENDING_MARKER));
+    await pipeline.exec();
+  }
+}
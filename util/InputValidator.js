@@ -11,11 +11,32 @@ export class InputValidator {
     return value === this.NULL_MARKER;
   }
 
+  // Entity type registry consulted by sanitizeEntityType (set by EntityTypeRegistry)
+  static entityTypeRegistry = null;
+
+  static setEntityTypeRegistry(registry) {
+    this.entityTypeRegistry = registry;
+  }
+
   /**
    * Validate and sanitize entity type
-   * Entity types should be alphanumeric with underscores only
+   * Rejects types the entity type registry has no policy for (strict registries only)
    */
   static sanitizeEntityType(entityType) {
+    const sanitized = this.sanitizeEntityTypeName(entityType);
+
+    if (this.entityTypeRegistry && !this.entityTypeRegistry.getPolicy(sanitized)) {
+      throw new Error(`Unknown entity type: ${sanitized}`);
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Validate entity type format
+   * Entity types should be alphanumeric with underscores only
+   */
+  static sanitizeEntityTypeName(entityType) {
     if (typeof entityType !== 'string') {
       throw new Error('Entity type must be a string');
     }
@@ -120,6 +141,44 @@ export class InputValidator {
     return numLimit;
   }
 
+  /**
+   * Sanitize optional expected version for conditional saves
+   * @param {*} expectedVersion - Version the caller last observed (0 = must not exist)
+   * @returns {number|undefined} - Sanitized version, or undefined when not provided
+   */
+  static sanitizeExpectedVersion(expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null) {
+      return undefined;
+    }
+
+    if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+      throw new Error('expectedVersion must be a non-negative integer');
+    }
+
+    return expectedVersion;
+  }
+
+  /**
+   * Sanitize idempotency key supplied by a world instance
+   * @param {string} idempotencyKey - Client-generated key (e.g. a UUID)
+   * @returns {string} - Sanitized key
+   */
+  static sanitizeIdempotencyKey(idempotencyKey) {
+    if (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0) {
+      throw new Error('idempotencyKey must be a non-empty string');
+    }
+
+    if (idempotencyKey.length > 128) {
+      throw new Error('idempotencyKey must be 128 characters or less');
+    }
+
+    if (!/^[a-zA-Z0-9_:.-]+$/.test(idempotencyKey)) {
+      throw new Error('idempotencyKey contains invalid characters');
+    }
+
+    return idempotencyKey;
+  }
+
   /**
    * Sanitize name pattern for search
    * Prevents SQL injection through LIKE patterns
@@ -0,0 +1,199 @@
+// util/JsonSchemaValidator.js
+import { InputValidator } from './InputValidator.js';
+
+const MAX_ERRORS = 20;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function pushError(context, path, message) {
+  if (context.errors.length < MAX_ERRORS) {
+    context.errors.push({ path, message });
+  }
+}
+
+function childPath(path, key) {
+  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validates entity attributes against a subset of JSON Schema (draft 2020-12):
+ * type, enum, const, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * minLength, maxLength, pattern, items, minItems, maxItems, properties,
+ * required and additionalProperties. Other keywords are ignored.
+ *
+ * Saves are partial, so in partial mode `required` only rejects removing a
+ * required key (NULL_MARKER) rather than omitting it.
+ */
+export class JsonSchemaValidator {
+  /**
+   * @param {Object} schema - Schema for the entity's attributes object
+   * @param {Object} attributes - Attributes to check
+   * @param {Object} options - {partial: boolean}
+   * @returns {Array<{path: string, message: string}>} - Errors with JSON paths ($.stats.level)
+   */
+  static validate(schema, attributes, options = {}) {
+    const errors = [];
+    this.validateValue(schema, attributes, '$', { partial: options.partial === true, errors });
+    return errors;
+  }
+
+  static validateValue(schema, value, path, context) {
+    if (!schema || typeof schema !== 'object' || context.errors.length >= MAX_ERRORS) {
+      return;
+    }
+
+    const addError = message => pushError(context, path, message);
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        addError(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+      addError(`must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      addError(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) addError(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) addError(`must be <= ${schema.maximum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) addError(`must be > ${schema.exclusiveMinimum}`);
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) addError(`must be < ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) addError(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) addError(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) addError(`must match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) addError(`must contain at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) addError(`must contain at most ${schema.maxItems} items`);
+      if (schema.items && typeof schema.items === 'object') {
+        value.forEach((item, index) => this.validateValue(schema.items, item, `${path}[${index}]`, context));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      this.validateObject(schema, value, path, context);
+    }
+  }
+
+  static validateObject(schema, value, path, context) {
+    const properties = schema.properties || {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+
+    for (const [key, nestedValue] of Object.entries(value)) {
+      const nestedPath = childPath(path, key);
+
+      if (InputValidator.isNullMarker(nestedValue)) {
+        if (required.includes(key)) {
+          pushError(context, nestedPath, 'is required and cannot be removed');
+        }
+        continue;
+      }
+
+      if (properties[key]) {
+        this.validateValue(properties[key], nestedValue, nestedPath, context);
+      } else if (schema.additionalProperties === false) {
+        pushError(context, nestedPath, 'is not an allowed property');
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validateValue(schema.additionalProperties, nestedValue, nestedPath, context);
+      }
+    }
+
+    if (!context.partial) {
+      required
+        .filter(key => value[key] === undefined)
+        .forEach(key => pushError(context, childPath(path, key), 'is required'));
+    }
+  }
+
+  /**
+   * Check attribute operations (see AttributeOpsUtil) against the schema of
+   * their paths. Resulting values are only known once applied, so this checks
+   * that the operation fits the declared type and that appended/set values match.
+   * @param {Object} schema - Schema for the entity's attributes object
+   * @param {Array} ops - Operations as submitted ({op, path, value})
+   * @returns {Array<{path: string, message: string}>}
+   */
+  static validateAttributeOps(schema, ops) {
+    const errors = [];
+    if (!Array.isArray(ops)) return errors;
+
+    ops.forEach(op => {
+      if (!op || typeof op.path !== 'string') return;
+
+      const path = `$.${op.path}`;
+      const pathSchema = this.getPathSchema(schema, op.path);
+      if (pathSchema === false) {
+        pushError({ errors }, path, 'is not an allowed property');
+        return;
+      }
+      if (!pathSchema) return;
+
+      const context = { partial: true, errors };
+      const types = pathSchema.type === undefined ? null : [].concat(pathSchema.type);
+
+      if (op.op === 'inc' || op.op === 'dec') {
+        if (types && !types.includes('number') && !types.includes('integer')) {
+          pushError(context, path, `must be ${types.join(' or ')}, ${op.op} requires a number`);
+        }
+      } else if (op.op === 'append' || op.op === 'removeValue') {
+        if (types && !types.includes('array')) {
+          pushError(context, path, `must be ${types.join(' or ')}, ${op.op} requires an array`);
+        } else if (op.op === 'append' && pathSchema.items) {
+          this.validateValue(pathSchema.items, op.value, `${path}[]`, context);
+        }
+      } else if (op.op === 'setIfAbsent') {
+        this.validateValue(pathSchema, op.value, path, context);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Resolve the schema of a dotted attribute path (used for attribute operations)
+   * @returns {Object|null|false} - null when undeclared, false when not allowed
+   */
+  static getPathSchema(schema, path) {
+    let current = schema;
+    for (const segment of path.split('.')) {
+      if (!current || typeof current !== 'object') return null;
+
+      if (current.properties?.[segment]) {
+        current = current.properties[segment];
+      } else if (current.additionalProperties && typeof current.additionalProperties === 'object') {
+        current = current.additionalProperties;
+      } else {
+        return current.additionalProperties === false ? false : null;
+      }
+    }
+    return current;
+  }
+}
@@ -75,6 +75,37 @@ export class KeyGenerator {
     };
   }
 
+  /**
+   * Generate secondary index set key (members are worldId:entityId)
+   * @param {string} environment - The environment (staging/production)
+   * @param {string} entityType
+   * @param {string} attribute - Indexed attribute
+   * @param {string} valueHash - Hash of the encoded attribute value
+   * @returns {string}
+   */
+  static getIndexKey(environment, entityType, attribute, valueHash) {
+    return `${environment}:index:${entityType}:${attribute}:${valueHash}`;
+  }
+
+  /**
+   * Generate unique index claim key (value is the owning worldId:entityId)
+   * @returns {string}
+   */
+  static getUniqueIndexKey(environment, entityType, attribute, valueHash) {
+    return `${environment}:unique:${entityType}:${attribute}:${valueHash}`;
+  }
+
+  /**
+   * Generate name reservation key (value is the reservation record)
+   * @param {string} environment - The environment (staging/production)
+   * @param {string} entityType
+   * @param {string} normalizedName - Name normalized with NameUtil.normalize
+   * @returns {string}
+   */
+  static getNameReservationKey(environment, entityType, normalizedName) {
+    return `${environment}:name:${entityType}:${normalizedName}`;
+  }
+
   /**
    * Generate stream ID for entity
    * @param {string} environment - The environment (staging/production)
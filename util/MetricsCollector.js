@@ -1,4 +1,8 @@
 // util/MetricsCollector.js
+
+// Upper bounds, in seconds, of the persistence lag histogram buckets
+const PERSISTENCE_LAG_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120, 300];
+
 export class MetricsCollector {
   constructor() {
     this.metrics = {
@@ -61,7 +65,8 @@ export class MetricsCollector {
         failed: 0,
         entitiesPersisted: 0,
         lastRunDuration: 0,
-        averageRunDuration: 0
+        averageRunDuration: 0,
+        byShard: {}
       },
 
       // Backup metrics
@@ -119,6 +124,69 @@ export class MetricsCollector {
         byCommandType: {},
         errors: 0,
         archiveRuns: 0
+      },
+
+      // Idempotency key metrics
+      idempotency: {
+        replays: 0,
+        inProgress: 0,
+        stored: 0
+      },
+
+      // Entity attribute schema validation metrics
+      schemaValidation: {
+        violations: 0,
+        rejected: 0,
+        warned: 0,
+        byEntityType: {}
+      },
+
+      // Server-side command handler (call) metrics
+      handlers: {
+        calls: 0,
+        failures: 0,
+        timeouts: 0,
+        retries: 0,
+        byHandler: {}
+      },
+
+      // Soft-deleted entity restores and purges
+      deletedEntities: {
+        restored: 0,
+        purged: 0,
+        purgeRuns: 0,
+        purgeErrors: 0,
+        purgedByEntityType: {}
+      },
+
+      // Persistence outbox and entities lost from ephemeral Redis before persistence
+      persistence: {
+        outboxAppended: 0,
+        outboxAppendErrors: 0,
+        recoveredFromOutbox: 0,
+        documentsLost: 0,
+        documentsLostByEntityType: {},
+        // Time from an entity's first unpersisted save to its persistence, per type
+        lagByEntityType: {}
+      },
+
+      // Entities moved to the persistence dead-letter store
+      deadLetters: {
+        pending: 0,
+        added: 0,
+        addedByEntityType: {},
+        retried: 0,
+        retryFailures: 0,
+        discarded: 0
+      },
+
+      // Persistent saves rejected while background persistence is behind
+      backpressure: {
+        level: 'normal',
+        pending: 0,
+        lagMs: 0,
+        shedRatio: 0,
+        rejected: 0
       }
     };
 
@@ -293,6 +361,26 @@ export class MetricsCollector {
     }
   }
 
+  // One persistence shard's run; backlog is its dirty set size when the run started
+  recordPersistenceShardRun(shard, { duration, processed, backlog, batchSize }) {
+    const byShard = this.metrics.backgroundTasks.byShard;
+    const shardMetrics = byShard[shard] || (byShard[shard] = {
+      runs: 0,
+      entitiesPersisted: 0,
+      backlog: 0,
+      batchSize: 0,
+      lastRunDuration: 0,
+      lastSuccessAt: null
+    });
+
+    shardMetrics.runs++;
+    shardMetrics.entitiesPersisted += processed;
+    shardMetrics.backlog = backlog;
+    shardMetrics.batchSize = batchSize;
+    shardMetrics.lastRunDuration = duration;
+    shardMetrics.lastSuccessAt = Date.now();
+  }
+
   // Performance metrics
   recordRequestDuration(duration) {
     const durations = this.metrics.performance.requestDurations;
@@ -483,6 +571,7 @@ export class MetricsCollector {
       this.metrics.system.memoryUsage = process.memoryUsage();
       this.metrics.system.cpuUsage = process.cpuUsage();
     }, 5000); // Update every 5 seconds
+    this.systemMetricsInterval.unref?.();
   }
 
   stopSystemMetricsCollection() {
@@ -596,6 +685,13 @@ export class MetricsCollector {
             : 0
       },
       backgroundTasks: this.metrics.backgroundTasks,
+      idempotency: this.metrics.idempotency,
+      schemaValidation: this.metrics.schemaValidation,
+      handlers: this.metrics.handlers,
+      deletedEntities: this.metrics.deletedEntities,
+      persistence: this.metrics.persistence,
+      deadLetters: this.metrics.deadLetters,
+      backpressure: this.metrics.backpressure,
       performance: {
         average: Math.round(this.metrics.performance.averageRequestTime),
         p50: Math.round(this.metrics.performance.p50),
@@ -692,6 +788,139 @@ export class MetricsCollector {
     lines.push('# TYPE msw_rate_limit_blocked_total counter');
     lines.push(`msw_rate_limit_blocked_total ${this.metrics.rateLimiting.blocked}`);
 
+    // Idempotency metrics
+    lines.push('# HELP msw_idempotency_replays_total Total results replayed for repeated idempotency keys');
+    lines.push('# TYPE msw_idempotency_replays_total counter');
+    lines.push(`msw_idempotency_replays_total ${this.metrics.idempotency.replays}`);
+
+    lines.push('# HELP msw_idempotency_in_progress_total Total retries rejected while the original was still running');
+    lines.push('# TYPE msw_idempotency_in_progress_total counter');
+    lines.push(`msw_idempotency_in_progress_total ${this.metrics.idempotency.inProgress}`);
+
+    // Schema validation metrics
+    lines.push('# HELP msw_schema_violations_total Saves whose attributes did not match their entity type schema');
+    lines.push('# TYPE msw_schema_violations_total counter');
+    Object.entries(this.metrics.schemaValidation.byEntityType).forEach(([entityType, count]) => {
+      lines.push(`msw_schema_violations_total{entity_type="${entityType}"} ${count}`);
+    });
+
+    lines.push('# HELP msw_schema_rejections_total Saves rejected by schema validation (enforce mode)');
+    lines.push('# TYPE msw_schema_rejections_total counter');
+    lines.push(`msw_schema_rejections_total ${this.metrics.schemaValidation.rejected}`);
+
+    lines.push('# HELP msw_handler_calls_total Server-side command handler calls by outcome');
+    lines.push('# TYPE msw_handler_calls_total counter');
+    Object.entries(this.metrics.handlers.byHandler).forEach(([handler, stats]) => {
+      lines.push(`msw_handler_calls_total{handler="${handler}",outcome="success"} ${stats.calls - stats.failures - stats.timeouts}`);
+      lines.push(`msw_handler_calls_total{handler="${handler}",outcome="failure"} ${stats.failures}`);
+      lines.push(`msw_handler_calls_total{handler="${handler}",outcome="timeout"} ${stats.timeouts}`);
+    });
+
+    lines.push('# HELP msw_handler_duration_ms_avg Average server-side command handler duration');
+    lines.push('# TYPE msw_handler_duration_ms_avg gauge');
+    Object.entries(this.metrics.handlers.byHandler).forEach(([handler, stats]) => {
+      lines.push(`msw_handler_duration_ms_avg{handler="${handler}"} ${stats.calls > 0 ? Math.round(stats.totalDuration / stats.calls) : 0}`);
+    });
+
+    lines.push('# HELP msw_handler_retries_total Handler runs repeated after a version conflict');
+    lines.push('# TYPE msw_handler_retries_total counter');
+    lines.push(`msw_handler_retries_total ${this.metrics.handlers.retries}`);
+
+    lines.push('# HELP msw_entities_restored_total Soft-deleted entities restored by undelete');
+    lines.push('# TYPE msw_entities_restored_total counter');
+    lines.push(`msw_entities_restored_total ${this.metrics.deletedEntities.restored}`);
+
+    lines.push('# HELP msw_entities_purged_total Soft-deleted entities removed by the purge job');
+    lines.push('# TYPE msw_entities_purged_total counter');
+    Object.entries(this.metrics.deletedEntities.purgedByEntityType).forEach(([entityType, count]) => {
+      lines.push(`msw_entities_purged_total{entity_type="${entityType}"} ${count}`);
+    });
+
+    lines.push('# HELP msw_entity_purge_errors_total Purge runs that failed');
+    lines.push('# TYPE msw_entity_purge_errors_total counter');
+    lines.push(`msw_entity_purge_errors_total ${this.metrics.deletedEntities.purgeErrors}`);
+
+    lines.push('# HELP msw_persistence_documents_lost_total Dirty entities whose ephemeral document vanished before persistence');
+    lines.push('# TYPE msw_persistence_documents_lost_total counter');
+    Object.entries(this.metrics.persistence.documentsLostByEntityType).forEach(([entityType, count]) => {
+      lines.push(`msw_persistence_documents_lost_total{entity_type="${entityType}"} ${count}`);
+    });
+
+    lines.push('# HELP msw_persistence_outbox_appended_total Persistent saves appended to the persistence outbox');
+    lines.push('# TYPE msw_persistence_outbox_appended_total counter');
+    lines.push(`msw_persistence_outbox_appended_total ${this.metrics.persistence.outboxAppended}`);
+
+    lines.push('# HELP msw_persistence_outbox_append_errors_total Persistent saves that could not be appended to the outbox');
+    lines.push('# TYPE msw_persistence_outbox_append_errors_total counter');
+    lines.push(`msw_persistence_outbox_append_errors_total ${this.metrics.persistence.outboxAppendErrors}`);
+
+    lines.push('# HELP msw_persistence_outbox_recovered_total Entities persisted from the outbox after their ephemeral document vanished');
+    lines.push('# TYPE msw_persistence_outbox_recovered_total counter');
+    lines.push(`msw_persistence_outbox_recovered_total ${this.metrics.persistence.recoveredFromOutbox}`);
+
+    const shards = Object.entries(this.metrics.backgroundTasks.byShard);
+    lines.push('# HELP msw_persistence_shard_backlog Dirty entities in the persistence shard when this server last ran it');
+    lines.push('# TYPE msw_persistence_shard_backlog gauge');
+    shards.forEach(([shard, shardMetrics]) => {
+      lines.push(`msw_persistence_shard_backlog{shard="${shard}"} ${shardMetrics.backlog}`);
+    });
+
+    lines.push('# HELP msw_persistence_shard_batch_size Entities read in the shard\'s last run on this server');
+    lines.push('# TYPE msw_persistence_shard_batch_size gauge');
+    shards.forEach(([shard, shardMetrics]) => {
+      lines.push(`msw_persistence_shard_batch_size{shard="${shard}"} ${shardMetrics.batchSize}`);
+    });
+
+    lines.push('# HELP msw_persistence_shard_persisted_total Entities persisted by this server per shard');
+    lines.push('# TYPE msw_persistence_shard_persisted_total counter');
+    shards.forEach(([shard, shardMetrics]) => {
+      lines.push(`msw_persistence_shard_persisted_total{shard="${shard}"} ${shardMetrics.entitiesPersisted}`);
+    });
+
+    lines.push('# HELP msw_persistence_shard_last_success_timestamp_seconds When this server last completed a run of the shard');
+    lines.push('# TYPE msw_persistence_shard_last_success_timestamp_seconds gauge');
+    shards.forEach(([shard, shardMetrics]) => {
+      lines.push(`msw_persistence_shard_last_success_timestamp_seconds{shard="${shard}"} ${Math.floor(shardMetrics.lastSuccessAt / 1000)}`);
+    });
+
+    lines.push('# HELP msw_persistence_dead_letters Entities in the persistence dead-letter store when last counted');
+    lines.push('# TYPE msw_persistence_dead_letters gauge');
+    lines.push(`msw_persistence_dead_letters ${this.metrics.deadLetters.pending}`);
+
+    lines.push('# HELP msw_persistence_dead_lettered_total Entities moved to the dead-letter store after failing persistence');
+    lines.push('# TYPE msw_persistence_dead_lettered_total counter');
+    Object.entries(this.metrics.deadLetters.addedByEntityType).forEach(([entityType, count]) => {
+      lines.push(`msw_persistence_dead_lettered_total{entity_type="${entityType}"} ${count}`);
+    });
+
+    lines.push('# HELP msw_persistence_lag_seconds Time from an entity\'s first unpersisted save to its persistence');
+    lines.push('# TYPE msw_persistence_lag_seconds histogram');
+    Object.entries(this.metrics.persistence.lagByEntityType).forEach(([entityType, lag]) => {
+      PERSISTENCE_LAG_BUCKETS.forEach((bound, index) => {
+        lines.push(`msw_persistence_lag_seconds_bucket{entity_type="${entityType}",le="${bound}"} ${lag.buckets[index]}`);
+      });
+      lines.push(`msw_persistence_lag_seconds_bucket{entity_type="${entityType}",le="+Inf"} ${lag.count}`);
+      lines.push(`msw_persistence_lag_seconds_sum{entity_type="${entityType}"} ${lag.sum}`);
+      lines.push(`msw_persistence_lag_seconds_count{entity_type="${entityType}"} ${lag.count}`);
+    });
+
+    const backpressure = this.metrics.backpressure;
+    lines.push('# HELP msw_persistence_backpressure_level Persistence backpressure level (0 normal, 1 soft, 2 hard)');
+    lines.push('# TYPE msw_persistence_backpressure_level gauge');
+    lines.push(`msw_persistence_backpressure_level ${['normal', 'soft', 'hard'].indexOf(backpressure.level)}`);
+
+    lines.push('# HELP msw_persistence_backpressure_pending Dirty entities awaiting persistence at the last check');
+    lines.push('# TYPE msw_persistence_backpressure_pending gauge');
+    lines.push(`msw_persistence_backpressure_pending ${backpressure.pending}`);
+
+    lines.push('# HELP msw_persistence_backpressure_lag_ms Time the most lagging backlogged shard has gone unpersisted');
+    lines.push('# TYPE msw_persistence_backpressure_lag_ms gauge');
+    lines.push(`msw_persistence_backpressure_lag_ms ${backpressure.lagMs}`);
+
+    lines.push('# HELP msw_persistence_backpressure_rejected_total Persistent saves rejected by backpressure');
+    lines.push('# TYPE msw_persistence_backpressure_rejected_total counter');
+    lines.push(`msw_persistence_backpressure_rejected_total ${backpressure.rejected}`);
+
     // Performance metrics
     lines.push('# HELP msw_request_duration_ms Request duration percentiles');
     lines.push('# TYPE msw_request_duration_ms gauge');
@@ -839,6 +1068,144 @@ export class MetricsCollector {
     };
   }
 
+  // Idempotency metrics
+  recordIdempotencyReplay(count = 1) {
+    this.metrics.idempotency.replays += count;
+  }
+
+  recordIdempotencyInProgress(count = 1) {
+    this.metrics.idempotency.inProgress += count;
+  }
+
+  recordIdempotencyStored(count = 1) {
+    this.metrics.idempotency.stored += count;
+  }
+
+  // Schema validation metrics
+  recordSchemaViolation(entityType, rejected) {
+    const schemaMetrics = this.metrics.schemaValidation;
+    schemaMetrics.violations++;
+    schemaMetrics.byEntityType[entityType] = (schemaMetrics.byEntityType[entityType] || 0) + 1;
+
+    if (rejected) {
+      schemaMetrics.rejected++;
+    } else {
+      schemaMetrics.warned++;
+    }
+  }
+
+  // Command handler metrics; outcome is success, failure or timeout
+  recordHandlerCall(handler, outcome, duration) {
+    const handlerMetrics = this.metrics.handlers;
+    handlerMetrics.calls++;
+
+    if (!handlerMetrics.byHandler[handler]) {
+      handlerMetrics.byHandler[handler] = { calls: 0, failures: 0, timeouts: 0, totalDuration: 0 };
+    }
+    const stats = handlerMetrics.byHandler[handler];
+    stats.calls++;
+    stats.totalDuration += duration;
+
+    if (outcome === 'timeout') {
+      handlerMetrics.timeouts++;
+      stats.timeouts++;
+    } else if (outcome !== 'success') {
+      handlerMetrics.failures++;
+      stats.failures++;
+    }
+  }
+
+  recordHandlerRetry() {
+    this.metrics.handlers.retries++;
+  }
+
+  // Soft-deleted entity metrics
+  recordEntityRestored() {
+    this.metrics.deletedEntities.restored++;
+  }
+
+  // purgedByEntityType: {entityType: count} removed by one purge run
+  recordEntityPurge(purgedByEntityType, success = true) {
+    const deletedMetrics = this.metrics.deletedEntities;
+    deletedMetrics.purgeRuns++;
+    if (!success) {
+      deletedMetrics.purgeErrors++;
+    }
+
+    Object.entries(purgedByEntityType).forEach(([entityType, count]) => {
+      deletedMetrics.purged += count;
+      deletedMetrics.purgedByEntityType[entityType] = (deletedMetrics.purgedByEntityType[entityType] || 0) + count;
+    });
+  }
+
+  // saved: entries appended; failed: saves whose append failed
+  recordOutboxAppend(saved, failed = 0) {
+    this.metrics.persistence.outboxAppended += saved;
+    if (failed > 0) {
+      this.metrics.persistence.outboxAppendErrors += failed;
+    }
+  }
+
+  recordOutboxRecovery(count) {
+    this.metrics.persistence.recoveredFromOutbox += count;
+  }
+
+  // Dirty entities whose Redis document vanished before persistence
+  recordDocumentsLost(entityTypes) {
+    const persistenceMetrics = this.metrics.persistence;
+    entityTypes.forEach(entityType => {
+      persistenceMetrics.documentsLost++;
+      persistenceMetrics.documentsLostByEntityType[entityType] =
+        (persistenceMetrics.documentsLostByEntityType[entityType] || 0) + 1;
+    });
+  }
+
+  recordDeadLettered(entityTypes) {
+    const deadLetterMetrics = this.metrics.deadLetters;
+    entityTypes.forEach(entityType => {
+      deadLetterMetrics.added++;
+      deadLetterMetrics.addedByEntityType[entityType] = (deadLetterMetrics.addedByEntityType[entityType] || 0) + 1;
+    });
+  }
+
+  // outcome: 'retried', 'retry_failed' or 'discarded'
+  recordDeadLetterAction(outcome) {
+    if (outcome === 'retried') {
+      this.metrics.deadLetters.retried++;
+    } else if (outcome === 'retry_failed') {
+      this.metrics.deadLetters.retryFailures++;
+    } else if (outcome === 'discarded') {
+      this.metrics.deadLetters.discarded++;
+    }
+  }
+
+  setDeadLetterCount(count) {
+    this.metrics.deadLetters.pending = count;
+  }
+
+  recordPersistenceLag(entityType, seconds) {
+    const byType = this.metrics.persistence.lagByEntityType;
+    const lag = byType[entityType] || (byType[entityType] = {
+      buckets: PERSISTENCE_LAG_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0
+    });
+
+    PERSISTENCE_LAG_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) lag.buckets[index]++;
+    });
+    lag.sum += seconds;
+    lag.count++;
+  }
+
+  setPersistenceBackpressure({ level, pending, lagMs, shedRatio }) {
+    Object.assign(this.metrics.backpressure, { level, pending, lagMs, shedRatio });
+  }
+
+  recordBackpressureRejection(count) {
+    this.metrics.backpressure.rejected += count;
+  }
+
   // Reset all metrics (useful for testing)
   reset() {
     const startTime = this.metrics.system.startTime;
@@ -856,7 +1223,8 @@ export class MetricsCollector {
         failed: 0,
         entitiesPersisted: 0,
         lastRunDuration: 0,
-        averageRunDuration: 0
+        averageRunDuration: 0,
+        byShard: {}
       },
       performance: {
         requestDurations: [],
@@ -881,6 +1249,69 @@ export class MetricsCollector {
         byCommandType: {},
         errors: 0,
         archiveRuns: 0
+      },
+
+      // Idempotency key metrics
+      idempotency: {
+        replays: 0,
+        inProgress: 0,
+        stored: 0
+      },
+
+      // Entity attribute schema validation metrics
+      schemaValidation: {
+        violations: 0,
+        rejected: 0,
+        warned: 0,
+        byEntityType: {}
+      },
+
+      // Server-side command handler (call) metrics
+      handlers: {
+        calls: 0,
+        failures: 0,
+        timeouts: 0,
+        retries: 0,
+        byHandler: {}
+      },
+
+      // Soft-deleted entity restores and purges
+      deletedEntities: {
+        restored: 0,
+        purged: 0,
+        purgeRuns: 0,
+        purgeErrors: 0,
+        purgedByEntityType: {}
+      },
+
+      // Persistence outbox and entities lost from ephemeral Redis before persistence
+      persistence: {
+        outboxAppended: 0,
+        outboxAppendErrors: 0,
+        recoveredFromOutbox: 0,
+        documentsLost: 0,
+        documentsLostByEntityType: {},
+        // Time from an entity's first unpersisted save to its persistence, per type
+        lagByEntityType: {}
+      },
+
+      // Entities moved to the persistence dead-letter store
+      deadLetters: {
+        pending: 0,
+        added: 0,
+        addedByEntityType: {},
+        retried: 0,
+        retryFailures: 0,
+        discarded: 0
+      },
+
+      // Persistent saves rejected while background persistence is behind
+      backpressure: {
+        level: 'normal',
+        pending: 0,
+        lagMs: 0,
+        shedRatio: 0,
+        rejected: 0
       }
     };
   }
@@ -0,0 +1,619 @@
+// util/NameReservationManager.js
+import fs from 'fs/promises';
+import { config, ephemeralRedis, prisma } from '../config.js';
+import { DistributedLock } from './DistributedLock.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { environmentRegistry } from './EnvironmentRegistry.js';
+import { KeyGenerator } from './KeyGenerator.js';
+import { NameUtil } from './NameUtil.js';
+
+const RECONCILE_LOCK_KEY = 'name-reservations:reconcile:lock';
+const RECONCILE_LOCK_TTL = 600; // seconds
+const RECONCILE_PAGE_SIZE = 1000;
+
+// ARGV: entityId, record, ttlSeconds. Reserving a name the entity already holds refreshes it.
+const RESERVE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local record = cjson.decode(current)
+  if record.entityId ~= ARGV[1] then
+    return 'name_taken'
+  end
+  if record.status == 'confirmed' then
+    return 'confirmed'
+  end
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 'reserved'
+`;
+
+// ARGV: entityId, confirmedAt
+const CONFIRM_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  return 'reservation_not_found'
+end
+local record = cjson.decode(current)
+if record.entityId ~= ARGV[1] then
+  return 'reservation_not_found'
+end
+if record.status ~= 'confirmed' then
+  record.status = 'confirmed'
+  record.confirmedAt = tonumber(ARGV[2])
+  redis.call('SET', KEYS[1], cjson.encode(record))
+end
+return 'confirmed'
+`;
+
+// ARGV: entityId
+const RELEASE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  return 'reservation_not_found'
+end
+if cjson.decode(current).entityId ~= ARGV[1] then
+  return 'reservation_not_found'
+end
+redis.call('DEL', KEYS[1])
+return 'released'
+`;
+
+// ARGV: entityId, record. An existing entity wins over another entity's unconfirmed reservation.
+const RESTORE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local record = cjson.decode(current)
+  if record.entityId == ARGV[1] and record.status == 'confirmed' then
+    return 'ok'
+  end
+  if record.entityId ~= ARGV[1] and record.status == 'confirmed' then
+    return 'conflict'
+  end
+end
+redis.call('SET', KEYS[1], ARGV[2])
+return 'restored'
+`;
+
+// ARGV: entityId, record. Puts back the database's holder of a confirmed name over a
+// reservation of the name by the given entity.
+const REPLACE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and cjson.decode(current).entityId ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+// ARGV: the record as read; delete only if nobody changed it since
+const REMOVE_IF_UNCHANGED_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+function getNameKey(entityType, normalizedName) {
+  return `${entityType}:${normalizedName}`;
+}
+
+/**
+ * Case-insensitive, Unicode-normalized name reservations per entity type and environment.
+ *
+ * Creating a named entity is reserve -> save -> confirm (or release when the save fails).
+ * Unconfirmed reservations expire after config.nameReservation.ttlSeconds; confirmed ones
+ * are kept until released. Reservations live in the ephemeral Redis, which evicts keys under
+ * memory pressure, so confirmed names are also kept in the confirmed_names table: its primary
+ * key decides between two entities confirming the same name, and reserve checks it before
+ * handing out a name. reconcile() rebuilds both from the entities table on startup and drops
+ * names whose entity no longer has them.
+ */
+export class NameReservationManager {
+  constructor(options = {}) {
+    this.redis = options.redis || ephemeralRedis;
+    this.prisma = options.prisma || prisma;
+    this.entityTypeRegistry = options.entityTypeRegistry || entityTypeRegistry;
+    this.entityTypes = new Set(options.entityTypes || config.nameReservation.entityTypes);
+    this.ttlSeconds = options.ttlSeconds || config.nameReservation.ttlSeconds;
+    this.maxLength = options.maxLength || config.nameReservation.maxLength;
+    this.blocklistFile = options.blocklistFile !== undefined ? options.blocklistFile : config.nameReservation.blocklistFile;
+    this.blocklistTerms = options.blocklist || config.nameReservation.blocklist;
+    this.blocklist = NameUtil.buildBlocklist(this.blocklistTerms);
+    this.lock = new DistributedLock(this.redis);
+  }
+
+  // Load the blocklist file (if configured) and reconcile reservations in the background
+  async start() {
+    await this.loadBlocklist();
+
+    if (config.nameReservation.reconcileOnStartup) {
+      this.reconcileAll().catch(error => {
+        console.error('[NameReservationManager] Reconciliation failed:', error.message);
+      });
+    }
+  }
+
+  async loadBlocklist() {
+    if (!this.blocklistFile) return;
+
+    try {
+      const content = await fs.readFile(this.blocklistFile, 'utf8');
+      const terms = content.split('\n').filter(line => !line.trim().startsWith('#'));
+      this.blocklist = NameUtil.buildBlocklist([...this.blocklistTerms, ...terms]);
+    } catch (error) {
+      console.error(`[NameReservationManager] Failed to read blocklist ${this.blocklistFile}:`, error.message);
+    }
+  }
+
+  isEnabled(entityType) {
+    return this.entityTypes.has(entityType);
+  }
+
+  /**
+   * @returns {string} - Normalized name
+   * @throws {Error} - When the name is not valid
+   */
+  normalize(name) {
+    return NameUtil.normalize(name, this.maxLength);
+  }
+
+  getKey(environment, entityType, normalizedName) {
+    return KeyGenerator.getNameReservationKey(environment, entityType, normalizedName);
+  }
+
+  /**
+   * @param {Array<{entityType, name, entityId, worldId?}>} requests
+   * @returns {Promise<Array<Object>>} - {success, name, status, expiresAt?} or {success: false, error}
+   */
+  async batchReserve(requests, environment) {
+    const now = Date.now();
+    // A confirmed name missing from Redis, e.g. evicted, is put back from the database instead of reserved
+    const confirmed = await this.findConfirmed(environment, requests.map(({ entityType, name }) => ({
+      entityType,
+      normalizedName: this.normalize(name)
+    })));
+
+    return this.runScripts(requests, environment, (pipeline, { entityType, name, entityId, worldId }, normalizedName) => {
+      const key = this.getKey(environment, entityType, normalizedName);
+      const holder = confirmed.get(getNameKey(entityType, normalizedName));
+      if (holder) {
+        pipeline.eval(RESTORE_SCRIPT, 1, key, holder.entityId, this.buildConfirmedRecord(holder));
+        return;
+      }
+
+      const record = JSON.stringify({ entityId, worldId: worldId ?? null, name, status: 'reserved', reservedAt: now });
+      pipeline.eval(RESERVE_SCRIPT, 1, key, entityId, record, this.ttlSeconds);
+    }, (outcome, normalizedName, { entityType, entityId }) => {
+      const holder = confirmed.get(getNameKey(entityType, normalizedName));
+      if (holder) {
+        return holder.entityId === entityId
+          ? { success: true, name: normalizedName, status: 'confirmed' }
+          : { success: false, error: 'name_taken', name: normalizedName };
+      }
+      if (outcome === 'name_taken') {
+        return { success: false, error: 'name_taken', name: normalizedName };
+      }
+      return outcome === 'reserved'
+        ? { success: true, name: normalizedName, status: outcome, expiresAt: now + this.ttlSeconds * 1000 }
+        : { success: true, name: normalizedName, status: outcome };
+    }, { checkBlocklist: true });
+  }
+
+  async batchConfirm(requests, environment) {
+    const now = Date.now();
+
+    const results = await this.runScripts(requests, environment, (pipeline, { entityType, entityId }, normalizedName) => {
+      pipeline.eval(CONFIRM_SCRIPT, 1, this.getKey(environment, entityType, normalizedName), entityId, now);
+    }, (outcome, normalizedName) => outcome === 'confirmed'
+      ? { success: true, name: normalizedName, status: outcome }
+      : { success: false, error: outcome, name: normalizedName });
+
+    // The first entity to store a name in the database keeps it; a later one had its reservation
+    // made while the holder's key was missing from Redis, and gets the holder's key back
+    const named = requests.map((request, index) => ({ ...request, index, normalizedName: results[index].name }));
+    const claims = named.filter(({ index }) => results[index].success);
+    const missing = named.filter(({ index }) => results[index].error === 'reservation_not_found');
+
+    let holders;
+    try {
+      holders = await this.claimConfirmed(environment, claims);
+      await this.restoreConfirmed(environment, missing, results);
+    } catch (error) {
+      console.error('[NameReservationManager] Failed to store confirmed names:', error.message);
+      claims.forEach(({ index, normalizedName }) => {
+        results[index] = { success: false, error: error.message, name: normalizedName };
+      });
+      return results;
+    }
+
+    const lost = claims.filter(({ entityType, entityId, normalizedName }) =>
+      holders.get(getNameKey(entityType, normalizedName))?.entityId !== entityId);
+    if (lost.length > 0) {
+      const pipeline = this.redis.pipeline();
+      lost.forEach(({ entityType, entityId, normalizedName, index }) => {
+        const holder = holders.get(getNameKey(entityType, normalizedName));
+        if (holder) {
+          pipeline.eval(REPLACE_SCRIPT, 1, this.getKey(environment, entityType, normalizedName), entityId, this.buildConfirmedRecord(holder));
+        }
+        results[index] = { success: false, error: 'name_taken', name: normalizedName };
+      });
+      await pipeline.exec();
+    }
+
+    return results;
+  }
+
+  async batchRelease(requests, environment) {
+    const results = await this.runScripts(requests, environment, (pipeline, { entityType, entityId }, normalizedName) => {
+      pipeline.eval(RELEASE_SCRIPT, 1, this.getKey(environment, entityType, normalizedName), entityId);
+    }, (outcome, normalizedName) => outcome === 'released'
+      ? { success: true, name: normalizedName, status: outcome }
+      : { success: false, error: outcome, name: normalizedName });
+
+    // Also released when only the database still had it, e.g. after its key was evicted
+    const released = await this.removeConfirmed(environment, requests
+      .map((request, index) => ({ ...request, normalizedName: results[index].name }))
+      .filter(({ normalizedName }) => normalizedName));
+    requests.forEach(({ entityType, entityId }, index) => {
+      const { name: normalizedName, error } = results[index];
+      if (error === 'reservation_not_found' && released.has(`${getNameKey(entityType, normalizedName)}:${entityId}`)) {
+        results[index] = { success: true, name: normalizedName, status: 'released' };
+      }
+    });
+
+    return results;
+  }
+
+  // Confirming a name whose key is gone from Redis succeeds if the database has it for the entity
+  async restoreConfirmed(environment, requests, results) {
+    const holders = await this.findConfirmed(environment, requests);
+    const restored = requests.filter(({ entityType, entityId, normalizedName }) =>
+      holders.get(getNameKey(entityType, normalizedName))?.entityId === entityId);
+    if (restored.length === 0) return;
+
+    const pipeline = this.redis.pipeline();
+    restored.forEach(({ entityType, entityId, normalizedName, index }) => {
+      const holder = holders.get(getNameKey(entityType, normalizedName));
+      pipeline.eval(RESTORE_SCRIPT, 1, this.getKey(environment, entityType, normalizedName), entityId, this.buildConfirmedRecord(holder));
+      results[index] = { success: true, name: normalizedName, status: 'confirmed' };
+    });
+    await pipeline.exec();
+  }
+
+  buildConfirmedRecord({ entityId, worldId, name, confirmedAt }) {
+    return JSON.stringify({ entityId, worldId, name, status: 'confirmed', reservedAt: confirmedAt, confirmedAt });
+  }
+
+  /**
+   * Holders of confirmed names in the database
+   * @param {Array<{entityType, normalizedName}>} names
+   * @returns {Promise<Map<string, {entityId, worldId, name, confirmedAt}>>} - By entityType:normalizedName
+   */
+  async findConfirmed(environment, names) {
+    if (names.length === 0) return new Map();
+
+    const keys = JSON.stringify(names.map(({ entityType, normalizedName }) => ({ entity_type: entityType, normalized_name: normalizedName })));
+    const rows = await this.prisma.$queryRaw`
+      SELECT c.entity_type, c.normalized_name, c.entity_id, c.world_id, c.name, c.confirmed_at
+      FROM confirmed_names c
+      JOIN jsonb_to_recordset(${keys}::JSONB) AS k(entity_type TEXT, normalized_name TEXT)
+        ON c.entity_type = k.entity_type AND c.normalized_name = k.normalized_name
+      WHERE c.environment = ${environment}
+    `;
+
+    return new Map(rows.map(row => [getNameKey(row.entity_type, row.normalized_name), {
+      entityId: row.entity_id,
+      worldId: row.world_id,
+      name: row.name,
+      confirmedAt: new Date(row.confirmed_at).getTime()
+    }]));
+  }
+
+  /**
+   * Store confirmed names; a name already stored for another entity is left to it
+   * @param {Array<{entityType, entityId, worldId?, name, normalizedName}>} claims
+   * @returns {Promise<Map>} - Holders after the claims, as findConfirmed
+   */
+  async claimConfirmed(environment, claims) {
+    if (claims.length === 0) return new Map();
+
+    const rows = JSON.stringify(claims.map(claim => ({
+      entity_type: claim.entityType,
+      normalized_name: claim.normalizedName,
+      entity_id: claim.entityId,
+      world_id: claim.worldId ?? null,
+      name: claim.name
+    })));
+
+    await this.prisma.$executeRaw`
+      INSERT INTO confirmed_names (environment, entity_type, normalized_name, entity_id, world_id, name)
+      SELECT ${environment}, r.entity_type, r.normalized_name, r.entity_id, r.world_id, r.name
+      FROM jsonb_to_recordset(${rows}::JSONB)
+        AS r(entity_type TEXT, normalized_name TEXT, entity_id TEXT, world_id INT, name TEXT)
+      ON CONFLICT (environment, entity_type, normalized_name) DO NOTHING
+    `;
+
+    return this.findConfirmed(environment, claims);
+  }
+
+  /**
+   * Remove confirmed names held by the given entities
+   * @param {Array<{entityType, entityId, normalizedName}>} names
+   * @returns {Promise<Set<string>>} - entityType:normalizedName:entityId of the names removed
+   */
+  async removeConfirmed(environment, names) {
+    if (names.length === 0) return new Set();
+
+    const keys = JSON.stringify(names.map(({ entityType, normalizedName, entityId }) => ({
+      entity_type: entityType,
+      normalized_name: normalizedName,
+      entity_id: entityId
+    })));
+    const rows = await this.prisma.$queryRaw`
+      DELETE FROM confirmed_names c
+      USING jsonb_to_recordset(${keys}::JSONB) AS k(entity_type TEXT, normalized_name TEXT, entity_id TEXT)
+      WHERE c.environment = ${environment}
+        AND c.entity_type = k.entity_type
+        AND c.normalized_name = k.normalized_name
+        AND c.entity_id = k.entity_id
+      RETURNING c.entity_type, c.normalized_name, c.entity_id
+    `;
+
+    return new Set(rows.map(row => `${getNameKey(row.entity_type, row.normalized_name)}:${row.entity_id}`));
+  }
+
+  async runScripts(requests, environment, addScript, toResult, { checkBlocklist = false } = {}) {
+    const results = new Array(requests.length);
+    const pending = [];
+    const pipeline = this.redis.pipeline();
+
+    requests.forEach((request, index) => {
+      const normalizedName = this.normalize(request.name);
+
+      if (checkBlocklist && NameUtil.isBlocked(normalizedName, this.blocklist)) {
+        results[index] = { success: false, error: 'name_blocked', name: normalizedName };
+        return;
+      }
+
+      addScript(pipeline, request, normalizedName);
+      pending.push({ index, normalizedName });
+    });
+
+    if (pending.length > 0) {
+      const outcomes = await pipeline.exec();
+      pending.forEach(({ index, normalizedName }, position) => {
+        const [error, outcome] = outcomes[position];
+        results[index] = error
+          ? { success: false, error: error.message }
+          : toResult(outcome, normalizedName, requests[index]);
+      });
+    }
+
+    return results;
+  }
+
+  // Reconcile every environment and reserved entity type; one instance at a time
+  async reconcileAll() {
+    return this.lock.withLock(RECONCILE_LOCK_KEY, async () => {
+      const summary = {};
+      for (const environment of environmentRegistry.list()) {
+        for (const entityType of this.entityTypes) {
+          if (this.entityTypeRegistry.isEphemeral(entityType)) continue;
+          summary[`${environment}:${entityType}`] = await this.reconcile(environment, entityType);
+        }
+      }
+      console.log('[NameReservationManager] Reconciled name reservations:', JSON.stringify(summary));
+      return summary;
+    }, RECONCILE_LOCK_TTL);
+  }
+
+  /**
+   * Confirm the names of persisted entities and drop confirmed reservations whose
+   * entity is gone or has since been renamed
+   * @returns {Promise<{restored: number, conflicts: number, removed: number}>}
+   */
+  async reconcile(environment, entityType) {
+    const nameField = this.entityTypeRegistry.getPolicy(entityType)?.nameField || 'name';
+    const summary = { restored: 0, conflicts: 0, removed: 0 };
+
+    let afterId = null;
+    for (;;) {
+      const rows = await this.prisma.$queryRaw`
+        SELECT id, world_id, attributes->>${nameField} AS name
+        FROM entities
+        WHERE environment = ${environment}
+          AND entity_type = ${entityType}
+          AND is_deleted = false
+          AND attributes->>${nameField} IS NOT NULL
+          AND (${afterId}::TEXT IS NULL OR id > ${afterId}::TEXT)
+        ORDER BY id
+        LIMIT ${RECONCILE_PAGE_SIZE}
+      `;
+      if (rows.length === 0) break;
+
+      const restores = [];
+      rows.forEach(row => {
+        try {
+          restores.push({ row, normalizedName: this.normalize(row.name) });
+        } catch (error) {
+          // Names from before reservations may not be valid; they cannot be reserved either way
+        }
+      });
+
+      // The database decides which of two entities with the same name keeps it; Redis follows
+      const holders = await this.claimConfirmed(environment, restores.map(({ row, normalizedName }) => ({
+        entityType,
+        entityId: row.id,
+        worldId: row.world_id,
+        name: row.name,
+        normalizedName
+      })));
+      const pipeline = this.redis.pipeline();
+      restores.forEach(({ row, normalizedName }) => {
+        const holder = holders.get(getNameKey(entityType, normalizedName));
+        pipeline.eval(RESTORE_SCRIPT, 1, this.getKey(environment, entityType, normalizedName), holder.entityId, this.buildConfirmedRecord(holder));
+      });
+
+      const outcomes = restores.length > 0 ? await pipeline.exec() : [];
+      outcomes.forEach(([error, outcome], index) => {
+        const { row, normalizedName } = restores[index];
+        const isHolder = holders.get(getNameKey(entityType, normalizedName)).entityId === row.id;
+        if (isHolder && outcome === 'restored') {
+          summary.restored++;
+        } else if (!isHolder || outcome === 'conflict') {
+          summary.conflicts++;
+          console.warn(`[NameReservationManager] ${environment} ${entityType} ${row.id} has the name "${normalizedName}" reserved by another entity`);
+        } else if (error) {
+          console.error('[NameReservationManager] Failed to restore reservation:', error.message);
+        }
+      });
+
+      afterId = rows[rows.length - 1].id;
+    }
+
+    summary.removed = await this.removeStale(environment, entityType, nameField)
+      + await this.removeStaleConfirmed(environment, entityType, nameField);
+    return summary;
+  }
+
+  // Remove names from confirmed_names whose entity is deleted, missing, or no longer has the name
+  async removeStaleConfirmed(environment, entityType, nameField) {
+    let removed = 0;
+    let afterName = null;
+
+    for (;;) {
+      const rows = await this.prisma.$queryRaw`
+        SELECT normalized_name, entity_id, world_id
+        FROM confirmed_names
+        WHERE environment = ${environment}
+          AND entity_type = ${entityType}
+          AND (${afterName}::TEXT IS NULL OR normalized_name > ${afterName}::TEXT)
+        ORDER BY normalized_name
+        LIMIT ${RECONCILE_PAGE_SIZE}
+      `;
+      if (rows.length === 0) break;
+
+      const records = rows.map(row => ({ entityId: row.entity_id, worldId: row.world_id, normalizedName: row.normalized_name }));
+      const currentNames = await this.getCurrentNames(environment, entityType, nameField, records);
+      const stale = records.filter(({ entityId, normalizedName }) => {
+        const currentName = currentNames.get(entityId);
+        if (currentName === undefined) return false;
+        try {
+          return currentName === null || this.normalize(currentName) !== normalizedName;
+        } catch (error) {
+          return true;
+        }
+      });
+
+      removed += (await this.removeConfirmed(environment, stale.map(record => ({ ...record, entityType })))).size;
+      afterName = rows[rows.length - 1].normalized_name;
+    }
+
+    return removed;
+  }
+
+  async removeStale(environment, entityType, nameField) {
+    let removed = 0;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.redis.scan(cursor, 'MATCH', this.getKey(environment, entityType, '*'), 'COUNT', RECONCILE_PAGE_SIZE);
+      cursor = nextCursor;
+      if (keys.length === 0) continue;
+
+      const raws = await this.redis.mget(...keys);
+      const confirmed = [];
+      keys.forEach((key, index) => {
+        const record = raws[index] ? JSON.parse(raws[index]) : null;
+        if (record?.status === 'confirmed') {
+          confirmed.push({ key, raw: raws[index], record, normalizedName: key.slice(this.getKey(environment, entityType, '').length) });
+        }
+      });
+      if (confirmed.length === 0) continue;
+
+      const currentNames = await this.getCurrentNames(environment, entityType, nameField, confirmed.map(({ record }) => record));
+
+      const stale = confirmed.filter(({ record, normalizedName }) => {
+        const currentName = currentNames.get(record.entityId);
+        if (currentName === undefined) return false; // Unknown (e.g. Redis copy without worldId); keep it
+        try {
+          return currentName === null || this.normalize(currentName) !== normalizedName;
+        } catch (error) {
+          return true;
+        }
+      });
+
+      if (stale.length > 0) {
+        const pipeline = this.redis.pipeline();
+        stale.forEach(({ key, raw }) => pipeline.eval(REMOVE_IF_UNCHANGED_SCRIPT, 1, key, raw));
+        const outcomes = await pipeline.exec();
+        removed += outcomes.filter(([error, count]) => !error && count === 1).length;
+      }
+    } while (cursor !== '0');
+
+    return removed;
+  }
+
+  /**
+   * Current names of the given entities: the Redis copy when there is one, otherwise the
+   * persisted row. null means the entity does not exist, is deleted or has no name.
+   * @returns {Promise<Map<string, string|null|undefined>>}
+   */
+  async getCurrentNames(environment, entityType, nameField, records) {
+    const entityIds = [...new Set(records.map(({ entityId }) => entityId))];
+    const rows = await this.prisma.$queryRaw`
+      SELECT id, world_id, attributes->>${nameField} AS name
+      FROM entities
+      WHERE environment = ${environment}
+        AND entity_type = ${entityType}
+        AND is_deleted = false
+        AND id = ANY(${entityIds})
+    `;
+
+    const names = new Map(entityIds.map(entityId => [entityId, null]));
+    const worldIds = new Map(records.filter(({ worldId }) => worldId !== null && worldId !== undefined).map(({ entityId, worldId }) => [entityId, worldId]));
+    rows.forEach(row => {
+      names.set(row.id, row.name);
+      worldIds.set(row.id, row.world_id);
+    });
+
+    // Unpersisted and recently saved entities are only current in Redis
+    const withWorld = entityIds.filter(entityId => worldIds.has(entityId));
+    const pipeline = this.redis.pipeline();
+    withWorld.forEach(entityId => {
+      const key = KeyGenerator.getEphemeralKey(environment, entityType, entityId, worldIds.get(entityId));
+      pipeline.call('JSON.GET', key, '$');
+    });
+    const results = withWorld.length > 0 ? await pipeline.exec() : [];
+
+    results.forEach(([error, raw], index) => {
+      const entityId = withWorld[index];
+      if (error) {
+        names.set(entityId, undefined);
+        return;
+      }
+      const entity = raw ? JSON.parse(raw)[0] : null;
+      if (entity) {
+        names.set(entityId, entity.isDeleted ? null : (entity.attributes?.[nameField] ?? null));
+      }
+    });
+
+    // Without a worldId the Redis copy cannot be checked, so an unpersisted entity cannot be told apart from a missing one
+    entityIds.forEach(entityId => {
+      if (!worldIds.has(entityId)) names.set(entityId, undefined);
+    });
+
+    return names;
+  }
+
+  getStats() {
+    return {
+      entityTypes: [...this.entityTypes],
+      ttlSeconds: this.ttlSeconds,
+      maxLength: this.maxLength,
+      blocklistSize: this.blocklist.exact.size + this.blocklist.contains.length
+    };
+  }
+}
+
+export const nameReservationManager = new NameReservationManager();
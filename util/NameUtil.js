@@ -0,0 +1,76 @@
+// util/NameUtil.js
+
+/**
+ * Name normalization and blocklist matching for name reservations.
+ *
+ * Names are compared after Unicode NFKC normalization and lowercasing, with
+ * surrounding whitespace trimmed and inner whitespace collapsed, so "Maple",
+ * " MAPLE " and full-width "Ｍａｐｌｅ" are the same name.
+ */
+export class NameUtil {
+  /**
+   * @param {string} name - Display name
+   * @param {number} maxLength - Maximum length of the normalized name
+   * @returns {string} - Normalized name
+   * @throws {Error} - When the name is empty, too long or contains control characters
+   */
+  static normalize(name, maxLength = 32) {
+    if (typeof name !== 'string') {
+      throw new Error('name must be a string');
+    }
+
+    const normalized = name.normalize('NFKC').trim().replace(/\s+/gu, ' ').toLowerCase().normalize('NFKC');
+
+    if (normalized.length === 0) {
+      throw new Error('name must not be empty');
+    }
+    if ([...normalized].length > maxLength) {
+      throw new Error(`name must be ${maxLength} characters or fewer`);
+    }
+    if (/\p{Cc}|\p{Cf}|\p{Co}|\p{Cn}/u.test(normalized)) {
+      throw new Error('name must not contain control or unassigned characters');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Build a blocklist from configured terms. A term starting with `=` only blocks
+   * that exact name; other terms block every name containing them.
+   * @param {Array<string>} terms
+   * @returns {{exact: Set<string>, contains: Array<string>}}
+   */
+  static buildBlocklist(terms) {
+    const blocklist = { exact: new Set(), contains: [] };
+
+    terms.forEach(term => {
+      const exact = term.startsWith('=');
+      let normalized;
+      try {
+        normalized = this.normalize(exact ? term.slice(1) : term, Infinity);
+      } catch (error) {
+        return; // Blank entries (e.g. trailing commas) are ignored
+      }
+
+      if (exact) {
+        blocklist.exact.add(normalized);
+      } else {
+        blocklist.contains.push(normalized);
+      }
+    });
+
+    return blocklist;
+  }
+
+  /**
+   * @param {string} normalizedName - Name returned by normalize()
+   * @param {{exact: Set<string>, contains: Array<string>}} blocklist
+   * @returns {boolean}
+   */
+  static isBlocked(normalizedName, blocklist) {
+    // Spaces are ignored for contained terms so "bad word" cannot slip past "badword"
+    const compact = normalizedName.replace(/ /g, '');
+    return blocklist.exact.has(normalizedName) ||
+      blocklist.contains.some(term => normalizedName.includes(term) || compact.includes(term.replace(/ /g, '')));
+  }
+}
@@ -0,0 +1,63 @@
+// util/PendingOperations.js
+
+/**
+ * Writes the caller does not wait for (audit entries, stream pipelines), so that
+ * a shutdown can wait for them instead of dropping them.
+ */
+export class PendingOperations {
+  constructor() {
+    this.pending = new Set();
+  }
+
+  /**
+   * Track a promise until it settles; its result and errors stay the caller's
+   * @param {Promise} promise
+   * @returns {Promise} - The same promise
+   */
+  track(promise) {
+    const settled = promise.then(() => {}, () => {}).finally(() => this.pending.delete(settled));
+    this.pending.add(settled);
+    return promise;
+  }
+
+  /**
+   * Run an operation on the next tick without waiting for it, tracked until it settles
+   * @param {Function} operation - Returns a promise
+   * @returns {Promise}
+   */
+  defer(operation) {
+    return this.track(new Promise(resolve => setImmediate(resolve)).then(operation));
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Wait for tracked operations, including ones started while waiting
+   * @param {number} deadline - Epoch milliseconds to stop waiting at
+   * @returns {Promise<{settled: number, pending: number}>}
+   */
+  async settle(deadline) {
+    let settled = 0;
+
+    while (this.pending.size > 0 && Date.now() < deadline) {
+      const batch = [...this.pending];
+      let timer;
+      const timedOut = await Promise.race([
+        Promise.all(batch).then(() => false),
+        new Promise(resolve => {
+          timer = setTimeout(() => resolve(true), deadline - Date.now());
+        })
+      ]);
+      clearTimeout(timer);
+
+      if (timedOut) break;
+      settled += batch.length;
+    }
+
+    return { settled, pending: this.pending.size };
+  }
+}
+
+export const pendingOperations = new PendingOperations();
@@ -0,0 +1,215 @@
+// util/PersistenceBackpressure.js
+import { metrics } from './MetricsCollector.js';
+import { PersistenceShardUtil } from './PersistenceShardUtil.js';
+
+export const BACKPRESSURE_ERROR_CODE = 'persistence_backpressure';
+
+/**
+ * Backpressure on persistent saves while background persistence falls behind.
+ *
+ * Saves to persistent entities succeed as soon as they are in the ephemeral
+ * Redis, so a slow database only shows as a growing dirty backlog. The backlog
+ * and the persistence lag (how long the oldest backlogged shard has gone without
+ * a completed run) are sampled every checkIntervalMs and compared with soft and
+ * hard thresholds. A backlogged shard that has never completed a run is measured from
+ * its oldest dirty entry instead, or from when this server started if none is recorded.
+ * The levels are:
+ * - below soft: normal
+ * - soft: responses carry a warning, and a share of persistent saves, growing from
+ *   none at the soft threshold to all at the hard one, is rejected
+ * - hard: every persistent save is rejected
+ *
+ * Rejected saves get the retryable persistence_backpressure code and are not applied.
+ */
+export class PersistenceBackpressure {
+  /**
+   * @param {Object} ephemeralManager - EphemeralEntityManager
+   * @param {Object} options - {enabled, softPending, hardPending, softLagMs, hardLagMs, checkIntervalMs, retryAfterMs}
+   */
+  constructor(ephemeralManager, options) {
+    this.ephemeralManager = ephemeralManager;
+    this.enabled = options.enabled;
+    this.thresholds = {
+      softPending: options.softPending,
+      hardPending: Math.max(options.hardPending, options.softPending),
+      softLagMs: options.softLagMs,
+      hardLagMs: Math.max(options.hardLagMs, options.softLagMs)
+    };
+    this.checkIntervalMs = options.checkIntervalMs;
+    this.retryAfterMs = options.retryAfterMs;
+    this.random = options.random || Math.random;
+    this.intervalId = null;
+    this.startedAt = Date.now();
+    this.state = {
+      level: 'normal',
+      shedRatio: 0,
+      pending: 0,
+      lagMs: 0,
+      checkedAt: null,
+      since: null
+    };
+    this.stats = {
+      rejected: 0,
+      lastRejectedAt: null,
+      checkErrors: 0
+    };
+  }
+
+  /**
+   * Level and share of persistent saves to reject for a backlog and lag
+   * @param {Object} sample - {pending, lagMs}
+   * @param {Object} thresholds - {softPending, hardPending, softLagMs, hardLagMs}
+   * @returns {{level: string, shedRatio: number}}
+   */
+  static evaluate({ pending, lagMs }, { softPending, hardPending, softLagMs, hardLagMs }) {
+    if (pending >= hardPending || lagMs >= hardLagMs) {
+      return { level: 'hard', shedRatio: 1 };
+    }
+    if (pending < softPending && lagMs < softLagMs) {
+      return { level: 'normal', shedRatio: 0 };
+    }
+
+    const progress = (value, soft, hard) => (hard > soft ? Math.max(value - soft, 0) / (hard - soft) : 0);
+    return {
+      level: 'soft',
+      shedRatio: Math.max(progress(pending, softPending, hardPending), progress(lagMs, softLagMs, hardLagMs))
+    };
+  }
+
+  /**
+   * Sample the dirty backlog of every shard and when each was last persisted
+   */
+  async check() {
+    const shardCount = this.ephemeralManager.shardCount || 1;
+    const pipeline = this.ephemeralManager.redis.pipeline();
+    for (let shard = 0; shard < shardCount; shard++) {
+      pipeline.scard(PersistenceShardUtil.getDirtySetKey(shard));
+      pipeline.get(PersistenceShardUtil.getLastSuccessKey(shard));
+    }
+    const results = await pipeline.exec();
+
+    const now = Date.now();
+    let pending = 0;
+    let lagMs = 0;
+    const unmeasured = [];
+    for (let shard = 0; shard < shardCount; shard++) {
+      const [[, shardPending], [, lastSuccess]] = [results[shard * 2], results[shard * 2 + 1]];
+      pending += shardPending || 0;
+      if (shardPending > 0 && lastSuccess) {
+        lagMs = Math.max(lagMs, now - parseInt(lastSuccess));
+      } else if (shardPending > 0) {
+        unmeasured.push(shard);
+      }
+    }
+    for (const shard of unmeasured) {
+      const oldest = await this.getOldestDirtySince(shard);
+      lagMs = Math.max(lagMs, now - (oldest ?? this.startedAt));
+    }
+
+    const { level, shedRatio } = PersistenceBackpressure.evaluate({ pending, lagMs }, this.thresholds);
+    if (level !== this.state.level) {
+      const log = level === 'normal' ? console.log : console.warn;
+      log(`[PersistenceBackpressure] ${this.state.level} -> ${level} (pending: ${pending}, lag: ${lagMs}ms)`);
+    }
+
+    this.state = {
+      level,
+      shedRatio,
+      pending,
+      lagMs,
+      checkedAt: new Date(now).toISOString(),
+      since: level === this.state.level ? this.state.since : new Date(now).toISOString()
+    };
+    metrics.setPersistenceBackpressure(this.state);
+    return this.state;
+  }
+
+  /**
+   * Earliest dirtySince across the lanes of a shard
+   * @param {number} shard - Shard number
+   * @returns {Promise<number|null>} - Milliseconds since the epoch, or null when no lane has an entry
+   */
+  async getOldestDirtySince(shard) {
+    const redis = this.ephemeralManager.redis;
+    const entityTypes = await redis.smembers(PersistenceShardUtil.getLanesKey(shard));
+    if (entityTypes.length === 0) return null;
+
+    const pipeline = redis.pipeline();
+    entityTypes.forEach(entityType => pipeline.zrange(PersistenceShardUtil.getLaneKey(shard, entityType), 0, 0, 'WITHSCORES'));
+    const results = await pipeline.exec();
+
+    const scores = results
+      .filter(([err, entry]) => !err && entry.length === 2)
+      .map(([, [, score]]) => parseInt(score));
+    return scores.length > 0 ? Math.min(...scores) : null;
+  }
+
+  /**
+   * Decide whether to reject a group of persistent saves; they are admitted or rejected together
+   * @param {number} count - Saves in the group
+   * @returns {Object|null} - The rejection result for each save, or null to apply them
+   */
+  admit(count = 1) {
+    if (!this.enabled || this.state.level === 'normal') return null;
+    if (this.state.level === 'soft' && this.random() >= this.state.shedRatio) return null;
+
+    this.stats.rejected += count;
+    this.stats.lastRejectedAt = new Date().toISOString();
+    metrics.recordBackpressureRejection(count);
+
+    return {
+      success: false,
+      code: BACKPRESSURE_ERROR_CODE,
+      error: 'Persistence is behind; retry the save later',
+      retryable: true,
+      retryAfterMs: this.retryAfterMs
+    };
+  }
+
+  /**
+   * Warning for /cloudrun responses while above the soft thresholds
+   * @returns {Object|null}
+   */
+  getWarning() {
+    if (!this.enabled || this.state.level === 'normal') return null;
+
+    return {
+      code: BACKPRESSURE_ERROR_CODE,
+      level: this.state.level,
+      message: this.state.level === 'hard'
+        ? 'Persistence is behind; persistent saves are rejected'
+        : `Persistence is behind; ${Math.round(this.state.shedRatio * 100)}% of persistent saves are rejected`,
+      pending: this.state.pending,
+      lagMs: this.state.lagMs,
+      retryAfterMs: this.retryAfterMs
+    };
+  }
+
+  getState() {
+    return {
+      enabled: this.enabled,
+      ...this.state,
+      thresholds: this.thresholds,
+      ...this.stats
+    };
+  }
+
+  start() {
+    if (this.intervalId || !this.enabled) return;
+
+    const check = () => this.check().catch(error => {
+      this.stats.checkErrors++;
+      console.error('[PersistenceBackpressure] Check failed:', error.message);
+    });
+    check();
+    this.intervalId = setInterval(check, this.checkIntervalMs);
+    this.intervalId.unref?.();
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
@@ -0,0 +1,150 @@
+// util/PersistenceDeadLetters.js
+import { prisma } from '../config.js';
+import { metrics } from './MetricsCollector.js';
+
+const MAX_LIST_LIMIT = 500;
+
+function toEntry(row) {
+  return {
+    id: row.id.toString(),
+    environment: row.environment,
+    entityType: row.entityType,
+    entityId: row.entityId,
+    worldId: row.worldId,
+    payload: row.payload,
+    error: row.error,
+    attempts: row.attempts,
+    firstFailedAt: row.firstFailedAt,
+    lastFailedAt: row.lastFailedAt
+  };
+}
+
+function parseId(id) {
+  return /^\d+$/.test(String(id)) ? BigInt(id) : null;
+}
+
+/**
+ * Dead-letter store for entities that fail background persistence, in
+ * persistence_dead_letters.
+ *
+ * BackgroundPersistenceTask moves an entity here once its retries are exhausted,
+ * with the state it tried to persist, so the entity no longer holds up later
+ * batches. An entity has at most one entry: failing again replaces the payload
+ * and error and adds to the attempts. Entries are resolved when the entity is
+ * persisted again, by a later save or an admin retry, or discarded by an admin.
+ */
+export class PersistenceDeadLetters {
+  constructor(options = {}) {
+    this.prisma = options.prisma || prisma;
+  }
+
+  /**
+   * @param {Array} entries - {environment, entityType, entityId, worldId, payload: {attributes, rankScores, isDelete}, error, attempts}
+   */
+  async add(entries) {
+    if (entries.length === 0) return 0;
+
+    const rows = JSON.stringify(entries.map(entry => ({
+      environment: entry.environment,
+      entity_type: entry.entityType,
+      world_id: entry.worldId,
+      entity_id: entry.entityId,
+      payload: entry.payload,
+      error: String(entry.error || 'unknown error'),
+      attempts: entry.attempts
+    })));
+
+    const added = await this.prisma.$executeRaw`
+      INSERT INTO persistence_dead_letters (environment, entity_type, world_id, entity_id, payload, error, attempts)
+      SELECT r.environment, r.entity_type, r.world_id, r.entity_id, r.payload, r.error, r.attempts
+      FROM jsonb_to_recordset(${rows}::JSONB)
+        AS r(environment TEXT, entity_type TEXT, world_id INT, entity_id TEXT, payload JSONB, error TEXT, attempts INT)
+      ON CONFLICT (environment, entity_type, world_id, entity_id) DO UPDATE SET
+        payload = EXCLUDED.payload,
+        error = EXCLUDED.error,
+        attempts = persistence_dead_letters.attempts + EXCLUDED.attempts,
+        last_failed_at = CURRENT_TIMESTAMP
+    `;
+
+    metrics.recordDeadLettered(entries.map(({ entityType }) => entityType));
+    return added;
+  }
+
+  /**
+   * Remove the entries of entities that have been persisted since
+   * @param {Array} entities - {environment, entityType, entityId, worldId}
+   * @returns {Promise<number>} - Entries removed
+   */
+  async resolve(entities) {
+    if (entities.length === 0) return 0;
+
+    const keys = JSON.stringify(entities.map(entity => ({
+      environment: entity.environment,
+      entity_type: entity.entityType,
+      world_id: entity.worldId,
+      entity_id: entity.entityId
+    })));
+
+    return this.prisma.$executeRaw`
+      DELETE FROM persistence_dead_letters d
+      USING jsonb_to_recordset(${keys}::JSONB) AS k(environment TEXT, entity_type TEXT, world_id INT, entity_id TEXT)
+      WHERE d.environment = k.environment AND d.entity_type = k.entity_type
+        AND d.world_id = k.world_id AND d.entity_id = k.entity_id
+    `;
+  }
+
+  /**
+   * @param {Object} filters - {environment?, entityType?, limit?, offset?}
+   * @returns {Promise<{entries: Array, total: number}>} - Oldest failures first
+   */
+  async list({ environment, entityType, limit = 100, offset = 0 } = {}) {
+    const where = {
+      ...(environment ? { environment } : {}),
+      ...(entityType ? { entityType } : {})
+    };
+
+    const [rows, total] = await Promise.all([
+      this.prisma.persistenceDeadLetter.findMany({
+        where,
+        orderBy: { id: 'asc' },
+        take: Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_LIMIT),
+        skip: Math.max(parseInt(offset) || 0, 0)
+      }),
+      this.prisma.persistenceDeadLetter.count({ where })
+    ]);
+
+    return { entries: rows.map(toEntry), total };
+  }
+
+  async get(id) {
+    const parsedId = parseId(id);
+    if (parsedId === null) return null;
+
+    const row = await this.prisma.persistenceDeadLetter.findUnique({ where: { id: parsedId } });
+    return row ? toEntry(row) : null;
+  }
+
+  // A failed retry keeps the entry with the attempted payload and the new error
+  async recordFailure(id, payload, error) {
+    await this.prisma.persistenceDeadLetter.update({
+      where: { id: BigInt(id) },
+      data: { payload, error: String(error), attempts: { increment: 1 }, lastFailedAt: new Date() }
+    });
+  }
+
+  async remove(id) {
+    const parsedId = parseId(id);
+    if (parsedId === null) return false;
+
+    const result = await this.prisma.persistenceDeadLetter.deleteMany({ where: { id: parsedId } });
+    return result.count > 0;
+  }
+
+  async count() {
+    const count = await this.prisma.persistenceDeadLetter.count();
+    metrics.setDeadLetterCount(count);
+    return count;
+  }
+}
+
+export const persistenceDeadLetters = new PersistenceDeadLetters();
@@ -0,0 +1,186 @@
+// util/PersistenceOutbox.js
+import { Prisma } from '@prisma/client';
+import { config, prisma } from '../config.js';
+import { metrics } from './MetricsCollector.js';
+
+function getEntityKey({ environment, entityType, worldId, entityId }) {
+  return `${environment}:${entityType}:${worldId}:${entityId}`;
+}
+
+/**
+ * Append-only outbox of persistent saves in persistence_outbox.
+ *
+ * The ephemeral Redis evicts keys under memory pressure, and a persistent
+ * entity lives only there until BackgroundPersistenceTask writes it to the
+ * database. With the outbox enabled, every applied persistent save also appends
+ * the entity's full document and ephemeral version, so the background task can
+ * persist it from the outbox when the Redis copy is gone.
+ *
+ * Entries are removed once the task has persisted the entity; the drain reads
+ * them per entity (see readPending).
+ */
+export class PersistenceOutbox {
+  constructor(options = {}) {
+    this.prisma = options.prisma || prisma;
+    this.enabled = options.enabled ?? config.persistenceOutbox.enabled;
+    this.batchSize = options.batchSize || config.persistenceOutbox.batchSize;
+    this.stats = {
+      recorded: 0,
+      recordErrors: 0,
+      unrecordedSaves: 0,
+      acknowledged: 0,
+      lastRecordError: null,
+      lastRecordErrorAt: null
+    };
+  }
+
+  /**
+   * Append saved documents
+   * @param {Array} entries - {environment, entityType, entityId, worldId, version, attributes, rankScores, isDeleted}
+   * @returns {Promise<number>} - Entries appended; 0 when the append failed (logged, the saves stand)
+   */
+  async record(entries) {
+    if (!this.enabled || entries.length === 0) return 0;
+
+    const rows = JSON.stringify(entries.map(entry => ({
+      environment: entry.environment,
+      entity_type: entry.entityType,
+      world_id: entry.worldId,
+      entity_id: entry.entityId,
+      version: entry.version,
+      attributes: entry.attributes || {},
+      rank_scores: entry.rankScores || {},
+      is_deleted: entry.isDeleted === true
+    })));
+
+    try {
+      const appended = await this.prisma.$executeRaw`
+        INSERT INTO persistence_outbox (environment, entity_type, world_id, entity_id, version, attributes, rank_scores, is_deleted)
+        SELECT r.environment, r.entity_type, r.world_id, r.entity_id, r.version, r.attributes, r.rank_scores, r.is_deleted
+        FROM jsonb_to_recordset(${rows}::JSONB)
+          AS r(environment TEXT, entity_type TEXT, world_id INT, entity_id TEXT, version INT, attributes JSONB, rank_scores JSONB, is_deleted BOOLEAN)
+      `;
+      this.stats.recorded += appended;
+      metrics.recordOutboxAppend(appended);
+      return appended;
+    } catch (error) {
+      // The saves are already applied in Redis; they are persisted from there as before
+      this.recordFailure(entries.length, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Count saves that could not be appended. They are not protected against eviction until
+   * persisted, which the PersistenceOutboxAppendFailure alert reports as critical.
+   * @param {number} count - Saves not appended
+   * @param {Error} error
+   */
+  recordFailure(count, error) {
+    this.stats.recordErrors++;
+    this.stats.unrecordedSaves += count;
+    this.stats.lastRecordError = error.message;
+    this.stats.lastRecordErrorAt = new Date().toISOString();
+    metrics.recordOutboxAppend(0, count);
+    console.error(`[PersistenceOutbox] Failed to append ${count} saves:`, error.message);
+  }
+
+  /**
+   * Read the entities with the oldest entries. Each entity gets the entries that end a run
+   * of increasing versions, in append order: the ephemeral version restarts when the Redis
+   * copy is recreated, so every entry but the last is a document that was not saved over.
+   * @param {number} limit - Entities to read
+   * @param {Object} shards - {shard, shardCount}: read only the entities of one persistence shard
+   * @returns {Promise<Array>} - {environment, entityType, entityId, worldId, lastId, documents:
+   *   Array<{version, attributes, rankScores, isDeleted}>}
+   */
+  async readPending(limit = this.batchSize, { shard = 0, shardCount = 1 } = {}) {
+    // Matches PersistenceShardUtil.getShard on the entity's dirty key
+    const shardFilter = shardCount > 1
+      ? Prisma.sql`WHERE ('x' || substr(md5(environment || ':' || entity_type || ':' || world_id || ':' || entity_id), 1, 8))::BIT(32)::BIGINT % ${shardCount} = ${shard}`
+      : Prisma.empty;
+
+    const rows = await this.prisma.$queryRaw`
+      WITH pending AS (
+        SELECT environment, entity_type, world_id, entity_id, MIN(id) AS first_id
+        FROM persistence_outbox
+        ${shardFilter}
+        GROUP BY environment, entity_type, world_id, entity_id
+        ORDER BY first_id
+        LIMIT ${limit}
+      ),
+      entries AS (
+        SELECT o.*,
+          LEAD(o.version) OVER entity_entries AS next_version,
+          MAX(o.id) OVER (PARTITION BY o.environment, o.entity_type, o.world_id, o.entity_id) AS last_id
+        FROM persistence_outbox o
+        JOIN pending p USING (environment, entity_type, world_id, entity_id)
+        WINDOW entity_entries AS (PARTITION BY o.environment, o.entity_type, o.world_id, o.entity_id ORDER BY o.id)
+      )
+      SELECT id, environment, entity_type, world_id, entity_id, version, attributes, rank_scores, is_deleted, last_id
+      FROM entries
+      WHERE next_version IS NULL OR next_version < version
+      ORDER BY id
+    `;
+
+    const entities = new Map();
+    rows.forEach(row => {
+      const key = getEntityKey({ environment: row.environment, entityType: row.entity_type, worldId: row.world_id, entityId: row.entity_id });
+      if (!entities.has(key)) {
+        entities.set(key, {
+          environment: row.environment,
+          entityType: row.entity_type,
+          entityId: row.entity_id,
+          worldId: row.world_id,
+          lastId: BigInt(row.last_id),
+          documents: []
+        });
+      }
+      entities.get(key).documents.push({
+        version: row.version,
+        attributes: row.attributes || {},
+        rankScores: row.rank_scores || {},
+        isDeleted: row.is_deleted
+      });
+    });
+
+    return [...entities.values()];
+  }
+
+  /**
+   * Remove the entries read for persisted entities; entries appended since are kept
+   * @param {Array} entities - Entities from readPending
+   * @returns {Promise<number>} - Entries removed
+   */
+  async acknowledge(entities) {
+    if (entities.length === 0) return 0;
+
+    const keys = JSON.stringify(entities.map(entity => ({
+      environment: entity.environment,
+      entity_type: entity.entityType,
+      world_id: entity.worldId,
+      entity_id: entity.entityId,
+      last_id: entity.lastId.toString()
+    })));
+
+    const removed = await this.prisma.$executeRaw`
+      DELETE FROM persistence_outbox o
+      USING jsonb_to_recordset(${keys}::JSONB) AS k(environment TEXT, entity_type TEXT, world_id INT, entity_id TEXT, last_id BIGINT)
+      WHERE o.environment = k.environment AND o.entity_type = k.entity_type
+        AND o.world_id = k.world_id AND o.entity_id = k.entity_id AND o.id <= k.last_id
+    `;
+    this.stats.acknowledged += removed;
+    return removed;
+  }
+
+  async getPendingCount() {
+    const [row] = await this.prisma.$queryRaw`SELECT COUNT(*)::INT AS count FROM persistence_outbox`;
+    return row.count;
+  }
+
+  getStats() {
+    return { enabled: this.enabled, batchSize: this.batchSize, ...this.stats };
+  }
+}
+
+export const persistenceOutbox = new PersistenceOutbox();
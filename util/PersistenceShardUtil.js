@@ -0,0 +1,92 @@
+// util/PersistenceShardUtil.js
+import { createHash } from 'crypto';
+
+export const DIRTY_SET_KEY = 'ephemeral:dirty_entities';
+export const MAX_SHARDS = 64;
+
+// A backlog is sized to be worked off in about this many runs
+const BACKLOG_DRAIN_RUNS = 4;
+
+/**
+ * Partitioning of dirty entities into persistence shards.
+ *
+ * A dirty key's shard is the first 32 bits of its md5 modulo the shard count;
+ * PersistenceOutbox computes the same value in SQL. Shard 0 keeps the unsharded
+ * dirty set key, so a single shard is the layout from before sharding.
+ */
+export class PersistenceShardUtil {
+  static normalizeShardCount(shardCount) {
+    const count = parseInt(shardCount);
+    return Number.isInteger(count) ? Math.min(Math.max(count, 1), MAX_SHARDS) : 1;
+  }
+
+  static getShard(dirtyKey, shardCount) {
+    if (shardCount <= 1) return 0;
+    return parseInt(createHash('md5').update(dirtyKey).digest('hex').slice(0, 8), 16) % shardCount;
+  }
+
+  static getDirtySetKey(shard) {
+    return shard === 0 ? DIRTY_SET_KEY : `${DIRTY_SET_KEY}:${shard}`;
+  }
+
+  static getLockKey(baseLockKey, shard) {
+    return shard === 0 ? baseLockKey : `${baseLockKey}:${shard}`;
+  }
+
+  // Entity types with a persistence lane in the shard
+  static getLanesKey(shard) {
+    return `${PersistenceShardUtil.getDirtySetKey(shard)}:lanes`;
+  }
+
+  // Sorted set of the shard's dirty members of one entity type, scored by when each became dirty
+  static getLaneKey(shard, entityType) {
+    return `${PersistenceShardUtil.getDirtySetKey(shard)}:lane:${entityType}`;
+  }
+
+  // When any server last completed a run of the shard, in epoch milliseconds
+  static getLastSuccessKey(shard) {
+    return `background:persistence:last_success:${shard}`;
+  }
+
+  /**
+   * Sets no longer covered after the shard count was lowered whose members now belong to
+   * the given shard's worker: the shards above the count congruent to it
+   */
+  static getOrphanedShards(shard, shardCount) {
+    const orphaned = [];
+    for (let orphan = shard + shardCount; orphan < MAX_SHARDS; orphan += shardCount) {
+      orphaned.push(orphan);
+    }
+    return orphaned;
+  }
+
+  /**
+   * Pick the dirty members to persist next across the entity type lanes: earliest deadline
+   * first, where a member's deadline is when it became dirty plus its type's target
+   * @param {Array} lanes - {entityType, targetMs, entries: Array<{dirtyKey, dirtySince}>}, each lane oldest first
+   * @param {number} limit
+   * @returns {Array} - {dirtyKey, entityType, dirtySince, dueAt}, soonest due first
+   */
+  static scheduleLanes(lanes, limit) {
+    return lanes
+      .flatMap(({ entityType, targetMs, entries }) => entries.map(({ dirtyKey, dirtySince }) => ({
+        dirtyKey,
+        entityType,
+        dirtySince,
+        dueAt: dirtySince + targetMs
+      })))
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Entities to persist in one run: the configured batch size, growing with the backlog
+   * up to maxBatchSize so a large backlog is persisted in a few runs
+   * @param {Object} options - {backlog, batchSize, maxBatchSize}
+   * @returns {number}
+   */
+  static computeBatchSize({ backlog, batchSize, maxBatchSize }) {
+    const upper = Math.max(batchSize, maxBatchSize);
+    return Math.min(Math.max(Math.ceil((backlog || 0) / BACKLOG_DRAIN_RUNS), batchSize), upper);
+  }
+}
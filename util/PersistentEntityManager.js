@@ -5,6 +5,10 @@ import { EntityDiffUtil } from './EntityDiffUtil.js';
 import { KeyGenerator } from './KeyGenerator.js';
 import { metrics } from './MetricsCollector.js';
 import { StreamUpdateUtil } from './StreamUpdateUtil.js';
+import { EntityQueryBuilder } from './EntityQueryBuilder.js';
+import { CursorUtil } from './CursorUtil.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { entityIndexManager } from './EntityIndexManager.js';
 
 export class PersistentEntityManager {
   constructor(cacheManager, streamManager, ephemeralManager = null) {
@@ -12,6 +16,7 @@ export class PersistentEntityManager {
     this.prisma = prisma;
     this.streamManager = streamManager;
     this.ephemeralManager = ephemeralManager;
+    this.indexManager = entityIndexManager;
     this.BATCH_SIZE = config.persistent.batchSize;
   }
 
@@ -298,6 +303,17 @@ export class PersistentEntityManager {
         }
       }
 
+      // Mirror secondary index entries of persisted entities; lookups verify entries,
+      // so a failure here must not fail persistence
+      const persistedUpdates = batch
+        .filter(([entityKey]) => resultMap.get(entityKey)?.success)
+        .map(([, update]) => update);
+      try {
+        await this.indexManager.persist(persistedUpdates);
+      } catch (error) {
+        console.error('Failed to persist secondary index entries:', error);
+      }
+
       // Update cache for successful operations without reading first
       // Only need to read if we want to preserve non-updated fields
       const cacheEntries = [];
@@ -386,18 +402,23 @@ export class PersistentEntityManager {
   }
 
   // Batch get ranked entities with batched cache operations
+  // Returns one page per request: {rows, nextCursor}
   async batchGetRankedEntities(requests) {
     if (requests.length === 0) return [];
 
     // Sanitize and build cache keys for all requests
-    const sanitizedRequests = requests.map(({ environment, entityType, worldId, rankKey, sortOrder = 'DESC', limit = 100 }) => {
+    const sanitizedRequests = requests.map(({ environment, entityType, worldId, rankKey, sortOrder = 'DESC', limit = 100, cursor = null }) => {
       const sanitizedEnvironment = environment;
       const sanitizedEntityType = InputValidator.sanitizeEntityType(entityType);
       const sanitizedWorldId = InputValidator.sanitizeWorldId(worldId);
       const sanitizedRankKey = InputValidator.sanitizeRankKey(rankKey);
       const sanitizedSortOrder = InputValidator.sanitizeSortOrder(sortOrder);
       const sanitizedLimit = InputValidator.sanitizeLimit(limit);
-      const cacheKey = `rankings:${sanitizedEnvironment}:${sanitizedEntityType}:${sanitizedWorldId}:${sanitizedRankKey}:${sanitizedSortOrder}:${sanitizedLimit}`;
+      const hasCursor = !CursorUtil.isEmpty(cursor);
+      const after = hasCursor
+        ? CursorUtil.decodeRankCursor(cursor, { rankKey: sanitizedRankKey, sortOrder: sanitizedSortOrder })
+        : null;
+      const cacheKey = `rankings:${sanitizedEnvironment}:${sanitizedEntityType}:${sanitizedWorldId}:${sanitizedRankKey}:${sanitizedSortOrder}:${sanitizedLimit}:${hasCursor ? cursor : 'first'}`;
 
       return {
         environment: sanitizedEnvironment,
@@ -406,6 +427,7 @@ export class PersistentEntityManager {
         rankKey: sanitizedRankKey,
         sortOrder: sanitizedSortOrder,
         limit: sanitizedLimit,
+        after,
         cacheKey
       };
     });
@@ -439,30 +461,37 @@ export class PersistentEntityManager {
                 ${miss.worldId}::INT,
                 ${miss.rankKey}::TEXT,
                 ${miss.sortOrder}::TEXT,
-                ${miss.limit}::INT
+                ${miss.limit + 1}::INT,
+                ${miss.after?.score ?? null}::BIGINT,
+                ${miss.after?.id ?? null}::TEXT
               )
             `;
 
-            return { index: miss.index, entities: entities || [] };
+            // One extra row is fetched to tell whether another page exists
+            const page = CursorUtil.paginate(entities, miss.limit, last =>
+              CursorUtil.encodeRankCursor(last, { rankKey: miss.rankKey, sortOrder: miss.sortOrder })
+            );
+
+            return { index: miss.index, page };
           } catch (error) {
             console.error('Ranked entities query failed:', error);
-            return { index: miss.index, entities: [] };
+            return { index: miss.index, page: { rows: [], nextCursor: null } };
           }
         })
       );
 
       // Batch cache set for all DB results
       const cacheEntries = [];
-      dbResults.forEach(({ index, entities }) => {
-        results[index] = entities;
+      dbResults.forEach(({ index, page }) => {
+        results[index] = page;
         const req = sanitizedRequests[index];
 
-        if (entities && entities.length > 0) {
-          const entityIds = entities.map(entity => `${entity.entity_type}:${entity.id}`);
+        if (page.rows.length > 0) {
+          const entityIds = page.rows.map(entity => `${entity.entity_type}:${entity.id}`);
           // Store with dependencies for cache invalidation
-          cacheEntries.push([req.cacheKey, entities, entityIds]);
+          cacheEntries.push([req.cacheKey, page, entityIds]);
         } else {
-          cacheEntries.push([req.cacheKey, entities, []]);
+          cacheEntries.push([req.cacheKey, page, []]);
         }
       });
 
@@ -626,20 +655,27 @@ export class PersistentEntityManager {
   }
 
   // Batch search by name with batched cache operations
+  // Returns one page per request: {rows, nextCursor}
   async batchSearchByName(requests) {
     if (requests.length === 0) return [];
 
     // Sanitize and build cache keys for all requests
-    const sanitizedRequests = requests.map(({ environment, entityType, namePattern, worldId = null, limit = 100 }) => {
+    const sanitizedRequests = requests.map(({ environment, entityType, namePattern, worldId = null, limit = 100, cursor = null }) => {
       const sanitizedEnvironment = environment;
       const sanitizedEntityType = InputValidator.sanitizeEntityType(entityType);
       const sanitizedNamePattern = InputValidator.sanitizeNamePattern(namePattern);
       const sanitizedWorldId = worldId !== null ? InputValidator.sanitizeWorldId(worldId) : null;
       const sanitizedLimit = InputValidator.sanitizeLimit(limit);
+      const hasCursor = !CursorUtil.isEmpty(cursor);
+      const after = hasCursor
+        ? CursorUtil.decodeNameCursor(cursor, { namePattern: sanitizedNamePattern, worldId: sanitizedWorldId })
+        : null;
+      const cursorKey = hasCursor ? cursor : 'first';
+      const nameField = entityTypeRegistry.getPolicy(sanitizedEntityType)?.nameField || 'name';
 
       const cacheKey = sanitizedWorldId
-        ? `search:${sanitizedEnvironment}:${sanitizedEntityType}:${sanitizedWorldId}:${sanitizedNamePattern}:${sanitizedLimit}`
-        : `search:${sanitizedEnvironment}:${sanitizedEntityType}:all:${sanitizedNamePattern}:${sanitizedLimit}`;
+        ? `search:${sanitizedEnvironment}:${sanitizedEntityType}:${sanitizedWorldId}:${sanitizedNamePattern}:${sanitizedLimit}:${cursorKey}`
+        : `search:${sanitizedEnvironment}:${sanitizedEntityType}:all:${sanitizedNamePattern}:${sanitizedLimit}:${cursorKey}`;
 
       return {
         environment: sanitizedEnvironment,
@@ -647,6 +683,8 @@ export class PersistentEntityManager {
         namePattern: sanitizedNamePattern,
         worldId: sanitizedWorldId,
         limit: sanitizedLimit,
+        after,
+        nameField,
         cacheKey
       };
     });
@@ -679,29 +717,37 @@ export class PersistentEntityManager {
                 ${miss.entityType}::TEXT,
                 ${miss.namePattern}::TEXT,
                 ${miss.worldId}::INT,
-                ${miss.limit}::INT
+                ${miss.limit + 1}::INT,
+                ${miss.after?.worldId ?? null}::INT,
+                ${miss.after?.name ?? null}::TEXT,
+                ${miss.after?.id ?? null}::TEXT,
+                ${miss.nameField}::TEXT
               )
             `;
 
-            return { index: miss.index, entities: entities || [] };
+            const page = CursorUtil.paginate(entities, miss.limit, last =>
+              CursorUtil.encodeNameCursor(last, { namePattern: miss.namePattern, worldId: miss.worldId }, miss.nameField)
+            );
+
+            return { index: miss.index, page };
           } catch (error) {
             console.error('Name search query failed:', error);
-            return { index: miss.index, entities: [] };
+            return { index: miss.index, page: { rows: [], nextCursor: null } };
           }
         })
       );
 
       // Batch cache set for all DB results
       const cacheEntries = [];
-      dbResults.forEach(({ index, entities }) => {
-        results[index] = entities;
+      dbResults.forEach(({ index, page }) => {
+        results[index] = page;
         const req = sanitizedRequests[index];
 
-        if (entities && entities.length > 0) {
-          const entityIds = entities.map(entity => `${entity.entity_type}:${entity.id}`);
-          cacheEntries.push([req.cacheKey, entities, entityIds]);
+        if (page.rows.length > 0) {
+          const entityIds = page.rows.map(entity => `${entity.entity_type}:${entity.id}`);
+          cacheEntries.push([req.cacheKey, page, entityIds]);
         } else {
-          cacheEntries.push([req.cacheKey, entities, []]);
+          cacheEntries.push([req.cacheKey, page, []]);
         }
       });
 
@@ -712,4 +758,36 @@ export class PersistentEntityManager {
 
     return results;
   }
+
+  /**
+   * Run attribute predicate queries against the entities table.
+   * Queries read persisted state only and are not cached, so results reflect
+   * the database as of the last background persistence run.
+   * @param {Array} requests - {environment, entityType, worldId, where, sort, limit, cursor}
+   * @returns {Promise<Array<{rows: Array, nextCursor: string|null, error?: string}>>}
+   */
+  async batchQueryEntities(requests) {
+    if (requests.length === 0) return [];
+
+    return Promise.all(requests.map(async (request) => {
+      try {
+        const query = {
+          ...EntityQueryBuilder.sanitizeQuery({
+            ...request,
+            entityType: InputValidator.sanitizeEntityType(request.entityType),
+            worldId: InputValidator.sanitizeWorldId(request.worldId)
+          }),
+          environment: request.environment
+        };
+        const { text, values } = EntityQueryBuilder.build(query);
+        const rows = await this.prisma.$queryRawUnsafe(text, ...values);
+
+        metrics.recordDatabaseLoad(query.entityType, rows.length);
+        return EntityQueryBuilder.paginate(rows, query);
+      } catch (error) {
+        console.error('Attribute query failed:', error);
+        return { rows: [], nextCursor: null, error: error.message };
+      }
+    }));
+  }
 }
@@ -1,5 +1,6 @@
 import { config, ephemeralRedis } from '../config.js';
 import { DistributedLock } from './DistributedLock.js';
+import { environmentRegistry } from './EnvironmentRegistry.js';
 import { InputValidator } from './InputValidator.js';
 
 export class PresenceManager {
@@ -216,7 +217,7 @@ export class PresenceManager {
   }
 
   async runCleanupCycle() {
-    for (const environment of config.allowedEnvironments) {
+    for (const environment of environmentRegistry.list()) {
       await this.lock.withLock(
         this.getCleanupLockKey(environment),
         async () => this.cleanupStalePresence(environment),
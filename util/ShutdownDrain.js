@@ -0,0 +1,61 @@
+// util/ShutdownDrain.js
+
+/**
+ * Phases of a graceful shutdown, run in order against one deadline.
+ *
+ * Each phase is an async function given the deadline; what it returns is kept in the
+ * report, and returning {drained: false} marks the phase incomplete. A phase still
+ * running at the deadline is left behind as timed out, and the phases after it are skipped.
+ */
+export class ShutdownDrain {
+  /**
+   * @param {Object} options - {timeoutMs}
+   */
+  constructor({ timeoutMs }) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {Array<{name: string, run: Function}>} phases
+   * @returns {Promise<Object>} - {startedAt, durationMs, timeoutMs, complete, phases: [{name, status, durationMs, ...}]}
+   */
+  async run(phases) {
+    const startedAt = Date.now();
+    const deadline = startedAt + this.timeoutMs;
+    const report = [];
+
+    for (const phase of phases) {
+      const phaseStart = Date.now();
+      if (phaseStart >= deadline) {
+        report.push({ name: phase.name, status: 'skipped', durationMs: 0 });
+        continue;
+      }
+
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ status: 'timed_out' }), deadline - phaseStart);
+      });
+
+      const outcome = await Promise.race([
+        Promise.resolve()
+          .then(() => phase.run({ deadline }))
+          .then(
+            detail => ({ ...detail, status: detail?.drained === false ? 'incomplete' : 'completed' }),
+            error => ({ status: 'failed', error: error.message })
+          ),
+        timeout
+      ]);
+      clearTimeout(timer);
+
+      report.push({ name: phase.name, ...outcome, durationMs: Date.now() - phaseStart });
+    }
+
+    return {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      timeoutMs: this.timeoutMs,
+      complete: report.every(phase => phase.status === 'completed'),
+      phases: report
+    };
+  }
+}
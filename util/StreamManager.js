@@ -1,6 +1,8 @@
 // src/streams/StreamManager.js
 import { streamRedis, cacheTTL, config } from '../config.js';
 import { metrics } from './MetricsCollector.js';
+import { entityTypeRegistry } from './EntityTypeRegistry.js';
+import { pendingOperations } from './PendingOperations.js';
 
 export class StreamManager {
   constructor() {
@@ -8,6 +10,11 @@ export class StreamManager {
     this.worldInstanceTTL = config.stream.worldInstanceTTL;
   }
 
+  // Stream retention is a per-entity-type policy
+  getStreamRetention(entityType) {
+    return entityTypeRegistry.getPolicy(entityType)?.streamRetentionSeconds || cacheTTL;
+  }
+
   // Get world instance association key
   getWorldInstanceKey(streamId) {
     return `stream_world_instance:${streamId}`;
@@ -43,11 +50,11 @@ export class StreamManager {
           );
         });
 
-        // Set expiration for each stream
-        pipeline.expire(`stream:${streamId}`, cacheTTL);
+        // Set expiration for each stream (streamId: environment:entity:entityType:worldId:entityId)
+        pipeline.expire(`stream:${streamId}`, this.getStreamRetention(streamId.split(':')[2]));
       });
 
-      setImmediate(() => pipeline.exec()); // Fire and forget
+      pendingOperations.defer(() => pipeline.exec()); // Fire and forget; shutdown waits for it
 
       // Record metrics for each entity type
       const entityTypeCounts = {};
@@ -101,10 +108,10 @@ export class StreamManager {
         });
 
         // Set expiration for each stream
-        pipeline.expire(`stream:${streamId}`, cacheTTL);
+        pipeline.expire(`stream:${streamId}`, this.getStreamRetention(commands[0].entityType));
       });
 
-      setImmediate(() => pipeline.exec()); // Fire and forget
+      pendingOperations.defer(() => pipeline.exec()); // Fire and forget; shutdown waits for it
 
       // Record metrics
       streamCommands.forEach(cmd => {
@@ -175,7 +182,7 @@ export class StreamManager {
 
       // Execute the set pipeline (fire and forget if no sets were added)
       if (setInstancePipeline.length > 0) {
-        setImmediate(() => setInstancePipeline.exec());
+        pendingOperations.defer(() => setInstancePipeline.exec());
       }
 
       const results = xrangeResults;